@@ -1,37 +1,31 @@
 /* ========================================
    App.js - Main Entry Point & Screen Router
-   Manages navigation: home -> setup -> game
+   Manages navigation: home -> setup -> game (and home -> replay)
    ======================================== */
 
-import { gameRegistry } from './games/GameRegistry.js';
-import { YahtzeeGame } from './games/yahtzee/YahtzeeGame.js';
-import { FarkleGame } from './games/farkle/FarkleGame.js';
+import { gameRegistry, GameLoadError } from './games/GameRegistry.js';
+import yahtzee from './games/yahtzee/YahtzeeManifest.js';
+import maxiYatzy from './games/yahtzee/MaxiYatzyManifest.js';
+import generala from './games/generala/GeneralaManifest.js';
+import farkle from './games/farkle/FarkleManifest.js';
+import shipCaptainCrew from './games/shipcaptaincrew/ShipCaptainCrewManifest.js';
+import pig from './games/pig/PigManifest.js';
+import liarsDice from './games/liarsdice/LiarsDiceManifest.js';
+import shutTheBox from './games/shutthebox/ShutTheBoxManifest.js';
+import bunco from './games/bunco/BuncoManifest.js';
+import pokerDice from './games/pokerdice/PokerDiceManifest.js';
+import balut from './games/balut/BalutManifest.js';
 import { HomeScreen } from './screens/HomeScreen.js';
 import { SetupScreen } from './screens/SetupScreen.js';
+import { ReplayScreen } from './screens/ReplayScreen.js';
 import { gameHistory } from './services/GameHistoryService.js';
+import { MemoryAdapter } from './services/StorageAdapters.js';
 
 // ---- Register Games ----
-gameRegistry.register('yahtzee', {
-    name: 'Yatzee',
-    icon: '🎲',
-    description: 'Il classico gioco di dadi!',
-    minPlayers: 1,
-    maxPlayers: 6,
-    createGame: (container, players, onExit, savedState) => {
-        return new YahtzeeGame({ container, players, onExit, savedState });
-    }
-});
-
-gameRegistry.register('farkle', {
-    name: 'Farkle (10.000)',
-    icon: '🎯',
-    description: 'Raggiungi 10.000 punti per primo!',
-    minPlayers: 2,
-    maxPlayers: 6,
-    createGame: (container, players, onExit, savedState) => {
-        return new FarkleGame({ container, players, onExit, savedState });
-    }
-});
+// Plugin manifests (home screen order): only what setup needs is imported here,
+// each game module (rules, scoring, bots, UI) the first time the game is picked
+[yahtzee, maxiYatzy, generala, farkle, shipCaptainCrew, pig, liarsDice, shutTheBox, bunco, pokerDice, balut]
+    .forEach(manifest => gameRegistry.register(manifest.id, manifest));
 
 // ---- App Controller ----
 class App {
@@ -39,9 +33,17 @@ class App {
         this.container = document.getElementById('app');
         this.currentScreen = null;
         this.currentGame = null;
+        this.currentLoad = null;
+        this.saveErrorShown = false;
     }
 
     init() {
+        // Reported once: play goes on, but what was not saved is lost on reload
+        gameHistory.onSaveError(() => {
+            if (this.saveErrorShown) return;
+            this.saveErrorShown = true;
+            alert('Impossibile salvare i dati (memoria piena o archiviazione non disponibile): partite e storico potrebbero andare persi.');
+        });
         this.showHome();
     }
 
@@ -61,13 +63,14 @@ class App {
         this.currentScreen = new HomeScreen({
             container: content,
             onSelectGame: (gameId) => this.showSetup(gameId),
-            onResumeGame: (savedState) => this.resumeGame(savedState)
+            onResumeGame: (savedState) => this.resumeGame(savedState),
+            onReplayMatch: (match) => this.showReplay(match)
         });
 
         this.currentScreen.render();
     }
 
-    showSetup(gameId) {
+    async showSetup(gameId) {
         this._cleanup();
 
         this.container.innerHTML = `
@@ -81,53 +84,133 @@ class App {
 
         const content = this.container.querySelector('#screenContent');
 
+        // Plugin games import their module the first time they are picked
+        const loaded = await this._loadGame(gameId, content, () => this.showSetup(gameId));
+        if (!loaded) return;
+
         this.currentScreen = new SetupScreen({
             container: content,
             gameId,
-            onStart: (players) => this.startGame(gameId, players),
+            onStart: (players, settings) => this.startGame(gameId, players, settings),
             onBack: () => this.showHome()
         });
 
         this.currentScreen.render();
     }
 
-    startGame(gameId, players) {
+    async showReplay(match) {
         this._cleanup();
 
-        const gameConfig = gameRegistry.get(gameId);
-        if (!gameConfig) {
-            alert('Gioco non trovato!');
+        this.container.innerHTML = `
+            <div class="container">
+                <header>
+                    <h1>🎲 Dice Games</h1>
+                </header>
+                <div id="screenContent"></div>
+            </div>
+        `;
+
+        const content = this.container.querySelector('#screenContent');
+
+        // Logs are stored apart from the history list
+        const pending = this.currentLoad = {};
+        const log = await gameHistory.getMatchLog(match);
+        if (pending !== this.currentLoad) return;
+        if (!log) {
             this.showHome();
             return;
         }
 
+        this.currentScreen = new ReplayScreen({
+            container: content,
+            match: { ...match, log },
+            onBack: () => this.showHome()
+        });
+
+        this.currentScreen.render();
+    }
+
+    async startGame(gameId, players, settings = {}) {
+        this._cleanup();
+
+        const gameConfig = await this._loadGame(gameId, this.container, () => this.startGame(gameId, players, settings));
+        if (!gameConfig) return;
+
         this.currentGame = gameConfig.createGame(
             this.container,
             players,
             () => this.showHome(),
-            null // no saved state
+            null, // no saved state
+            settings
         );
     }
 
-    resumeGame(savedState) {
+    async resumeGame(savedState) {
         this._cleanup();
 
-        const gameConfig = gameRegistry.get(savedState.gameType);
-        if (!gameConfig) {
-            alert('Gioco non trovato!');
-            this.showHome();
-            return;
-        }
+        const gameConfig = await this._loadGame(savedState.gameType, this.container, () => this.resumeGame(savedState));
+        if (!gameConfig) return;
 
         // Remove from active games list (game will re-save itself via autoSave)
         gameHistory.removeActiveGame(savedState.gameId);
 
-        this.currentGame = gameConfig.createGame(
-            this.container,
-            savedState.players,
-            () => this.showHome(),
-            savedState
-        );
+        try {
+            this.currentGame = gameConfig.createGame(
+                this.container,
+                savedState.players,
+                () => this.showHome(),
+                savedState
+            );
+        } catch (error) {
+            // e.g. saved by a newer version of the game: keep it for later
+            gameHistory.saveActiveGame(savedState);
+            this._showLoadError(error, this.container, () => this.resumeGame(savedState));
+        }
+    }
+
+    // ---- Game Loading ----
+
+    /**
+     * Load a game (see GameRegistry.load), showing progress in `container`.
+     * On failure the error replaces the container content, with buttons to
+     * retry and to go back home.
+     * @param {string} gameId
+     * @param {HTMLElement} container
+     * @param {Function} retry - Navigation to try again
+     * @returns {Promise<Object|null>} The game config, or null when it failed
+     */
+    async _loadGame(gameId, container, retry) {
+        const pending = this.currentLoad = {};   // navigating away meanwhile drops the result
+        if (!gameRegistry.get(gameId)?.createGame) {
+            container.innerHTML = '<div class="load-screen"><div class="load-spinner">🎲</div><p>Caricamento...</p></div>';
+        }
+
+        try {
+            const gameConfig = await gameRegistry.load(gameId);
+            return pending === this.currentLoad ? gameConfig : null;
+        } catch (error) {
+            if (pending === this.currentLoad) this._showLoadError(error, container, retry);
+            return null;
+        }
+    }
+
+    _showLoadError(error, container, retry) {
+        const message = error instanceof GameLoadError
+            ? error.message
+            : `Impossibile avviare il gioco. (${error.message})`;
+        const gameName = gameRegistry.get(error.gameId)?.name;
+
+        container.innerHTML = `
+            <div class="load-screen load-error">
+                <div class="load-error-icon">⚠️</div>
+                <h2>${gameName ? `${gameName} non disponibile` : 'Gioco non disponibile'}</h2>
+                <p>${message}</p>
+                <button class="btn btn-primary" id="loadRetryBtn">🔄 Riprova</button>
+                <button class="btn btn-secondary" id="loadHomeBtn" style="margin-top:8px;">Torna alla Home</button>
+            </div>
+        `;
+        container.querySelector('#loadRetryBtn').addEventListener('click', retry);
+        container.querySelector('#loadHomeBtn').addEventListener('click', () => this.showHome());
     }
 
     // ---- Cleanup ----
@@ -141,11 +224,19 @@ class App {
         }
         this.currentScreen = null;
         this.currentGame = null;
+        this.currentLoad = null;
     }
 }
 
 // ---- Bootstrap ----
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        await gameHistory.init();
+    } catch (e) {
+        // Saved data unreadable: play on without saving rather than not start at all
+        console.warn('Dati salvati non leggibili, i dati non saranno salvati:', e.message);
+        await gameHistory.init([new MemoryAdapter()]);
+    }
     const app = new App();
     app.init();
 });
@@ -53,6 +53,18 @@ export class Menu {
         container.appendChild(this.el);
     }
 
+    /**
+     * Change an item's label after render (e.g. for toggles).
+     * @param {string} id
+     * @param {string} label
+     */
+    setItemLabel(id, label) {
+        const item = this.items.find(i => i.id === id);
+        if (item) item.label = label;
+        const el = this.el && this.el.querySelector(`.menu-item[data-id="${id}"]`);
+        if (el) el.textContent = label;
+    }
+
     open() {
         if (!this.el) return;
         this.isOpen = true;
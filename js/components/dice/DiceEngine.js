@@ -2,25 +2,42 @@
    DiceEngine - Pure Logic (REUSABLE)
    No DOM dependencies. Configurable count/sides.
    Event-driven for decoupled rendering.
+   Manual mode: rolled values are entered by the player
+   (physical dice) instead of drawn from the random source.
    ======================================== */
 
+import { SeededRandom } from './RandomSource.js';
+
 export class DiceEngine {
     /**
      * @param {Object} options
      * @param {number} options.count - Number of dice (default 5)
      * @param {number} options.sides - Sides per die (default 6)
      * @param {number} options.maxRolls - Max rolls per turn (default 3)
+     * @param {{next: Function}} [options.random] - Random source, next() -> [0, 1) (default: new SeededRandom)
+     * @param {boolean} [options.manual] - Values of rolled dice are entered with setValue() (default false)
+     * @param {Function} [options.holdConstraint] - (index, engine) => false blocks toggleHold on that die
+     *   (e.g. dice that must be kept in a set order)
      */
-    constructor({ count = 5, sides = 6, maxRolls = 3 } = {}) {
+    constructor({ count = 5, sides = 6, maxRolls = 3, random = new SeededRandom(), manual = false, holdConstraint = null } = {}) {
         this.count = count;
         this.sides = sides;
         this.maxRolls = maxRolls;
+        this.random = random;
+        this.manual = manual;
+        this.holdConstraint = holdConstraint;
 
         this.values = new Array(count).fill(1);
         this.held = new Array(count).fill(false);
         this.rollsLeft = maxRolls;
         this.hasRolled = false;
         this.isRolling = false;
+        this._rollFrom = null;
+
+        // Manual entry: dice rolled but not yet entered
+        this.awaitingInput = false;
+        this.inputIndices = [];
+        this._pendingInput = new Set();
 
         this._listeners = {};
     }
@@ -48,6 +65,8 @@ export class DiceEngine {
     roll() {
         if (this.rollsLeft <= 0 || this.isRolling) return false;
 
+        // Dice as they were, in case the roll is saved before it ends
+        this._rollFrom = { values: [...this.values], hasRolled: this.hasRolled };
         this.isRolling = true;
         this.hasRolled = true;
         this.rollsLeft--;
@@ -56,15 +75,23 @@ export class DiceEngine {
         const rolledIndices = [];
         for (let i = 0; i < this.count; i++) {
             if (!this.held[i]) {
-                this.values[i] = Math.floor(Math.random() * this.sides) + 1;
+                if (!this.manual) this.values[i] = this._randomFace();
                 rolledIndices.push(i);
             }
         }
 
+        // Physical dice: wait for setValue() on every rolled die, then submitInput()
+        if (this.manual) {
+            this.awaitingInput = true;
+            this.inputIndices = rolledIndices;
+            this._pendingInput = new Set(rolledIndices);
+        }
+
         this.emit('roll-start', {
             rolledIndices,
             values: [...this.values],
-            rollsLeft: this.rollsLeft
+            rollsLeft: this.rollsLeft,
+            manual: this.manual
         });
 
         return true;
@@ -81,9 +108,53 @@ export class DiceEngine {
         });
     }
 
+    /**
+     * Manual mode: enter the value shown by a rolled physical die.
+     * Only dice rolled in the current roll can be set (held dice stay locked).
+     */
+    setValue(index, value) {
+        if (!this.awaitingInput || !this.inputIndices.includes(index)) return false;
+        if (!Number.isInteger(value) || value < 1 || value > this.sides) return false;
+
+        this.values[index] = value;
+        this._pendingInput.delete(index);
+        this.emit('value-set', {
+            index,
+            value,
+            pending: [...this._pendingInput]
+        });
+        return true;
+    }
+
+    isInputComplete() {
+        return this._pendingInput.size === 0;
+    }
+
+    /**
+     * Manual mode: all rolled dice entered, finish the roll as if animated.
+     */
+    submitInput() {
+        if (!this.awaitingInput || !this.isInputComplete()) return false;
+        this.awaitingInput = false;
+        this.inputIndices = [];
+        this.finishRoll();
+        return true;
+    }
+
+    _clearInput() {
+        this.awaitingInput = false;
+        this.inputIndices = [];
+        this._pendingInput = new Set();
+    }
+
+    _randomFace() {
+        return Math.floor(this.random.next() * this.sides) + 1;
+    }
+
     toggleHold(index) {
         if (!this.hasRolled || this.isRolling || this.rollsLeft === 0) return false;
         if (index < 0 || index >= this.count) return false;
+        if (this.holdConstraint && !this.holdConstraint(index, this)) return false;
 
         this.held[index] = !this.held[index];
         this.emit('hold-changed', {
@@ -94,12 +165,22 @@ export class DiceEngine {
         return true;
     }
 
+    /**
+     * Set which dice sit out the next roll by the game's rules (not a
+     * player's hold): holdConstraint is not checked and no event is fired.
+     * @param {boolean[]} held - One flag per die index
+     */
+    setHeld(held) {
+        this.held = this.held.map((_, i) => !!held[i]);
+    }
+
     reset() {
         this.values = new Array(this.count).fill(1);
         this.held = new Array(this.count).fill(false);
         this.rollsLeft = this.maxRolls;
         this.hasRolled = false;
         this.isRolling = false;
+        this._clearInput();
         this.emit('reset', {});
     }
 
@@ -112,13 +193,22 @@ export class DiceEngine {
 
     // ---- Serialization (for save/restore) ----
 
+    /**
+     * Saved state. A roll still going on (animating, or physical dice not
+     * all entered) is saved as `interruptedRoll`: the dice before it.
+     */
     getState() {
-        return {
+        const state = {
             values: [...this.values],
             held: [...this.held],
             rollsLeft: this.rollsLeft,
-            hasRolled: this.hasRolled
+            hasRolled: this.hasRolled,
+            random: this.random.getState ? this.random.getState() : null
         };
+        if (this.isRolling && this._rollFrom) {
+            state.interruptedRoll = { values: [...this._rollFrom.values], hasRolled: this._rollFrom.hasRolled };
+        }
+        return state;
     }
 
     restoreState(state) {
@@ -128,8 +218,29 @@ export class DiceEngine {
         this.rollsLeft = state.rollsLeft;
         this.hasRolled = state.hasRolled;
         this.isRolling = false;
+        this._clearInput();
+        if (state.random && this.random.restoreState) {
+            this.random.restoreState(state.random);
+        }
         this.emit('restored', this.getState());
     }
+
+    /**
+     * Give back a roll saved before it ended (see getState): the dice go back
+     * to their values before it and the roll counts again, so the player
+     * rolls it anew. Call after restoreState().
+     * @param {Object} state - Saved engine state
+     * @returns {boolean} Whether a roll was given back
+     */
+    restoreInterruptedRoll(state) {
+        const roll = state?.interruptedRoll;
+        if (!roll) return false;
+        this.values = [...roll.values];
+        this.hasRolled = roll.hasRolled;
+        this.rollsLeft++;
+        this.emit('restored', this.getState());
+        return true;
+    }
 }
 
 export default DiceEngine;
@@ -0,0 +1,99 @@
+/* ========================================
+   DiceGroupRenderer - Several Dice Groups (REUSABLE)
+   Renders independent dice groups side by side, each
+   with its own DiceEngine, label and hidden state
+   (e.g. one cup per player in Liar's Dice).
+   ======================================== */
+
+import { DiceRenderer } from './DiceRenderer.js';
+
+/**
+ * @typedef {Object} DiceGroup
+ * @property {string|number} id
+ * @property {string} label - Shown above the dice
+ * @property {string} [color] - Label accent color
+ * @property {import('./DiceEngine.js').DiceEngine} engine - Dice of this group
+ * @property {boolean|boolean[]} [hidden] - Covered faces (see DiceRenderer)
+ */
+
+export class DiceGroupRenderer {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - DOM element to render into
+     * @param {number} [options.size] - Dice size in pixels (default 40)
+     * @param {number} [options.animationDuration] - Roll animation duration ms (default 800)
+     */
+    constructor({ container, size = 40, animationDuration = 800 }) {
+        this.container = container;
+        this.size = size;
+        this.animationDuration = animationDuration;
+        this.groups = new Map();   // id -> { element, renderer }
+    }
+
+    /**
+     * Replace all groups (renderers of the previous groups are destroyed).
+     * @param {DiceGroup[]} groups
+     */
+    setGroups(groups) {
+        this._clear();
+        this.container.classList.add('dice-groups');
+
+        groups.forEach(group => {
+            const element = document.createElement('div');
+            element.className = 'dice-group';
+            element.dataset.group = group.id;
+            element.innerHTML = `
+                <div class="dice-group-label" style="border-color: ${group.color || 'transparent'}">${group.label}</div>
+                <div class="dice-group-dice"></div>
+            `;
+            this.container.appendChild(element);
+
+            const renderer = new DiceRenderer({
+                container: element.querySelector('.dice-group-dice'),
+                engine: group.engine,
+                size: this.size,
+                animationDuration: this.animationDuration,
+                hidden: group.hidden || false
+            });
+            this.groups.set(group.id, { element, renderer });
+        });
+    }
+
+    /**
+     * @returns {DiceRenderer|null}
+     */
+    get(id) {
+        return this.groups.get(id)?.renderer || null;
+    }
+
+    setHidden(id, hidden) {
+        this.get(id)?.setHidden(hidden);
+    }
+
+    setAllHidden(hidden) {
+        this.groups.forEach(({ renderer }) => renderer.setHidden(hidden));
+    }
+
+    /**
+     * Highlight one group (null = none).
+     */
+    setActive(id) {
+        this.groups.forEach(({ element }, groupId) => {
+            element.classList.toggle('active', groupId === id);
+        });
+    }
+
+    _clear() {
+        this.groups.forEach(({ renderer }) => renderer.destroy());
+        this.groups.clear();
+        this.container.innerHTML = '';
+    }
+
+    // ---- Cleanup ----
+
+    destroy() {
+        this._clear();
+    }
+}
+
+export default DiceGroupRenderer;
@@ -1,6 +1,10 @@
 /* ========================================
    DiceRenderer - 3D CSS Dice with Realistic Animations (REUSABLE)
    Renders dice into a container, listens to DiceEngine events.
+   With a manual engine, rolls show a tap-to-set face picker
+   instead of the animation. Faces can be hidden (covered
+   dice, e.g. a player's cup in Liar's Dice) or show custom
+   labels instead of pips (e.g. 9-A on poker dice).
    ======================================== */
 
 export class DiceRenderer {
@@ -10,13 +14,19 @@ export class DiceRenderer {
      * @param {import('./DiceEngine.js').DiceEngine} options.engine - Dice engine instance
      * @param {number} options.size - Dice size in pixels (default 60)
      * @param {number} options.animationDuration - Roll animation duration ms (default 900)
+     * @param {boolean|boolean[]} [options.hidden] - Cover all faces, or the dice flagged per index (default false)
+     * @param {string[]} [options.faceLabels] - Label drawn on each face instead of pips (index 0 = face 1)
      */
-    constructor({ container, engine, size = 60, animationDuration = 900 }) {
+    constructor({ container, engine, size = 60, animationDuration = 900, hidden = false, faceLabels = null }) {
         this.container = container;
         this.engine = engine;
         this.size = size;
         this.animationDuration = animationDuration;
+        this.hidden = hidden;
+        this.faceLabels = faceLabels;
         this.scenes = [];
+        this.inputPanel = null;
+        this.activeInputIndex = -1;
 
         // Rotation map: value -> CSS rotation
         this.rotationMap = {
@@ -55,6 +65,16 @@ export class DiceRenderer {
                 const face = document.createElement('div');
                 face.className = `dice-face dice-face--${f}`;
 
+                if (this.faceLabels) {
+                    const label = document.createElement('span');
+                    label.className = 'dice-label';
+                    label.textContent = this.faceLabels[f - 1];
+                    face.dataset.label = this.faceLabels[f - 1];
+                    face.appendChild(label);
+                    cube.appendChild(face);
+                    continue;
+                }
+
                 const dotContainer = document.createElement('div');
                 dotContainer.className = `dice-dot-container dice-dots-${f}`;
 
@@ -82,22 +102,114 @@ export class DiceRenderer {
 
             this.scenes.push({ scene, cube, shadow, holdLabel });
 
-            // Click to hold
+            // Click to hold (or pick the die to set, while entering physical dice)
             scene.addEventListener('click', () => {
+                if (this.engine.awaitingInput) {
+                    this._selectInputDie(i);
+                    return;
+                }
                 this.engine.toggleHold(i);
             });
         }
 
+        if (this.engine.manual) {
+            this._buildInputPanel();
+        }
+
         this._updateVisuals();
     }
 
+    _buildInputPanel() {
+        this.inputPanel = document.createElement('div');
+        this.inputPanel.className = 'dice-input-panel hidden';
+
+        const faces = [];
+        for (let f = 1; f <= this.engine.sides; f++) {
+            faces.push(`<button class="dice-input-face" data-face="${f}">${this.faceLabels ? this.faceLabels[f - 1] : f}</button>`);
+        }
+
+        this.inputPanel.innerHTML = `
+            <div class="dice-input-label"></div>
+            <div class="dice-input-faces">${faces.join('')}</div>
+            <button class="btn btn-primary dice-input-confirm" disabled>✔ Conferma dadi</button>
+        `;
+
+        this.inputPanel.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const faceBtn = e.target.closest('[data-face]');
+            if (faceBtn && this.activeInputIndex >= 0) {
+                this.engine.setValue(this.activeInputIndex, parseInt(faceBtn.dataset.face));
+            } else if (e.target.closest('.dice-input-confirm')) {
+                this.engine.submitInput();
+            }
+        });
+
+        this.container.appendChild(this.inputPanel);
+    }
+
     // ---- Bind Engine Events ----
 
     _bindEvents() {
-        this.engine.on('roll-start', (data) => this._animateRoll(data));
+        this.engine.on('roll-start', (data) => {
+            if (data.manual) {
+                this._startInput(data);
+            } else {
+                this._animateRoll(data);
+            }
+        });
+        this.engine.on('value-set', (data) => this._onValueSet(data));
+        this.engine.on('roll-end', () => this._endInput());
         this.engine.on('hold-changed', () => this._updateHoldVisuals());
-        this.engine.on('reset', () => this._updateVisuals());
-        this.engine.on('restored', () => this._updateVisuals());
+        this.engine.on('reset', () => {
+            this._endInput();
+            this._updateVisuals();
+        });
+        this.engine.on('restored', () => {
+            this._endInput();
+            this._updateVisuals();
+        });
+    }
+
+    // ---- Manual Input (physical dice) ----
+
+    _startInput({ rolledIndices }) {
+        rolledIndices.forEach(idx => this.scenes[idx].scene.classList.add('input-pending'));
+        this.inputPanel.classList.remove('hidden');
+        this._selectInputDie(rolledIndices[0]);
+    }
+
+    _selectInputDie(index) {
+        if (!this.engine.inputIndices.includes(index)) return;
+        this.activeInputIndex = index;
+
+        this.scenes.forEach(({ scene }, i) => {
+            scene.classList.toggle('input-active', i === index);
+        });
+        this.inputPanel.querySelector('.dice-input-label').textContent = `Valore del dado ${index + 1}:`;
+        this.inputPanel.querySelectorAll('[data-face]').forEach(btn => {
+            btn.classList.toggle('selected',
+                !this.scenes[index].scene.classList.contains('input-pending') &&
+                parseInt(btn.dataset.face) === this.engine.values[index]);
+        });
+    }
+
+    _onValueSet({ index, value, pending }) {
+        const { scene, cube } = this.scenes[index];
+        scene.classList.remove('input-pending');
+        cube.style.transform = this.rotationMap[value] || '';
+
+        // Advance to the next die still missing a value
+        const next = pending.length > 0 ? pending[0] : index;
+        this._selectInputDie(next);
+        this.inputPanel.querySelector('.dice-input-confirm').disabled = pending.length > 0;
+    }
+
+    _endInput() {
+        if (!this.inputPanel) return;
+        this.activeInputIndex = -1;
+        this.inputPanel.classList.add('hidden');
+        this.inputPanel.querySelector('.dice-input-confirm').disabled = true;
+        this.scenes.forEach(({ scene }) => scene.classList.remove('input-pending', 'input-active'));
     }
 
     // ---- Animation ----
@@ -211,6 +323,26 @@ export class DiceRenderer {
                 scene.classList.remove('held');
             }
         });
+        this._updateHiddenVisuals();
+    }
+
+    /**
+     * Cover or uncover faces. Dice keep rolling and holding while covered.
+     * @param {boolean|boolean[]} hidden - All dice, or one flag per die index
+     */
+    setHidden(hidden) {
+        this.hidden = hidden;
+        this._updateHiddenVisuals();
+    }
+
+    isHidden(index) {
+        return Array.isArray(this.hidden) ? !!this.hidden[index] : this.hidden;
+    }
+
+    _updateHiddenVisuals() {
+        this.scenes.forEach(({ scene }, i) => {
+            scene.classList.toggle('face-hidden', this.isHidden(i));
+        });
     }
 
     _updateHoldVisuals() {
@@ -229,6 +361,7 @@ export class DiceRenderer {
     destroy() {
         this.container.innerHTML = '';
         this.scenes = [];
+        this.inputPanel = null;
     }
 }
 
@@ -0,0 +1,98 @@
+/* ========================================
+   RandomSource - Pluggable randomness for DiceEngine (REUSABLE)
+   Any object with next() -> [0, 1) can drive the dice.
+   SeededRandom is the built-in reproducible source,
+   ScriptedRandom replays known faces.
+   ======================================== */
+
+/**
+ * Generate a fresh 32-bit seed.
+ * @returns {number}
+ */
+export function generateSeed() {
+    return (Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Seeded PRNG (mulberry32). Same seed -> same sequence,
+ * and its internal state can be saved and restored mid-game.
+ */
+export class SeededRandom {
+    /**
+     * @param {number} [seed] - 32-bit seed (random if omitted)
+     */
+    constructor(seed = generateSeed()) {
+        this.seed = seed >>> 0;
+        this._state = this.seed;
+    }
+
+    /**
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // ---- Serialization (for save/restore) ----
+
+    getState() {
+        return { seed: this.seed, state: this._state };
+    }
+
+    restoreState(state) {
+        if (!state) return;
+        this.seed = state.seed >>> 0;
+        this._state = (state.state ?? state.seed) >>> 0;
+    }
+
+    /**
+     * Rebuild a source from a saved state.
+     * @param {{seed: number, state: number}} state
+     * @returns {SeededRandom}
+     */
+    static fromState(state) {
+        const rng = new SeededRandom(state.seed);
+        rng.restoreState(state);
+        return rng;
+    }
+}
+
+/**
+ * Source that yields predetermined faces, in order.
+ * Used to replay recorded rolls through the normal roll animation.
+ */
+export class ScriptedRandom {
+    /**
+     * @param {number} [sides] - Sides per die (default 6)
+     */
+    constructor(sides = 6) {
+        this.sides = sides;
+        this._queue = [];
+    }
+
+    /**
+     * Queue the faces the next rolled dice must show.
+     * @param {number[]} faces - Values 1..sides
+     */
+    push(faces) {
+        this._queue.push(...faces);
+    }
+
+    next() {
+        const face = this._queue.length > 0 ? this._queue.shift() : 1;
+        return (face - 0.5) / this.sides;
+    }
+}
+
+/**
+ * Unseeded source backed by Math.random (not reproducible).
+ */
+export const mathRandomSource = {
+    next: () => Math.random()
+};
+
+export default SeededRandom;
@@ -0,0 +1,69 @@
+/* ========================================
+   TileBoard - Numbered Flip Tiles (REUSABLE)
+   Renders a row of numbered tiles that can be shut
+   (flipped down), selected and dimmed. Which tiles can
+   be picked is decided by the game: clicks are reported
+   through onTileClick.
+   ======================================== */
+
+export class TileBoard {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - DOM element to render into
+     * @param {number[]} [options.tiles] - Tile numbers, in display order (default 1-9)
+     * @param {Function} [options.onTileClick] - (tile) => void, called for open, enabled tiles
+     */
+    constructor({ container, tiles = [1, 2, 3, 4, 5, 6, 7, 8, 9], onTileClick = null }) {
+        this.container = container;
+        this.tiles = tiles;
+        this.onTileClick = onTileClick;
+        this.elements = new Map();   // tile -> button
+
+        this._build();
+    }
+
+    // ---- Build DOM ----
+
+    _build() {
+        this.container.innerHTML = '';
+        this.container.classList.add('tile-board');
+
+        this.tiles.forEach(tile => {
+            const btn = document.createElement('button');
+            btn.className = 'tile';
+            btn.dataset.tile = tile;
+            btn.innerHTML = `<span class="tile-face">${tile}</span>`;
+            btn.addEventListener('click', () => {
+                if (btn.disabled || btn.classList.contains('shut')) return;
+                if (this.onTileClick) this.onTileClick(tile);
+            });
+            this.container.appendChild(btn);
+            this.elements.set(tile, btn);
+        });
+    }
+
+    /**
+     * Update every tile.
+     * @param {Object} state
+     * @param {number[]} state.shut - Tiles flipped down
+     * @param {number[]} [state.selected] - Tiles picked but not yet shut
+     * @param {number[]|null} [state.enabled] - Open tiles that can be clicked (null = all open tiles)
+     */
+    setState({ shut, selected = [], enabled = null }) {
+        this.elements.forEach((btn, tile) => {
+            const isShut = shut.includes(tile);
+            btn.classList.toggle('shut', isShut);
+            btn.classList.toggle('selected', !isShut && selected.includes(tile));
+            btn.disabled = isShut || (enabled !== null && !enabled.includes(tile) && !selected.includes(tile));
+        });
+    }
+
+    // ---- Cleanup ----
+
+    destroy() {
+        this.container.innerHTML = '';
+        this.elements.clear();
+    }
+}
+
+export default TileBoard;
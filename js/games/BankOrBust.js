@@ -0,0 +1,77 @@
+/* ========================================
+   BankOrBust - Shared Turn Flow
+   Turns of push-your-luck games (Farkle, Pig):
+   points pile up in turnScore until the player
+   banks them or a bust loses them. Bots step
+   through the same states as a human.
+   The game is passed in: these read and set its
+   players, currentPlayerIndex, turnState,
+   turnScore and recorder.
+   ======================================== */
+
+import { LOG_EVENTS } from '../services/MatchRecorder.js';
+
+/**
+ * Schedule the next bot step (game._botStep) if it is a bot's turn, and
+ * lock the dice while a bot plays. A new step replaces a pending one.
+ * @param {Object} game
+ * @param {string[]} restingStates - Turn states a bot acts from ("sta giocando" hint)
+ * @param {number} delay - ms before the step (readable pace)
+ */
+export function scheduleBotStep(game, restingStates, delay) {
+    clearTimeout(game._botTimer);
+    const player = game.players[game.currentPlayerIndex];
+    const locked = !!player?.bot && !game.gameOver;
+    game.ui.diceContainer.classList.toggle('locked', locked);
+    if (!locked) return;
+
+    if (restingStates.includes(game.turnState)) {
+        game._setHint(`🤖 ${player.name} sta giocando...`);
+    }
+    game._botTimer = setTimeout(() => game._botStep(), delay);
+}
+
+/**
+ * Add the turn points to the current player's total and log it.
+ * @param {Object} game
+ * @returns {Object} The current player
+ */
+export function bankTurn(game) {
+    const p = game.players[game.currentPlayerIndex];
+    p.totalScore += game.turnScore;
+    game.recorder.record(LOG_EVENTS.BANK, game.currentPlayerIndex, game.turnScore, p.totalScore);
+    return p;
+}
+
+/**
+ * Bust: the turn points are lost and an overlay shows why; once it is
+ * gone, `then` passes the hand.
+ * @param {Object} game
+ * @param {Object} bust
+ * @param {string} bust.state - Turn state while the overlay is up
+ * @param {string} bust.className - Overlay class (game stylesheet)
+ * @param {string} bust.html - Overlay content
+ * @param {number} bust.delay - ms the overlay stays on screen
+ * @param {Function} bust.then
+ * @returns {number} Timer of the overlay (clear it when the game is left)
+ */
+export function bustTurn(game, { state, className, html, delay, then }) {
+    game.turnState = state;
+    game.turnScore = 0;
+
+    const overlay = document.createElement('div');
+    overlay.className = className;
+    overlay.innerHTML = html;
+    game.container.appendChild(overlay);
+
+    return setTimeout(() => {
+        overlay.remove();
+        then();
+    }, delay);
+}
+
+export default {
+    scheduleBotStep,
+    bankTurn,
+    bustTurn
+};
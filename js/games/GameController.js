@@ -0,0 +1,342 @@
+/* ========================================
+   GameController - Base Game Controller
+   Lifecycle shared by every game: start or resume,
+   save, end (history, profiles, winner screen) and
+   destroy, plus the standard menu and modals.
+   Games extend it and implement the hooks listed
+   in CONTROLLER_CONTRACT.
+   ======================================== */
+
+import { gameHistory } from '../services/GameHistoryService.js';
+import { ConfettiEffect } from '../components/ConfettiEffect.js';
+import { Modal } from '../components/Modal.js';
+import { Menu } from '../components/Menu.js';
+
+/**
+ * Methods every game controller must have (checked on registration):
+ *   _startGame()        - fresh game: set up the first turn/round
+ *   _restoreState(s)    - resume from a _serializeState() snapshot
+ *   _serializeState()   - snapshot saved with active games (extend _baseState());
+ *                         shape changes go in saveMigrations()
+ *   _endGame(...)       - game over: _recordMatch() then _showWinner()
+ *   _restartGame()      - same players, new game (after "Gioca Ancora" / "Nuova Partita")
+ *   destroy()           - stop timers and remove the UI (call super.destroy())
+ */
+export const CONTROLLER_CONTRACT = [
+    '_startGame',
+    '_restoreState',
+    '_serializeState',
+    '_endGame',
+    '_restartGame',
+    'destroy'
+];
+
+/**
+ * Contract methods a controller class is missing.
+ * @param {Function} GameClass
+ * @returns {string[]} Empty when the class conforms
+ */
+export function checkControllerContract(GameClass) {
+    if (typeof GameClass !== 'function') return ['controller class'];
+    const missing = CONTROLLER_CONTRACT.filter(name => typeof GameClass.prototype[name] !== 'function');
+    if (!(GameClass.prototype instanceof GameController)) missing.push('extends GameController');
+    return missing;
+}
+
+export class GameController {
+    /**
+     * Changes to the shape of _serializeState(), oldest first. Add one whenever
+     * it changes, so games suspended before the change still resume.
+     * @returns {Array<{version: number, migrate: Function}>} migrate: (state) => state in the new shape
+     */
+    static saveMigrations() {
+        return [];
+    }
+
+    /**
+     * Version written in saved states (that of the newest migration).
+     */
+    static saveVersion() {
+        return this.saveMigrations().reduce((v, m) => Math.max(v, m.version), 0);
+    }
+
+    /**
+     * Bring a saved state to the current saveVersion(), undo snapshots included.
+     * @param {Object} state - From _serializeState(), possibly of an older version
+     * @returns {Object} Migrated copy (the state itself when already current)
+     * @throws {Error} When it was saved by a newer version of the game
+     */
+    static migrateState(state) {
+        const from = state.saveVersion || 0;
+        const to = this.saveVersion();
+        if (from > to) {
+            throw new Error('Questa partita è stata salvata da una versione più recente del gioco.');
+        }
+        const migrations = this.saveMigrations()
+            .filter(m => m.version > from)
+            .sort((a, b) => a.version - b.version);
+        if (migrations.length === 0) return state;
+
+        const migrate = (s) => ({ ...migrations.reduce((acc, m) => m.migrate(acc), s), saveVersion: to });
+        const migrated = migrate(JSON.parse(JSON.stringify(state)));
+        if (migrated.undo) {
+            // Undo snapshots are serialized states too
+            ['undo', 'redo'].forEach(stack => {
+                migrated.undo[stack] = migrated.undo[stack].map(entry => ({ ...entry, state: migrate(entry.state) }));
+            });
+        }
+        return migrated;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {string} options.gameType - Registry id saved with active games and history
+     * @param {Object} [options.savedState] - Optional saved state to resume (subclasses read the
+     *   migrated copy from this.savedState)
+     * @param {Object} [options.settings] - Setup choices (saved state settings win on resume)
+     * @param {Object} [options.defaults] - Settings used when neither sets them
+     * @throws {Error} When savedState was saved by a newer version of the game
+     */
+    constructor({ container, onExit, gameType, savedState = null, settings = {}, defaults = {} }) {
+        this.savedState = savedState ? this.constructor.migrateState(savedState) : null;   // before any UI is built
+        this.container = container;
+        this.onExit = onExit;
+        this.gameType = gameType;
+        this.gameStartTime = Date.now();
+        this.settings = { manualDice: false, ...defaults, ...(this.savedState?.settings || settings) };
+        this.gameId = this.savedState?.gameId || this._generateGameId();
+        this.gameOver = false;
+        this.confetti = new ConfettiEffect();
+    }
+
+    /**
+     * Resume the saved state, or start a fresh game.
+     * Call at the end of the subclass constructor, once the UI is built.
+     * @param {Object|null} savedState - this.savedState
+     */
+    _begin(savedState) {
+        if (savedState) {
+            this._restoreState(savedState);
+        } else {
+            this._startGame();
+        }
+    }
+
+    // ---- Menu and Modals ----
+
+    /**
+     * Render the menu: rules and history, the game's own items, then new game and home.
+     * @param {Array<{id: string, label: string}>} [items] - Game items, handled in _handleMenuAction
+     */
+    _buildMenu(items = []) {
+        this.menu = new Menu({
+            items: [
+                { id: 'rules', label: '📜 Regole' },
+                { id: 'history', label: '📊 Storico Partite' },
+                ...items,
+                { id: 'newGame', label: '🔄 Nuova Partita' },
+                { id: 'home', label: '⚠️ Torna alla Home', danger: true }
+            ],
+            onItemClick: (id) => this._handleMenuAction(id)
+        });
+        this.menu.render(this.container);
+    }
+
+    /**
+     * Render the rules, history and winner modals.
+     * @param {string} rulesHTML - Rules modal content (its close button has id "closeRulesBtn")
+     */
+    _buildModals(rulesHTML) {
+        this.rulesModal = new Modal({ id: 'rulesModal' });
+        this.rulesModal.render(this.container);
+        this.rulesModal.setContent(rulesHTML);
+        this.rulesModal.contentEl.addEventListener('click', (e) => {
+            if (e.target.id === 'closeRulesBtn') this.rulesModal.hide();
+        });
+
+        this.historyModal = new Modal({ id: 'historyModal' });
+        this.historyModal.render(this.container);
+
+        this.winnerModal = new Modal({ id: 'winnerModal', closeOnOverlayClick: false });
+        this.winnerModal.render(this.container);
+    }
+
+    /**
+     * Standard menu items; games handle their own first and pass the rest here.
+     * @param {string} id
+     */
+    _handleMenuAction(id) {
+        switch (id) {
+            case 'rules':
+                this.rulesModal.show();
+                break;
+            case 'history':
+                this._showHistory();
+                break;
+            case 'newGame':
+                if (confirm('Nuova partita con gli stessi giocatori?')) {
+                    gameHistory.removeActiveGame(this.gameId);
+                    this._restartGame();
+                }
+                break;
+            case 'home':
+                if (confirm('Tornare alla schermata iniziale? La partita verrà salvata.')) {
+                    this._autoSave();
+                    this.destroy();
+                    this.onExit();
+                }
+                break;
+        }
+    }
+
+    _showHistory() {
+        this.historyModal.setContent(`
+            <div class="winner-title" style="font-size: 1.5rem;">📊 Storico Partite</div>
+            <div style="margin: 15px 0;">
+                ${this._historyHTML()}
+            </div>
+            <button class="btn btn-primary" id="closeHistoryBtn">Chiudi</button>
+        `);
+        this.historyModal.show();
+        this.historyModal.contentEl.querySelector('#closeHistoryBtn')
+            .addEventListener('click', () => this.historyModal.hide());
+    }
+
+    /**
+     * Past matches of this game for the history modal. Games with
+     * their own list (XxxUI.renderMatchHistory) override it.
+     */
+    _historyHTML() {
+        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === this.gameType);
+        if (matches.length === 0) {
+            return '<div style="text-align:center;color:#999;padding:20px;">Nessuna partita completata ancora.</div>';
+        }
+
+        let html = '<div style="display:flex;flex-direction:column;gap:8px;max-height:50vh;overflow-y:auto;">';
+        matches.slice(0, 20).forEach(match => {
+            const winner = match.players.find(p => p.isWinner);
+            const dateStr = gameHistory.formatDate(match.date);
+            html += `
+                <div style="background:#f8f9fa;border-radius:10px;padding:12px 15px;display:flex;justify-content:space-between;align-items:center;">
+                    <div>
+                        <div style="font-size:0.75rem;color:#999;">${dateStr}</div>
+                        <div style="font-size:0.8rem;color:#666;">${match.players.map(p => p.name).join(', ')}</div>
+                    </div>
+                    <div style="text-align:right;">
+                        <div style="font-weight:700;font-size:0.9rem;color:var(--success);">${winner ? '🏆 ' + winner.name : 'Pareggio'}</div>
+                        <div style="font-size:0.75rem;color:#999;">${winner ? winner.finalScore + ' pts' : ''}</div>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+
+    // ---- End of Game ----
+
+    /**
+     * Save the finished match to history, update the players' profiles
+     * (bots have none) and drop the game from the active games.
+     * @param {Array<{name: string, color: string, finalScore: number, isWinner: boolean, isBot?: boolean}>} players
+     *   Extra fields (e.g. rawTotal) are saved in history as they are
+     * @param {Object} [options]
+     * @param {Object} [options.log] - MatchRecorder log for replays
+     * @param {Function} [options.profileStats] - (player, index) => extra profile stats, e.g. { yahtzeeCount }
+     */
+    _recordMatch(players, { log = null, profileStats = null } = {}) {
+        const duration = Math.round((Date.now() - this.gameStartTime) / 1000);
+        gameHistory.addMatchToHistory({
+            gameType: this.gameType,
+            settings: { ...this.settings },
+            players: players.map(p => ({ isBot: false, ...p })),
+            duration,
+            ...(log ? { log } : {})
+        });
+
+        players.forEach((p, i) => {
+            if (p.isBot) return;
+            gameHistory.updatePlayerProfile(p.name, p.color, {
+                score: p.finalScore,
+                isWinner: p.isWinner,
+                ...(profileStats ? profileStats(p, i) : {})
+            });
+        });
+
+        gameHistory.removeActiveGame(this.gameId);
+    }
+
+    /**
+     * Show the winner modal ("Gioca Ancora" / "Torna alla Home") and fire the confetti.
+     * @param {Object} winner
+     * @param {string} winner.name - Winner name(s), or 'Pareggio!'
+     * @param {string} winner.color
+     * @param {*} winner.score - Big number under the name
+     * @param {string} [winner.detail] - Caption under the score, e.g. 'punti'
+     * @param {string} [winner.title]
+     * @param {string} [winner.extraHTML] - Game extras (awards, standings) above the buttons
+     */
+    _showWinner({ name, color, score, detail = '', title = '🏆 Vincitore!', extraHTML = '' }) {
+        this.winnerModal.setContent(`
+            <div class="winner-title">${title}</div>
+            <div class="winner-name" style="color: ${color}">${name}</div>
+            <div class="winner-score">${score}</div>
+            ${detail ? `<div style="font-size: 0.85rem; color: #888; margin-bottom: 15px;">${detail}</div>` : ''}
+            ${extraHTML}
+            <button class="btn btn-primary" id="playAgainBtn">Gioca Ancora</button>
+            <button class="btn btn-secondary" id="goHomeBtn" style="margin-top:8px;">Torna alla Home</button>
+        `);
+        this.winnerModal.show();
+
+        this.winnerModal.contentEl.querySelector('#playAgainBtn').addEventListener('click', () => {
+            this.winnerModal.hide();
+            this._restartGame();
+        });
+        this.winnerModal.contentEl.querySelector('#goHomeBtn').addEventListener('click', () => {
+            this.winnerModal.hide();
+            this.destroy();
+            this.onExit();
+        });
+
+        this.confetti.fire();
+    }
+
+    // ---- Save/Restore ----
+
+    _autoSave() {
+        gameHistory.saveActiveGame(this._serializeState());
+    }
+
+    /**
+     * Fields every saved game has; _serializeState() adds the game's own.
+     */
+    _baseState() {
+        return {
+            gameId: this.gameId,
+            gameType: this.gameType,
+            saveVersion: this.constructor.saveVersion(),
+            settings: { ...this.settings },
+            gameStartTime: this.gameStartTime
+        };
+    }
+
+    _generateGameId() {
+        return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+    }
+
+    // ---- Cleanup ----
+
+    destroy() {
+        this.gameOver = true;
+        if (this.diceRenderer) this.diceRenderer.destroy();
+        if (this.menu) this.menu.destroy();
+        if (this.rulesModal) this.rulesModal.destroy();
+        if (this.historyModal) this.historyModal.destroy();
+        if (this.winnerModal) this.winnerModal.destroy();
+        this.container.innerHTML = '';
+    }
+}
+
+export default GameController;
@@ -0,0 +1,200 @@
+/* ========================================
+   GameOptions - Setup Options Schema
+   Describes the choices a game offers in setup
+   (numbers, toggles, choice lists), fills in the
+   defaults, validates and applies presets.
+   No DOM dependencies.
+   ======================================== */
+
+/**
+ * One setting offered in setup.
+ * @typedef {Object} GameOption
+ * @property {string} id - Key in settings (or in settings[group])
+ * @property {string} label
+ * @property {'choice'|'number'|'toggle'} [type] - 'choice' when omitted (house rule lists)
+ * @property {*} [default] - Value when nothing is chosen (else first choice, min or false)
+ * @property {Array<{value: *, label: string}>} [choices] - choice: values offered
+ * @property {number} [min] - number: lowest value
+ * @property {number} [max] - number: highest value
+ * @property {number} [step] - number: values go up by this much from min
+ * @property {string} [group] - Settings object the value lives in (house rules: 'rules')
+ */
+
+/**
+ * A named set of values, e.g. "Partita veloce".
+ * @typedef {Object} GameOptionPreset
+ * @property {string} id
+ * @property {string} label
+ * @property {Object} values - Partial settings ({ rules: { targetScore: 5000 } }); only these fields change
+ */
+
+export const OPTION_TYPES = ['choice', 'number', 'toggle'];
+
+/** Physical dice: offered by games with supportsManualDice (see GameRegistry.register). */
+export const MANUAL_DICE_OPTION = {
+    id: 'manualDice',
+    type: 'toggle',
+    label: '🎲 Dadi reali: inserisci i valori a mano',
+    default: false
+};
+
+/** Advisor on from the first turn (games with a strategy). */
+export const ADVISOR_OPTION = {
+    id: 'advisor',
+    type: 'toggle',
+    label: '💡 Suggerimenti attivi da inizio partita',
+    default: false
+};
+
+export function optionType(option) {
+    return option.type || 'choice';
+}
+
+/**
+ * Value of an option when nothing is chosen.
+ * @param {GameOption} option
+ */
+export function optionDefault(option) {
+    if (option.default !== undefined) return option.default;
+    switch (optionType(option)) {
+        case 'number': return option.min ?? 0;
+        case 'toggle': return false;
+        default: return option.choices[0].value;
+    }
+}
+
+/**
+ * @param {Object} settings
+ * @param {GameOption} option
+ * @returns {*} undefined when not set
+ */
+export function getOptionValue(settings, option) {
+    const scope = option.group ? settings[option.group] : settings;
+    return scope ? scope[option.id] : undefined;
+}
+
+/**
+ * Set an option in place (creates its group when missing).
+ * @param {Object} settings
+ * @param {GameOption} option
+ * @param {*} value
+ */
+export function setOptionValue(settings, option, value) {
+    if (option.group) {
+        settings[option.group] = settings[option.group] || {};
+        settings[option.group][option.id] = value;
+    } else {
+        settings[option.id] = value;
+    }
+}
+
+/**
+ * Problem with one value, or null when it is fine.
+ * @param {GameOption} option
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function optionError(option, value) {
+    switch (optionType(option)) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${option.label}: inserisci un numero`;
+            if (option.min !== undefined && value < option.min) return `${option.label}: minimo ${option.min}`;
+            if (option.max !== undefined && value > option.max) return `${option.label}: massimo ${option.max}`;
+            if (option.step && (value - (option.min ?? 0)) % option.step !== 0) {
+                return `${option.label}: scegli un valore a passi di ${option.step}`;
+            }
+            return null;
+        case 'toggle':
+            return typeof value === 'boolean' ? null : `${option.label}: valore non valido`;
+        default:
+            return option.choices.some(c => c.value === value) ? null : `${option.label}: scelta non valida`;
+    }
+}
+
+/**
+ * Settings with every option of the schema set: missing or invalid
+ * values take the default. Keys outside the schema are kept.
+ * @param {GameOption[]} schema
+ * @param {Object} [settings]
+ * @returns {Object} New object (groups copied)
+ */
+export function resolveOptions(schema, settings = {}) {
+    const resolved = { ...settings };
+    schema.forEach(option => {
+        if (option.group) resolved[option.group] = { ...(settings[option.group] || {}) };
+    });
+    schema.forEach(option => {
+        const value = getOptionValue(resolved, option);
+        setOptionValue(resolved, option, value !== undefined && optionError(option, value) === null
+            ? value
+            : optionDefault(option));
+    });
+    return resolved;
+}
+
+/**
+ * Every problem with the chosen settings: each option on its own,
+ * then the game's own check.
+ * @param {GameOption[]} schema
+ * @param {Object} settings
+ * @param {Function} [validate] - (settings) => string|null, from the game config
+ * @returns {string[]} Empty when the settings can be played
+ */
+export function validateOptions(schema, settings, validate = null) {
+    const errors = schema
+        .map(option => {
+            const value = getOptionValue(settings, option);
+            return value === undefined ? null : optionError(option, value);
+        })
+        .filter(Boolean);
+    if (errors.length === 0 && validate) {
+        const error = validate(resolveOptions(schema, settings));
+        if (error) errors.push(error);
+    }
+    return errors;
+}
+
+/**
+ * Settings with a preset's values applied (other options untouched).
+ * @param {GameOption[]} schema
+ * @param {Object} settings
+ * @param {GameOptionPreset} preset
+ * @returns {Object} New object
+ */
+export function applyPreset(schema, settings, preset) {
+    const next = resolveOptions(schema, settings);
+    schema.forEach(option => {
+        const value = getOptionValue(preset.values, option);
+        if (value !== undefined) setOptionValue(next, option, value);
+    });
+    return next;
+}
+
+/**
+ * Preset the settings currently match (every value it names is set).
+ * @param {GameOption[]} schema
+ * @param {Object} settings
+ * @param {GameOptionPreset[]} presets
+ * @returns {GameOptionPreset|null}
+ */
+export function matchingPreset(schema, settings, presets) {
+    return presets.find(preset => schema.every(option => {
+        const value = getOptionValue(preset.values, option);
+        return value === undefined || getOptionValue(settings, option) === value;
+    })) || null;
+}
+
+export default {
+    OPTION_TYPES,
+    MANUAL_DICE_OPTION,
+    ADVISOR_OPTION,
+    optionType,
+    optionDefault,
+    getOptionValue,
+    setOptionValue,
+    optionError,
+    resolveOptions,
+    validateOptions,
+    applyPreset,
+    matchingPreset
+};
@@ -1,12 +1,50 @@
 /* ========================================
    GameRegistry
    Central registry for all available games.
-   Add new games by calling register().
+   Add new games by calling register(): with a
+   controller class, or with a plugin manifest
+   whose module is imported when the game is
+   first picked (see load()).
    ======================================== */
 
+import { MANUAL_DICE_OPTION } from './GameOptions.js';
+import { checkControllerContract } from './GameController.js';
+
+/**
+ * Features the app offers to game plugins. A manifest lists the ones
+ * its game needs in `requires`; a game needing anything else is not loaded.
+ *   controller  - GameController lifecycle (save/resume, history, winner screen)
+ *   bots        - bot players picked in setup (config.botLevels)
+ *   tables      - players seated at tables in teams (config.tables)
+ *   undo        - UndoHistory snapshots saved with the game
+ *   replay      - MatchRecorder logs shown in ReplayScreen
+ *   faceLabels  - DiceRenderer dice with custom faces
+ */
+export const HOST_CAPABILITIES = ['controller', 'bots', 'tables', 'undo', 'replay', 'faceLabels'];
+
+/**
+ * A game that cannot be started: not registered, needing features the
+ * app lacks, module failing to import or not implementing the contract.
+ * The message is meant for the player.
+ */
+export class GameLoadError extends Error {
+    /**
+     * @param {string} gameId
+     * @param {string} message
+     * @param {Error} [cause] - Original error (failed import)
+     */
+    constructor(gameId, message, cause = null) {
+        super(message);
+        this.name = 'GameLoadError';
+        this.gameId = gameId;
+        this.cause = cause;
+    }
+}
+
 class GameRegistry {
     constructor() {
         this._games = new Map();
+        this._loading = new Map();   // id -> pending load() promise
     }
 
     /**
@@ -18,10 +56,123 @@ class GameRegistry {
      * @param {string} config.description - Short description
      * @param {number} config.minPlayers
      * @param {number} config.maxPlayers
-     * @param {Function} config.createGame - Factory: (app, players) => GameController
+     * @param {boolean} [config.supportsManualDice] - The game reads settings.manualDice: setup offers physical dice
+     * @param {Array<{id: string, label: string}>} [config.botLevels] - Bot difficulties; enables bot players in setup
+     * @param {{defaults: Object, options: Array}} [config.houseRules] - Rule options shown in setup, passed as settings.rules
+     * @param {Array<import('./GameOptions.js').GameOption>} [config.options] - Other setup options, passed as settings[id]
+     * @param {Array<import('./GameOptions.js').GameOptionPreset>} [config.presets] - Named sets of option values offered in setup
+     * @param {Function} [config.validateOptions] - (settings) => error message or null, checked before the game starts
+     * @param {{size: number}} [config.tables] - Players sit at tables of `size` in teams (setup adds and removes whole tables)
+     * @param {typeof import('./GameController.js').GameController} [config.controller] - Game class; checked
+     *   against CONTROLLER_CONTRACT and used by the default createGame
+     * @param {Function} [config.load] - Plugin module: () => import('./x/XGame.js'), its default export is the
+     *   controller. Imported by load() the first time the game is picked
+     * @param {string} [config.version] - Plugin version, e.g. '1.0.0'
+     * @param {string[]} [config.requires] - HOST_CAPABILITIES the game needs
+     * @param {Object} [config.controllerOptions] - Extra constructor options for the controller (e.g. { variant })
+     * @param {Function} [config.createGame] - Factory: (container, players, onExit, savedState, settings) => GameController;
+     *   only needed without a controller or a plugin module
      */
     register(id, config) {
-        this._games.set(id, { id, ...config });
+        const { controller } = config;
+        if (controller) {
+            const missing = checkControllerContract(controller);
+            if (missing.length > 0) {
+                throw new Error(`Gioco "${id}": controller non conforme, manca ${missing.join(', ')}`);
+            }
+        } else if (typeof config.load !== 'function' && typeof config.createGame !== 'function') {
+            throw new Error(`Gioco "${id}": serve un controller, un modulo da caricare o createGame`);
+        }
+
+        this._games.set(id, {
+            id,
+            requires: [],
+            ...config,
+            createGame: config.createGame || (controller ? this._factory(controller, config.controllerOptions) : null)
+        });
+    }
+
+    /**
+     * Make a game ready to start: plugin games import their module the first
+     * time (the same promise is shared by concurrent calls, a failed load
+     * can be tried again). Games registered with a controller resolve at once.
+     * @param {string} id
+     * @returns {Promise<Object>} The game config, with createGame set
+     * @throws {GameLoadError}
+     */
+    load(id) {
+        const config = this.get(id);
+        if (!config) {
+            return Promise.reject(new GameLoadError(id, `Il gioco "${id}" non è disponibile in questa versione dell'app.`));
+        }
+        if (config.createGame) return Promise.resolve(config);
+
+        if (!this._loading.has(id)) {
+            const loading = this._loadPlugin(config).catch(error => {
+                this._loading.delete(id);
+                throw error;
+            });
+            this._loading.set(id, loading);
+        }
+        return this._loading.get(id);
+    }
+
+    async _loadPlugin(config) {
+        const label = config.version ? `${config.name} ${config.version}` : config.name;
+
+        const unsupported = config.requires.filter(c => !HOST_CAPABILITIES.includes(c));
+        if (unsupported.length > 0) {
+            throw new GameLoadError(config.id,
+                `${label} richiede funzioni non disponibili in questa versione dell'app: ${unsupported.join(', ')}.`);
+        }
+
+        let module;
+        try {
+            module = await config.load();
+        } catch (e) {
+            throw new GameLoadError(config.id,
+                `Impossibile caricare ${label}. Controlla la connessione e riprova. (${e.message})`, e);
+        }
+
+        const controller = module.default;
+        if (typeof controller !== 'function') {
+            throw new GameLoadError(config.id, `${label} non è compatibile con l'app (il modulo non esporta un gioco).`);
+        }
+        const missing = checkControllerContract(controller);
+        if (missing.length > 0) {
+            throw new GameLoadError(config.id, `${label} non è compatibile con l'app (manca ${missing.join(', ')}).`);
+        }
+
+        config.controller = controller;
+        config.createGame = this._factory(controller, config.controllerOptions);
+        return config;
+    }
+
+    _factory(controller, controllerOptions = {}) {
+        return (container, players, onExit, savedState, settings) =>
+            new controller({ container, players, onExit, savedState, settings, ...controllerOptions });
+    }
+
+    /**
+     * Full setup schema of a game, in display order: physical dice (when the
+     * game supports them), the game's own options, then its house rules
+     * (under settings.rules).
+     * @param {string} id
+     * @returns {Array<import('./GameOptions.js').GameOption>}
+     */
+    getOptionsSchema(id) {
+        const config = this.get(id);
+        if (!config) return [];
+
+        const houseRules = config.houseRules
+            ? config.houseRules.options.map(option => ({
+                default: config.houseRules.defaults[option.id],
+                ...option,
+                group: 'rules'
+            }))
+            : [];
+        const manualDice = config.supportsManualDice ? [MANUAL_DICE_OPTION] : [];
+        return [...manualDice, ...(config.options || []), ...houseRules];
     }
 
     get(id) {
@@ -0,0 +1,29 @@
+/* ========================================
+   GameRules - Shared Rule Helpers
+   Small rule computations used by more than one
+   game. No DOM dependencies.
+   ======================================== */
+
+/**
+ * Rule resolver of a game: fills in missing rules (older saves,
+ * partial setups) with the game's defaults.
+ * @param {Object} defaults - The game's DEFAULT_RULES
+ * @returns {function(Object=): Object} (rules) => complete rules
+ */
+export function rulesResolver(defaults) {
+    return (rules) => ({ ...defaults, ...(rules || {}) });
+}
+
+/**
+ * Wins (rounds, hands) needed to take a best-of-N match.
+ * @param {number} bestOf
+ * @returns {number}
+ */
+export function winsNeeded(bestOf) {
+    return Math.floor(bestOf / 2) + 1;
+}
+
+export default {
+    rulesResolver,
+    winsNeeded
+};
@@ -0,0 +1,390 @@
+/* ========================================
+   BalutGame - Game Controller
+   Five dice, up to 3 rolls a turn. Every hand goes
+   in one of the four boxes of a category; after 28
+   turns the raw points are turned into Balut points
+   and the most Balut points win.
+   ======================================== */
+
+import { DiceEngine } from '../../components/dice/DiceEngine.js';
+import { DiceRenderer } from '../../components/dice/DiceRenderer.js';
+import {
+    BOXES, CATEGORIES, BALUT_BONUS, SMALL_STRAIGHT, LARGE_STRAIGHT,
+    newScorecard, hasOpenBox, isScorecardFull, rawTotal, balutScores, balutWinners
+} from './BalutScoring.js';
+import { BalutUI } from './BalutUI.js';
+import { GameController } from '../GameController.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+
+export class BalutGame extends GameController {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Array} options.players - Player objects [{name, color}]
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { manualDice: true }
+     */
+    constructor({ container, players, onExit, savedState = null, random, settings = {} }) {
+        super({ container, onExit, gameType: 'balut', savedState, settings });
+
+        // Players (scorecard = filled boxes per category)
+        this.players = players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            scorecard: newScorecard()
+        }));
+
+        this.currentPlayerIndex = 0;
+        this.turnNumber = 0;
+
+        this.diceEngine = new DiceEngine({
+            count: 5, sides: 6, maxRolls: 3, random,
+            manual: this.settings.manualDice
+        });
+
+        // Build UI
+        this._buildUI();
+
+        this.diceRenderer = new DiceRenderer({
+            container: this.ui.diceContainer,
+            engine: this.diceEngine,
+            size: 60,
+            animationDuration: 900
+        });
+
+        // Roll-by-roll log (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: 5, savedLog: this.savedState?.log })
+            .attach(this.diceEngine, () => this.currentPlayerIndex);
+
+        // Wire engine events
+        this.diceEngine.on('roll-start', () => this._onRollStart());
+        this.diceEngine.on('roll-end', () => this._onRollEnd());
+
+        this._begin(this.savedState);
+    }
+
+    // ---- Build UI ----
+
+    _buildUI() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'container';
+
+        wrapper.innerHTML = `
+            <header>
+                <h1>🧮 BALUT</h1>
+                <button class="menu-btn" id="menuBtn">☰</button>
+            </header>
+        `;
+
+        // Same layout as the Yahtzee screen
+        const gameScreen = document.createElement('div');
+        gameScreen.className = 'game-screen balut-screen';
+
+        gameScreen.innerHTML = `
+            <div class="game-layout">
+                <div class="players-bar" id="playersBar"></div>
+                <div class="top-bar">
+                    <div class="current-player" id="currentPlayer">-</div>
+                    <div class="rolls-indicator">
+                        <span>Lanci rimasti:</span>
+                        <div class="roll-dots" id="rollDots">
+                            <div class="roll-dot"></div>
+                            <div class="roll-dot"></div>
+                            <div class="roll-dot"></div>
+                        </div>
+                        <span class="balut-turn" id="turnCounter"></span>
+                    </div>
+                </div>
+                <div class="dice-area">
+                    <div id="diceContainer"></div>
+                    <div class="dice-hint" id="diceHint">Tocca "Lancia Dadi" per iniziare</div>
+                </div>
+                <div class="scoreboard-section">
+                    <div class="scoreboard-title">📊 Tabellone</div>
+                    <div class="score-list" id="scoreList"></div>
+                </div>
+            </div>
+            <div class="fixed-action">
+                <button class="btn btn-action" id="rollBtn">🎲 LANCIA DADI</button>
+            </div>
+        `;
+
+        wrapper.appendChild(gameScreen);
+        this.container.appendChild(wrapper);
+
+        // Menu
+        this._buildMenu();
+
+        // Rules, History and Winner Modals
+        this._buildModals(`
+            <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Balut</div>
+            <div style="text-align: left; font-size: 0.85rem; line-height: 1.6; margin: 20px 0; max-height: 55vh; overflow-y: auto;">
+                <strong style="color: var(--primary);">OBIETTIVO:</strong><br>
+                Fare più <strong>punti Balut</strong> di tutti!<br><br>
+                <strong style="color: var(--primary);">TURNO:</strong><br>
+                5 dadi e fino a 3 lanci: tieni i dadi che vuoi tra un lancio e l'altro,
+                poi segna la mano in una casella libera. Ogni categoria ha <strong>${BOXES} caselle</strong>:
+                la partita finisce dopo ${CATEGORIES.length * BOXES} turni.<br><br>
+                <strong style="color: var(--primary);">CATEGORIE:</strong><br>
+                • <strong>Quattro, Cinque, Sei:</strong> somma dei dadi di quel numero<br>
+                • <strong>Scala:</strong> 1-2-3-4-5 = ${SMALL_STRAIGHT}, 2-3-4-5-6 = ${LARGE_STRAIGHT}<br>
+                • <strong>Full:</strong> tris + coppia, somma dei dadi<br>
+                • <strong>Scelta:</strong> somma dei dadi, qualsiasi mano<br>
+                • <strong>Balut:</strong> 5 dadi uguali, ${BALUT_BONUS} + somma dei dadi<br>
+                Una mano che non fa la categoria vale 0.<br><br>
+                <strong style="color: var(--primary);">PUNTI BALUT:</strong><br>
+                • Quattro ≥ 52, Cinque ≥ 65, Sei ≥ 78: <strong>+2</strong> ciascuno<br>
+                • ${BOXES} Scale: <strong>+4</strong> • ${BOXES} Full: <strong>+3</strong><br>
+                • Scelta ≥ 100: <strong>+2</strong> • Ogni Balut: <strong>+2</strong><br>
+                • Totale punti: sotto 300 <strong>-2</strong>, da 300 <strong>-1</strong>,
+                da 350 <strong>0</strong>, poi <strong>+1</strong> ogni 50<br>
+                • In più giocatori, chi ha la somma più alta in una categoria prende <strong>+1</strong>
+                (a pari merito lo prendono tutti)<br><br>
+                <strong style="color: var(--primary);">PARITÀ:</strong><br>
+                A pari punti Balut vince chi ha il totale punti più alto.
+            </div>
+            <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
+        `);
+
+        // Cache UI refs
+        this.ui = {
+            diceContainer: gameScreen.querySelector('#diceContainer'),
+            diceHint: gameScreen.querySelector('#diceHint'),
+            rollBtn: gameScreen.querySelector('#rollBtn'),
+            currentPlayer: gameScreen.querySelector('#currentPlayer'),
+            rollDots: gameScreen.querySelector('#rollDots'),
+            turnCounter: gameScreen.querySelector('#turnCounter'),
+            playersBar: gameScreen.querySelector('#playersBar'),
+            scoreList: gameScreen.querySelector('#scoreList')
+        };
+
+        // Button events
+        wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
+        this.ui.rollBtn.addEventListener('click', () => this._rollDice());
+
+        // Scoreboard click delegation for box selection
+        this.ui.scoreList.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-cat-id]');
+            if (target) this._selectCategory(target.dataset.catId);
+        });
+    }
+
+    // ---- Game Flow ----
+
+    _startGame() {
+        this._startTurn();
+    }
+
+    _startTurn() {
+        this.diceEngine.reset();
+        this.turnNumber++;
+        this.recorder.record(LOG_EVENTS.TURN, this.currentPlayerIndex);
+        this._updateUI();
+        this._setHint('Tocca "Lancia Dadi" per iniziare');
+    }
+
+    _rollDice() {
+        if (this.gameOver || !this.diceEngine.canRoll()) return;
+        this.diceEngine.roll();
+    }
+
+    _onRollStart() {
+        this.ui.rollBtn.disabled = true;
+        this._setHint(this.diceEngine.manual
+            ? '✍️ Tocca ogni dado e inserisci il valore dei dadi reali'
+            : 'Lanciando...', 'var(--primary)');
+    }
+
+    _onRollEnd() {
+        this._updateUI();
+        this._autoSave();
+        this._setRolledHint();
+    }
+
+    _setRolledHint() {
+        if (this.diceEngine.rollsLeft > 0) {
+            this._setHint('Tocca i dadi per tenerli o lancia di nuovo');
+        } else {
+            this._setHint('⬇️ Scegli una casella qui sotto', 'var(--success)', true);
+        }
+    }
+
+    /**
+     * Score the current dice in the next empty box of a category.
+     * @param {string} catId
+     */
+    _selectCategory(catId) {
+        if (this.gameOver || !this.diceEngine.hasRolled || this.diceEngine.isRolling) return;
+
+        const p = this.players[this.currentPlayerIndex];
+        const cat = CATEGORIES.find(c => c.id === catId);
+        if (!cat || !hasOpenBox(p.scorecard, catId)) return;
+
+        const score = cat.calc(this.diceEngine.getValues());
+        p.scorecard[catId].push(score);
+        this.recorder.record(
+            LOG_EVENTS.CATEGORY, this.currentPlayerIndex,
+            `${cat.name} ${p.scorecard[catId].length}/${BOXES}`, score, rawTotal(p.scorecard)
+        );
+
+        if (this.players.every(pl => isScorecardFull(pl.scorecard))) {
+            this._endGame();
+        } else {
+            this._nextPlayer();
+        }
+    }
+
+    _nextPlayer() {
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        this._startTurn();
+        this._autoSave();
+    }
+
+    _results() {
+        return balutScores(this.players.map(p => p.scorecard));
+    }
+
+    _endGame() {
+        this.gameOver = true;
+        const results = this._results();
+        const winners = balutWinners(results);
+
+        // Save to history (final score = Balut points, raw total alongside)
+        this._recordMatch(this.players.map((p, i) => ({
+            name: p.name,
+            color: p.color,
+            finalScore: results[i].points,
+            rawTotal: results[i].raw,
+            isWinner: winners.includes(i)
+        })), { log: this.recorder.getLog() });
+
+        this._updateUI();
+        this.ui.rollBtn.disabled = true;
+
+        const champion = this.players[winners[0]];
+        const winnerName = winners.length > 1 ? 'Pareggio!' : champion.name;
+        const winnerColor = winners.length === 1 ? champion.color : 'var(--primary)';
+
+        this._showWinner({
+            name: winnerName,
+            color: winnerColor,
+            score: results[winners[0]].points,
+            detail: `punti Balut • ${results[winners[0]].raw} punti`
+        });
+    }
+
+    _restartGame() {
+        this.gameId = this._generateGameId();
+        this.players.forEach(p => { p.scorecard = newScorecard(); });
+        this.currentPlayerIndex = 0;
+        this.turnNumber = 0;
+        this.gameOver = false;
+        this.gameStartTime = Date.now();
+        this.recorder.reset();
+        this._startTurn();
+        this._autoSave();
+    }
+
+    // ---- UI Updates ----
+
+    _updateUI() {
+        const results = this._results();
+        const p = this.players[this.currentPlayerIndex];
+        const { rollsLeft, hasRolled, isRolling } = this.diceEngine;
+
+        this.ui.currentPlayer.textContent = p.name;
+        this.ui.currentPlayer.style.background = p.color;
+
+        const turn = Math.min(Math.ceil(this.turnNumber / this.players.length), CATEGORIES.length * BOXES);
+        this.ui.turnCounter.textContent = `Turno ${turn}/${CATEGORIES.length * BOXES}`;
+
+        this.ui.rollDots.querySelectorAll('.roll-dot').forEach((dot, i) => {
+            dot.className = `roll-dot ${i < this.diceEngine.maxRolls - rollsLeft ? 'used' : 'active'}`;
+        });
+
+        if (rollsLeft === 0) {
+            this.ui.rollBtn.textContent = '↓ SCEGLI CASELLA';
+            this.ui.rollBtn.classList.add('waiting');
+            this.ui.rollBtn.disabled = true;
+        } else {
+            this.ui.rollBtn.textContent = `🎲 LANCIA (${rollsLeft})`;
+            this.ui.rollBtn.classList.remove('waiting');
+            this.ui.rollBtn.disabled = isRolling;
+        }
+
+        BalutUI.renderPlayersBar(this.ui.playersBar, this.players, results, this.currentPlayerIndex);
+        BalutUI.renderScoreboard({
+            scoreList: this.ui.scoreList,
+            players: this.players,
+            results,
+            currentPlayerIndex: this.currentPlayerIndex,
+            diceValues: this.diceEngine.getValues(),
+            canSelect: !this.gameOver && hasRolled && !isRolling
+        });
+    }
+
+    _setHint(text, color = '#666', bold = false) {
+        this.ui.diceHint.textContent = text;
+        this.ui.diceHint.style.color = color;
+        this.ui.diceHint.style.fontWeight = bold ? '700' : '';
+    }
+
+    // ---- History ----
+
+    _historyHTML() {
+        return BalutUI.renderMatchHistory(this.gameType);
+    }
+
+    // ---- Save/Restore ----
+
+    _serializeState() {
+        // Raw totals and Balut points are saved for display; the scorecard is the source
+        const results = this._results();
+        return {
+            ...this._baseState(),
+            players: this.players.map((p, i) => ({
+                name: p.name,
+                color: p.color,
+                scorecard: Object.fromEntries(CATEGORIES.map(c => [c.id, [...p.scorecard[c.id]]])),
+                rawTotal: results[i].raw,
+                balutPoints: results[i].points
+            })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            turnNumber: this.turnNumber,
+            dice: this.diceEngine.getState(),
+            log: this.recorder.getLog()
+        };
+    }
+
+    _restoreState(state) {
+        this.players = state.players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            scorecard: { ...newScorecard(), ...p.scorecard }
+        }));
+        this.currentPlayerIndex = state.currentPlayerIndex;
+        this.turnNumber = state.turnNumber || 1;
+        this.gameStartTime = state.gameStartTime || Date.now();
+
+        // Saved mid-roll (e.g. physical dice half entered): the roll is given back
+        if (state.dice) {
+            this.diceEngine.restoreState(state.dice);
+            this.diceEngine.restoreInterruptedRoll(state.dice);
+        }
+
+        this._updateUI();
+        if (this.diceEngine.hasRolled) {
+            this._setRolledHint();
+        } else {
+            this._setHint('Tocca "Lancia Dadi" per iniziare');
+        }
+    }
+}
+
+export default BalutGame;
@@ -0,0 +1,21 @@
+/* ========================================
+   BalutManifest - Plugin Manifest
+   Home card of Balut (no setup choices).
+   The game itself is imported by load().
+   ======================================== */
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'balut',
+    version: '1.0.0',
+    requires: ['controller', 'replay'],
+    name: 'Balut',
+    icon: '🧮',
+    description: 'Sette categorie da fare quattro volte: conta i punti Balut!',
+    minPlayers: 1,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    load: () => import('./BalutGame.js')
+};
+
+export default manifest;
@@ -0,0 +1,191 @@
+/* ========================================
+   BalutScoring - Pure Scoring Functions
+   Seven categories, each filled four times
+   (28 turns). Raw points are converted into
+   Balut points: targets reached in each
+   category, the grand total and, with more
+   players, the categories won.
+   ======================================== */
+
+/** Boxes per category on each player's scorecard. */
+export const BOXES = 4;
+
+/** Raw points for the two straights. */
+export const SMALL_STRAIGHT = 15;   // 1-2-3-4-5
+export const LARGE_STRAIGHT = 20;   // 2-3-4-5-6
+
+/** Points added to the dice for a Balut (five of a kind). */
+export const BALUT_BONUS = 20;
+
+function sum(dice) {
+    return dice.reduce((a, b) => a + b, 0);
+}
+
+function countFace(dice, face) {
+    return dice.filter(d => d === face).reduce((a, b) => a + b, 0);
+}
+
+function counts(dice) {
+    const c = {};
+    dice.forEach(v => { c[v] = (c[v] || 0) + 1; });
+    return Object.values(c).sort((a, b) => b - a);
+}
+
+export function straight(dice) {
+    const sorted = [...dice].sort((a, b) => a - b).join('');
+    if (sorted === '12345') return SMALL_STRAIGHT;
+    if (sorted === '23456') return LARGE_STRAIGHT;
+    return 0;
+}
+
+export function fullHouse(dice) {
+    return counts(dice).join('') === '32' ? sum(dice) : 0;
+}
+
+export function balut(dice) {
+    return counts(dice)[0] === 5 ? BALUT_BONUS + sum(dice) : 0;
+}
+
+/**
+ * Categories in scorecard order. `points` says how the category
+ * earns Balut points:
+ *   target - the four boxes add up to at least `target`
+ *   all    - none of the four boxes is zero
+ *   each   - every non-zero box
+ * @type {Array<{id: string, name: string, calc: Function, points: {type: string, value: number, target?: number}}>}
+ */
+export const CATEGORIES = [
+    { id: 'fours',     name: 'Quattro', calc: (d) => countFace(d, 4), points: { type: 'target', target: 52, value: 2 } },
+    { id: 'fives',     name: 'Cinque',  calc: (d) => countFace(d, 5), points: { type: 'target', target: 65, value: 2 } },
+    { id: 'sixes',     name: 'Sei',     calc: (d) => countFace(d, 6), points: { type: 'target', target: 78, value: 2 } },
+    { id: 'straight',  name: 'Scala',   calc: straight,               points: { type: 'all', value: 4 } },
+    { id: 'fullHouse', name: 'Full',    calc: fullHouse,              points: { type: 'all', value: 3 } },
+    { id: 'choice',    name: 'Scelta',  calc: sum,                    points: { type: 'target', target: 100, value: 2 } },
+    { id: 'balut',     name: 'Balut',   calc: balut,                  points: { type: 'each', value: 2 } }
+];
+
+/**
+ * Empty scorecard: one list of filled boxes per category.
+ * @returns {Object<string, number[]>}
+ */
+export function newScorecard() {
+    return Object.fromEntries(CATEGORIES.map(c => [c.id, []]));
+}
+
+/**
+ * Whether a category still has an empty box.
+ * @param {Object<string, number[]>} scorecard
+ * @param {string} catId
+ */
+export function hasOpenBox(scorecard, catId) {
+    return scorecard[catId].length < BOXES;
+}
+
+export function isScorecardFull(scorecard) {
+    return CATEGORIES.every(c => !hasOpenBox(scorecard, c.id));
+}
+
+/**
+ * Raw points of the boxes filled in a category.
+ */
+export function categorySum(scorecard, catId) {
+    return sum(scorecard[catId]);
+}
+
+/**
+ * Raw total of a scorecard (every box of every category).
+ */
+export function rawTotal(scorecard) {
+    return CATEGORIES.reduce((total, c) => total + categorySum(scorecard, c.id), 0);
+}
+
+/**
+ * Balut points earned by a category so far ('all' only pays on a full category).
+ * @param {Object} cat - Entry of CATEGORIES
+ * @param {number[]} boxes - Filled boxes of the category
+ */
+export function categoryPoints(cat, boxes) {
+    const { type, value, target } = cat.points;
+    if (type === 'target') return sum(boxes) >= target ? value : 0;
+    if (type === 'all') return boxes.length === BOXES && boxes.every(b => b > 0) ? value : 0;
+    return boxes.filter(b => b > 0).length * value;
+}
+
+/**
+ * Balut points for the raw grand total: -2 under 300, -1 from 300,
+ * 0 from 350, then one more point every 50.
+ * @param {number} total
+ */
+export function totalPoints(total) {
+    return Math.max(-2, Math.floor((total - 350) / 50));
+}
+
+/**
+ * Players holding the best sum in each category once every player has
+ * filled it (ties share the win). Only played with two or more players.
+ * @param {Array<Object<string, number[]>>} scorecards
+ * @returns {Object<string, number[]>} Category id -> winning player indices
+ */
+export function categoryWinners(scorecards) {
+    const winners = Object.fromEntries(CATEGORIES.map(c => [c.id, []]));
+    if (scorecards.length < 2) return winners;
+
+    CATEGORIES.forEach(c => {
+        if (scorecards.some(s => hasOpenBox(s, c.id))) return;
+        const sums = scorecards.map(s => categorySum(s, c.id));
+        const best = Math.max(...sums);
+        winners[c.id] = sums.flatMap((v, i) => (v === best ? [i] : []));
+    });
+    return winners;
+}
+
+/**
+ * Full Balut result of every player.
+ * @param {Array<Object<string, number[]>>} scorecards
+ * @returns {Array<{raw: number, categories: Object<string, number>, total: number, wins: number, points: number}>}
+ *   categories: Balut points per category; total: points for the grand total;
+ *   wins: categories won (one point each); points: Balut points overall
+ */
+export function balutScores(scorecards) {
+    const winners = categoryWinners(scorecards);
+    return scorecards.map((scorecard, i) => {
+        const raw = rawTotal(scorecard);
+        const categories = Object.fromEntries(CATEGORIES.map(c => [c.id, categoryPoints(c, scorecard[c.id])]));
+        const total = totalPoints(raw);
+        const wins = CATEGORIES.filter(c => winners[c.id].includes(i)).length;
+        const points = Object.values(categories).reduce((a, b) => a + b, 0) + total + wins;
+        return { raw, categories, total, wins, points };
+    });
+}
+
+/**
+ * Winner indices: most Balut points, then the higher raw total.
+ * @param {Array<{raw: number, points: number}>} results - From balutScores()
+ * @returns {number[]} Several indices on a full tie
+ */
+export function balutWinners(results) {
+    const best = results.reduce((a, r) =>
+        (r.points > a.points || (r.points === a.points && r.raw > a.raw) ? r : a));
+    return results.flatMap((r, i) => (r.points === best.points && r.raw === best.raw ? [i] : []));
+}
+
+export default {
+    BOXES,
+    SMALL_STRAIGHT,
+    LARGE_STRAIGHT,
+    BALUT_BONUS,
+    CATEGORIES,
+    straight,
+    fullHouse,
+    balut,
+    newScorecard,
+    hasOpenBox,
+    isScorecardFull,
+    categorySum,
+    rawTotal,
+    categoryPoints,
+    totalPoints,
+    categoryWinners,
+    balutScores,
+    balutWinners
+};
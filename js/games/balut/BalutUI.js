@@ -0,0 +1,202 @@
+/* ========================================
+   BalutUI - Static Rendering Methods
+   Scoreboard in the Yahtzee layout (four boxes
+   per category for each player), Balut points
+   breakdown and match history.
+   ======================================== */
+
+import { gameHistory } from '../../services/GameHistoryService.js';
+import { BOXES, CATEGORIES, hasOpenBox, categorySum, categoryWinners } from './BalutScoring.js';
+
+export class BalutUI {
+
+    /**
+     * Render the players bar with Balut points and raw totals.
+     * @param {HTMLElement} container
+     * @param {Array} players - [{ name, color }]
+     * @param {Array} results - From balutScores(), same order as players
+     * @param {number} currentPlayerIndex
+     */
+    static renderPlayersBar(container, players, results, currentPlayerIndex) {
+        container.innerHTML = players.map((p, i) => `
+            <div class="player-chip ${i === currentPlayerIndex ? 'active' : ''}" style="border-left-color: ${p.color}">
+                ${p.name}
+                <span class="score">${results[i].points} pb</span>
+                <span class="balut-raw">${results[i].raw}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the scoreboard: four boxes per category for each player, then
+     * the Balut points each category, the grand total and the wins give.
+     * @param {Object} opts
+     * @param {HTMLElement} opts.scoreList - Container element
+     * @param {Array} opts.players - Players with { name, color, scorecard }
+     * @param {Array} opts.results - From balutScores(), same order as players
+     * @param {number} opts.currentPlayerIndex
+     * @param {number[]} opts.diceValues
+     * @param {boolean} opts.canSelect
+     */
+    static renderScoreboard({ scoreList, players, results, currentPlayerIndex, diceValues, canSelect }) {
+        const winners = categoryWinners(players.map(p => p.scorecard));
+
+        // One group of cells per player (four boxes, or one wide cell)
+        const row = (cell) => players.map((p, idx) =>
+            `<div class="player-columns">${cell(p, idx)}</div>`
+        ).join('');
+        const boxes = (cell) => row((p, idx) =>
+            Array.from({ length: BOXES }, (_, box) => cell(p, idx, box)).join(''));
+
+        let html = '';
+
+        // Header
+        html += `<div class="score-item header">
+            <div class="cat-name">Categoria</div>
+            <div class="scores-row">
+                ${row(p => `<div class="player-score" style="color: ${p.color}">${p.name.substring(0, 3)}</div>`)}
+            </div>
+        </div>`;
+
+        html += `<div class="score-item section">Caselle</div>`;
+
+        CATEGORIES.forEach(cat => {
+            html += `<div class="score-item">
+                <div class="cat-name">${cat.name}</div>
+                <div class="scores-row">
+                    ${boxes((p, idx, box) => {
+                        const filled = p.scorecard[cat.id];
+                        if (box < filled.length) {
+                            return `<div class="player-score filled">${filled[box]}</div>`;
+                        }
+                        // The next empty box takes the hand
+                        if (box === filled.length && idx === currentPlayerIndex && canSelect && hasOpenBox(p.scorecard, cat.id)) {
+                            return `<div class="player-score potential" data-cat-id="${cat.id}">${cat.calc(diceValues)}</div>`;
+                        }
+                        return `<div class="player-score empty">-</div>`;
+                    })}
+                </div>
+            </div>`;
+        });
+
+        // Raw total
+        html += `<div class="score-item" style="background: #e9ecef;">
+            <div class="cat-name">Totale Punti</div>
+            <div class="scores-row">
+                ${row((p, idx) => `<div class="player-score">${results[idx].raw}</div>`)}
+            </div>
+        </div>`;
+
+        // Balut points per category: progress until earned
+        html += `<div class="score-item section">Punti Balut</div>`;
+
+        CATEGORIES.forEach(cat => {
+            html += `<div class="score-item">
+                <div class="cat-name">${cat.name} <small class="balut-goal">${BalutUI.goalText(cat)}</small></div>
+                <div class="scores-row">
+                    ${row((p, idx) => {
+                        const points = results[idx].categories[cat.id];
+                        const won = winners[cat.id].includes(idx) ? ' 🏅' : '';
+                        return points > 0
+                            ? `<div class="player-score bonus-yes">+${points}${won}</div>`
+                            : `<div class="player-score bonus-no">${BalutUI.progressText(cat, p.scorecard)}${won}</div>`;
+                    })}
+                </div>
+            </div>`;
+        });
+
+        html += `<div class="score-item">
+            <div class="cat-name">Totale <small class="balut-goal">(350 = 0, ±1 ogni 50)</small></div>
+            <div class="scores-row">
+                ${row((p, idx) => {
+                    const { total } = results[idx];
+                    return `<div class="player-score ${total > 0 ? 'bonus-yes' : 'bonus-no'}">${total > 0 ? '+' : ''}${total}</div>`;
+                })}
+            </div>
+        </div>`;
+
+        if (players.length > 1) {
+            html += `<div class="score-item">
+                <div class="cat-name">Categorie vinte 🏅</div>
+                <div class="scores-row">
+                    ${row((p, idx) => {
+                        const { wins } = results[idx];
+                        return `<div class="player-score ${wins > 0 ? 'bonus-yes' : 'empty'}">${wins > 0 ? `+${wins}` : '-'}</div>`;
+                    })}
+                </div>
+            </div>`;
+        }
+
+        // Grand Total
+        html += `<div class="score-item total">
+            <div class="cat-name">PUNTI BALUT</div>
+            <div class="scores-row">
+                ${row((p, idx) => `<div class="player-score" style="background: rgba(255,255,255,0.2);">${results[idx].points}</div>`)}
+            </div>
+        </div>`;
+
+        scoreList.classList.add('multi-column');
+        scoreList.style.setProperty('--score-columns', BOXES);
+        scoreList.innerHTML = html;
+    }
+
+    /**
+     * What a category asks for its Balut points, e.g. "(≥52: +2)".
+     * @param {Object} cat - Entry of CATEGORIES
+     */
+    static goalText(cat) {
+        const { type, value, target } = cat.points;
+        if (type === 'target') return `(≥${target}: +${value})`;
+        if (type === 'all') return `(${BOXES} su ${BOXES}: +${value})`;
+        return `(+${value} l'uno)`;
+    }
+
+    /**
+     * Progress towards a category's Balut points, e.g. "38/52" or "3/4".
+     * @param {Object} cat - Entry of CATEGORIES
+     * @param {Object<string, number[]>} scorecard
+     */
+    static progressText(cat, scorecard) {
+        const boxes = scorecard[cat.id];
+        if (cat.points.type === 'target') return `${categorySum(scorecard, cat.id)}/${cat.points.target}`;
+        if (cat.points.type === 'all') return `${boxes.filter(b => b > 0).length}/${BOXES}`;
+        return '0';
+    }
+
+    /**
+     * Render match history filtered by game type.
+     */
+    static renderMatchHistory(gameType) {
+        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === gameType);
+
+        if (matches.length === 0) {
+            return `
+                <div class="balut-history-empty">
+                    Nessuna partita completata ancora.
+                </div>
+            `;
+        }
+
+        let html = '<div class="balut-history-list">';
+        matches.slice(0, 20).forEach(match => {
+            const winner = match.players.find(p => p.isWinner);
+            const dateStr = gameHistory.formatDate(match.date);
+            html += `
+                <div class="balut-history-item">
+                    <div class="balut-history-info">
+                        <div class="balut-history-date">${dateStr}</div>
+                        <div class="balut-history-players">${match.players.map(p => p.name).join(', ')}</div>
+                    </div>
+                    <div class="balut-history-result">
+                        <div class="balut-history-winner">${winner ? '🏆 ' + winner.name : 'Pareggio'}</div>
+                        <div class="balut-history-score">${winner ? `${winner.finalScore} pb • ${winner.rawTotal} punti` : ''}</div>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+}
+
+export default BalutUI;
@@ -0,0 +1,573 @@
+/* ========================================
+   BuncoGame - Game Controller
+   Party Bunco for 4-12 players at tables of four,
+   partners across. Rounds target 1 to 6 in turn: every
+   table rolls at once, the round ends when a team at
+   the head table reaches 21. Winners move up a table
+   and partners change every round; most rounds won
+   takes the night.
+   ======================================== */
+
+import { DiceEngine } from '../../components/dice/DiceEngine.js';
+import { DiceRenderer } from '../../components/dice/DiceRenderer.js';
+import { SeededRandom } from '../../components/dice/RandomSource.js';
+import { DICE_COUNT, ROUND_POINTS, roundTarget, scoreRoll } from './BuncoScoring.js';
+import { resolveRules } from './BuncoRules.js';
+import { TABLE_SIZE, teamOf, teamSeats, seatTables, tableWinner, rotateTables } from './BuncoTables.js';
+import { BuncoUI } from './BuncoUI.js';
+import { GameController } from '../GameController.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+import { Modal } from '../../components/Modal.js';
+
+const BUNCO_FLASH_DELAY = 1500;   // ms the "Bunco!" banner stays on screen
+
+export class BuncoGame extends GameController {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Array} options.players - Player objects [{name, color}], four per table in setup order
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { manualDice: true, rules: { rounds: 12 } }
+     */
+    constructor({ container, players, onExit, savedState = null, random = new SeededRandom(), settings = {} }) {
+        super({ container, onExit, gameType: 'bunco', savedState, settings });
+        this.rules = resolveRules(this.settings.rules); // fixed for the whole night
+        this.settings.rules = this.rules;
+
+        // One random source shared by every table: its state is saved once with the game
+        this.random = random;
+
+        // Players with their night totals
+        this.players = players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            wins: 0,
+            losses: 0,
+            buncos: 0,
+            minis: 0,
+            points: 0
+        }));
+
+        this.round = 1;
+        this.phase = 'playing';    // playing | roundEnd
+        this.activeTable = 0;
+        this.lastResults = null;   // [{ scores, winners: [playerIndex] }] of the round just ended
+        this._timers = [];
+
+        // Tables: seats hold player indices (partners across: seats 0+2 vs 1+3)
+        this.tables = seatTables(this.players.length).map(seats => this._createTable(seats));
+
+        // Build UI (one panel per table, each with its own dice)
+        this._buildUI();
+
+        // Roll-by-roll log of every table (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: DICE_COUNT, savedLog: this.savedState?.log });
+        this.tables.forEach((table, t) => {
+            this.recorder.attach(table.engine, () => table.seats[table.roller]);
+            table.engine.on('roll-start', () => this._onRollStart(t));
+            table.engine.on('roll-end', () => this._onRollEnd(t));
+        });
+
+        this._begin(this.savedState);
+    }
+
+    _createTable(seats) {
+        return {
+            seats,
+            scores: [0, 0],
+            roller: 0,         // seat holding the dice
+            lastTeam: null,    // team that scored last (breaks ties)
+            rolling: false,
+            engine: new DiceEngine({
+                count: DICE_COUNT, sides: 6, maxRolls: 1, random: this.random,
+                manual: this.settings.manualDice,
+                holdConstraint: () => false
+            })
+        };
+    }
+
+    // ---- Build UI ----
+
+    _buildUI() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'container';
+
+        wrapper.innerHTML = `
+            <header>
+                <h1>🎲 BUNCO</h1>
+                <button class="menu-btn" id="menuBtn">☰</button>
+            </header>
+        `;
+
+        const gameScreen = document.createElement('div');
+        gameScreen.className = 'bunco-screen';
+
+        gameScreen.innerHTML = `
+            <div class="bunco-layout">
+                <div class="bunco-round-info" id="roundInfo"></div>
+                <div class="bunco-tabs ${this.tables.length === 1 ? 'hidden' : ''}" id="tableTabs"></div>
+                <div id="tablePanels"></div>
+            </div>
+        `;
+
+        wrapper.appendChild(gameScreen);
+        this.container.appendChild(wrapper);
+
+        // One panel per table
+        const panelsEl = gameScreen.querySelector('#tablePanels');
+        this.panels = this.tables.map((_, t) => {
+            const panel = document.createElement('div');
+            panel.className = 'bunco-table';
+            panel.dataset.table = t;
+            panel.innerHTML = `
+                <div class="bunco-teams"></div>
+                <div class="bunco-dice-area">
+                    <div class="bunco-dice"></div>
+                    <div class="bunco-dice-hint"></div>
+                </div>
+                <button class="btn btn-action bunco-roll-btn" data-action="roll">🎲 LANCIA</button>
+            `;
+            panelsEl.appendChild(panel);
+            return {
+                element: panel,
+                teams: panel.querySelector('.bunco-teams'),
+                hint: panel.querySelector('.bunco-dice-hint'),
+                rollBtn: panel.querySelector('.bunco-roll-btn'),
+                dice: new DiceRenderer({
+                    container: panel.querySelector('.bunco-dice'),
+                    engine: this.tables[t].engine,
+                    size: 56,
+                    animationDuration: 700
+                })
+            };
+        });
+
+        // Menu
+        this._buildMenu([
+            { id: 'standings', label: '🏅 Classifica' }
+        ]);
+
+        // Rules, History and Winner Modals
+        this._buildModals(`
+            <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Bunco</div>
+            <div style="text-align: left; font-size: 0.85rem; line-height: 1.6; margin: 20px 0; max-height: 55vh; overflow-y: auto;">
+                <strong style="color: var(--primary);">TAVOLI:</strong><br>
+                Si gioca in tavoli da 4: i compagni di squadra siedono uno di fronte all'altro.
+                Il tavolo 1 è il tavolo principale 👑.<br><br>
+                <strong style="color: var(--primary);">ROUND:</strong><br>
+                ${this.rules.rounds} round: nel round 1 si cercano gli 1, nel round 2 i 2... fino al 6, poi si ricomincia dagli 1.
+                Tutti i tavoli giocano insieme.<br><br>
+                <strong style="color: var(--primary);">LANCIO:</strong><br>
+                Si lanciano 3 dadi:<br>
+                • 1 punto per ogni dado uguale al numero del round<br>
+                • Tre dadi uguali al numero del round = <strong>BUNCO!</strong> 21 punti<br>
+                • Tre dadi uguali (altro numero) = mini-Bunco, 5 punti<br>
+                Se fai punti rilanci, altrimenti i dadi passano al giocatore successivo.<br><br>
+                <strong style="color: var(--primary);">FINE ROUND:</strong><br>
+                Il round finisce quando una squadra del tavolo principale arriva a ${ROUND_POINTS}.
+                A ogni tavolo vince la squadra con più punti (in parità, chi ha segnato per ultimo).<br><br>
+                <strong style="color: var(--primary);">CAMBIO TAVOLI:</strong><br>
+                I vincitori del tavolo principale restano, i perdenti scendono all'ultimo tavolo.
+                Agli altri tavoli i vincitori salgono di un tavolo. I compagni cambiano ogni round.<br><br>
+                <strong style="color: var(--primary);">VINCITORE:</strong><br>
+                Vince chi ha vinto più round (in parità, chi ha fatto più Bunco).
+            </div>
+            <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
+        `);
+
+        // Standings Modal
+        this.standingsModal = new Modal({ id: 'standingsModal' });
+        this.standingsModal.render(this.container);
+
+        // Cache UI refs
+        this.ui = {
+            roundInfo: gameScreen.querySelector('#roundInfo'),
+            tableTabs: gameScreen.querySelector('#tableTabs')
+        };
+
+        // Button events
+        wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
+        this.ui.tableTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-table]');
+            if (tab) this._showTable(parseInt(tab.dataset.table));
+        });
+        this.panels.forEach((panel, t) => {
+            panel.rollBtn.addEventListener('click', () => this._rollDice(t));
+        });
+    }
+
+    // ---- Game Flow ----
+
+    _startGame() {
+        this._startRound();
+    }
+
+    _startRound() {
+        this.phase = 'playing';
+        this.lastResults = null;
+
+        // Fresh scores; the first seat of each table opens the round
+        this.tables.forEach((table, t) => {
+            table.scores = [0, 0];
+            table.roller = 0;
+            table.lastTeam = null;
+            table.rolling = false;
+            table.engine.reset();
+            this.recorder.record(LOG_EVENTS.TURN, table.seats[0]);
+            this._setHint(t, `Round ${this.round}: cercate i ${this._target()}!`);
+        });
+
+        this._updateUI();
+        this._autoSave();
+    }
+
+    _target() {
+        return roundTarget(this.round);
+    }
+
+    _showTable(t) {
+        this.activeTable = t;
+        this._updateUI();
+    }
+
+    _rollDice(t) {
+        const table = this.tables[t];
+        if (this.phase !== 'playing' || table.rolling) return;
+
+        table.engine.rollsLeft = 1;
+        table.rolling = true;
+        table.engine.roll();
+    }
+
+    _onRollStart(t) {
+        this._updateUI();
+        this._setHint(t, this.tables[t].engine.manual
+            ? '✍️ Tocca ogni dado e inserisci il valore dei dadi reali'
+            : 'Lanciando...');
+    }
+
+    _onRollEnd(t) {
+        const table = this.tables[t];
+        table.rolling = false;
+
+        // The round ended at the head table while these dice were in the air
+        if (this.phase !== 'playing') return;
+
+        const playerIndex = table.seats[table.roller];
+        const player = this.players[playerIndex];
+        const team = teamOf(table.roller);
+        const result = scoreRoll(table.engine.getValues(), this._target());
+
+        if (result.points === 0) {
+            // Dice pass to the next seat
+            table.roller = (table.roller + 1) % TABLE_SIZE;
+            this.recorder.record(LOG_EVENTS.TURN, table.seats[table.roller]);
+            this._updateUI();
+            this._setHint(t, `Nessun ${this._target()}: tocca a ${this.players[table.seats[table.roller]].name}`);
+            this._autoSave();
+            return;
+        }
+
+        table.scores[team] += result.points;
+        table.lastTeam = team;
+        player.points += result.points;
+        if (result.type === 'bunco') player.buncos++;
+        if (result.type === 'mini') player.minis++;
+        this.recorder.record(LOG_EVENTS.TEAM_POINTS, playerIndex, t, result.type, result.points, table.scores[team]);
+
+        if (result.type === 'bunco') this._flashBunco(t, player);
+
+        // Head table reached the target: the round ends for everyone
+        if (t === 0 && table.scores[team] >= ROUND_POINTS) {
+            this._endRound();
+            return;
+        }
+
+        this._updateUI();
+        this._setHint(t, result.type === 'mini'
+            ? `Mini-Bunco! +${result.points}: ${player.name} rilancia`
+            : `+${result.points}: ${player.name} rilancia`);
+        this._autoSave();
+    }
+
+    _flashBunco(t, player) {
+        const flash = document.createElement('div');
+        flash.className = 'bunco-flash';
+        flash.innerHTML = `
+            <div class="bunco-flash-text">BUNCO!</div>
+            <div class="bunco-flash-sub">${player.name} • Tavolo ${t + 1} • +21</div>
+        `;
+        this.container.appendChild(flash);
+        this.confetti.fire();
+        this._timers.push(setTimeout(() => flash.remove(), BUNCO_FLASH_DELAY));
+    }
+
+    /**
+     * Head table reached 21: settle every table, then wait for the players to move.
+     */
+    _endRound() {
+        this.phase = 'roundEnd';
+        this.lastResults = this.tables.map(table => {
+            const winnerTeam = tableWinner(table.scores, table.lastTeam);
+            const winners = teamSeats(winnerTeam).map(s => table.seats[s]);
+            const losers = teamSeats(1 - winnerTeam).map(s => table.seats[s]);
+            winners.forEach(i => this.players[i].wins++);
+            losers.forEach(i => this.players[i].losses++);
+            return { scores: [...table.scores], winnerTeam, winners };
+        });
+
+        const head = this.tables[0];
+        this.recorder.record(
+            LOG_EVENTS.BUNCO_ROUND, head.seats[head.roller],
+            this.round, this.lastResults.flatMap(r => r.winners)
+        );
+
+        this._updateUI();
+        this._showRoundSummary();
+        this._autoSave();
+    }
+
+    _showRoundSummary() {
+        this.container.querySelectorAll('.bunco-overlay').forEach(el => el.remove());
+
+        const overlay = document.createElement('div');
+        overlay.className = 'bunco-overlay';
+        BuncoUI.renderRoundSummary(overlay, {
+            round: this.round,
+            results: this.lastResults.map(r => ({
+                scores: r.scores,
+                winners: r.winners.map(i => this.players[i])
+            })),
+            lastRound: this.round >= this.rules.rounds
+        });
+        overlay.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="nextRound"]')) {
+                overlay.remove();
+                this._nextRound();
+            }
+        });
+        this.container.appendChild(overlay);
+    }
+
+    _nextRound() {
+        if (this.round >= this.rules.rounds) {
+            this._endGame();
+            return;
+        }
+
+        // Winners move up, partners change
+        const seating = rotateTables(this.tables.map(t => t.seats), this.lastResults.map(r => r.winnerTeam));
+        this.tables.forEach((table, t) => { table.seats = seating[t]; });
+        this.round++;
+        this._startRound();
+    }
+
+    /**
+     * Most rounds won takes the night (ties: most Bunco, then shared).
+     */
+    _winners() {
+        const mostWins = Math.max(...this.players.map(p => p.wins));
+        const leaders = this.players.filter(p => p.wins === mostWins);
+        const mostBuncos = Math.max(...leaders.map(p => p.buncos));
+        return leaders.filter(p => p.buncos === mostBuncos);
+    }
+
+    _endGame() {
+        this.gameOver = true;
+        const winners = this._winners();
+
+        // Save to history (final score = rounds won)
+        this._recordMatch(this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            finalScore: p.wins,
+            isWinner: winners.includes(p)
+        })), { log: this.recorder.getLog() });
+
+        const mostBuncos = Math.max(...this.players.map(p => p.buncos));
+        const buncoKings = this.players.filter(p => p.buncos === mostBuncos);
+        const winner = winners[0];
+
+        this._showWinner({
+            title: `🏆 ${winners.length > 1 ? 'Pareggio!' : 'Vincitore!'}`,
+            name: winners.map(p => p.name).join(' & '),
+            color: winners.length === 1 ? winner.color : 'var(--primary)',
+            score: winner.wins,
+            detail: `round vinti su ${this.rules.rounds}`,
+            extraHTML: `
+                ${mostBuncos > 0 ? `
+                    <div class="bunco-award">🎲 Più Bunco: <strong>${buncoKings.map(p => p.name).join(', ')}</strong> (${mostBuncos})</div>
+                ` : ''}
+                <div class="bunco-final-standings">${BuncoUI.renderStandings(this.players)}</div>
+            `
+        });
+    }
+
+    _restartGame() {
+        this._clearTimers();
+        this.container.querySelectorAll('.bunco-overlay, .bunco-flash').forEach(el => el.remove());
+        this.gameId = this._generateGameId();
+        this.players.forEach(p => {
+            p.wins = 0;
+            p.losses = 0;
+            p.buncos = 0;
+            p.minis = 0;
+            p.points = 0;
+        });
+        seatTables(this.players.length).forEach((seats, t) => { this.tables[t].seats = seats; });
+        this.round = 1;
+        this.activeTable = 0;
+        this.gameOver = false;
+        this.gameStartTime = Date.now();
+        this.recorder.reset();
+        this._startRound();
+    }
+
+    // ---- UI Updates ----
+
+    _updateUI() {
+        BuncoUI.renderRoundInfo(this.ui.roundInfo, {
+            round: this.round,
+            rounds: this.rules.rounds,
+            target: this._target(),
+            headScores: this.tables[0].scores
+        });
+        BuncoUI.renderTableTabs(this.ui.tableTabs, this.tables, this.activeTable);
+
+        this.tables.forEach((table, t) => {
+            const panel = this.panels[t];
+            panel.element.classList.toggle('hidden', t !== this.activeTable);
+            BuncoUI.renderTeams(panel.teams, table, this.players);
+
+            const roller = this.players[table.seats[table.roller]];
+            panel.rollBtn.disabled = this.phase !== 'playing' || table.rolling;
+            panel.rollBtn.textContent = table.rolling
+                ? (table.engine.manual ? '✍️ INSERISCI I DADI...' : '🎲 LANCIANDO...')
+                : `🎲 LANCIA: ${roller.name}`;
+        });
+    }
+
+    _setHint(t, text) {
+        this.panels[t].hint.textContent = text;
+    }
+
+    // ---- Menu Actions ----
+
+    _handleMenuAction(id) {
+        switch (id) {
+            case 'standings':
+                this.standingsModal.setContent(`
+                    <div class="winner-title" style="font-size: 1.5rem;">🏅 Classifica</div>
+                    <div style="margin: 15px 0; max-height: 55vh; overflow-y: auto;">
+                        ${BuncoUI.renderStandings(this.players)}
+                    </div>
+                    <button class="btn btn-primary" id="closeStandingsBtn">Chiudi</button>
+                `);
+                this.standingsModal.show();
+                this.standingsModal.contentEl.querySelector('#closeStandingsBtn')
+                    .addEventListener('click', () => this.standingsModal.hide());
+                break;
+            default:
+                super._handleMenuAction(id);
+        }
+    }
+
+    _historyHTML() {
+        return BuncoUI.renderMatchHistory(this.gameType);
+    }
+
+    // ---- Save/Restore ----
+
+    _serializeState() {
+        return {
+            ...this._baseState(),
+            players: this.players.map(p => ({
+                name: p.name,
+                color: p.color,
+                wins: p.wins,
+                losses: p.losses,
+                buncos: p.buncos,
+                minis: p.minis,
+                points: p.points
+            })),
+            tables: this.tables.map(table => ({
+                seats: [...table.seats],
+                scores: [...table.scores],
+                roller: table.roller,
+                lastTeam: table.lastTeam,
+                values: table.engine.getValues()
+            })),
+            round: this.round,
+            phase: this.phase,
+            activeTable: this.activeTable,
+            lastResults: this.lastResults,
+            random: this.random.getState ? this.random.getState() : null,
+            log: this.recorder.getLog()
+        };
+    }
+
+    _restoreState(state) {
+        this.players = state.players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            wins: p.wins || 0,
+            losses: p.losses || 0,
+            buncos: p.buncos || 0,
+            minis: p.minis || 0,
+            points: p.points || 0
+        }));
+        this.round = state.round || 1;
+        this.activeTable = state.activeTable || 0;
+        this.lastResults = state.lastResults || null;
+        this.gameStartTime = state.gameStartTime || Date.now();
+
+        (state.tables || []).forEach((saved, t) => {
+            const table = this.tables[t];
+            if (!table) return;
+            table.seats = saved.seats;
+            table.scores = saved.scores;
+            table.roller = saved.roller;
+            table.lastTeam = saved.lastTeam ?? null;
+            table.engine.restoreState({
+                values: saved.values,
+                held: new Array(DICE_COUNT).fill(false),
+                rollsLeft: 0,
+                hasRolled: true
+            });
+        });
+        if (state.random && this.random.restoreState) {
+            this.random.restoreState(state.random);
+        }
+
+        if (state.phase === 'roundEnd' && this.lastResults) {
+            this.phase = 'roundEnd';
+            this._updateUI();
+            this._showRoundSummary();
+        } else {
+            this.phase = 'playing';
+            this._updateUI();
+        }
+    }
+
+    // ---- Cleanup ----
+
+    _clearTimers() {
+        this._timers.forEach(id => clearTimeout(id));
+        this._timers = [];
+    }
+
+    destroy() {
+        this._clearTimers();
+        if (this.panels) this.panels.forEach(panel => panel.dice.destroy());
+        if (this.standingsModal) this.standingsModal.destroy();
+        super.destroy();
+    }
+}
+
+export default BuncoGame;
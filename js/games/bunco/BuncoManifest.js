@@ -0,0 +1,55 @@
+/* ========================================
+   BuncoManifest - Plugin Manifest
+   What the app needs before Bunco is picked:
+   home card, table size and setup choices.
+   The game itself is imported by load().
+   ======================================== */
+
+import { MAX_PARTY_PLAYERS } from '../../utils/constants.js';
+
+/** Rounds in one set (one for each target, 1 to 6). */
+export const ROUNDS = 6;
+
+/** Players at each table (two teams of two, see BuncoTables). */
+export const TABLE_SIZE = 4;
+
+/**
+ * Rules used when nothing else is chosen (one set of six rounds).
+ *   rounds - rounds played; targets go round 1 to 6 again after the sixth
+ */
+export const DEFAULT_RULES = {
+    rounds: ROUNDS
+};
+
+/**
+ * Options offered in setup, in display order.
+ * @type {Array<import('../GameOptions.js').GameOption>}
+ */
+export const RULE_OPTIONS = [
+    {
+        id: 'rounds',
+        type: 'number',
+        label: '🔁 Round (set da 6)',
+        min: ROUNDS,
+        max: ROUNDS * 4,
+        step: ROUNDS
+    }
+];
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'bunco',
+    version: '1.0.0',
+    requires: ['controller', 'tables', 'replay'],
+    name: 'Bunco',
+    icon: '🎉',
+    description: 'Serata a tavoli e squadre: caccia al Bunco in 6 round!',
+    minPlayers: TABLE_SIZE,
+    maxPlayers: MAX_PARTY_PLAYERS,
+    supportsManualDice: true,
+    tables: { size: TABLE_SIZE },
+    houseRules: { defaults: DEFAULT_RULES, options: RULE_OPTIONS },
+    load: () => import('./BuncoGame.js')
+};
+
+export default manifest;
@@ -0,0 +1,19 @@
+/* ========================================
+   BuncoRules - Length of the Night
+   Rules a game is played with. The defaults and
+   the options offered in setup are in BuncoManifest.
+   No DOM dependencies.
+   ======================================== */
+
+import { DEFAULT_RULES } from './BuncoManifest.js';
+import { rulesResolver } from '../GameRules.js';
+
+export { DEFAULT_RULES };
+
+/** Rules with the defaults filled in (see rulesResolver). */
+export const resolveRules = rulesResolver(DEFAULT_RULES);
+
+export default {
+    DEFAULT_RULES,
+    resolveRules
+};
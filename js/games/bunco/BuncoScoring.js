@@ -0,0 +1,48 @@
+/* ========================================
+   BuncoScoring - Pure Roll Evaluation
+   Three dice, one target number per round (1-6).
+   One point per die showing the target, 21 for
+   three targets (Bunco), 5 for three of a kind
+   of any other number (mini-Bunco).
+   ======================================== */
+
+import { ROUNDS } from './BuncoManifest.js';
+
+export { ROUNDS };
+
+export const DICE_COUNT = 3;
+
+/** Points that end a round at the head table. */
+export const ROUND_POINTS = 21;
+
+export const BUNCO_POINTS = 21;
+export const MINI_BUNCO_POINTS = 5;
+
+/**
+ * Target number of a round (1-based: round 1 targets ones).
+ * @param {number} round
+ * @returns {number}
+ */
+export function roundTarget(round) {
+    return ((round - 1) % 6) + 1;
+}
+
+/**
+ * Score a roll. Any points keep the dice with the roller.
+ * @param {number[]} values - Three dice
+ * @param {number} target - Number of the round
+ * @returns {{type: 'bunco'|'mini'|'points'|'none', points: number}}
+ */
+export function scoreRoll(values, target) {
+    const allSame = values.every(v => v === values[0]);
+    if (allSame && values[0] === target) return { type: 'bunco', points: BUNCO_POINTS };
+    if (allSame) return { type: 'mini', points: MINI_BUNCO_POINTS };
+
+    const points = values.filter(v => v === target).length;
+    return { type: points > 0 ? 'points' : 'none', points };
+}
+
+export default {
+    roundTarget,
+    scoreRoll
+};
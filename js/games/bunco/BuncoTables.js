@@ -0,0 +1,84 @@
+/* ========================================
+   BuncoTables - Seating and Rotation
+   Players sit at tables of four; partners sit
+   across (seats 0+2 against seats 1+3). After
+   each round the head-table winners stay, its
+   losers drop to the last table, and at every
+   other table the winners move up one table.
+   Stayers and arrivals split up so partners
+   change every round.
+   ======================================== */
+
+import { TABLE_SIZE } from './BuncoManifest.js';
+
+export { TABLE_SIZE };
+
+/**
+ * Team of a seat (0 = seats 0 and 2, 1 = seats 1 and 3).
+ * @param {number} seat
+ * @returns {0|1}
+ */
+export function teamOf(seat) {
+    return seat % 2;
+}
+
+/**
+ * Seats of a team.
+ * @param {0|1} team
+ * @returns {number[]}
+ */
+export function teamSeats(team) {
+    return team === 0 ? [0, 2] : [1, 3];
+}
+
+/**
+ * First seating: players in setup order, four per table.
+ * @param {number} playerCount - A multiple of TABLE_SIZE
+ * @returns {number[][]} Player indices by table and seat
+ */
+export function seatTables(playerCount) {
+    const tables = [];
+    for (let i = 0; i < playerCount; i += TABLE_SIZE) {
+        tables.push(Array.from({ length: TABLE_SIZE }, (_, s) => i + s));
+    }
+    return tables;
+}
+
+/**
+ * Team of a table that won the round: most points,
+ * on a tie the team that scored last (team 0 if nobody scored).
+ * @param {number[]} scores - [team 0, team 1]
+ * @param {0|1|null} lastTeam - Team that scored last
+ * @returns {0|1}
+ */
+export function tableWinner(scores, lastTeam) {
+    if (scores[0] !== scores[1]) return scores[0] > scores[1] ? 0 : 1;
+    return lastTeam ?? 0;
+}
+
+/**
+ * Seating for the next round.
+ * @param {number[][]} tables - Player indices by table and seat
+ * @param {Array<0|1>} winners - Winning team of each table
+ * @returns {number[][]}
+ */
+export function rotateTables(tables, winners) {
+    const won = tables.map((seats, t) => teamSeats(winners[t]).map(s => seats[s]));
+    const lost = tables.map((seats, t) => teamSeats(1 - winners[t]).map(s => seats[s]));
+    const last = tables.length - 1;
+
+    return tables.map((_, t) => {
+        const stay = t === 0 ? won[0] : lost[t];
+        const arrive = t < last ? won[t + 1] : lost[0];
+        // New partners: each stayer teams up with an arrival
+        return [stay[0], stay[1], arrive[0], arrive[1]];
+    });
+}
+
+export default {
+    teamOf,
+    teamSeats,
+    seatTables,
+    tableWinner,
+    rotateTables
+};
@@ -0,0 +1,158 @@
+/* ========================================
+   BuncoUI - Static Rendering Methods
+   Generates HTML for Bunco components.
+   ======================================== */
+
+import { gameHistory } from '../../services/GameHistoryService.js';
+import { ROUND_POINTS } from './BuncoScoring.js';
+import { teamSeats } from './BuncoTables.js';
+
+/** Die face symbols, index = face value. */
+export const FACE_SYMBOLS = ['', '⚀', '⚁', '⚂', '⚃', '⚄', '⚅'];
+
+export class BuncoUI {
+
+    /**
+     * Render the round header: round, target number and head-table race to 21.
+     * @param {HTMLElement} container
+     * @param {Object} data - { round, rounds, target, headScores }
+     */
+    static renderRoundInfo(container, { round, rounds, target, headScores }) {
+        const lead = Math.max(...headScores);
+        container.innerHTML = `
+            <div class="bunco-round-header">
+                <span>Round ${round}/${rounds}</span>
+                <span>👑 Tavolo 1: ${lead}/${ROUND_POINTS}</span>
+            </div>
+            <div class="bunco-target">
+                <span class="bunco-target-face">${FACE_SYMBOLS[target]}</span>
+                <span class="bunco-target-label">Obiettivo: <strong>${target}</strong></span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one tab per table with its team scores.
+     */
+    static renderTableTabs(container, tables, activeTable) {
+        container.innerHTML = tables.map((table, t) => `
+            <button class="bunco-tab ${t === activeTable ? 'active' : ''} ${table.rolling ? 'rolling' : ''}" data-table="${t}">
+                <span class="bunco-tab-name">${t === 0 ? '👑 ' : ''}Tavolo ${t + 1}</span>
+                <span class="bunco-tab-score">${table.scores[0]} – ${table.scores[1]}</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Render the two teams of a table, highlighting the roller.
+     * @param {HTMLElement} container
+     * @param {Object} table - { seats, scores, roller }
+     * @param {Array} players
+     */
+    static renderTeams(container, table, players) {
+        container.innerHTML = [0, 1].map(team => `
+            <div class="bunco-team ${teamSeats(team).includes(table.roller) ? 'rolling' : ''}">
+                <div class="bunco-team-label">Squadra ${team === 0 ? 'A' : 'B'}</div>
+                ${teamSeats(team).map(seat => {
+                    const p = players[table.seats[seat]];
+                    return `
+                        <div class="bunco-team-player ${seat === table.roller ? 'active' : ''}" style="border-left-color: ${p.color}">
+                            ${seat === table.roller ? '🎲 ' : ''}${p.name}
+                        </div>
+                    `;
+                }).join('')}
+                <div class="bunco-team-score">${table.scores[team]}</div>
+            </div>
+        `).join('<div class="bunco-vs">VS</div>');
+    }
+
+    /**
+     * Render the standings: round wins, Bunco and points per player.
+     */
+    static renderStandings(players) {
+        const ranked = players
+            .map((p, i) => ({ ...p, index: i }))
+            .sort((a, b) => b.wins - a.wins || b.buncos - a.buncos || b.points - a.points);
+
+        return `
+            <table class="bunco-standings">
+                <thead>
+                    <tr><th>Giocatore</th><th>Vinti</th><th>Persi</th><th>Bunco</th><th>Mini</th><th>Punti</th></tr>
+                </thead>
+                <tbody>
+                    ${ranked.map(p => `
+                        <tr>
+                            <td style="border-left: 4px solid ${p.color}">${p.name}</td>
+                            <td><strong>${p.wins}</strong></td>
+                            <td>${p.losses}</td>
+                            <td>${p.buncos}</td>
+                            <td>${p.minis}</td>
+                            <td>${p.points}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the end-of-round summary: winners of each table and who moves.
+     * @param {HTMLElement} container
+     * @param {Object} data - { round, results: [{ scores, winners: [player] }], lastRound }
+     */
+    static renderRoundSummary(container, { round, results, lastRound }) {
+        container.innerHTML = `
+            <div class="bunco-summary">
+                <div class="bunco-summary-title">🎉 BUNCO! Fine round ${round}</div>
+                ${results.map((r, t) => `
+                    <div class="bunco-summary-row">
+                        <span class="bunco-summary-table">${t === 0 ? '👑 ' : ''}Tavolo ${t + 1}</span>
+                        <span class="bunco-summary-winners">${r.winners.map(p => `<span style="color: ${p.color}">${p.name}</span>`).join(' & ')}</span>
+                        <span class="bunco-summary-score">${Math.max(...r.scores)} – ${Math.min(...r.scores)}</span>
+                    </div>
+                `).join('')}
+                ${!lastRound && results.length > 1
+                    ? '<div class="bunco-summary-note">I vincitori salgono di un tavolo, i perdenti del tavolo 1 scendono all\'ultimo. Cambio di compagno!</div>'
+                    : ''}
+                <button class="btn btn-primary" data-action="nextRound">${lastRound ? '🏆 Fine serata' : '🎲 Prossimo round'}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render match history filtered by game type.
+     */
+    static renderMatchHistory(gameType) {
+        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === gameType);
+
+        if (matches.length === 0) {
+            return `
+                <div class="bunco-history-empty">
+                    Nessuna partita completata ancora.
+                </div>
+            `;
+        }
+
+        let html = '<div class="bunco-history-list">';
+        matches.slice(0, 20).forEach(match => {
+            const winners = match.players.filter(p => p.isWinner);
+            const dateStr = gameHistory.formatDate(match.date);
+            html += `
+                <div class="bunco-history-item">
+                    <div class="bunco-history-info">
+                        <div class="bunco-history-date">${dateStr}</div>
+                        <div class="bunco-history-players">${match.players.length} giocatori</div>
+                    </div>
+                    <div class="bunco-history-result">
+                        <div class="bunco-history-winner">🏆 ${winners.map(p => p.name).join(', ')}</div>
+                        <div class="bunco-history-score">${winners.length > 0 ? winners[0].finalScore + ' round vinti' : ''}</div>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+}
+
+export default BuncoUI;
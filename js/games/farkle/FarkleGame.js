@@ -1,7 +1,7 @@
 /* ========================================
    FarkleGame - Game Controller
    State machine managing turns, scoring, game flow.
-   Target: 10,000 points.
+   Target and scoring follow the house rules (default 10,000 points).
    ======================================== */
 
 import { DiceEngine } from '../../components/dice/DiceEngine.js';
@@ -11,32 +11,63 @@ import {
     detectStraightAttempt, getAvailableCombinations
 } from './FarkleScoring.js';
 import { FarkleUI } from './FarkleUI.js';
-import { gameHistory } from '../../services/GameHistoryService.js';
-import { ConfettiEffect } from '../../components/ConfettiEffect.js';
-import { Modal } from '../../components/Modal.js';
-import { Menu } from '../../components/Menu.js';
-
-const TARGET_SCORE = 10000;
-const MIN_SCORE_3RD_ROLL = 350;
-const STRAIGHT_SCORE = 1000;
-
-export class FarkleGame {
-    constructor({ container, players, onExit, savedState = null }) {
-        this.container = container;
-        this.onExit = onExit;
-        this.gameStartTime = Date.now();
-        this.gameId = savedState?.gameId || this._generateGameId();
-        this.confetti = new ConfettiEffect();
+import {
+    chooseKeep, shouldAttemptStraight, shouldBank, canBank, rollOdds, finalRoundOdds
+} from './FarkleStrategy.js';
+import { resolveRules, formatPoints, FIXED_KIND_SCORES, FARKLE_STREAK_LIMIT } from './FarkleRules.js';
+import { GameController } from '../GameController.js';
+import { scheduleBotStep, bankTurn, bustTurn } from '../BankOrBust.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+import { UndoHistory, UNDO_SCOPES } from '../../services/UndoHistory.js';
+
+const BOT_STEP_DELAY = 900;   // ms between bot actions (readable pace)
+const BOT_PICK_DELAY = 350;   // ms between each die the bot picks
+const FARKLE_OVERLAY_DELAY = 2000;
+
+export class FarkleGame extends GameController {
+    static saveMigrations() {
+        return [
+            {
+                // Three-farkle penalty and undo: farkle streaks and turn count saved
+                version: 1,
+                migrate: state => ({
+                    ...state,
+                    turnNumber: state.turnNumber || 0,
+                    players: state.players.map(p => ({ ...p, farkleStreak: p.farkleStreak || 0 }))
+                })
+            }
+        ];
+    }
+
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Array} options.players - Player objects [{name, color, bot?}] (bot: 'cautious' | 'balanced' | 'greedy' | 'optimal')
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { manualDice: true, advisor: true, rules: {...} }
+     */
+    constructor({ container, players, onExit, savedState = null, random, settings = {} }) {
+        super({ container, onExit, gameType: 'farkle', savedState, settings, defaults: { advisor: false } });
+        this.rules = resolveRules(this.settings.rules); // house rules, fixed for the whole game
+        this.settings.rules = this.rules;
 
         // Players
         this.players = players.map((p, i) => ({
             id: i,
             name: p.name,
             color: p.color,
-            totalScore: p.totalScore || 0
+            bot: p.bot || null,
+            totalScore: p.totalScore || 0,
+            farkleStreak: 0
         }));
 
         this.currentPlayerIndex = 0;
+        this.turnNumber = 0;
+        this._botTimer = null;
+        this._farkleTimer = null;
+        this._botActing = false;
 
         // Turn state
         this.turnScore = 0;
@@ -51,8 +82,12 @@ export class FarkleGame {
         this.finalRoundTriggerPlayer = -1;
         this.playersHadFinalTurn = new Set();
 
-        // Dice engine (6 dice, high maxRolls for unlimited rolling)
-        this.diceEngine = new DiceEngine({ count: 6, sides: 6, maxRolls: 999 });
+        // Dice engine (6 dice, high maxRolls for unlimited rolling).
+        // The seeded RNG state travels with dice state in _autoSave.
+        this.diceEngine = new DiceEngine({
+            count: 6, sides: 6, maxRolls: 999, random,
+            manual: this.settings.manualDice
+        });
 
         // Build UI
         this._buildUI();
@@ -65,6 +100,14 @@ export class FarkleGame {
             animationDuration: 900
         });
 
+        // Roll-by-roll log (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: 6, savedLog: this.savedState?.log })
+            .attach(this.diceEngine, () => this.currentPlayerIndex);
+
+        // Undo/redo (snapshots of serialized state, saved with the game)
+        this.undoHistory = new UndoHistory({ savedState: this.savedState?.undo });
+        this.menu.setItemLabel('undoScope', this._undoScopeLabel(this.undoHistory.scope));
+
         // Wire engine events
         this.diceEngine.on('roll-start', () => this._onRollStart());
         this.diceEngine.on('roll-end', () => this._onRollEnd());
@@ -72,12 +115,13 @@ export class FarkleGame {
         // Override dice clicks for Farkle selection mode
         this._bindDiceClicks();
 
-        // Restore or start fresh
-        if (savedState) {
-            this._restoreState(savedState);
-        } else {
-            this._startTurn();
-        }
+        this._begin(this.savedState);
+
+        this._undoCheckpoint = this._captureUndoEntry();
+        this._updateUndoControls();
+
+        // A new game schedules its bot from _startTurn, a resumed one here
+        if (this.savedState) this._maybeRunBot();
     }
 
     // ---- Build UI ----
@@ -90,6 +134,10 @@ export class FarkleGame {
 
         wrapper.innerHTML = `
             <header>
+                <div class="undo-controls">
+                    <button class="undo-btn" id="undoBtn" title="Annulla">↩️</button>
+                    <button class="undo-btn" id="redoBtn" title="Ripeti">↪️</button>
+                </div>
                 <h1>🎯 FARKLE</h1>
                 <button class="menu-btn" id="menuBtn">☰</button>
             </header>
@@ -107,6 +155,7 @@ export class FarkleGame {
                     <div class="farkle-dice-hint" id="diceHint">Tocca "Lancia Dadi" per iniziare</div>
                 </div>
                 <div class="farkle-scoring-hints" id="scoringHints"></div>
+                <div class="farkle-odds-panel hidden" id="oddsPanel"></div>
             </div>
             <div class="fixed-action farkle-actions" id="actionBar">
                 <button class="btn btn-action btn-roll" id="rollBtn">🎲 LANCIA DADI</button>
@@ -117,58 +166,57 @@ export class FarkleGame {
         this.container.appendChild(wrapper);
 
         // Menu
-        this.menu = new Menu({
-            items: [
-                { id: 'rules', label: '📜 Regole' },
-                { id: 'history', label: '📊 Storico Partite' },
-                { id: 'newGame', label: '🔄 Nuova Partita' },
-                { id: 'home', label: '⚠️ Torna alla Home', danger: true }
-            ],
-            onItemClick: (id) => this._handleMenuAction(id)
-        });
-        this.menu.render(this.container);
+        this._buildMenu([
+            { id: 'undoScope', label: this._undoScopeLabel(UNDO_SCOPES.ALL) },
+            { id: 'advisor', label: this._advisorLabel(this.settings.advisor) }
+        ]);
 
-        // Rules Modal
-        this.rulesModal = new Modal({ id: 'rulesModal' });
-        this.rulesModal.render(this.container);
-        this.rulesModal.setContent(`
+        // Rules, History and Winner Modals
+        this._buildModals(`
             <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Farkle</div>
             <div style="text-align: left; font-size: 0.85rem; line-height: 1.6; margin: 20px 0; max-height: 55vh; overflow-y: auto;">
                 <strong style="color: var(--primary);">OBIETTIVO:</strong><br>
-                Raggiungere <strong>10.000 punti</strong> prima degli altri!<br><br>
+                Raggiungere <strong>${formatPoints(this.rules.targetScore)} punti</strong> prima degli altri!<br><br>
                 <strong style="color: var(--primary);">TURNO:</strong><br>
                 1. Lancia tutti i dadi disponibili<br>
                 2. Seleziona almeno una combinazione valida<br>
                 3. Scegli: <strong>BANCA</strong> (tieni i punti) o <strong>RILANCIA</strong> (rischia!)<br><br>
                 <strong style="color: var(--primary);">FARKLE:</strong><br>
                 Se non ci sono combinazioni valide, perdi tutti i punti del turno!<br><br>
+                ${this.rules.farklePenalty ? `
+                    <strong style="color: var(--primary);">TRE FARKLE DI FILA:</strong><br>
+                    Al ${FARKLE_STREAK_LIMIT}° Farkle consecutivo perdi ${this.rules.farklePenalty} punti!<br><br>
+                ` : ''}
+                ${this.rules.openingScore ? `
+                    <strong style="color: var(--primary);">APERTURA:</strong><br>
+                    Per bancare la prima volta servono almeno ${this.rules.openingScore} punti in un turno!<br><br>
+                ` : ''}
                 <strong style="color: var(--primary);">HOT DICE:</strong><br>
                 Se usi tutti e 6 i dadi, li rilanci tutti mantenendo i punti!<br><br>
-                <strong style="color: var(--primary);">REGOLA DEL 350:</strong><br>
-                Dopo il 3° lancio, se hai meno di 350 punti nel turno, perdi tutto!<br><br>
+                ${this.rules.minScoreThirdRoll ? `
+                    <strong style="color: var(--primary);">REGOLA DEL ${this.rules.minScoreThirdRoll}:</strong><br>
+                    Dopo il 3° lancio, se hai meno di ${this.rules.minScoreThirdRoll} punti nel turno, perdi tutto!<br><br>
+                ` : ''}
                 <strong style="color: var(--primary);">PUNTEGGI:</strong><br>
                 • Singolo 1 = 100 • Singolo 5 = 50<br>
                 • Tris di 1 = 1000 • Tris di X = X×100<br>
-                • Poker = 2× tris • Cinque uguali = 4× tris<br>
-                • Sei uguali = 8× tris<br>
-                • Scala 1-2-3-4-5-6 = 1000<br>
-                • Tre coppie = 1500 • Due tris = 2500<br><br>
-                <strong style="color: var(--primary);">SCALA PARZIALE (5/6):</strong><br>
-                Se hai 5 valori su 6 per la scala, puoi tentare lanciando 1 dado!<br><br>
+                ${this.rules.kindScoring === 'fixed'
+                    ? `• Poker = ${FIXED_KIND_SCORES[4]} • Cinque uguali = ${FIXED_KIND_SCORES[5]}<br>
+                       • Sei uguali = ${FIXED_KIND_SCORES[6]}<br>`
+                    : `• Poker = 2× tris • Cinque uguali = 4× tris<br>
+                       • Sei uguali = 8× tris<br>`}
+                • Scala 1-2-3-4-5-6 = ${this.rules.straightScore}<br>
+                • Tre coppie = ${this.rules.threePairsScore} • Due tris = ${this.rules.twoTripletsScore}<br><br>
+                ${this.rules.straightAttempts ? `
+                    <strong style="color: var(--primary);">SCALA PARZIALE (5/6):</strong><br>
+                    Se hai 5 valori su 6 per la scala, puoi tentare lanciando 1 dado!<br><br>
+                ` : ''}
                 <strong style="color: var(--primary);">FINE PARTITA:</strong><br>
-                Chi raggiunge 10.000, gli altri hanno un ultimo turno. Vince il punteggio più alto!
+                Chi raggiunge ${formatPoints(this.rules.targetScore)}, gli altri hanno un ultimo turno. Vince il punteggio più alto!
             </div>
             <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
         `);
 
-        // History Modal
-        this.historyModal = new Modal({ id: 'historyModal' });
-        this.historyModal.render(this.container);
-
-        // Winner Modal
-        this.winnerModal = new Modal({ id: 'winnerModal', closeOnOverlayClick: false });
-        this.winnerModal.render(this.container);
-
         // Cache UI refs
         this.ui = {
             diceContainer: gameScreen.querySelector('#diceContainer'),
@@ -177,16 +225,18 @@ export class FarkleGame {
             actionBar: gameScreen.querySelector('#actionBar'),
             playersBar: gameScreen.querySelector('#playersBar'),
             turnInfo: gameScreen.querySelector('#turnInfo'),
-            scoringHints: gameScreen.querySelector('#scoringHints')
+            scoringHints: gameScreen.querySelector('#scoringHints'),
+            oddsPanel: gameScreen.querySelector('#oddsPanel'),
+            undoBtn: wrapper.querySelector('#undoBtn'),
+            redoBtn: wrapper.querySelector('#redoBtn')
         };
 
         // Button event
         wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
-        this.ui.actionBar.addEventListener('click', (e) => this._handleActionClick(e));
-
-        // Rules close
-        this.rulesModal.contentEl.addEventListener('click', (e) => {
-            if (e.target.id === 'closeRulesBtn') this.rulesModal.hide();
+        this.ui.undoBtn.addEventListener('click', () => this._undo());
+        this.ui.redoBtn.addEventListener('click', () => this._redo());
+        this.ui.actionBar.addEventListener('click', (e) => {
+            if (!this._isBotTurn()) this._handleActionClick(e);
         });
     }
 
@@ -198,6 +248,8 @@ export class FarkleGame {
         // We add our own capturing handlers for Farkle selection.
         this.diceRenderer.scenes.forEach(({ scene }, i) => {
             scene.addEventListener('click', (e) => {
+                // Physical dice entry is handled by DiceRenderer
+                if (this.diceEngine.awaitingInput) return;
                 e.stopImmediatePropagation();
                 this._onDiceClick(i);
             }, true); // capturing phase to fire before DiceRenderer's handler
@@ -205,23 +257,37 @@ export class FarkleGame {
     }
 
     _onDiceClick(index) {
+        this._setDieSelected(index, !this.selectedDice.has(index));
+    }
+
+    /**
+     * Select or deselect a die of the current roll (no-op if it already is).
+     * @param {number} index
+     * @param {boolean} selected
+     */
+    _setDieSelected(index, selected) {
         if (this.turnState !== 'selecting') return;
         if (this.setAsideDice.has(index)) return;
+        if (this.selectedDice.has(index) === selected) return;
 
-        // Toggle selection
-        if (this.selectedDice.has(index)) {
-            this.selectedDice.delete(index);
-        } else {
+        if (selected) {
             this.selectedDice.add(index);
+        } else {
+            this.selectedDice.delete(index);
         }
 
         this._updateDiceVisuals();
         this._updateSelectionScore();
         this._updateActionButtons();
+        this._commitUndoable();
     }
 
     // ---- Game Flow ----
 
+    _startGame() {
+        this._startTurn();
+    }
+
     _startTurn() {
         this.turnScore = 0;
         this.rollCount = 0;
@@ -230,16 +296,15 @@ export class FarkleGame {
         this.turnState = 'idle';
         this.straightAttemptData = null;
 
-        // Reset dice engine
-        this.diceEngine.values = new Array(6).fill(1);
-        this.diceEngine.held = new Array(6).fill(false);
+        // Reset dice engine (also drops any unfinished physical-dice entry)
+        this.diceEngine.reset();
         this.diceEngine.rollsLeft = 1;
-        this.diceEngine.hasRolled = false;
-        this.diceEngine.isRolling = false;
-        this.diceEngine.emit('reset', {});
 
+        this.turnNumber++;
+        this.recorder.record(LOG_EVENTS.TURN, this.currentPlayerIndex);
         this._updateUI();
         this._setHint('Tocca "Lancia Dadi" per iniziare');
+        this._maybeRunBot();
     }
 
     _rollDice() {
@@ -262,13 +327,18 @@ export class FarkleGame {
 
     _onRollStart() {
         this._updateActionButtons();
-        this._setHint('Lanciando...');
+        this._setHint(this.diceEngine.manual
+            ? '✍️ Tocca ogni dado e inserisci il valore dei dadi reali'
+            : 'Lanciando...');
     }
 
     _onRollEnd() {
         // Block toggleHold from DiceRenderer
         this.diceEngine.rollsLeft = 0;
 
+        // Straight attempts are resolved by their own roll-end handler
+        if (this.turnState === 'straightAttempt') return;
+
         // Get available (non-set-aside) dice values
         const availableDice = [];
         const availableIndices = [];
@@ -286,7 +356,7 @@ export class FarkleGame {
         }
 
         // Check straight attempt possibility (only when all 6 dice are available)
-        if (availableDice.length === 6) {
+        if (availableDice.length === 6 && this.rules.straightAttempts) {
             const sa = detectStraightAttempt(availableDice);
             if (sa.possible) {
                 this.straightAttemptData = sa;
@@ -301,44 +371,64 @@ export class FarkleGame {
         this.turnState = 'selecting';
         this._updateUI();
         this._setHint('Seleziona i dadi che vuoi tenere');
+
+        // A roll reveals new dice and can't be taken back
+        this._resetUndo();
         this._autoSave();
+        this._maybeRunBot();
     }
 
-    _handleFarkle() {
-        this.turnState = 'farkle';
-        this.turnScore = 0;
-
-        // Show Farkle overlay
-        const overlay = document.createElement('div');
-        overlay.className = 'farkle-overlay';
-        overlay.innerHTML = `
-            <div class="farkle-overlay-text">FARKLE!</div>
-            <div class="farkle-overlay-sub">Nessuna combinazione valida - 0 punti!</div>
-        `;
-        this.container.appendChild(overlay);
-
-        setTimeout(() => {
-            overlay.remove();
-            this._nextPlayer();
-        }, 2000);
+    /**
+     * End the turn with a Farkle. Whatever caused it, it can't be taken back.
+     * @param {string} [reason] - 'noScore' (roll with nothing to score) or
+     *   'minScore' (3rd roll confirmed under the minimum score)
+     */
+    _handleFarkle(reason = 'noScore') {
+        this.recorder.record(LOG_EVENTS.FARKLE, this.currentPlayerIndex, reason);
+        const penalty = this._registerFarkle();
+
+        this._farkleTimer = bustTurn(this, {
+            state: 'farkle',
+            className: 'farkle-overlay',
+            html: `
+                <div class="farkle-overlay-text">FARKLE!</div>
+                <div class="farkle-overlay-sub">${reason === 'minScore'
+                    ? `3° lancio con meno di ${this.rules.minScoreThirdRoll} punti!`
+                    : 'Nessuna combinazione valida - 0 punti!'}</div>
+                ${this._penaltyOverlayHTML(penalty)}
+            `,
+            delay: FARKLE_OVERLAY_DELAY,
+            then: () => {
+                this._nextPlayer();
+                this._resetUndo();
+            }
+        });
     }
 
-    _handleForcedFarkle() {
-        this.turnState = 'farkle';
-        this.turnScore = 0;
-
-        const overlay = document.createElement('div');
-        overlay.className = 'farkle-overlay';
-        overlay.innerHTML = `
-            <div class="farkle-overlay-text">FARKLE!</div>
-            <div class="farkle-overlay-sub">3° lancio con meno di 350 punti!</div>
-        `;
-        this.container.appendChild(overlay);
+    /**
+     * Count a Farkle towards the player's streak and apply the
+     * house-rule penalty when the streak hits the limit.
+     * @returns {number} Points lost
+     */
+    _registerFarkle() {
+        const p = this.players[this.currentPlayerIndex];
+        p.farkleStreak++;
+        if (p.farkleStreak < FARKLE_STREAK_LIMIT) return 0;
+
+        p.farkleStreak = 0;
+        const lost = Math.min(this.rules.farklePenalty, p.totalScore);
+        if (lost > 0) {
+            p.totalScore -= lost;
+            this.recorder.record(LOG_EVENTS.PENALTY, this.currentPlayerIndex, lost, p.totalScore);
+            this._updatePlayersBar();
+        }
+        return lost;
+    }
 
-        setTimeout(() => {
-            overlay.remove();
-            this._nextPlayer();
-        }, 2000);
+    _penaltyOverlayHTML(penalty) {
+        return penalty > 0
+            ? `<div class="farkle-overlay-sub">${FARKLE_STREAK_LIMIT} Farkle di fila: -${penalty} punti!</div>`
+            : '';
     }
 
     _confirmSelection() {
@@ -351,11 +441,12 @@ export class FarkleGame {
             selectedValues.push(this.diceEngine.values[idx]);
         }
 
-        const score = scoreSelection(selectedValues);
+        const score = scoreSelection(selectedValues, this.rules);
         if (score === null) return; // Invalid selection
 
         // Add to turn score
         this.turnScore += score;
+        this.recorder.record(LOG_EVENTS.SELECT, this.currentPlayerIndex, [...this.selectedDice], score);
 
         // Move selected to set-aside
         for (const idx of this.selectedDice) {
@@ -369,19 +460,22 @@ export class FarkleGame {
             return;
         }
 
-        // Check 350 rule: after 3rd roll, if turn score < 350, forced Farkle
-        if (this.rollCount >= 3 && this.turnScore < MIN_SCORE_3RD_ROLL) {
-            this._handleForcedFarkle();
+        // Minimum score rule: from the 3rd roll, a turn under the minimum is a forced Farkle
+        if (this.rollCount >= 3 && this.turnScore < this.rules.minScoreThirdRoll) {
+            this._handleFarkle('minScore');
             return;
         }
 
         this.turnState = 'confirmed';
         this._updateUI();
-        this._setHint('Banca o rilancia!');
-        this._autoSave();
+        this._setHint(this._confirmedHint());
+        this._commitUndoable();
+        this._maybeRunBot();
     }
 
     _handleHotDice() {
+        this.recorder.record(LOG_EVENTS.HOT_DICE, this.currentPlayerIndex);
+
         // Show Hot Dice overlay
         const overlay = document.createElement('div');
         overlay.className = 'farkle-hotdice-overlay';
@@ -406,24 +500,26 @@ export class FarkleGame {
             this.turnState = 'confirmed';
             this._updateUI();
             this._setHint('🔥 Hot Dice! Rilancia tutti e 6 i dadi!');
-            this._autoSave();
+            this._commitUndoable();
+            this._maybeRunBot();
         }, 1800);
     }
 
     _bank() {
-        if (this.turnState !== 'confirmed') return;
+        if (this.turnState !== 'confirmed' || !this._canBank()) return;
 
-        const p = this.players[this.currentPlayerIndex];
-        p.totalScore += this.turnScore;
+        const p = bankTurn(this);
+        p.farkleStreak = 0;
 
         // Check if player reached target
-        if (p.totalScore >= TARGET_SCORE && !this.finalRound) {
+        if (p.totalScore >= this.rules.targetScore && !this.finalRound) {
             this.finalRound = true;
             this.finalRoundTriggerPlayer = this.currentPlayerIndex;
         }
 
         this._autoSave();
         this._nextPlayer();
+        this._commitUndoable();
     }
 
     _attemptStraight() {
@@ -466,10 +562,15 @@ export class FarkleGame {
             this.diceEngine.off('roll-end', straightHandler);
             this.diceEngine.rollsLeft = 0;
 
+            // The attempt roll can't be taken back: nothing before it stays undoable
+            this.undoHistory.clear();
+            this._undoCheckpoint = null;
+
             const newVal = this.diceEngine.values[keptDupIdx];
+            this.recorder.record(LOG_EVENTS.STRAIGHT, this.currentPlayerIndex, newVal === missingVal);
             if (newVal === missingVal) {
                 // Straight completed!
-                this.turnScore += STRAIGHT_SCORE;
+                this.turnScore += this.rules.straightScore;
                 this.setAsideDice = new Set([0, 1, 2, 3, 4, 5]); // all used
                 this.straightAttemptData = null;
 
@@ -485,7 +586,9 @@ export class FarkleGame {
         this.diceEngine.on('roll-end', straightHandler);
         this.diceEngine.roll();
 
-        this._setHint(`Tentativo di scala... serve un ${missingVal}!`);
+        this._setHint(this.diceEngine.manual
+            ? `Tentativo di scala: lancia 1 dado reale, serve un ${missingVal}!`
+            : `Tentativo di scala... serve un ${missingVal}!`);
     }
 
     _nextPlayer() {
@@ -527,6 +630,8 @@ export class FarkleGame {
     }
 
     _endGame() {
+        this.gameOver = true;
+        clearTimeout(this._botTimer);
         let maxScore = -1;
         let winners = [];
 
@@ -540,64 +645,134 @@ export class FarkleGame {
         });
 
         // Save to history
-        const duration = Math.round((Date.now() - this.gameStartTime) / 1000);
-        gameHistory.addMatchToHistory({
-            gameType: 'farkle',
-            players: this.players.map(p => ({
-                name: p.name,
-                finalScore: p.totalScore,
-                isWinner: winners.includes(p)
-            })),
-            duration
-        });
-
-        // Update profiles
-        this.players.forEach(p => {
-            gameHistory.updatePlayerProfile(p.name, p.color, {
-                score: p.totalScore,
-                isWinner: winners.includes(p)
-            });
-        });
-
-        // Remove from active games
-        gameHistory.removeActiveGame(this.gameId);
+        this._recordMatch(this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            isBot: !!p.bot,
+            finalScore: p.totalScore,
+            isWinner: winners.includes(p)
+        })), { log: this.recorder.getLog() });
 
         // Show winner
         const winnerName = winners.length > 1 ? 'Pareggio!' : winners[0].name;
         const winnerColor = winners.length === 1 ? winners[0].color : 'var(--primary)';
 
-        this.winnerModal.setContent(`
-            <div class="winner-title">🏆 Vincitore!</div>
-            <div class="winner-name" style="color: ${winnerColor}">${winnerName}</div>
-            <div class="winner-score">${maxScore}</div>
-            <div style="font-size: 0.85rem; color: #888; margin-bottom: 15px;">punti</div>
-            <button class="btn btn-primary" id="playAgainBtn">Gioca Ancora</button>
-            <button class="btn btn-secondary" id="goHomeBtn" style="margin-top:8px;">Torna alla Home</button>
-        `);
-        this.winnerModal.show();
-
-        this.winnerModal.contentEl.querySelector('#playAgainBtn').addEventListener('click', () => {
-            this.winnerModal.hide();
-            this._restartGame();
+        this._showWinner({
+            name: winnerName,
+            color: winnerColor,
+            score: maxScore,
+            detail: 'punti'
         });
-        this.winnerModal.contentEl.querySelector('#goHomeBtn').addEventListener('click', () => {
-            this.winnerModal.hide();
-            this.destroy();
-            this.onExit();
-        });
-
-        this.confetti.fire();
     }
 
     _restartGame() {
+        clearTimeout(this._botTimer);
+        clearTimeout(this._farkleTimer);
+        this.container.querySelectorAll('.farkle-overlay').forEach(el => el.remove());
         this.gameId = this._generateGameId();
-        this.players.forEach(p => { p.totalScore = 0; });
+        this.players.forEach(p => {
+            p.totalScore = 0;
+            p.farkleStreak = 0;
+        });
         this.currentPlayerIndex = 0;
+        this.turnNumber = 0;
+        this.gameOver = false;
         this.gameStartTime = Date.now();
         this.finalRound = false;
         this.finalRoundTriggerPlayer = -1;
         this.playersHadFinalTurn = new Set();
+        this.recorder.reset();
         this._startTurn();
+        this._resetUndo();
+    }
+
+    // ---- Bots ----
+
+    _isBotTurn() {
+        return !!this.players[this.currentPlayerIndex]?.bot;
+    }
+
+    /**
+     * Schedule the next bot action if it is a bot's turn.
+     * Bots go through the same state machine as a human, one step at a time.
+     */
+    _maybeRunBot() {
+        scheduleBotStep(this, ['idle', 'selecting', 'confirmed'], BOT_STEP_DELAY);
+    }
+
+    /**
+     * What the strategy (bots and assistant) needs to know about the game.
+     */
+    _strategyContext() {
+        const others = this.players.filter((_, i) => i !== this.currentPlayerIndex);
+        return {
+            turnScore: this.turnScore,
+            rollCount: this.rollCount,
+            totalScore: this.players[this.currentPlayerIndex].totalScore,
+            leaderScore: Math.max(0, ...others.map(p => p.totalScore)),
+            finalRound: this.finalRound,
+            rules: this.rules
+        };
+    }
+
+    _botStep() {
+        if (this.gameOver || !this._isBotTurn() || this.diceEngine.isRolling) return;
+
+        const level = this.players[this.currentPlayerIndex].bot;
+        const context = this._strategyContext();
+
+        switch (this.turnState) {
+            case 'idle':
+                this._botAct(() => this._rollDice()); // _onRollEnd schedules the next step
+                break;
+
+            case 'selecting': {
+                const values = this.diceEngine.getValues();
+                if (this.straightAttemptData && shouldAttemptStraight(values, context, level)) {
+                    this._botAct(() => this._attemptStraight());
+                    return;
+                }
+                const indices = [0, 1, 2, 3, 4, 5].filter(i => !this.setAsideDice.has(i));
+                const keep = chooseKeep(indices.map(i => values[i]), indices, context, level);
+                // A resumed turn may already have dice selected: keep only the bot's
+                this._botAct(() => [...this.selectedDice]
+                    .filter(i => !keep.includes(i))
+                    .forEach(i => this._setDieSelected(i, false)));
+                this._botPickDice(keep.filter(i => !this.selectedDice.has(i)));
+                break;
+            }
+
+            case 'confirmed': {
+                const diceLeft = 6 - this.setAsideDice.size;
+                const bank = shouldBank(context, diceLeft, level);
+                this._botAct(() => (bank ? this._bank() : this._rollDice()));
+                break;
+            }
+        }
+    }
+
+    _botPickDice(indices) {
+        this._botTimer = setTimeout(() => {
+            if (!this._isBotTurn() || this.gameOver) return;
+            if (indices.length === 0) {
+                this._botAct(() => this._confirmSelection()); // schedules the next step
+                return;
+            }
+            this._botAct(() => this._setDieSelected(indices[0], true));
+            this._botPickDice(indices.slice(1));
+        }, BOT_PICK_DELAY);
+    }
+
+    /**
+     * Run a bot action; its effects are not undoable by the humans.
+     */
+    _botAct(action) {
+        this._botActing = true;
+        try {
+            action();
+        } finally {
+            this._botActing = false;
+        }
     }
 
     // ---- UI Updates ----
@@ -607,6 +782,7 @@ export class FarkleGame {
         this._updateTurnInfo();
         this._updateDiceVisuals();
         this._updateScoringHints();
+        this._updateOddsPanel();
         this._updateActionButtons();
     }
 
@@ -661,11 +837,12 @@ export class FarkleGame {
         if (this.turnState !== 'selecting') {
             this.ui.scoringHints.innerHTML = '';
 
-            // Show 350 warning if approaching 3rd roll
-            if (this.turnState === 'confirmed' && this.rollCount >= 2 && this.turnScore < MIN_SCORE_3RD_ROLL) {
+            // Show minimum score warning if approaching 3rd roll
+            const minScore = this.rules.minScoreThirdRoll;
+            if (this.turnState === 'confirmed' && this.rollCount >= 2 && this.turnScore < minScore) {
                 this.ui.scoringHints.innerHTML = `
                     <div class="farkle-warning-350">
-                        ⚠️ Attenzione: al 3° lancio servono almeno 350 punti nel turno!
+                        ⚠️ Attenzione: al 3° lancio servono almeno ${minScore} punti nel turno!
                         (Attuale: ${this.turnScore})
                     </div>
                 `;
@@ -681,12 +858,45 @@ export class FarkleGame {
             }
         }
 
-        const combos = getAvailableCombinations(availableDice);
+        const combos = getAvailableCombinations(availableDice, this.rules);
         const selScore = this._getSelectionScore();
 
         FarkleUI.renderScoringHints(this.ui.scoringHints, combos, selScore);
     }
 
+    /**
+     * Bank-or-roll assistant: shown to humans when they can bank or roll.
+     */
+    _updateOddsPanel() {
+        const show = this.settings.advisor && this.turnState === 'confirmed' && !this._isBotTurn();
+        if (!show) {
+            FarkleUI.renderOddsPanel(this.ui.oddsPanel, null);
+            return;
+        }
+
+        const context = this._strategyContext();
+        const diceLeft = 6 - this.setAsideDice.size;
+        FarkleUI.renderOddsPanel(this.ui.oddsPanel, {
+            diceLeft,
+            odds: rollOdds(diceLeft, context),
+            finalOdds: finalRoundOdds(diceLeft, context),
+            reachesTarget: !this.finalRound && context.totalScore + this.turnScore >= this.rules.targetScore,
+            leaderScore: context.leaderScore,
+            openingScore: this._canBank() ? 0 : this.rules.openingScore
+        });
+    }
+
+    _advisorLabel(enabled) {
+        return enabled ? '📈 Assistente: attivo' : '📈 Assistente: disattivo';
+    }
+
+    _toggleAdvisor() {
+        this.settings.advisor = !this.settings.advisor;
+        this.menu.setItemLabel('advisor', this._advisorLabel(this.settings.advisor));
+        this._updateOddsPanel();
+        this._autoSave();
+    }
+
     _updateSelectionScore() {
         // Real-time update of selection score in hints
         this._updateScoringHints();
@@ -698,7 +908,7 @@ export class FarkleGame {
         for (const idx of this.selectedDice) {
             selectedValues.push(this.diceEngine.values[idx]);
         }
-        return scoreSelection(selectedValues);
+        return scoreSelection(selectedValues, this.rules);
     }
 
     _updateActionButtons() {
@@ -711,7 +921,9 @@ export class FarkleGame {
 
             case 'rolling':
             case 'straightAttempt':
-                bar.innerHTML = `<button class="btn btn-action btn-roll" disabled>🎲 LANCIANDO...</button>`;
+                bar.innerHTML = this.diceEngine.manual
+                    ? `<button class="btn btn-action btn-roll" disabled>✍️ INSERISCI I DADI...</button>`
+                    : `<button class="btn btn-action btn-roll" disabled>🎲 LANCIANDO...</button>`;
                 break;
 
             case 'selecting': {
@@ -733,8 +945,11 @@ export class FarkleGame {
 
             case 'confirmed': {
                 const remaining = 6 - this.setAsideDice.size;
+                const bankLabel = this._canBank()
+                    ? `🏦 BANCA (${this.turnScore})`
+                    : `🔒 APERTURA ${this.rules.openingScore}`;
                 bar.innerHTML = `
-                    <button class="btn btn-bank" data-action="bank">🏦 BANCA (${this.turnScore})</button>
+                    <button class="btn btn-bank" data-action="bank" ${this._canBank() ? '' : 'disabled'}>${bankLabel}</button>
                     <button class="btn btn-roll" data-action="roll">🎲 RILANCIA (${remaining})</button>
                 `;
                 break;
@@ -749,6 +964,19 @@ export class FarkleGame {
         }
     }
 
+    /**
+     * Opening threshold: a player's first bank needs enough turn points.
+     */
+    _canBank() {
+        return canBank(this._strategyContext());
+    }
+
+    _confirmedHint() {
+        return this._canBank()
+            ? 'Banca o rilancia!'
+            : `Servono ${this.rules.openingScore} punti per aprire: rilancia!`;
+    }
+
     _setHint(text) {
         if (this.ui.diceHint) {
             this.ui.diceHint.textContent = text;
@@ -772,64 +1000,131 @@ export class FarkleGame {
 
     _handleMenuAction(id) {
         switch (id) {
-            case 'rules':
-                this.rulesModal.show();
+            case 'undoScope':
+                this._toggleUndoScope();
                 break;
-            case 'history':
-                this.historyModal.setContent(`
-                    <div class="winner-title" style="font-size: 1.5rem;">📊 Storico Partite</div>
-                    <div style="margin: 15px 0;">
-                        ${FarkleUI.renderMatchHistory('farkle')}
-                    </div>
-                    <button class="btn btn-primary" id="closeHistoryBtn">Chiudi</button>
-                `);
-                this.historyModal.show();
-                this.historyModal.contentEl.querySelector('#closeHistoryBtn')
-                    .addEventListener('click', () => this.historyModal.hide());
-                break;
-            case 'newGame':
-                if (confirm('Nuova partita con gli stessi giocatori?')) {
-                    gameHistory.removeActiveGame(this.gameId);
-                    this._restartGame();
-                }
-                break;
-            case 'home':
-                if (confirm('Tornare alla schermata iniziale? La partita verrà salvata.')) {
-                    this._autoSave();
-                    this.destroy();
-                    this.onExit();
-                }
+            case 'advisor':
+                this._toggleAdvisor();
                 break;
+            default:
+                super._handleMenuAction(id);
         }
     }
 
+    _historyHTML() {
+        return FarkleUI.renderMatchHistory(this.gameType);
+    }
+
+    // ---- Undo / Redo ----
+
+    /**
+     * Snapshot of the current state for the undo stacks.
+     * The log is not copied: only its length, so undo can rewind it.
+     */
+    _captureUndoEntry() {
+        const { log, undo, ...state } = this._serializeState();
+        return { state, turn: this.turnNumber, logLength: this.recorder.events.length };
+    }
+
+    /**
+     * Call after an undoable action completed: the state before it
+     * goes on the undo stack and the new state becomes the checkpoint.
+     * A null checkpoint (set after a straight attempt roll) pushes nothing.
+     * Bot moves are never undoable.
+     */
+    _commitUndoable() {
+        if (this.gameOver) return;
+        const checkpointPlayer = this._undoCheckpoint && this.players[this._undoCheckpoint.state.currentPlayerIndex];
+        if (this._botActing || checkpointPlayer?.bot) {
+            this._resetUndo();
+            this._autoSave();
+            return;
+        }
+        if (this._undoCheckpoint) this.undoHistory.push(this._undoCheckpoint);
+        this._undoCheckpoint = this._captureUndoEntry();
+        this._updateUndoControls();
+        this._autoSave();
+    }
+
+    _resetUndo() {
+        this.undoHistory.clear();
+        this._undoCheckpoint = this._captureUndoEntry();
+        this._updateUndoControls();
+    }
+
+    _canUseUndo() {
+        // Only from resting states (not mid-roll or during an overlay)
+        return !this.gameOver && !this.diceEngine.isRolling && !this._isBotTurn() &&
+            ['idle', 'selecting', 'confirmed'].includes(this.turnState);
+    }
+
+    _undo() {
+        if (!this._canUseUndo() || !this.undoHistory.canUndo(this.turnNumber)) return;
+        const current = this._undoCheckpoint;
+        const target = this.undoHistory.undo(current);
+        current.logTail = this.recorder.rewind(target.logLength);
+        this._applyUndoEntry(target);
+    }
+
+    _redo() {
+        if (!this._canUseUndo() || !this.undoHistory.canRedo()) return;
+        const target = this.undoHistory.redo(this._undoCheckpoint);
+        if (target.logTail) this.recorder.append(target.logTail);
+        this._applyUndoEntry(target);
+    }
+
+    _applyUndoEntry(entry) {
+        this._restoreState(entry.state);
+        this._undoCheckpoint = entry;
+        this._updateUndoControls();
+        this._autoSave();
+        this._maybeRunBot();
+    }
+
+    _updateUndoControls() {
+        this.ui.undoBtn.disabled = this._isBotTurn() || !this.undoHistory.canUndo(this.turnNumber);
+        this.ui.redoBtn.disabled = !this.undoHistory.canRedo();
+    }
+
+    _undoScopeLabel(scope) {
+        return scope === UNDO_SCOPES.TURN ? '↩️ Annulla: solo turno corrente' : '↩️ Annulla: tutta la partita';
+    }
+
+    _toggleUndoScope() {
+        const scope = this.undoHistory.scope === UNDO_SCOPES.TURN ? UNDO_SCOPES.ALL : UNDO_SCOPES.TURN;
+        this.undoHistory.setScope(scope);
+        this.menu.setItemLabel('undoScope', this._undoScopeLabel(scope));
+        this._updateUndoControls();
+        this._autoSave();
+    }
+
     // ---- Save/Restore ----
 
-    _autoSave() {
-        gameHistory.saveActiveGame({
-            gameId: this.gameId,
-            gameType: 'farkle',
+    _serializeState() {
+        return {
+            ...this._baseState(),
             players: this.players.map(p => ({
                 name: p.name,
                 color: p.color,
-                totalScore: p.totalScore
+                bot: p.bot,
+                totalScore: p.totalScore,
+                farkleStreak: p.farkleStreak
             })),
             currentPlayerIndex: this.currentPlayerIndex,
+            turnNumber: this.turnNumber,
             turnScore: this.turnScore,
             rollCount: this.rollCount,
             setAsideDice: [...this.setAsideDice],
             selectedDice: [...this.selectedDice],
             turnState: this.turnState,
+            straightAttemptData: this.straightAttemptData,
             finalRound: this.finalRound,
             finalRoundTriggerPlayer: this.finalRoundTriggerPlayer,
             playersHadFinalTurn: [...this.playersHadFinalTurn],
             dice: this.diceEngine.getState(),
-            gameStartTime: this.gameStartTime
-        });
-    }
-
-    _generateGameId() {
-        return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+            log: this.recorder.getLog(),
+            undo: this.undoHistory.getState()
+        };
     }
 
     _restoreState(state) {
@@ -838,9 +1133,12 @@ export class FarkleGame {
             id: i,
             name: p.name,
             color: p.color,
-            totalScore: p.totalScore || 0
+            bot: p.bot || null,
+            totalScore: p.totalScore || 0,
+            farkleStreak: p.farkleStreak
         }));
         this.currentPlayerIndex = state.currentPlayerIndex;
+        this.turnNumber = state.turnNumber;
         this.gameStartTime = state.gameStartTime || Date.now();
 
         // Restore turn state
@@ -849,6 +1147,7 @@ export class FarkleGame {
         this.setAsideDice = new Set(state.setAsideDice || []);
         this.selectedDice = new Set(state.selectedDice || []);
         this.turnState = state.turnState || 'idle';
+        this.straightAttemptData = state.straightAttemptData || null;
 
         // Restore final round
         this.finalRound = state.finalRound || false;
@@ -859,6 +1158,19 @@ export class FarkleGame {
         if (state.dice) {
             this.diceEngine.restoreState(state.dice);
         }
+
+        // Saved mid-roll (e.g. physical dice half entered): the roll is given back
+        if (this.turnState === 'rolling' || this.turnState === 'straightAttempt') {
+            this.diceEngine.restoreInterruptedRoll(state.dice);
+            this.rollCount--;
+            if (this.turnState === 'straightAttempt') {
+                // All six dice were free before the attempt: offer it again
+                this.setAsideDice = new Set();
+                this.turnState = 'selecting';
+            } else {
+                this.turnState = this.rollCount > 0 ? 'confirmed' : 'idle';
+            }
+        }
         // Block toggleHold
         this.diceEngine.rollsLeft = 0;
 
@@ -868,7 +1180,7 @@ export class FarkleGame {
         const hints = {
             idle: 'Tocca "Lancia Dadi" per iniziare',
             selecting: 'Seleziona i dadi che vuoi tenere',
-            confirmed: 'Banca o rilancia!',
+            confirmed: this._confirmedHint(),
             farkle: 'FARKLE!'
         };
         this._setHint(hints[this.turnState] || '');
@@ -882,12 +1194,9 @@ export class FarkleGame {
     // ---- Cleanup ----
 
     destroy() {
-        if (this.diceRenderer) this.diceRenderer.destroy();
-        if (this.menu) this.menu.destroy();
-        if (this.rulesModal) this.rulesModal.destroy();
-        if (this.historyModal) this.historyModal.destroy();
-        if (this.winnerModal) this.winnerModal.destroy();
-        this.container.innerHTML = '';
+        clearTimeout(this._botTimer);
+        clearTimeout(this._farkleTimer);
+        super.destroy();
     }
 }
 
@@ -0,0 +1,156 @@
+/* ========================================
+   FarkleManifest - Plugin Manifest
+   What the app needs before Farkle is picked:
+   home card, bot levels, house rules and
+   presets. The game itself is imported by load().
+   ======================================== */
+
+import { ADVISOR_OPTION } from '../GameOptions.js';
+
+/** Bots offered in setup (see FarkleStrategy). */
+export const BOT_LEVELS = [
+    { id: 'cautious', label: 'Prudente' },
+    { id: 'balanced', label: 'Equilibrato' },
+    { id: 'greedy', label: 'Audace' },
+    { id: 'optimal', label: 'Ottimale' }
+];
+
+/**
+ * Rules used when nothing else is chosen (the classic 10.000 game).
+ *   targetScore        - score that starts the final round
+ *   openingScore       - points needed in one turn to bank for the first time (0 = off)
+ *   minScoreThirdRoll  - from the 3rd roll a turn under this is a Farkle (0 = off)
+ *   kindScoring        - 4/5/6 of a kind: 'doubling' (×2, ×4, ×8 the triple) or 'fixed'
+ *   threePairsScore, twoTripletsScore, straightScore
+ *   straightAttempts   - allow rolling one die to complete a 5/6 straight
+ *   farklePenalty      - points lost on the 3rd Farkle in a row (0 = off)
+ */
+export const DEFAULT_RULES = {
+    targetScore: 10000,
+    openingScore: 0,
+    minScoreThirdRoll: 350,
+    kindScoring: 'doubling',
+    threePairsScore: 1500,
+    twoTripletsScore: 2500,
+    straightScore: 1000,
+    straightAttempts: true,
+    farklePenalty: 0
+};
+
+/**
+ * Choices offered in setup, in display order.
+ * @type {Array<{id: string, label: string, choices: Array<{value: *, label: string}>}>}
+ */
+export const RULE_OPTIONS = [
+    {
+        id: 'targetScore',
+        label: '🏁 Obiettivo',
+        choices: [5000, 10000, 15000, 20000].map(v => ({ value: v, label: v.toLocaleString('it-IT') }))
+    },
+    {
+        id: 'openingScore',
+        label: '🚪 Soglia di apertura',
+        choices: [
+            { value: 0, label: 'Nessuna' },
+            ...[300, 500, 750, 1000].map(v => ({ value: v, label: `${v} punti` }))
+        ]
+    },
+    {
+        id: 'minScoreThirdRoll',
+        label: '⚠️ Minimo dal 3° lancio',
+        choices: [
+            { value: 0, label: 'Nessuno' },
+            { value: 350, label: '350 punti' }
+        ]
+    },
+    {
+        id: 'kindScoring',
+        label: '🎲 Poker, cinque e sei uguali',
+        choices: [
+            { value: 'doubling', label: 'Raddoppio del tris (×2, ×4, ×8)' },
+            { value: 'fixed', label: 'Fissi (1000, 2000, 3000)' }
+        ]
+    },
+    {
+        id: 'threePairsScore',
+        label: '👯 Tre coppie',
+        choices: [500, 750, 1000, 1500].map(v => ({ value: v, label: `${v} punti` }))
+    },
+    {
+        id: 'twoTripletsScore',
+        label: '🎰 Due tris',
+        choices: [1500, 2500, 3000].map(v => ({ value: v, label: `${v} punti` }))
+    },
+    {
+        id: 'straightScore',
+        label: '📏 Scala 1-6',
+        choices: [1000, 1500, 2500].map(v => ({ value: v, label: `${v} punti` }))
+    },
+    {
+        id: 'straightAttempts',
+        label: '🎯 Tentativo di scala (5/6)',
+        choices: [
+            { value: true, label: 'Permesso' },
+            { value: false, label: 'Non permesso' }
+        ]
+    },
+    {
+        id: 'farklePenalty',
+        label: '💀 Penalità 3 Farkle di fila',
+        choices: [
+            { value: 0, label: 'Nessuna' },
+            { value: 500, label: '-500 punti' },
+            { value: 1000, label: '-1000 punti' }
+        ]
+    }
+];
+
+/**
+ * Ready-made rule sets offered in setup (each sets every rule).
+ * @type {Array<import('../GameOptions.js').GameOptionPreset>}
+ */
+export const RULE_PRESETS = [
+    {
+        id: 'classic',
+        label: 'Classico 10.000',
+        values: { rules: { ...DEFAULT_RULES } }
+    },
+    {
+        id: 'quick',
+        label: 'Partita veloce (5.000)',
+        values: { rules: { ...DEFAULT_RULES, targetScore: 5000, minScoreThirdRoll: 0 } }
+    },
+    {
+        id: 'tournament',
+        label: 'Torneo (apertura 500, penalità)',
+        values: {
+            rules: {
+                ...DEFAULT_RULES,
+                openingScore: 500,
+                kindScoring: 'fixed',
+                straightAttempts: false,
+                farklePenalty: 1000
+            }
+        }
+    }
+];
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'farkle',
+    version: '1.0.0',
+    requires: ['controller', 'bots', 'undo', 'replay'],
+    name: 'Farkle (10.000)',
+    icon: '🎯',
+    description: 'Raggiungi 10.000 punti per primo!',
+    minPlayers: 1,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    botLevels: BOT_LEVELS,
+    options: [ADVISOR_OPTION],
+    houseRules: { defaults: DEFAULT_RULES, options: RULE_OPTIONS },
+    presets: RULE_PRESETS,
+    load: () => import('./FarkleGame.js')
+};
+
+export default manifest;
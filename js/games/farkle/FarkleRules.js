@@ -0,0 +1,35 @@
+/* ========================================
+   FarkleRules - House Rules
+   Fixed scoring values and helpers to describe the
+   rules (defaults, setup choices and presets are in
+   FarkleManifest). No DOM dependencies.
+   ======================================== */
+
+import { DEFAULT_RULES } from './FarkleManifest.js';
+import { rulesResolver } from '../GameRules.js';
+
+export { DEFAULT_RULES };
+
+/** Fixed values for 4, 5 and 6 of a kind in 'fixed' kind scoring. */
+export const FIXED_KIND_SCORES = { 4: 1000, 5: 2000, 6: 3000 };
+
+/** Farkles in a row that trigger the penalty. */
+export const FARKLE_STREAK_LIMIT = 3;
+
+/** Rules with the defaults filled in (see rulesResolver). */
+export const resolveRules = rulesResolver(DEFAULT_RULES);
+
+/**
+ * Format a score for rules text, e.g. 10000 → "10.000".
+ */
+export function formatPoints(value) {
+    return value.toLocaleString('it-IT');
+}
+
+export default {
+    DEFAULT_RULES,
+    FIXED_KIND_SCORES,
+    FARKLE_STREAK_LIMIT,
+    resolveRules,
+    formatPoints
+};
@@ -1,18 +1,20 @@
 /* ========================================
    FarkleScoring - Pure Scoring Logic
    No DOM dependencies. All functions are pure.
+   Values that vary between house rules come from
+   a rules object (see FarkleRules.js).
    ======================================== */
 
+import { DEFAULT_RULES, FIXED_KIND_SCORES } from './FarkleRules.js';
+
 /**
- * Scoring constants for Farkle.
+ * Fixed scoring constants for Farkle.
  * Three-of-a-kind base values: 1s = 1000, others = value * 100.
- * Multiples scale: 4-of-a-kind = 2x, 5-of-a-kind = 4x, 6-of-a-kind = 8x.
+ * Larger multiples depend on rules.kindScoring (see kindScore).
  */
 const TRIPLE_BASE = { 1: 1000, 2: 200, 3: 300, 4: 400, 5: 500, 6: 600 };
 const SINGLE_SCORES = { 1: 100, 5: 50 };
-const STRAIGHT_SCORE = 1000;
-const THREE_PAIRS_SCORE = 1500;
-const TWO_TRIPLETS_SCORE = 2500;
+const KIND_NAMES = { 4: 'Quattro', 5: 'Cinque', 6: 'Sei' };
 
 // ---- Utility ----
 
@@ -29,6 +31,40 @@ function countFrequency(dice) {
     return freq;
 }
 
+/**
+ * Score of `count` (3-6) dice of the same value.
+ * Doubling: 4 = 2x, 5 = 4x, 6 = 8x the triple. Fixed: FIXED_KIND_SCORES.
+ * @param {number} value - Die value
+ * @param {number} count - How many of a kind (3-6)
+ * @param {Object} [rules]
+ * @returns {number}
+ */
+export function kindScore(value, count, rules = DEFAULT_RULES) {
+    if (count === 3) return TRIPLE_BASE[value];
+    if (rules.kindScoring === 'fixed') return FIXED_KIND_SCORES[count];
+    return TRIPLE_BASE[value] * Math.pow(2, count - 3);
+}
+
+/**
+ * Best way to score `count` (3+) dice of one value: as a single kind, or
+ * as a smaller kind plus loose 1s/5s (can be better with fixed values).
+ * @returns {{kind: number, score: number}} kind = dice used by the multiple
+ */
+function bestMultiple(value, count, rules) {
+    let best = { kind: count, score: kindScore(value, count, rules) };
+    if (SINGLE_SCORES[value]) {
+        for (let kind = 3; kind < count; kind++) {
+            const score = kindScore(value, kind, rules) + SINGLE_SCORES[value] * (count - kind);
+            if (score > best.score) best = { kind, score };
+        }
+    }
+    return best;
+}
+
+function kindName(value, kind) {
+    return kind === 3 ? `Tris di ${value}` : `${KIND_NAMES[kind]} ${value}`;
+}
+
 // ---- Scoring ----
 
 /**
@@ -37,9 +73,10 @@ function countFrequency(dice) {
  * contribute to any valid combination.
  *
  * @param {number[]} selectedDice - Die values selected by player
+ * @param {Object} [rules] - House rules (defaults to the classic game)
  * @returns {number|null} Total score, or null if invalid
  */
-export function scoreSelection(selectedDice) {
+export function scoreSelection(selectedDice, rules = DEFAULT_RULES) {
     if (!selectedDice || selectedDice.length === 0) return null;
 
     const freq = countFrequency(selectedDice);
@@ -50,37 +87,28 @@ export function scoreSelection(selectedDice) {
     if (selectedDice.length === 6) {
         // Straight: exactly one of each 1-6
         if ([1, 2, 3, 4, 5, 6].every(v => remaining[v] === 1)) {
-            return STRAIGHT_SCORE;
+            return rules.straightScore;
         }
 
         // Three pairs: exactly 3 different values each appearing twice
         const pairs = Object.values(remaining).filter(c => c === 2);
         if (pairs.length === 3) {
-            return THREE_PAIRS_SCORE;
+            return rules.threePairsScore;
         }
 
         // Two triplets: exactly 2 different values each appearing three times
         const triplets = Object.values(remaining).filter(c => c === 3);
         if (triplets.length === 2) {
-            return TWO_TRIPLETS_SCORE;
+            return rules.twoTripletsScore;
         }
     }
 
     // --- Extract multiples (6, 5, 4, 3 of a kind) ---
     for (let val = 1; val <= 6; val++) {
         const count = remaining[val] || 0;
-        if (count >= 6) {
-            score += TRIPLE_BASE[val] * 8;
-            remaining[val] -= 6;
-        } else if (count >= 5) {
-            score += TRIPLE_BASE[val] * 4;
-            remaining[val] -= 5;
-        } else if (count >= 4) {
-            score += TRIPLE_BASE[val] * 2;
-            remaining[val] -= 4;
-        } else if (count >= 3) {
-            score += TRIPLE_BASE[val];
-            remaining[val] -= 3;
+        if (count >= 3) {
+            score += bestMultiple(val, count, rules).score; // includes loose 1s/5s
+            remaining[val] = 0;
         }
     }
 
@@ -185,9 +213,10 @@ export function findScorableDiceIndices(dice, indices) {
 /**
  * Describe the scoring breakdown of a valid selection for display.
  * @param {number[]} selectedDice - Die values
+ * @param {Object} [rules]
  * @returns {Array<{name: string, score: number}>} Breakdown, or empty if invalid
  */
-export function describeSelection(selectedDice) {
+export function describeSelection(selectedDice, rules = DEFAULT_RULES) {
     if (!selectedDice || selectedDice.length === 0) return [];
 
     const freq = countFrequency(selectedDice);
@@ -197,34 +226,26 @@ export function describeSelection(selectedDice) {
     // Special 6-dice combos
     if (selectedDice.length === 6) {
         if ([1, 2, 3, 4, 5, 6].every(v => remaining[v] === 1)) {
-            return [{ name: 'Scala 1-2-3-4-5-6', score: STRAIGHT_SCORE }];
+            return [{ name: 'Scala 1-2-3-4-5-6', score: rules.straightScore }];
         }
         const pairs = Object.values(remaining).filter(c => c === 2);
         if (pairs.length === 3) {
-            return [{ name: 'Tre coppie', score: THREE_PAIRS_SCORE }];
+            return [{ name: 'Tre coppie', score: rules.threePairsScore }];
         }
         const triplets = Object.values(remaining).filter(c => c === 3);
         if (triplets.length === 2) {
             const vals = Object.keys(remaining).filter(v => remaining[v] === 3);
-            return [{ name: `Due tris (${vals.join(' e ')})`, score: TWO_TRIPLETS_SCORE }];
+            return [{ name: `Due tris (${vals.join(' e ')})`, score: rules.twoTripletsScore }];
         }
     }
 
-    // Multiples
+    // Multiples (leftover 1s/5s fall through to singles)
     for (let val = 1; val <= 6; val++) {
         const count = remaining[val] || 0;
-        if (count >= 6) {
-            breakdown.push({ name: `Sei ${val}`, score: TRIPLE_BASE[val] * 8 });
-            remaining[val] -= 6;
-        } else if (count >= 5) {
-            breakdown.push({ name: `Cinque ${val}`, score: TRIPLE_BASE[val] * 4 });
-            remaining[val] -= 5;
-        } else if (count >= 4) {
-            breakdown.push({ name: `Quattro ${val}`, score: TRIPLE_BASE[val] * 2 });
-            remaining[val] -= 4;
-        } else if (count >= 3) {
-            breakdown.push({ name: `Tris di ${val}`, score: TRIPLE_BASE[val] });
-            remaining[val] -= 3;
+        if (count >= 3) {
+            const { kind } = bestMultiple(val, count, rules);
+            breakdown.push({ name: kindName(val, kind), score: kindScore(val, kind, rules) });
+            remaining[val] -= kind;
         }
     }
 
@@ -281,9 +302,10 @@ export function detectStraightAttempt(dice) {
 /**
  * Get all available scoring combinations for display hints.
  * @param {number[]} dice - Available dice values
+ * @param {Object} [rules]
  * @returns {Array<{name: string, score: number, diceCount: number}>}
  */
-export function getAvailableCombinations(dice) {
+export function getAvailableCombinations(dice, rules = DEFAULT_RULES) {
     if (!dice || dice.length === 0) return [];
 
     const freq = countFrequency(dice);
@@ -292,32 +314,23 @@ export function getAvailableCombinations(dice) {
     // Special 6-dice combos
     if (dice.length === 6) {
         if ([1, 2, 3, 4, 5, 6].every(v => freq[v] === 1)) {
-            combos.push({ name: 'Scala 1-2-3-4-5-6', score: STRAIGHT_SCORE, diceCount: 6 });
+            combos.push({ name: 'Scala 1-2-3-4-5-6', score: rules.straightScore, diceCount: 6 });
         }
         const pairs = Object.values(freq).filter(c => c === 2);
         if (pairs.length === 3) {
-            combos.push({ name: 'Tre coppie', score: THREE_PAIRS_SCORE, diceCount: 6 });
+            combos.push({ name: 'Tre coppie', score: rules.threePairsScore, diceCount: 6 });
         }
         const triplets = Object.values(freq).filter(c => c === 3);
         if (triplets.length === 2) {
-            combos.push({ name: 'Due tris', score: TWO_TRIPLETS_SCORE, diceCount: 6 });
+            combos.push({ name: 'Due tris', score: rules.twoTripletsScore, diceCount: 6 });
         }
     }
 
-    // Multiples
+    // Multiples (largest first)
     for (let val = 1; val <= 6; val++) {
         const count = freq[val] || 0;
-        if (count >= 6) {
-            combos.push({ name: `Sei ${val}`, score: TRIPLE_BASE[val] * 8, diceCount: 6 });
-        }
-        if (count >= 5) {
-            combos.push({ name: `Cinque ${val}`, score: TRIPLE_BASE[val] * 4, diceCount: 5 });
-        }
-        if (count >= 4) {
-            combos.push({ name: `Quattro ${val}`, score: TRIPLE_BASE[val] * 2, diceCount: 4 });
-        }
-        if (count >= 3) {
-            combos.push({ name: `Tris di ${val}`, score: TRIPLE_BASE[val], diceCount: 3 });
+        for (let kind = count; kind >= 3; kind--) {
+            combos.push({ name: kindName(val, kind), score: kindScore(val, kind, rules), diceCount: kind });
         }
     }
 
@@ -329,6 +342,7 @@ export function getAvailableCombinations(dice) {
 }
 
 export default {
+    kindScore,
     scoreSelection,
     isFarkle,
     findScorableDiceIndices,
@@ -0,0 +1,404 @@
+/* ========================================
+   FarkleStrategy - Pure Decision Logic
+   Which dice to keep, straight attempts and when to bank.
+   No DOM dependencies. Used by the Farkle bots and
+   by the bank-or-roll assistant.
+   ======================================== */
+
+import {
+    scoreSelection, isFarkle, findScorableDiceIndices,
+    detectStraightAttempt, getAvailableCombinations
+} from './FarkleScoring.js';
+import { DEFAULT_RULES } from './FarkleRules.js';
+
+/**
+ * Risk profiles for the rule-based bots.
+ *   bankAt       - bank once the turn score reaches this, by dice left to roll (1-6)
+ *   diePenalty   - points a die kept back for the next roll is worth
+ *   straightBelow - attempt a 5/6 straight only while the turn score is below this
+ *   riskMinScore - keep rolling on the 3rd roll even under the minimum score
+ */
+const PROFILES = {
+    cautious: {
+        bankAt: { 1: 0, 2: 200, 3: 300, 4: 350, 5: 500, 6: 1500 },
+        diePenalty: 30,
+        straightBelow: 0,
+        riskMinScore: false
+    },
+    balanced: {
+        bankAt: { 1: 300, 2: 300, 3: 400, 4: 700, 5: 2000, 6: 3000 },
+        diePenalty: 50,
+        straightBelow: 300,
+        riskMinScore: false
+    },
+    greedy: {
+        bankAt: { 1: 1000, 2: 1000, 3: 1500, 4: 2500, 5: 4000, 6: Infinity },
+        diePenalty: 75,
+        straightBelow: 1000,
+        riskMinScore: true
+    }
+};
+
+// ---- Dice Combinatorics ----
+
+const _outcomeCache = new Map();
+
+/**
+ * All distinct results of rolling k dice, as sorted arrays with probabilities.
+ * @param {number} k - Number of dice rolled
+ * @returns {Array<{dice: number[], prob: number}>}
+ */
+function rollOutcomes(k) {
+    if (_outcomeCache.has(k)) return _outcomeCache.get(k);
+
+    const counts = new Map();
+    const walk = (prefix) => {
+        if (prefix.length === k) {
+            const id = [...prefix].sort((a, b) => a - b).join(',');
+            counts.set(id, (counts.get(id) || 0) + 1);
+            return;
+        }
+        for (let v = 1; v <= 6; v++) walk([...prefix, v]);
+    };
+    walk([]);
+
+    const total = Math.pow(6, k);
+    const outcomes = [...counts.entries()].map(([id, n]) => ({
+        dice: id.split(',').map(Number),
+        prob: n / total
+    }));
+    _outcomeCache.set(k, outcomes);
+    return outcomes;
+}
+
+/**
+ * Every valid way to keep scoring dice from a roll, reduced to the
+ * best score for each number of dice kept.
+ * @param {number[]} dice - Available dice values
+ * @param {number[]} indices - Original indices of these dice (0-5)
+ * @param {Object} [rules] - House rules
+ * @returns {Array<{indices: number[], score: number}>} Sorted by dice kept
+ */
+export function scoringOptions(dice, indices, rules = DEFAULT_RULES) {
+    const scorable = [...findScorableDiceIndices(dice, indices)];
+    const valueOf = (idx) => dice[indices.indexOf(idx)];
+    const best = new Map();
+
+    for (let mask = 1; mask < (1 << scorable.length); mask++) {
+        const picked = scorable.filter((_, i) => mask & (1 << i));
+        const score = scoreSelection(picked.map(valueOf), rules);
+        if (score === null) continue;
+        const current = best.get(picked.length);
+        if (!current || score > current.score) {
+            best.set(picked.length, { indices: picked, score });
+        }
+    }
+
+    return [...best.values()].sort((a, b) => a.indices.length - b.indices.length);
+}
+
+// ---- Optimal Turn Policy ----
+
+/**
+ * Exact turn solver. Values a turn state by playing on optimally:
+ * the bank reward is reward(turnScore), rolling averages over every
+ * outcome of the remaining dice (Farkle, 3rd roll minimum, hot dice, straights).
+ * Turn scores of `cap` or more are always banked; under `minBank`
+ * (opening threshold) banking is not allowed.
+ */
+class TurnSolver {
+    constructor({ cap, reward, rules, minBank = 0 }) {
+        this.cap = cap;
+        this.reward = reward;
+        this.rules = rules;
+        this.minBank = minBank;
+        this._memo = new Map();
+        this._options = new Map();
+    }
+
+    /**
+     * Value of standing at a state where the player may bank or roll.
+     * @param {number} score - Turn score so far
+     * @param {number} diceLeft - Dice that would be rolled (1-6)
+     * @param {number} rolls - Rolls already made this turn
+     */
+    value(score, diceLeft, rolls) {
+        const bank = score > 0 && score >= this.minBank ? this.reward(score) : 0;
+        if (score >= this.cap && score >= this.minBank) return bank;
+        return Math.max(bank, this.rollValue(score, diceLeft, rolls));
+    }
+
+    rollValue(score, diceLeft, rolls) {
+        // The roll count only matters until the 3rd roll minimum is met
+        const r = score >= this.rules.minScoreThirdRoll ? 3 : Math.min(rolls, 3);
+        const key = `${score}|${diceLeft}|${r}`;
+        if (this._memo.has(key)) return this._memo.get(key);
+
+        let ev = 0;
+        for (const { dice, prob } of rollOutcomes(diceLeft)) {
+            let best = 0;
+            for (const { kept, score: gained } of this._outcomeOptions(dice)) {
+                best = Math.max(best, this.afterKeep(score + gained, diceLeft - kept, r + 1));
+            }
+            if (diceLeft === 6 && this.rules.straightAttempts && detectStraightAttempt(dice).possible) {
+                best = Math.max(best, this.straightValue(score, r + 1));
+            }
+            ev += prob * best;
+        }
+
+        this._memo.set(key, ev);
+        return ev;
+    }
+
+    /**
+     * Value after keeping dice from a roll (rolls already counts that roll).
+     */
+    afterKeep(score, diceLeft, rolls) {
+        if (diceLeft === 0) return this.value(score, 6, rolls); // hot dice
+        if (rolls >= 3 && score < this.rules.minScoreThirdRoll) return 0; // forced Farkle
+        return this.value(score, diceLeft, rolls);
+    }
+
+    straightValue(score, rolls) {
+        return this.value(score + this.rules.straightScore, 6, rolls + 1) / 6;
+    }
+
+    _outcomeOptions(dice) {
+        const key = dice.join(',');
+        if (!this._options.has(key)) {
+            const options = isFarkle(dice) ? [] : scoringOptions(dice, dice.map((_, i) => i), this.rules)
+                .map(o => ({ kept: o.indices.length, score: o.score }));
+            this._options.set(key, options);
+        }
+        return this._options.get(key);
+    }
+}
+
+let _solverCache = { key: null, solver: null };
+
+/**
+ * Solver for the current game situation.
+ * Normally maximises expected turn points (computed once per set of rules);
+ * in the final round it maximises the chance of passing the leader.
+ */
+function solverFor(context) {
+    const { totalScore, leaderScore, finalRound, rules } = context;
+    const chasing = finalRound && totalScore <= leaderScore;
+    const need = chasing ? leaderScore - totalScore + 50 : rules.targetScore;
+    const minBank = totalScore === 0 ? rules.openingScore : 0;
+
+    const key = `${chasing}|${need}|${minBank}|${JSON.stringify(rules)}`;
+    if (_solverCache.key !== key) {
+        _solverCache = {
+            key,
+            solver: new TurnSolver({
+                cap: need,
+                reward: chasing ? (s => (s >= need ? 1 : 0)) : (s => s),
+                rules,
+                minBank
+            })
+        };
+    }
+    return _solverCache.solver;
+}
+
+// ---- Bot Decisions ----
+
+/**
+ * Shared decision context built by the game.
+ * @typedef {Object} FarkleContext
+ * @property {number} turnScore - Points collected this turn
+ * @property {number} rollCount - Rolls made this turn (including the current one)
+ * @property {number} totalScore - Bot's banked score
+ * @property {number} leaderScore - Best banked score among the other players
+ * @property {boolean} finalRound
+ * @property {Object} rules - House rules (see FarkleRules.js)
+ */
+
+/**
+ * Whether the turn score is enough to bank (opening threshold).
+ * @param {FarkleContext} context
+ * @returns {boolean}
+ */
+export function canBank(context) {
+    return context.totalScore > 0 || context.turnScore >= context.rules.openingScore;
+}
+
+/**
+ * In the final round a bot behind the leader can only win by rolling on.
+ */
+function mustChase(context, turnScore) {
+    return context.finalRound && context.totalScore + turnScore <= context.leaderScore;
+}
+
+/**
+ * Decide which dice to keep from the current roll.
+ * @param {number[]} dice - Available dice values
+ * @param {number[]} indices - Their original indices
+ * @param {FarkleContext} context
+ * @param {string} level - 'cautious' | 'balanced' | 'greedy' | 'optimal'
+ * @returns {number[]} Indices to set aside
+ */
+export function chooseKeep(dice, indices, context, level) {
+    const { turnScore, rollCount, rules } = context;
+    const options = scoringOptions(dice, indices, rules);
+    const diceLeft = (o) => dice.length - o.indices.length;
+
+    if (level === 'optimal') {
+        const solver = solverFor(context);
+        let best = null;
+        for (const o of options) {
+            const value = solver.afterKeep(turnScore + o.score, diceLeft(o), rollCount);
+            if (!best || value > best.value) best = { value, option: o };
+        }
+        return best.option.indices;
+    }
+
+    const profile = PROFILES[level] || PROFILES.balanced;
+
+    // Hot dice always beats keeping dice back
+    const hot = options.find(o => diceLeft(o) === 0);
+    if (hot) return hot.indices;
+
+    // Avoid picks that fall under the 3rd roll minimum when another one doesn't
+    const safe = options.filter(o => rollCount < 3 || turnScore + o.score >= rules.minScoreThirdRoll);
+    const pool = safe.length > 0 ? safe : options;
+
+    // If the bot will bank right after, take every point on the table
+    const max = pool.reduce((a, b) => (b.score > a.score ? b : a));
+    if (shouldBank({ ...context, turnScore: turnScore + max.score }, diceLeft(max), level)) {
+        return max.indices;
+    }
+
+    // Otherwise trade points for dice to roll again
+    return pool.reduce((a, b) =>
+        (b.score - b.indices.length * profile.diePenalty > a.score - a.indices.length * profile.diePenalty ? b : a)
+    ).indices;
+}
+
+/**
+ * Decide whether to try a 5/6 straight instead of keeping dice.
+ * @param {number[]} dice - All 6 dice values
+ * @param {FarkleContext} context
+ * @param {string} level
+ * @returns {boolean}
+ */
+export function shouldAttemptStraight(dice, context, level) {
+    const { rules } = context;
+    if (!rules.straightAttempts || !detectStraightAttempt(dice).possible) return false;
+
+    if (level === 'optimal') {
+        const solver = solverFor(context);
+        const keepBest = Math.max(...scoringOptions(dice, dice.map((_, i) => i), rules)
+            .map(o => solver.afterKeep(context.turnScore + o.score, 6 - o.indices.length, context.rollCount)));
+        return solver.straightValue(context.turnScore, context.rollCount) > keepBest;
+    }
+
+    const profile = PROFILES[level] || PROFILES.balanced;
+    // Nothing better than singles on the table: the gamble is cheap
+    const onlySingles = getAvailableCombinations(dice, rules).every(c => c.diceCount === 1);
+    return onlySingles && context.turnScore < profile.straightBelow;
+}
+
+/**
+ * Decide between banking and rolling the remaining dice.
+ * @param {FarkleContext} context - turnScore already includes the confirmed dice
+ * @param {number} diceLeft - Dice that would be rolled (6 after hot dice)
+ * @param {string} level
+ * @returns {boolean} true to bank
+ */
+export function shouldBank(context, diceLeft, level) {
+    const { turnScore, rollCount, totalScore, rules } = context;
+    if (turnScore <= 0 || !canBank(context)) return false;
+    if (mustChase(context, turnScore)) return false;
+    if (context.finalRound) return true; // ahead of the leader: take the win
+    if (totalScore + turnScore >= rules.targetScore) return true;
+
+    if (level === 'optimal') {
+        const solver = solverFor(context);
+        return solver.reward(turnScore) >= solver.rollValue(turnScore, diceLeft, rollCount);
+    }
+
+    const profile = PROFILES[level] || PROFILES.balanced;
+    // A 3rd roll under the minimum must reach it in one go
+    if (rollCount >= 2 && turnScore < rules.minScoreThirdRoll && !profile.riskMinScore) return true;
+    return turnScore >= profile.bankAt[diceLeft];
+}
+
+// ---- Assistant ----
+
+/**
+ * Exact odds of rolling the remaining dice once more, over every outcome.
+ * A roll "busts" on a Farkle, or on the 3rd+ roll when no keep reaches
+ * the minimum score (hot dice are exempt, as in the game).
+ * @param {number} diceLeft - Dice that would be rolled (1-6)
+ * @param {FarkleContext} context
+ * @returns {{
+ *   farkleProb: number, minScoreProb: number, bustProb: number,
+ *   hotDiceProb: number, avgPoints: number, expectedChange: number
+ * }} avgPoints is the best keep on average when the roll scores;
+ *    expectedChange is the average turn score change if banking right after
+ */
+export function rollOdds(diceLeft, context) {
+    const { turnScore, rollCount, rules } = context;
+    const minRule = rollCount >= 2 && turnScore < rules.minScoreThirdRoll;
+    let farkle = 0;
+    let minScore = 0;
+    let hotDice = 0;
+    let points = 0;
+
+    for (const { dice, prob } of rollOutcomes(diceLeft)) {
+        if (isFarkle(dice)) {
+            farkle += prob;
+            continue;
+        }
+        const valid = scoringOptions(dice, dice.map((_, i) => i), rules).filter(o =>
+            !minRule || o.indices.length === diceLeft || turnScore + o.score >= rules.minScoreThirdRoll
+        );
+        if (valid.length === 0) {
+            minScore += prob;
+            continue;
+        }
+        if (valid.some(o => o.indices.length === diceLeft)) hotDice += prob;
+        points += prob * Math.max(...valid.map(o => o.score));
+    }
+
+    const bust = farkle + minScore;
+    return {
+        farkleProb: farkle,
+        minScoreProb: minScore,
+        bustProb: bust,
+        hotDiceProb: hotDice,
+        avgPoints: bust < 1 ? points / (1 - bust) : 0,
+        expectedChange: points - bust * turnScore
+    };
+}
+
+/**
+ * Final round view: can banking now beat the leader, and if not,
+ * the chance of passing them by rolling on with the best play.
+ * @param {number} diceLeft
+ * @param {FarkleContext} context
+ * @returns {{need: number, bankWins: boolean, rollChance: number|null}|null} null outside the final round;
+ *    rollChance is null when banking already wins
+ */
+export function finalRoundOdds(diceLeft, context) {
+    if (!context.finalRound) return null;
+
+    const { turnScore, rollCount, totalScore, leaderScore } = context;
+    const need = Math.max(0, leaderScore - totalScore + 50);
+    const bankWins = totalScore + turnScore > leaderScore;
+    const rollChance = bankWins ? null : solverFor(context).rollValue(turnScore, diceLeft, rollCount);
+
+    return { need, bankWins, rollChance };
+}
+
+export default {
+    scoringOptions,
+    chooseKeep,
+    shouldAttemptStraight,
+    shouldBank,
+    canBank,
+    rollOdds,
+    finalRoundOdds
+};
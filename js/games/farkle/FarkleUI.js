@@ -13,7 +13,7 @@ export class FarkleUI {
     static renderPlayersBar(container, players, currentPlayerIndex, finalRound) {
         container.innerHTML = players.map((p, i) => `
             <div class="player-chip ${i === currentPlayerIndex ? 'active' : ''}" style="border-left-color: ${p.color}">
-                ${p.name}
+                ${p.bot ? '🤖 ' : ''}${p.name}
                 <span class="score">${p.totalScore}</span>
                 ${finalRound && i === currentPlayerIndex ? '<span class="farkle-final-badge">ULTIMO</span>' : ''}
             </div>
@@ -36,7 +36,7 @@ export class FarkleUI {
         container.innerHTML = `
             <div class="farkle-turn-header">
                 <div class="farkle-current-player" style="background: ${currentPlayer.color}">
-                    ${currentPlayer.name}
+                    ${currentPlayer.bot ? '🤖 ' : ''}${currentPlayer.name}
                 </div>
                 <div class="farkle-roll-count">
                     Lancio #${rollCount}
@@ -74,6 +74,50 @@ export class FarkleUI {
         container.innerHTML = html;
     }
 
+    /**
+     * Render the bank-or-roll assistant panel.
+     * @param {HTMLElement} container
+     * @param {Object|null} data - { diceLeft, odds, finalOdds, reachesTarget, leaderScore, openingScore }; null hides the panel
+     */
+    static renderOddsPanel(container, data) {
+        if (!data) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        const { diceLeft, odds, finalOdds, reachesTarget, leaderScore, openingScore } = data;
+        const pct = (p) => `${(p * 100).toFixed(1)}%`;
+        const change = Math.round(odds.expectedChange);
+
+        let verdict;
+        if (openingScore) {
+            verdict = `🔒 Non puoi ancora bancare: servono ${openingScore} punti nel turno per aprire`;
+        } else if (finalOdds && !finalOdds.bankWins) {
+            verdict = `🏁 Servono ${finalOdds.need} punti nel turno per superare il leader (${leaderScore}): bancare non basta.
+                Probabilità di riuscirci rilanciando: <strong>${pct(finalOdds.rollChance)}</strong>`;
+        } else if (finalOdds) {
+            verdict = `🏁 Bancando superi il leader (${leaderScore})`;
+        } else {
+            verdict = change > 0
+                ? `In media rilanciare conviene (<strong>+${change}</strong>)`
+                : `In media conviene bancare (rilanciando <strong>${change}</strong>)`;
+            if (reachesTarget) verdict += `<br>Bancando raggiungi l'obiettivo: gli altri avranno un ultimo turno`;
+        }
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <div class="farkle-odds-title">📈 Rilanciando ${diceLeft} ${diceLeft === 1 ? 'dado' : 'dadi'}</div>
+            <div class="farkle-odds-grid">
+                <div class="farkle-odds-item"><span>Farkle</span><strong class="danger">${pct(odds.farkleProb)}</strong></div>
+                ${odds.minScoreProb > 0 ? `<div class="farkle-odds-item"><span>Sotto 350</span><strong class="danger">${pct(odds.minScoreProb)}</strong></div>` : ''}
+                <div class="farkle-odds-item"><span>Hot Dice</span><strong>${pct(odds.hotDiceProb)}</strong></div>
+                <div class="farkle-odds-item"><span>Punti se va bene</span><strong>+${Math.round(odds.avgPoints)}</strong></div>
+            </div>
+            <div class="farkle-odds-verdict">${verdict}</div>
+        `;
+    }
+
     /**
      * Render match history filtered by game type.
      */
@@ -0,0 +1,27 @@
+/* ========================================
+   GeneralaCategories
+   Category definitions for Generala
+   (calc receives { served, column }: first-roll
+   flag and the scorecard column being filled)
+   ======================================== */
+
+import {
+    countDice, escalera, full, poker,
+    generala, dobleGenerala
+} from './GeneralaScoring.js';
+
+export const categories = [
+    { id: 'ones',          name: 'Uno (1)',          type: 'upper', calc: (d) => countDice(d, 1) },
+    { id: 'twos',          name: 'Due (2)',          type: 'upper', calc: (d) => countDice(d, 2) },
+    { id: 'threes',        name: 'Tre (3)',          type: 'upper', calc: (d) => countDice(d, 3) },
+    { id: 'fours',         name: 'Quattro (4)',      type: 'upper', calc: (d) => countDice(d, 4) },
+    { id: 'fives',         name: 'Cinque (5)',       type: 'upper', calc: (d) => countDice(d, 5) },
+    { id: 'sixes',         name: 'Sei (6)',          type: 'upper', calc: (d) => countDice(d, 6) },
+    { id: 'escalera',      name: 'Escalera',         type: 'lower', calc: (d, ctx) => escalera(d, ctx?.served) },
+    { id: 'full',          name: 'Full',             type: 'lower', calc: (d, ctx) => full(d, ctx?.served) },
+    { id: 'poker',         name: 'Poker',            type: 'lower', calc: (d, ctx) => poker(d, ctx?.served) },
+    { id: 'generala',      name: 'Generala',         type: 'lower', calc: (d) => generala(d) },
+    { id: 'dobleGenerala', name: 'Doble Generala',   type: 'lower', calc: (d, ctx) => dobleGenerala(d, ctx?.column?.scores.generala) }
+];
+
+export default categories;
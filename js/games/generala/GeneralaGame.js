@@ -0,0 +1,19 @@
+/* ========================================
+   GeneralaGame - Generala Controller
+   YahtzeeGame playing the GENERALA variant:
+   the module the Generala plugin loads.
+   ======================================== */
+
+import { YahtzeeGame } from '../yahtzee/YahtzeeGame.js';
+import { GENERALA } from '../yahtzee/YahtzeeVariants.js';
+
+export class GeneralaGame extends YahtzeeGame {
+    /**
+     * @param {Object} options - Same as YahtzeeGame, the variant is fixed
+     */
+    constructor(options) {
+        super({ ...options, variant: GENERALA });
+    }
+}
+
+export default GeneralaGame;
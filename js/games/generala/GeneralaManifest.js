@@ -0,0 +1,21 @@
+/* ========================================
+   GeneralaManifest - Plugin Manifest
+   Home card of Generala (fixed rules, no bots).
+   The game itself is imported by load().
+   ======================================== */
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'generala',
+    version: '1.0.0',
+    requires: ['controller', 'undo', 'replay'],
+    name: 'Generala',
+    icon: '🧉',
+    description: 'La classica argentina: servito e Generala!',
+    minPlayers: 1,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    load: () => import('./GeneralaGame.js')
+};
+
+export default manifest;
@@ -0,0 +1,97 @@
+/* ========================================
+   GeneralaScoring
+   Pure scoring functions for Generala
+   ("servido" = made on the first roll of the turn)
+   ======================================== */
+
+export const SERVED_BONUS = 5;
+
+export const GAME_SCORES = {
+    escalera: 20,
+    full: 30,
+    poker: 40,
+    generala: 50,
+    dobleGenerala: 100
+};
+
+/** Straights: 1-5, 2-6 and 3-4-5-6-1 (the ace counts high too). */
+const ESCALERAS = ['12345', '23456', '13456'];
+
+function valueCounts(d) {
+    const counts = {};
+    d.forEach(v => counts[v] = (counts[v] || 0) + 1);
+    return Object.values(counts);
+}
+
+function withServed(points, served) {
+    return served ? points + SERVED_BONUS : points;
+}
+
+export function countDice(d, val) {
+    return d.filter(v => v === val).reduce((a, b) => a + b, 0);
+}
+
+export function isEscalera(d) {
+    return ESCALERAS.includes([...d].sort((a, b) => a - b).join(''));
+}
+
+export function isFull(d) {
+    const counts = valueCounts(d);
+    return counts.includes(3) && counts.includes(2);
+}
+
+export function isPoker(d) {
+    return valueCounts(d).some(c => c >= 4);
+}
+
+export function isGenerala(d) {
+    return d.length > 0 && d.every(v => v === d[0]);
+}
+
+export function escalera(d, served = false) {
+    return isEscalera(d) ? withServed(GAME_SCORES.escalera, served) : 0;
+}
+
+export function full(d, served = false) {
+    return isFull(d) ? withServed(GAME_SCORES.full, served) : 0;
+}
+
+export function poker(d, served = false) {
+    return isPoker(d) ? withServed(GAME_SCORES.poker, served) : 0;
+}
+
+export function generala(d) {
+    return isGenerala(d) ? GAME_SCORES.generala : 0;
+}
+
+/**
+ * Second Generala: only counts once the Generala box holds 50.
+ * @param {number[]} d
+ * @param {number|undefined} generalaScore - Score already in the Generala box
+ */
+export function dobleGenerala(d, generalaScore) {
+    return isGenerala(d) && generalaScore === GAME_SCORES.generala ? GAME_SCORES.dobleGenerala : 0;
+}
+
+/**
+ * A Generala on the first roll wins the game on the spot.
+ */
+export function isServedGenerala(d, served) {
+    return served && isGenerala(d);
+}
+
+export default {
+    SERVED_BONUS,
+    GAME_SCORES,
+    countDice,
+    isEscalera,
+    isFull,
+    isPoker,
+    isGenerala,
+    escalera,
+    full,
+    poker,
+    generala,
+    dobleGenerala,
+    isServedGenerala
+};
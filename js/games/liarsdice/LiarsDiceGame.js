@@ -0,0 +1,498 @@
+/* ========================================
+   LiarsDiceGame - Game Controller
+   Liar's Dice (Perudo) on one device: every cup stays
+   covered and is shown only to its owner, behind a
+   "pass the device" privacy screen. Raise the bid or
+   call "Dubito!": the loser of a challenge loses a die,
+   the last player with dice wins.
+   ======================================== */
+
+import { DiceEngine } from '../../components/dice/DiceEngine.js';
+import { DiceGroupRenderer } from '../../components/dice/DiceGroupRenderer.js';
+import { SeededRandom } from '../../components/dice/RandomSource.js';
+import { resolveRules, minimumQuantity, isValidBid, resolveChallenge } from './LiarsDiceRules.js';
+import { LiarsDiceUI } from './LiarsDiceUI.js';
+import { GameController } from '../GameController.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+
+export class LiarsDiceGame extends GameController {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Array} options.players - Player objects [{name, color}]
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { rules: { startDice: 5, wildOnes: true } }
+     */
+    constructor({ container, players, onExit, savedState = null, random = new SeededRandom(), settings = {} }) {
+        super({ container, onExit, gameType: 'liarsdice', savedState, settings });
+        this.rules = resolveRules(this.settings.rules); // fixed for the whole game
+        this.settings.rules = this.rules;
+
+        // One random source shared by every cup: its state is saved once with the game
+        this.random = random;
+
+        // Players (cup = values of the dice under the cup this round)
+        this.players = players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            dice: this.rules.startDice,
+            cup: []
+        }));
+
+        this.currentPlayerIndex = 0;
+        this.roundStarter = 0;
+        this.round = 0;
+        this.bid = null;           // { quantity, face, playerIndex }
+        this.roundBids = [];
+        this.phase = 'privacy';    // privacy | bidding | reveal
+        this.lastResult = null;    // { challengerIndex, bid, count, loserIndex }
+        this.draft = { quantity: 1, face: 2 };
+        this.engines = [];
+
+        // Build UI
+        this._buildUI();
+
+        // One dice group per cup
+        this.cups = new DiceGroupRenderer({
+            container: this.ui.cupsContainer,
+            size: 38,
+            animationDuration: 700
+        });
+
+        // Bids and challenges (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: this.rules.startDice, savedLog: this.savedState?.log });
+
+        this._begin(this.savedState);
+    }
+
+    // ---- Build UI ----
+
+    _buildUI() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'container';
+
+        wrapper.innerHTML = `
+            <header>
+                <h1>🤥 LIAR'S DICE</h1>
+                <button class="menu-btn" id="menuBtn">☰</button>
+            </header>
+        `;
+
+        const gameScreen = document.createElement('div');
+        gameScreen.className = 'liars-screen';
+
+        gameScreen.innerHTML = `
+            <div class="liars-layout">
+                <div class="players-bar" id="playersBar"></div>
+                <div class="liars-bid-info" id="bidInfo"></div>
+                <div class="liars-cups" id="cupsContainer"></div>
+                <div class="liars-bid-panel hidden" id="bidPanel"></div>
+                <div class="liars-result-area" id="resultArea"></div>
+                <div class="liars-round-bids" id="roundBids"></div>
+            </div>
+            <div class="liars-privacy hidden" id="privacyScreen"></div>
+        `;
+
+        wrapper.appendChild(gameScreen);
+        this.container.appendChild(wrapper);
+
+        // Menu
+        this._buildMenu();
+
+        // Rules, History and Winner Modals
+        this._buildModals(`
+            <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Liar's Dice</div>
+            <div style="text-align: left; font-size: 0.85rem; line-height: 1.6; margin: 20px 0; max-height: 55vh; overflow-y: auto;">
+                <strong style="color: var(--primary);">OBIETTIVO:</strong><br>
+                Essere l'ultimo con dei dadi nel bicchiere!<br><br>
+                <strong style="color: var(--primary);">ROUND:</strong><br>
+                Ognuno lancia i suoi ${this.rules.startDice} dadi di nascosto. Passatevi il dispositivo:
+                ognuno vede solo i propri dadi.<br><br>
+                <strong style="color: var(--primary);">PUNTATA:</strong><br>
+                Scommetti quanti dadi di una faccia ci sono <strong>in tutti i bicchieri</strong>, es. "4 × ⚄".<br>
+                Ogni puntata deve superare la precedente: più dadi, oppure stessi dadi e faccia più alta.<br><br>
+                ${this.rules.wildOnes ? `
+                    <strong style="color: var(--primary);">ASSI JOLLY:</strong><br>
+                    Gli 1 contano come qualsiasi faccia. Non si può aprire il round sugli assi.<br>
+                    Per puntare sugli assi basta la metà dei dadi (arrotondata per eccesso);
+                    per tornare a un'altra faccia serve il doppio più uno.<br><br>
+                ` : ''}
+                <strong style="color: var(--primary);">DUBITO!</strong><br>
+                Se non ci credi, dubita: si scoprono tutti i bicchieri.<br>
+                Se i dadi sono meno della puntata perde un dado chi ha puntato, altrimenti chi ha dubitato.
+                Chi perde il dado apre il round successivo.
+            </div>
+            <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
+        `);
+
+        // Cache UI refs
+        this.ui = {
+            playersBar: gameScreen.querySelector('#playersBar'),
+            bidInfo: gameScreen.querySelector('#bidInfo'),
+            cupsContainer: gameScreen.querySelector('#cupsContainer'),
+            bidPanel: gameScreen.querySelector('#bidPanel'),
+            resultArea: gameScreen.querySelector('#resultArea'),
+            roundBids: gameScreen.querySelector('#roundBids'),
+            privacyScreen: gameScreen.querySelector('#privacyScreen')
+        };
+
+        // Button events
+        wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
+        this.ui.bidPanel.addEventListener('click', (e) => this._handleBidPanelClick(e));
+        this.ui.resultArea.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="nextRound"]')) this._nextRound();
+        });
+        this.ui.privacyScreen.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="reveal"]')) this._revealOwnCup();
+        });
+    }
+
+    // ---- Game Flow ----
+
+    /**
+     * Everyone still in the game rolls a covered cup.
+     */
+    _startGame() {
+        this._startRound();
+    }
+
+    _startRound() {
+        this.round++;
+        this.bid = null;
+        this.roundBids = [];
+        this.lastResult = null;
+        this.currentPlayerIndex = this.roundStarter;
+
+        this._buildCups(this.players.map(p => p.dice));
+        this.engines.forEach((engine, i) => {
+            if (engine) engine.roll();
+            this.players[i].cup = engine ? engine.getValues() : [];   // out of the game: no cup
+        });
+
+        this._showPrivacy();
+    }
+
+    /**
+     * One engine and one covered dice group per player with dice this round.
+     * @param {number[]} counts - Dice in each player's cup (0 = out of the game)
+     */
+    _buildCups(counts) {
+        this.engines = counts.map(count => (count > 0
+            ? new DiceEngine({ count, sides: 6, maxRolls: 1, random: this.random, holdConstraint: () => false })
+            : null));
+
+        this.cups.setGroups(this.players
+            .map((p, i) => ({
+                id: i,
+                label: `${p.name} • ${counts[i]} ${counts[i] === 1 ? 'dado' : 'dadi'}`,
+                color: p.color,
+                engine: this.engines[i],
+                hidden: true
+            }))
+            .filter(group => group.engine));
+    }
+
+    /**
+     * Cover every cup and ask to hand the device to the current player.
+     */
+    _showPrivacy() {
+        this.phase = 'privacy';
+        this.cups.setAllHidden(true);
+        const p = this.players[this.currentPlayerIndex];
+
+        this.ui.privacyScreen.innerHTML = `
+            <div class="liars-privacy-icon">🔒</div>
+            <div class="liars-privacy-title">Passa il dispositivo a</div>
+            <div class="liars-privacy-name" style="color: ${p.color}">${p.name}</div>
+            <div class="liars-privacy-sub">Gli altri non guardino!</div>
+            <button class="btn btn-primary" data-action="reveal">👀 Sono ${p.name}: mostra i miei dadi</button>
+        `;
+        this.ui.privacyScreen.classList.remove('hidden');
+        this._updateUI();
+        this._autoSave();
+    }
+
+    _revealOwnCup() {
+        if (this.phase !== 'privacy') return;
+        this.phase = 'bidding';
+        this.ui.privacyScreen.classList.add('hidden');
+        this.cups.setHidden(this.currentPlayerIndex, false);
+
+        // Start the draft from the lowest valid bid on the current face
+        const face = this.bid ? this.bid.face : 2;
+        this.draft = { face, quantity: minimumQuantity(face, this.bid, this.rules) };
+
+        this.recorder.record(LOG_EVENTS.TURN, this.currentPlayerIndex);
+        this._updateUI();
+    }
+
+    _placeBid() {
+        if (this.phase !== 'bidding' || !this._isDraftValid()) return;
+
+        const { quantity, face } = this.draft;
+        this.bid = { quantity, face, playerIndex: this.currentPlayerIndex };
+        this.roundBids.push({ ...this.bid });
+        this.recorder.record(LOG_EVENTS.BID, this.currentPlayerIndex, quantity, face);
+
+        this.currentPlayerIndex = this._nextActivePlayer(this.currentPlayerIndex);
+        this._showPrivacy();
+    }
+
+    /**
+     * "Dubito!": reveal every cup and take a die from the loser.
+     */
+    _challenge() {
+        if (this.phase !== 'bidding' || !this.bid) return;
+
+        const { count, bidHolds } = resolveChallenge(this.players.map(p => p.cup), this.bid, this.rules);
+        const loserIndex = bidHolds ? this.currentPlayerIndex : this.bid.playerIndex;
+        const loser = this.players[loserIndex];
+        loser.dice--;
+
+        this.recorder.record(
+            LOG_EVENTS.CHALLENGE, this.currentPlayerIndex,
+            this.bid.playerIndex, this.bid.quantity, this.bid.face, count, loserIndex, loser.dice
+        );
+        this.lastResult = { challengerIndex: this.currentPlayerIndex, bid: { ...this.bid }, count, loserIndex };
+
+        this.phase = 'reveal';
+        this.cups.setAllHidden(false);
+        this._updateUI();
+        this._autoSave();
+    }
+
+    _nextRound() {
+        if (this.phase !== 'reveal') return;
+
+        const alive = this.players.filter(p => p.dice > 0);
+        if (alive.length === 1) {
+            this._endGame(alive[0]);
+            return;
+        }
+
+        // The loser opens the next round (the next player if they are out)
+        const loserIndex = this.lastResult.loserIndex;
+        this.roundStarter = this.players[loserIndex].dice > 0
+            ? loserIndex
+            : this._nextActivePlayer(loserIndex);
+        this._startRound();
+    }
+
+    _nextActivePlayer(fromIndex) {
+        let i = fromIndex;
+        do {
+            i = (i + 1) % this.players.length;
+        } while (this.players[i].dice === 0 && i !== fromIndex);
+        return i;
+    }
+
+    _totalDice() {
+        return this.players.reduce((sum, p) => sum + p.cup.length, 0);
+    }
+
+    _isDraftValid() {
+        return isValidBid(this.draft, this.bid, this.rules, this._totalDice());
+    }
+
+    _endGame(winner) {
+        this.gameOver = true;
+
+        // Save to history (final score = dice left)
+        this._recordMatch(this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            finalScore: p.dice,
+            isWinner: p === winner
+        })), { log: this.recorder.getLog() });
+
+        this._showWinner({
+            name: winner.name,
+            color: winner.color,
+            score: winner.dice,
+            detail: winner.dice === 1 ? 'dado rimasto' : 'dadi rimasti'
+        });
+    }
+
+    _restartGame() {
+        this.gameId = this._generateGameId();
+        this.players.forEach(p => {
+            p.dice = this.rules.startDice;
+            p.cup = [];
+        });
+        this.round = 0;
+        this.roundStarter = 0;
+        this.gameOver = false;
+        this.gameStartTime = Date.now();
+        this.recorder.reset();
+        this._startRound();
+    }
+
+    // ---- UI Updates ----
+
+    _updateUI() {
+        const bidder = this.bid ? this.players[this.bid.playerIndex] : null;
+        LiarsDiceUI.renderPlayersBar(this.ui.playersBar, this.players, this.currentPlayerIndex);
+        LiarsDiceUI.renderBidInfo(this.ui.bidInfo, {
+            bid: this.bid,
+            bidder,
+            totalDice: this._totalDice(),
+            round: this.round,
+            wildOnes: this.rules.wildOnes
+        });
+        LiarsDiceUI.renderRoundBids(this.ui.roundBids, this.roundBids, this.players);
+        this.cups.setActive(this.phase === 'bidding' ? this.currentPlayerIndex : null);
+
+        LiarsDiceUI.renderBidPanel(this.ui.bidPanel, this.phase === 'bidding'
+            ? {
+                draft: this.draft,
+                valid: this._isDraftValid(),
+                canChallenge: !!this.bid,
+                faceDisabled: (face) => !this.bid && this.rules.wildOnes && face === 1
+            }
+            : null);
+
+        if (this.phase === 'reveal' && this.lastResult) {
+            LiarsDiceUI.renderResult(this.ui.resultArea, this.lastResult, this.players,
+                this.players.filter(p => p.dice > 0).length === 1);
+            this._markRevealedDice();
+        } else {
+            this.ui.resultArea.innerHTML = '';
+        }
+    }
+
+    /**
+     * After a challenge, highlight the dice that count for the bid.
+     */
+    _markRevealedDice() {
+        const { face } = this.lastResult.bid;
+        const wild = this.rules.wildOnes && face !== 1;
+        this.players.forEach((p, i) => {
+            const renderer = this.cups.get(i);
+            if (!renderer) return;
+            renderer.scenes.forEach(({ scene }, d) => {
+                const v = p.cup[d];
+                scene.classList.toggle('liars-match', v === face || (wild && v === 1));
+            });
+        });
+    }
+
+    _handleBidPanelClick(e) {
+        if (this.phase !== 'bidding') return;
+
+        const faceBtn = e.target.closest('[data-face]');
+        if (faceBtn && !faceBtn.disabled) {
+            const face = parseInt(faceBtn.dataset.face);
+            const min = minimumQuantity(face, this.bid, this.rules);
+            this.draft = { face, quantity: Math.max(min, Math.min(this.draft.quantity, this._totalDice())) };
+            this._updateUI();
+            return;
+        }
+
+        const qtyBtn = e.target.closest('[data-qty]');
+        if (qtyBtn) {
+            const quantity = this.draft.quantity + parseInt(qtyBtn.dataset.qty);
+            if (quantity >= 1 && quantity <= this._totalDice()) {
+                this.draft = { ...this.draft, quantity };
+                this._updateUI();
+            }
+            return;
+        }
+
+        const btn = e.target.closest('[data-action]');
+        if (!btn || btn.disabled) return;
+        switch (btn.dataset.action) {
+            case 'bid': this._placeBid(); break;
+            case 'challenge': this._challenge(); break;
+        }
+    }
+
+    // ---- History ----
+
+    _historyHTML() {
+        return LiarsDiceUI.renderMatchHistory(this.gameType);
+    }
+
+    // ---- Save/Restore ----
+
+    _serializeState() {
+        return {
+            ...this._baseState(),
+            players: this.players.map(p => ({
+                name: p.name,
+                color: p.color,
+                dice: p.dice,
+                cup: [...p.cup]
+            })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            roundStarter: this.roundStarter,
+            round: this.round,
+            bid: this.bid,
+            roundBids: this.roundBids,
+            phase: this.phase,
+            lastResult: this.lastResult,
+            random: this.random.getState ? this.random.getState() : null,
+            log: this.recorder.getLog()
+        };
+    }
+
+    _restoreState(state) {
+        this.players = state.players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            dice: p.dice ?? this.rules.startDice,
+            cup: p.cup || []
+        }));
+        this.currentPlayerIndex = state.currentPlayerIndex;
+        this.roundStarter = state.roundStarter || 0;
+        this.round = state.round || 1;
+        this.bid = state.bid || null;
+        this.roundBids = state.roundBids || [];
+        this.lastResult = state.lastResult || null;
+        this.gameStartTime = state.gameStartTime || Date.now();
+        if (state.random && this.random.restoreState) {
+            this.random.restoreState(state.random);
+        }
+
+        // Cups as rolled this round: while a challenge is shown the loser still has the lost die
+        const revealing = state.phase === 'reveal' && this.lastResult;
+        const counts = this.players.map((p, i) =>
+            p.dice + (revealing && this.lastResult.loserIndex === i ? 1 : 0));
+        this._buildCups(counts);
+        this.players.forEach((p, i) => {
+            p.cup = p.cup.slice(0, counts[i]);
+        });
+        this.engines.forEach((engine, i) => {
+            if (!engine) return;
+            engine.restoreState({
+                values: this.players[i].cup,
+                held: new Array(engine.count).fill(false),
+                rollsLeft: 0,
+                hasRolled: true
+            });
+        });
+
+        // A turn in progress resumes behind the privacy screen: anyone may be holding the device
+        if (revealing) {
+            this.phase = 'reveal';
+            this.cups.setAllHidden(false);
+            this._updateUI();
+        } else {
+            this._showPrivacy();
+        }
+    }
+
+    // ---- Cleanup ----
+
+    destroy() {
+        if (this.cups) this.cups.destroy();
+        super.destroy();
+    }
+}
+
+export default LiarsDiceGame;
@@ -0,0 +1,55 @@
+/* ========================================
+   LiarsDiceManifest - Plugin Manifest
+   What the app needs before Liar's Dice is picked:
+   home card and setup choices.
+   The game itself is imported by load().
+   ======================================== */
+
+/**
+ * Rules used when nothing else is chosen (Perudo).
+ *   startDice - dice in each cup at the start
+ *   wildOnes  - 1s (aces) count as any face; bidding on aces halves the quantity
+ */
+export const DEFAULT_RULES = {
+    startDice: 5,
+    wildOnes: true
+};
+
+/**
+ * Choices offered in setup, in display order.
+ * @type {Array<{id: string, label: string, choices: Array<{value: *, label: string}>}>}
+ */
+export const RULE_OPTIONS = [
+    {
+        id: 'startDice',
+        label: '🎲 Dadi per giocatore',
+        choices: [
+            { value: 3, label: '3 dadi (partita veloce)' },
+            { value: 5, label: '5 dadi' }
+        ]
+    },
+    {
+        id: 'wildOnes',
+        label: '🃏 Gli 1 (assi)',
+        choices: [
+            { value: true, label: 'Jolly (Perudo)' },
+            { value: false, label: 'Valgono solo come 1' }
+        ]
+    }
+];
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'liarsdice',
+    version: '1.0.0',
+    requires: ['controller', 'replay'],
+    name: "Liar's Dice",
+    icon: '🤥',
+    description: 'Punta, bluffa e dubita: vince chi resta con dei dadi!',
+    minPlayers: 2,
+    maxPlayers: 6,
+    houseRules: { defaults: DEFAULT_RULES, options: RULE_OPTIONS },
+    load: () => import('./LiarsDiceGame.js')
+};
+
+export default manifest;
@@ -0,0 +1,81 @@
+/* ========================================
+   LiarsDiceRules - Bids and Challenges
+   Bid validation and challenge resolution for
+   Liar's Dice (Perudo); defaults and setup choices
+   are in LiarsDiceManifest.
+   No DOM dependencies.
+   ======================================== */
+
+import { DEFAULT_RULES } from './LiarsDiceManifest.js';
+import { rulesResolver } from '../GameRules.js';
+
+export { DEFAULT_RULES };
+
+/** Rules with the defaults filled in (see rulesResolver). */
+export const resolveRules = rulesResolver(DEFAULT_RULES);
+
+/**
+ * Lowest quantity that can be bid on a face after the current bid.
+ * With wild ones, switching to aces needs half the quantity (rounded up)
+ * and leaving aces needs double plus one.
+ * @param {number} face
+ * @param {{quantity: number, face: number}|null} bid - Current bid (null = opening bid)
+ * @param {Object} rules
+ * @returns {number}
+ */
+export function minimumQuantity(face, bid, rules) {
+    if (!bid) return 1;
+    if (!rules.wildOnes) {
+        return face > bid.face ? bid.quantity : bid.quantity + 1;
+    }
+    if (face === 1 && bid.face !== 1) return Math.ceil(bid.quantity / 2);
+    if (face !== 1 && bid.face === 1) return bid.quantity * 2 + 1;
+    if (face === 1) return bid.quantity + 1;
+    return face > bid.face ? bid.quantity : bid.quantity + 1;
+}
+
+/**
+ * Whether a bid may follow the current one.
+ * With wild ones the opening bid can't be on aces.
+ * @param {{quantity: number, face: number}} next
+ * @param {{quantity: number, face: number}|null} bid
+ * @param {Object} rules
+ * @param {number} totalDice - Dice still in play
+ * @returns {boolean}
+ */
+export function isValidBid(next, bid, rules, totalDice) {
+    if (!Number.isInteger(next.face) || next.face < 1 || next.face > 6) return false;
+    if (!Number.isInteger(next.quantity) || next.quantity < 1 || next.quantity > totalDice) return false;
+    if (!bid && rules.wildOnes && next.face === 1) return false;
+    return next.quantity >= minimumQuantity(next.face, bid, rules);
+}
+
+/**
+ * Dice showing a face across all cups (aces included when wild).
+ * @param {number[][]} cups
+ * @param {number} face
+ * @param {Object} rules
+ * @returns {number}
+ */
+export function countFace(cups, face, rules) {
+    const wild = rules.wildOnes && face !== 1;
+    return cups.flat().filter(v => v === face || (wild && v === 1)).length;
+}
+
+/**
+ * Reveal the cups after "Dubito!".
+ * @returns {{count: number, bidHolds: boolean}} bidHolds = the challenger loses a die
+ */
+export function resolveChallenge(cups, bid, rules) {
+    const count = countFace(cups, bid.face, rules);
+    return { count, bidHolds: count >= bid.quantity };
+}
+
+export default {
+    DEFAULT_RULES,
+    resolveRules,
+    minimumQuantity,
+    isValidBid,
+    countFace,
+    resolveChallenge
+};
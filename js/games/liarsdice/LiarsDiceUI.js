@@ -0,0 +1,157 @@
+/* ========================================
+   LiarsDiceUI - Static Rendering Methods
+   Generates HTML for Liar's Dice components.
+   ======================================== */
+
+import { gameHistory } from '../../services/GameHistoryService.js';
+
+/** Die face symbols, index = face value. */
+export const FACE_SYMBOLS = ['', '⚀', '⚁', '⚂', '⚃', '⚄', '⚅'];
+
+export class LiarsDiceUI {
+
+    /**
+     * Render the players bar with the dice left in each cup.
+     */
+    static renderPlayersBar(container, players, currentPlayerIndex) {
+        container.innerHTML = players.map((p, i) => `
+            <div class="player-chip ${i === currentPlayerIndex ? 'active' : ''} ${p.dice === 0 ? 'liars-out' : ''}" style="border-left-color: ${p.color}">
+                ${p.dice === 0 ? '💀 ' : ''}${p.name}
+                <span class="score">🎲 ${p.dice}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the current bid and the dice in play.
+     * @param {HTMLElement} container
+     * @param {Object} data - { bid, bidder, totalDice, round, wildOnes }
+     */
+    static renderBidInfo(container, { bid, bidder, totalDice, round, wildOnes }) {
+        container.innerHTML = `
+            <div class="liars-bid-header">
+                <span>Round ${round}</span>
+                <span>🎲 ${totalDice} dadi in gioco${wildOnes ? ' • 1 jolly' : ''}</span>
+            </div>
+            <div class="liars-current-bid">
+                ${bid
+                    ? `<span class="liars-bid-value">${bid.quantity} × ${FACE_SYMBOLS[bid.face]}</span>
+                       <span class="liars-bid-by">puntata di <strong style="color: ${bidder.color}">${bidder.name}</strong></span>`
+                    : '<span class="liars-bid-by">Nessuna puntata: apri il round!</span>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the bid controls (face, quantity, bid and challenge buttons).
+     * @param {HTMLElement} container
+     * @param {Object|null} data - { draft, valid, canChallenge, faceDisabled }; null hides the panel
+     */
+    static renderBidPanel(container, data) {
+        if (!data) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        const { draft, valid, canChallenge, faceDisabled } = data;
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <div class="liars-faces">
+                ${[1, 2, 3, 4, 5, 6].map(f => `
+                    <button class="liars-face ${draft.face === f ? 'selected' : ''}" data-face="${f}" ${faceDisabled(f) ? 'disabled' : ''}>${FACE_SYMBOLS[f]}</button>
+                `).join('')}
+            </div>
+            <div class="liars-quantity">
+                <button class="liars-qty-btn" data-qty="-1">−</button>
+                <span class="liars-qty-value">${draft.quantity}</span>
+                <button class="liars-qty-btn" data-qty="1">+</button>
+            </div>
+            <div class="liars-bid-actions">
+                <button class="btn liars-bid-btn" data-action="bid" ${valid ? '' : 'disabled'}>📣 PUNTA ${draft.quantity} × ${FACE_SYMBOLS[draft.face]}</button>
+                ${canChallenge ? '<button class="btn liars-challenge-btn" data-action="challenge">🤥 DUBITO!</button>' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the bids made so far in the round.
+     */
+    static renderRoundBids(container, bids, players) {
+        if (bids.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        container.innerHTML = `
+            <div class="liars-bids-title">Puntate del round</div>
+            ${bids.map(b => `
+                <div class="liars-bids-row">
+                    <span class="liars-bids-name" style="color: ${players[b.playerIndex].color}">${players[b.playerIndex].name}</span>
+                    <span>${b.quantity} × ${FACE_SYMBOLS[b.face]}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Render the outcome of a challenge.
+     * @param {HTMLElement} container
+     * @param {Object} result - { challengerIndex, bid, count, loserIndex }
+     * @param {Array} players
+     * @param {boolean} matchOver - Only one cup left
+     */
+    static renderResult(container, result, players, matchOver) {
+        const challenger = players[result.challengerIndex];
+        const bidder = players[result.bid.playerIndex];
+        const loser = players[result.loserIndex];
+        container.innerHTML = `
+            <div class="liars-result">
+                <div class="liars-result-title">🤥 ${challenger.name} dubita di ${bidder.name}!</div>
+                <div class="liars-result-count">
+                    Puntata ${result.bid.quantity} × ${FACE_SYMBOLS[result.bid.face]}: ce ${result.count === 1 ? 'n\'era' : 'n\'erano'} <strong>${result.count}</strong>
+                </div>
+                <div class="liars-result-loser" style="color: ${loser.color}">
+                    ${loser.name} perde un dado${loser.dice === 0 ? ' ed è eliminato!' : ` (ne restano ${loser.dice})`}
+                </div>
+                <button class="btn btn-primary" data-action="nextRound">${matchOver ? '🏆 Fine partita' : '🎲 Prossimo round'}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render match history filtered by game type.
+     */
+    static renderMatchHistory(gameType) {
+        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === gameType);
+
+        if (matches.length === 0) {
+            return `
+                <div class="liars-history-empty">
+                    Nessuna partita completata ancora.
+                </div>
+            `;
+        }
+
+        let html = '<div class="liars-history-list">';
+        matches.slice(0, 20).forEach(match => {
+            const winner = match.players.find(p => p.isWinner);
+            const dateStr = gameHistory.formatDate(match.date);
+            html += `
+                <div class="liars-history-item">
+                    <div class="liars-history-info">
+                        <div class="liars-history-date">${dateStr}</div>
+                        <div class="liars-history-players">${match.players.map(p => p.name).join(', ')}</div>
+                    </div>
+                    <div class="liars-history-result">
+                        <div class="liars-history-winner">${winner ? '🏆 ' + winner.name : 'Pareggio'}</div>
+                        <div class="liars-history-score">${winner ? winner.finalScore + ' dadi rimasti' : ''}</div>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+}
+
+export default LiarsDiceUI;
@@ -0,0 +1,452 @@
+/* ========================================
+   PigGame - Game Controller
+   Roll and accumulate, bank or lose the turn on a 1.
+   Two-Dice Pig: snake eyes also wipes the total.
+   First to bank the target score wins.
+   ======================================== */
+
+import { DiceEngine } from '../../components/dice/DiceEngine.js';
+import { DiceRenderer } from '../../components/dice/DiceRenderer.js';
+import { rollOutcome, bustChance } from './PigScoring.js';
+import { shouldBank, HOLD_AT } from './PigStrategy.js';
+import { resolveRules } from './PigRules.js';
+import { PigUI } from './PigUI.js';
+import { GameController } from '../GameController.js';
+import { scheduleBotStep, bankTurn, bustTurn } from '../BankOrBust.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+
+const BOT_STEP_DELAY = 900;   // ms between bot actions (readable pace)
+const PIG_OVERLAY_DELAY = 1800;
+
+export class PigGame extends GameController {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Array} options.players - Player objects [{name, color, bot?}] (bot: 'hold20')
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { manualDice: true, rules: { diceCount: 2, targetScore: 100 } }
+     */
+    constructor({ container, players, onExit, savedState = null, random, settings = {} }) {
+        super({ container, onExit, gameType: 'pig', savedState, settings });
+        this.rules = resolveRules(this.settings.rules); // fixed for the whole game
+        this.settings.rules = this.rules;
+        this.diceCount = this.rules.diceCount;
+
+        // Players
+        this.players = players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            bot: p.bot || null,
+            totalScore: p.totalScore || 0
+        }));
+
+        this.currentPlayerIndex = 0;
+        this._botTimer = null;
+        this._pigTimer = null;
+
+        // Turn state
+        this.turnScore = 0;
+        this.rollCount = 0;
+        this.turnState = 'idle';   // idle | rolling | rolled | pig
+
+        // Dice are never held in Pig: every roll uses all of them.
+        // One roll at a time, the game gives the next one back.
+        this.diceEngine = new DiceEngine({
+            count: this.diceCount, sides: 6, maxRolls: 1, random,
+            manual: this.settings.manualDice,
+            holdConstraint: () => false
+        });
+
+        // Build UI
+        this._buildUI();
+
+        // Dice renderer
+        this.diceRenderer = new DiceRenderer({
+            container: this.ui.diceContainer,
+            engine: this.diceEngine,
+            size: 70,
+            animationDuration: 700
+        });
+
+        // Roll-by-roll log (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: this.diceCount, savedLog: this.savedState?.log })
+            .attach(this.diceEngine, () => this.currentPlayerIndex);
+
+        // Wire engine events
+        this.diceEngine.on('roll-start', () => this._onRollStart());
+        this.diceEngine.on('roll-end', () => this._onRollEnd());
+
+        this._begin(this.savedState);
+    }
+
+    // ---- Build UI ----
+
+    _buildUI() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'container';
+
+        wrapper.innerHTML = `
+            <header>
+                <h1>🐷 ${this.diceCount === 2 ? 'TWO-DICE PIG' : 'PIG'}</h1>
+                <button class="menu-btn" id="menuBtn">☰</button>
+            </header>
+        `;
+
+        const gameScreen = document.createElement('div');
+        gameScreen.className = 'pig-screen';
+
+        gameScreen.innerHTML = `
+            <div class="pig-layout">
+                <div class="players-bar" id="playersBar"></div>
+                <div class="pig-turn-info" id="turnInfo"></div>
+                <div class="pig-dice-area">
+                    <div id="diceContainer"></div>
+                    <div class="pig-dice-hint" id="diceHint">Tocca "Lancia" per iniziare</div>
+                </div>
+            </div>
+            <div class="fixed-action pig-actions" id="actionBar"></div>
+        `;
+
+        wrapper.appendChild(gameScreen);
+        this.container.appendChild(wrapper);
+
+        // Menu
+        this._buildMenu();
+
+        // Rules, History and Winner Modals
+        this._buildModals(`
+            <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Pig</div>
+            <div style="text-align: left; font-size: 0.85rem; line-height: 1.6; margin: 20px 0; max-height: 55vh; overflow-y: auto;">
+                <strong style="color: var(--primary);">OBIETTIVO:</strong><br>
+                Arrivare per primo a <strong>${this.rules.targetScore} punti</strong>!<br><br>
+                <strong style="color: var(--primary);">TURNO:</strong><br>
+                Lancia ${this.diceCount === 2 ? 'i 2 dadi' : 'il dado'} quante volte vuoi: ogni lancio aggiunge ${this.diceCount === 2 ? 'la somma dei dadi' : 'il valore del dado'} ai punti del turno.<br>
+                Quando vuoi, <strong>BANCA</strong> per aggiungerli al totale.<br><br>
+                <strong style="color: var(--primary);">MAIALE:</strong><br>
+                ${this.diceCount === 2
+                    ? `Se esce un 1 perdi i punti del turno e passi la mano.<br>
+                       Se escono <strong>due 1 (occhi di serpente)</strong> perdi anche tutto il totale!`
+                    : 'Se esce 1 perdi i punti del turno e passi la mano.'}<br><br>
+                <strong style="color: var(--primary);">PROBABILITÀ:</strong><br>
+                A ogni lancio il rischio è ${(bustChance(this.diceCount) * 100).toFixed(1)}%.
+                Il bot segue la strategia classica: banca a ${HOLD_AT} punti nel turno.
+            </div>
+            <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
+        `);
+
+        // Cache UI refs
+        this.ui = {
+            diceContainer: gameScreen.querySelector('#diceContainer'),
+            diceHint: gameScreen.querySelector('#diceHint'),
+            actionBar: gameScreen.querySelector('#actionBar'),
+            playersBar: gameScreen.querySelector('#playersBar'),
+            turnInfo: gameScreen.querySelector('#turnInfo')
+        };
+
+        // Button events
+        wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
+        this.ui.actionBar.addEventListener('click', (e) => {
+            if (!this._isBotTurn()) this._handleActionClick(e);
+        });
+    }
+
+    // ---- Game Flow ----
+
+    _startGame() {
+        this._startTurn();
+    }
+
+    _startTurn() {
+        this.turnScore = 0;
+        this.rollCount = 0;
+        this.turnState = 'idle';
+
+        // Reset dice engine (also drops any unfinished physical-dice entry)
+        this.diceEngine.reset();
+
+        this.recorder.record(LOG_EVENTS.TURN, this.currentPlayerIndex);
+        this._updateUI();
+        this._setHint('Tocca "Lancia" per iniziare');
+        this._maybeRunBot();
+    }
+
+    _rollDice() {
+        if (this.diceEngine.isRolling) return;
+        if (this.turnState !== 'idle' && this.turnState !== 'rolled') return;
+
+        this.diceEngine.rollsLeft = 1;
+        this.rollCount++;
+        this.turnState = 'rolling';
+        this.diceEngine.roll();
+    }
+
+    _onRollStart() {
+        this._updateActionButtons();
+        this._setHint(this.diceEngine.manual
+            ? '✍️ Tocca ogni dado e inserisci il valore dei dadi reali'
+            : 'Lanciando...');
+    }
+
+    _onRollEnd() {
+        const outcome = rollOutcome(this.diceEngine.getValues());
+        if (outcome.type !== 'points') {
+            this._handlePig(outcome.type);
+            return;
+        }
+
+        this.turnScore += outcome.points;
+        this.turnState = 'rolled';
+        this._updateUI();
+        this._setHint(`+${outcome.points}! Banca o rilancia`);
+        this._autoSave();
+        this._maybeRunBot();
+    }
+
+    /**
+     * A 1 (or snake eyes) ends the turn with nothing banked.
+     * @param {'pig'|'snakeEyes'} reason
+     */
+    _handlePig(reason) {
+        const p = this.players[this.currentPlayerIndex];
+        if (reason === 'snakeEyes') p.totalScore = 0;
+        this.recorder.record(LOG_EVENTS.PIG, this.currentPlayerIndex, reason, p.totalScore);
+
+        this._pigTimer = bustTurn(this, {
+            state: 'pig',
+            className: 'pig-overlay',
+            html: reason === 'snakeEyes'
+                ? `
+                    <div class="pig-overlay-text">🐍 OCCHI DI SERPENTE!</div>
+                    <div class="pig-overlay-sub">Doppio 1: il totale torna a 0!</div>
+                `
+                : `
+                    <div class="pig-overlay-text">🐷 MAIALE!</div>
+                    <div class="pig-overlay-sub">È uscito un 1: 0 punti nel turno</div>
+                `,
+            delay: PIG_OVERLAY_DELAY,
+            then: () => this._nextPlayer()
+        });
+        this._updateUI();
+        this._autoSave();
+    }
+
+    _bank() {
+        if (this.turnState !== 'rolled') return;
+
+        const p = bankTurn(this);
+        if (p.totalScore >= this.rules.targetScore) {
+            this._endGame(p);
+            return;
+        }
+
+        this._nextPlayer();
+    }
+
+    _nextPlayer() {
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        this._startTurn();
+        this._autoSave();
+    }
+
+    _endGame(winner) {
+        this.gameOver = true;
+        clearTimeout(this._botTimer);
+        this._updateUI();
+
+        // Save to history
+        this._recordMatch(this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            isBot: !!p.bot,
+            finalScore: p.totalScore,
+            isWinner: p === winner
+        })), { log: this.recorder.getLog() });
+
+        this._showWinner({
+            name: winner.name,
+            color: winner.color,
+            score: winner.totalScore,
+            detail: 'punti'
+        });
+    }
+
+    _restartGame() {
+        clearTimeout(this._botTimer);
+        clearTimeout(this._pigTimer);
+        this.container.querySelectorAll('.pig-overlay').forEach(el => el.remove());
+        this.gameId = this._generateGameId();
+        this.players.forEach(p => { p.totalScore = 0; });
+        this.currentPlayerIndex = 0;
+        this.gameOver = false;
+        this.gameStartTime = Date.now();
+        this.recorder.reset();
+        this._startTurn();
+        this._autoSave();
+    }
+
+    // ---- Bots ----
+
+    _isBotTurn() {
+        return !!this.players[this.currentPlayerIndex]?.bot;
+    }
+
+    /**
+     * Schedule the next bot action if it is a bot's turn: called when a
+     * turn starts, after each roll and once on resume.
+     * Bots go through the same state machine as a human, one step at a time.
+     */
+    _maybeRunBot() {
+        scheduleBotStep(this, ['idle', 'rolled'], BOT_STEP_DELAY);
+    }
+
+    _botStep() {
+        if (this.gameOver || !this._isBotTurn() || this.diceEngine.isRolling) return;
+        if (!['idle', 'rolled'].includes(this.turnState)) return;
+
+        const bank = shouldBank({
+            turnScore: this.turnScore,
+            totalScore: this.players[this.currentPlayerIndex].totalScore,
+            targetScore: this.rules.targetScore
+        });
+        if (bank) {
+            this._bank();
+        } else {
+            this._rollDice(); // _onRollEnd schedules the next step
+        }
+    }
+
+    // ---- UI Updates ----
+
+    _updateUI() {
+        PigUI.renderPlayersBar(this.ui.playersBar, this.players, this.currentPlayerIndex);
+        PigUI.renderTurnInfo(this.ui.turnInfo, {
+            currentPlayer: this.players[this.currentPlayerIndex],
+            turnScore: this.turnScore,
+            rollCount: this.rollCount,
+            targetScore: this.rules.targetScore,
+            bustChance: bustChance(this.diceCount)
+        });
+        this._updateActionButtons();
+    }
+
+    _updateActionButtons() {
+        const bar = this.ui.actionBar;
+
+        switch (this.turnState) {
+            case 'idle':
+                bar.innerHTML = `<button class="btn btn-action btn-roll" data-action="roll">🎲 LANCIA</button>`;
+                break;
+
+            case 'rolling':
+                bar.innerHTML = this.diceEngine.manual
+                    ? `<button class="btn btn-action btn-roll" disabled>✍️ INSERISCI I DADI...</button>`
+                    : `<button class="btn btn-action btn-roll" disabled>🎲 LANCIANDO...</button>`;
+                break;
+
+            case 'rolled':
+                bar.innerHTML = `
+                    <button class="btn btn-bank" data-action="bank">🏦 BANCA (${this.turnScore})</button>
+                    <button class="btn btn-roll" data-action="roll">🎲 RILANCIA</button>
+                `;
+                break;
+
+            case 'pig':
+                bar.innerHTML = `<button class="btn btn-action" disabled>🐷 MAIALE</button>`;
+                break;
+
+            default:
+                bar.innerHTML = '';
+        }
+    }
+
+    _setHint(text) {
+        if (this.ui.diceHint) {
+            this.ui.diceHint.textContent = text;
+        }
+    }
+
+    _handleActionClick(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn || btn.disabled) return;
+
+        switch (btn.dataset.action) {
+            case 'roll': this._rollDice(); break;
+            case 'bank': this._bank(); break;
+        }
+    }
+
+    // ---- History ----
+
+    _historyHTML() {
+        return PigUI.renderMatchHistory(this.gameType);
+    }
+
+    // ---- Save/Restore ----
+
+    _serializeState() {
+        return {
+            ...this._baseState(),
+            players: this.players.map(p => ({
+                name: p.name,
+                color: p.color,
+                bot: p.bot,
+                totalScore: p.totalScore
+            })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            turnScore: this.turnScore,
+            rollCount: this.rollCount,
+            turnState: this.turnState,
+            dice: this.diceEngine.getState(),
+            log: this.recorder.getLog()
+        };
+    }
+
+    _restoreState(state) {
+        this.players = state.players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            bot: p.bot || null,
+            totalScore: p.totalScore || 0
+        }));
+        this.currentPlayerIndex = state.currentPlayerIndex;
+        this.gameStartTime = state.gameStartTime || Date.now();
+        this.turnScore = state.turnScore || 0;
+        this.rollCount = state.rollCount || 0;
+        this.turnState = state.turnState || 'idle';
+
+        if (state.dice) {
+            this.diceEngine.restoreState(state.dice);
+        }
+
+        // Saved on a lost turn: pass the hand
+        if (this.turnState === 'pig') {
+            this._nextPlayer();
+            return;
+        }
+        // Saved mid-roll: the roll is given back
+        if (this.turnState === 'rolling') {
+            this.rollCount--;
+            this.turnState = this.rollCount > 0 ? 'rolled' : 'idle';
+        }
+
+        this._updateUI();
+        this._setHint(this.turnState === 'rolled' ? 'Banca o rilancia' : 'Tocca "Lancia" per iniziare');
+        this._maybeRunBot();
+    }
+
+    // ---- Cleanup ----
+
+    destroy() {
+        clearTimeout(this._botTimer);
+        clearTimeout(this._pigTimer);
+        super.destroy();
+    }
+}
+
+export default PigGame;
@@ -0,0 +1,63 @@
+/* ========================================
+   PigManifest - Plugin Manifest
+   What the app needs before Pig is picked:
+   home card, bot levels and setup choices.
+   The game itself is imported by load().
+   ======================================== */
+
+/** Bots offered in setup (see PigStrategy). */
+export const BOT_LEVELS = [
+    { id: 'hold20', label: 'Tieni a 20' }
+];
+
+/**
+ * Rules used when nothing else is chosen (classic one-die Pig).
+ *   diceCount   - 1 = Pig, 2 = Two-Dice Pig (snake eyes wipes the total)
+ *   targetScore - first to bank this many points wins
+ */
+export const DEFAULT_RULES = {
+    diceCount: 1,
+    targetScore: 100
+};
+
+/**
+ * Choices offered in setup, in display order.
+ * @type {Array<{id: string, label: string, choices: Array<{value: *, label: string}>}>}
+ */
+export const RULE_OPTIONS = [
+    {
+        id: 'diceCount',
+        label: '🎲 Modalità',
+        choices: [
+            { value: 1, label: 'Pig (1 dado)' },
+            { value: 2, label: 'Two-Dice Pig (2 dadi)' }
+        ]
+    },
+    {
+        id: 'targetScore',
+        label: '🏁 Obiettivo',
+        choices: [
+            { value: 50, label: '50 punti' },
+            { value: 100, label: '100 punti' },
+            { value: 200, label: '200 punti' }
+        ]
+    }
+];
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'pig',
+    version: '1.0.0',
+    requires: ['controller', 'bots', 'replay'],
+    name: 'Pig',
+    icon: '🐷',
+    description: 'Rischia o banca: con un 1 perdi il turno!',
+    minPlayers: 1,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    botLevels: BOT_LEVELS,
+    houseRules: { defaults: DEFAULT_RULES, options: RULE_OPTIONS },
+    load: () => import('./PigGame.js')
+};
+
+export default manifest;
@@ -0,0 +1,18 @@
+/* ========================================
+   PigRules - Game Modes and Target
+   Mode and target of a game (defaults and setup
+   choices are in PigManifest). No DOM dependencies.
+   ======================================== */
+
+import { DEFAULT_RULES } from './PigManifest.js';
+import { rulesResolver } from '../GameRules.js';
+
+export { DEFAULT_RULES };
+
+/** Rules with the defaults filled in (see rulesResolver). */
+export const resolveRules = rulesResolver(DEFAULT_RULES);
+
+export default {
+    DEFAULT_RULES,
+    resolveRules
+};
@@ -0,0 +1,31 @@
+/* ========================================
+   PigScoring - Pure Roll Evaluation
+   One die: a 1 loses the turn points.
+   Two dice: a single 1 loses the turn points,
+   two 1s (snake eyes) also wipe the total.
+   ======================================== */
+
+/**
+ * Outcome of a roll.
+ * @param {number[]} values - 1 or 2 dice
+ * @returns {{type: 'points'|'pig'|'snakeEyes', points: number}}
+ */
+export function rollOutcome(values) {
+    const ones = values.filter(v => v === 1).length;
+    if (values.length > 1 && ones === values.length) return { type: 'snakeEyes', points: 0 };
+    if (ones > 0) return { type: 'pig', points: 0 };
+    return { type: 'points', points: values.reduce((a, b) => a + b, 0) };
+}
+
+/**
+ * Chance that one roll loses the turn (pig or snake eyes).
+ * @param {number} diceCount
+ */
+export function bustChance(diceCount) {
+    return 1 - Math.pow(5 / 6, diceCount);
+}
+
+export default {
+    rollOutcome,
+    bustChance
+};
@@ -0,0 +1,24 @@
+/* ========================================
+   PigStrategy - Pure Decision Logic
+   When to bank. No DOM dependencies.
+   Used by the Pig bots.
+   ======================================== */
+
+/** Turn points the classic bot banks at. */
+export const HOLD_AT = 20;
+
+/**
+ * Classic "hold at 20": bank once the turn is worth 20 points,
+ * or as soon as banking wins the game.
+ * @param {Object} context - { turnScore, totalScore, targetScore }
+ * @returns {boolean}
+ */
+export function shouldBank({ turnScore, totalScore, targetScore }) {
+    if (turnScore === 0) return false;
+    return turnScore >= HOLD_AT || totalScore + turnScore >= targetScore;
+}
+
+export default {
+    HOLD_AT,
+    shouldBank
+};
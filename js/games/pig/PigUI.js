@@ -0,0 +1,86 @@
+/* ========================================
+   PigUI - Static Rendering Methods
+   Generates HTML for Pig game components.
+   ======================================== */
+
+import { gameHistory } from '../../services/GameHistoryService.js';
+
+export class PigUI {
+
+    /**
+     * Render the players bar showing all players and scores.
+     */
+    static renderPlayersBar(container, players, currentPlayerIndex) {
+        container.innerHTML = players.map((p, i) => `
+            <div class="player-chip ${i === currentPlayerIndex ? 'active' : ''}" style="border-left-color: ${p.color}">
+                ${p.bot ? '🤖 ' : ''}${p.name}
+                <span class="score">${p.totalScore}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render turn info area (turn score, progress to the target, bust chance).
+     * @param {HTMLElement} container
+     * @param {Object} data - { currentPlayer, turnScore, rollCount, targetScore, bustChance }
+     */
+    static renderTurnInfo(container, { currentPlayer, turnScore, rollCount, targetScore, bustChance }) {
+        const banked = Math.min(currentPlayer.totalScore, targetScore);
+        const withTurn = Math.min(currentPlayer.totalScore + turnScore, targetScore);
+
+        container.innerHTML = `
+            <div class="pig-turn-header">
+                <div class="pig-current-player" style="background: ${currentPlayer.color}">
+                    ${currentPlayer.bot ? '🤖 ' : ''}${currentPlayer.name}
+                </div>
+                <div class="pig-roll-count">Lancio #${rollCount}</div>
+            </div>
+            <div class="pig-turn-score-area">
+                <div class="pig-turn-score ${turnScore > 0 ? 'has-points' : ''}">${turnScore}</div>
+                <div class="pig-turn-label">punti nel turno</div>
+            </div>
+            <div class="pig-progress" title="${currentPlayer.totalScore} / ${targetScore}">
+                <div class="pig-progress-banked" style="width: ${banked / targetScore * 100}%"></div>
+                <div class="pig-progress-turn" style="width: ${(withTurn - banked) / targetScore * 100}%"></div>
+            </div>
+            <div class="pig-odds">🐷 Rischio a ogni lancio: <strong>${(bustChance * 100).toFixed(1)}%</strong></div>
+        `;
+    }
+
+    /**
+     * Render match history filtered by game type.
+     */
+    static renderMatchHistory(gameType) {
+        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === gameType);
+
+        if (matches.length === 0) {
+            return `
+                <div class="pig-history-empty">
+                    Nessuna partita completata ancora.
+                </div>
+            `;
+        }
+
+        let html = '<div class="pig-history-list">';
+        matches.slice(0, 20).forEach(match => {
+            const winner = match.players.find(p => p.isWinner);
+            const dateStr = gameHistory.formatDate(match.date);
+            html += `
+                <div class="pig-history-item">
+                    <div class="pig-history-info">
+                        <div class="pig-history-date">${dateStr}</div>
+                        <div class="pig-history-players">${match.players.map(p => p.name).join(', ')}</div>
+                    </div>
+                    <div class="pig-history-result">
+                        <div class="pig-history-winner">${winner ? '🏆 ' + winner.name : 'Pareggio'}</div>
+                        <div class="pig-history-score">${winner ? winner.finalScore + ' pts' : ''}</div>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+}
+
+export default PigUI;
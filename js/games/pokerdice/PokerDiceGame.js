@@ -0,0 +1,477 @@
+/* ========================================
+   PokerDiceGame - Game Controller
+   Five dice with card faces (9 to A). Each turn: up to
+   3 rolls, holding any dice, to make the best poker
+   hand. Every player plays once per deal; the best hand
+   wins it and the match goes to the best of N hands.
+   ======================================== */
+
+import { DiceEngine } from '../../components/dice/DiceEngine.js';
+import { DiceRenderer } from '../../components/dice/DiceRenderer.js';
+import { FACES, evaluateHand, handWinner } from './PokerDiceScoring.js';
+import { winsNeeded } from '../GameRules.js';
+import { resolveRules } from './PokerDiceRules.js';
+import { PokerDiceUI } from './PokerDiceUI.js';
+import { GameController } from '../GameController.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+
+const TURN_END_DELAY = 1500;   // ms the final hand stays on screen before the next player
+const HAND_END_DELAY = 2000;   // ms the deal result overlay stays on screen
+
+export class PokerDiceGame extends GameController {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Array} options.players - Player objects [{name, color}]
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { manualDice: true, rules: { bestOf: 5, maxRolls: 3 } }
+     */
+    constructor({ container, players, onExit, savedState = null, random, settings = {} }) {
+        super({ container, onExit, gameType: 'pokerdice', savedState, settings });
+        this.rules = resolveRules(this.settings.rules); // fixed for the whole match
+        this.settings.rules = this.rules;
+        this.winsNeeded = winsNeeded(this.rules.bestOf);
+
+        // Players (hand = evaluated hand in the current deal, null before playing)
+        this.players = players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            wins: 0,
+            hand: null
+        }));
+
+        this.currentPlayerIndex = 0;
+        this.handNumber = 1;
+        this.dealStarter = 0;
+        this.turnState = 'idle';   // idle | rolling | rolled | done | handEnd
+        this._timer = null;
+
+        // 5 card dice, any of them can be held between rolls
+        this.diceEngine = new DiceEngine({
+            count: 5, sides: 6, maxRolls: this.rules.maxRolls, random,
+            manual: this.settings.manualDice
+        });
+
+        // Build UI
+        this._buildUI();
+
+        // Dice renderer (card faces instead of pips)
+        this.diceRenderer = new DiceRenderer({
+            container: this.ui.diceContainer,
+            engine: this.diceEngine,
+            size: 55,
+            animationDuration: 900,
+            faceLabels: FACES
+        });
+
+        // Roll-by-roll log (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: 5, faceLabels: FACES, savedLog: this.savedState?.log })
+            .attach(this.diceEngine, () => this.currentPlayerIndex);
+
+        // Wire engine events
+        this.diceEngine.on('roll-start', () => this._onRollStart());
+        this.diceEngine.on('roll-end', () => this._onRollEnd());
+        this.diceEngine.on('hold-changed', () => this._updateActionButtons());
+
+        this._begin(this.savedState);
+    }
+
+    // ---- Build UI ----
+
+    _buildUI() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'container';
+
+        wrapper.innerHTML = `
+            <header>
+                <h1>🃏 POKER DICE</h1>
+                <button class="menu-btn" id="menuBtn">☰</button>
+            </header>
+        `;
+
+        const gameScreen = document.createElement('div');
+        gameScreen.className = 'poker-screen';
+
+        gameScreen.innerHTML = `
+            <div class="poker-layout">
+                <div class="players-bar" id="playersBar"></div>
+                <div class="poker-turn-info" id="turnInfo"></div>
+                <div class="poker-dice-area">
+                    <div id="diceContainer"></div>
+                    <div class="poker-dice-hint" id="diceHint">Tocca "Lancia Dadi" per iniziare</div>
+                </div>
+                <div class="poker-hand-table" id="handTable"></div>
+            </div>
+            <div class="fixed-action poker-actions" id="actionBar"></div>
+        `;
+
+        wrapper.appendChild(gameScreen);
+        this.container.appendChild(wrapper);
+
+        // Menu
+        this._buildMenu();
+
+        // Rules, History and Winner Modals
+        this._buildModals(`
+            <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Poker Dice</div>
+            <div style="text-align: left; font-size: 0.85rem; line-height: 1.6; margin: 20px 0; max-height: 55vh; overflow-y: auto;">
+                <strong style="color: var(--primary);">OBIETTIVO:</strong><br>
+                Vincere <strong>${this.winsNeeded} mani</strong> (al meglio di ${this.rules.bestOf})!<br><br>
+                <strong style="color: var(--primary);">DADI:</strong><br>
+                5 dadi con le carte 9, 10, J, Q, K, A.<br><br>
+                <strong style="color: var(--primary);">TURNO:</strong><br>
+                Hai ${this.rules.maxRolls} lanci: dopo ogni lancio tocca i dadi da tenere e rilancia gli altri,
+                oppure fermati quando la mano ti piace.<br><br>
+                <strong style="color: var(--primary);">MANI (dalla più alta):</strong><br>
+                • <strong>Pokerissimo:</strong> 5 carte uguali<br>
+                • <strong>Poker:</strong> 4 carte uguali<br>
+                • <strong>Full:</strong> tris + coppia<br>
+                • <strong>Scala:</strong> 9-10-J-Q-K o 10-J-Q-K-A<br>
+                • <strong>Tris:</strong> 3 carte uguali<br>
+                • <strong>Doppia coppia</strong><br>
+                • <strong>Coppia</strong><br>
+                • <strong>Carta alta:</strong> niente di tutto questo<br><br>
+                <strong style="color: var(--primary);">PARITÀ:</strong><br>
+                A parità di mano vince chi ha le carte più alte: prima il gruppo più grande
+                (es. coppia di K batte coppia di Q), poi le carte rimaste.
+                Se anche le carte sono uguali nessuno vince la mano.
+            </div>
+            <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
+        `);
+
+        // Cache UI refs
+        this.ui = {
+            diceContainer: gameScreen.querySelector('#diceContainer'),
+            diceHint: gameScreen.querySelector('#diceHint'),
+            actionBar: gameScreen.querySelector('#actionBar'),
+            playersBar: gameScreen.querySelector('#playersBar'),
+            turnInfo: gameScreen.querySelector('#turnInfo'),
+            handTable: gameScreen.querySelector('#handTable')
+        };
+
+        // Button events
+        wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
+        this.ui.actionBar.addEventListener('click', (e) => this._handleActionClick(e));
+    }
+
+    // ---- Game Flow ----
+
+    _startGame() {
+        this._startTurn();
+    }
+
+    _startTurn() {
+        // Reset dice engine (also drops any unfinished physical-dice entry)
+        this.diceEngine.reset();
+        this.turnState = 'idle';
+
+        this.recorder.record(LOG_EVENTS.TURN, this.currentPlayerIndex);
+        this._updateUI();
+        this._setHint('Tocca "Lancia Dadi" per iniziare');
+    }
+
+    _rollDice() {
+        if (!['idle', 'rolled'].includes(this.turnState) || !this.diceEngine.canRoll()) return;
+        this.turnState = 'rolling';
+        this.diceEngine.roll();
+    }
+
+    _onRollStart() {
+        this._updateActionButtons();
+        this._setHint(this.diceEngine.manual
+            ? '✍️ Tocca ogni dado e inserisci il valore dei dadi reali'
+            : 'Lanciando...');
+    }
+
+    _onRollEnd() {
+        if (this.diceEngine.rollsLeft === 0) {
+            this._endTurn();
+            return;
+        }
+
+        this.turnState = 'rolled';
+        this._updateUI();
+        this._setHint(this._rolledHint());
+        this._autoSave();
+    }
+
+    _rolledHint() {
+        return `${this._currentHand().name}: tieni i dadi e rilancia, o fermati`;
+    }
+
+    _currentHand() {
+        return evaluateHand(this.diceEngine.getValues());
+    }
+
+    /**
+     * Stop rolling and play the current hand.
+     */
+    _stand() {
+        if (this.turnState !== 'rolled') return;
+        this._endTurn();
+    }
+
+    _endTurn() {
+        const p = this.players[this.currentPlayerIndex];
+        p.hand = this._currentHand();
+        this.recorder.record(LOG_EVENTS.POKER_HAND, this.currentPlayerIndex, p.hand.id, p.hand.name, p.hand.cards);
+
+        this.turnState = 'done';
+        this._updateUI();
+        this._setHint(`🃏 ${p.hand.name}: ${PokerDiceUI.cardsText(p.hand.cards)}`);
+        this._autoSave();
+
+        this._timer = setTimeout(() => this._nextPlayer(), TURN_END_DELAY);
+    }
+
+    _nextPlayer() {
+        if (this.players.every(p => p.hand !== null)) {
+            this._endHand();
+            return;
+        }
+
+        do {
+            this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        } while (this.players[this.currentPlayerIndex].hand !== null);
+
+        this._startTurn();
+        this._autoSave();
+    }
+
+    /**
+     * Compare the hands of the deal, then set up the next one (saved before
+     * the overlay, so a reload during it resumes on the new deal).
+     */
+    _endHand() {
+        const winner = handWinner(this.players.map(p => p.hand));
+        const winnerPlayer = this.players[winner];
+        const winningHand = winnerPlayer ? winnerPlayer.hand : null;
+        if (winnerPlayer) winnerPlayer.wins++;
+        this.recorder.record(
+            LOG_EVENTS.ROUND, this.currentPlayerIndex,
+            winner, winnerPlayer ? winnerPlayer.wins : 0, winnerPlayer ? winnerPlayer.name : ''
+        );
+
+        // Next deal: the player after the last starter opens it
+        this.handNumber++;
+        this.dealStarter = (this.dealStarter + 1) % this.players.length;
+        this.currentPlayerIndex = this.dealStarter;
+        this.players.forEach(p => { p.hand = null; });
+        this.turnState = 'handEnd';
+        this._autoSave();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'poker-overlay';
+        overlay.innerHTML = winnerPlayer
+            ? `
+                <div class="poker-overlay-text">🃏 ${winnerPlayer.name}</div>
+                <div class="poker-overlay-sub">vince la mano con ${winningHand.name} ${PokerDiceUI.cardsText(winningHand.cards)} (${winnerPlayer.wins}/${this.winsNeeded})</div>
+            `
+            : `
+                <div class="poker-overlay-text">🤝 Pareggio</div>
+                <div class="poker-overlay-sub">Nessuno vince la mano</div>
+            `;
+        this.container.appendChild(overlay);
+
+        this._timer = setTimeout(() => {
+            overlay.remove();
+            this._afterHand();
+        }, HAND_END_DELAY);
+    }
+
+    _afterHand() {
+        const champion = this.players.find(p => p.wins >= this.winsNeeded);
+        if (champion) {
+            this._endGame(champion);
+            return;
+        }
+        this._startTurn();
+        this._autoSave();
+    }
+
+    _endGame(champion) {
+        this.gameOver = true;
+        clearTimeout(this._timer);
+
+        // Save to history (final score = hands won)
+        this._recordMatch(this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            finalScore: p.wins,
+            isWinner: p === champion
+        })), { log: this.recorder.getLog() });
+
+        this._updateUI();
+        this._showWinner({
+            name: champion.name,
+            color: champion.color,
+            score: champion.wins,
+            detail: 'mani vinte'
+        });
+    }
+
+    _restartGame() {
+        clearTimeout(this._timer);
+        this.container.querySelectorAll('.poker-overlay').forEach(el => el.remove());
+        this.gameId = this._generateGameId();
+        this.players.forEach(p => {
+            p.wins = 0;
+            p.hand = null;
+        });
+        this.currentPlayerIndex = 0;
+        this.handNumber = 1;
+        this.dealStarter = 0;
+        this.gameOver = false;
+        this.gameStartTime = Date.now();
+        this.recorder.reset();
+        this._startTurn();
+        this._autoSave();
+    }
+
+    // ---- UI Updates ----
+
+    _updateUI() {
+        const { hasRolled, isRolling } = this.diceEngine;
+        PokerDiceUI.renderPlayersBar(this.ui.playersBar, this.players, this.currentPlayerIndex, this.winsNeeded);
+        PokerDiceUI.renderTurnInfo(this.ui.turnInfo, {
+            currentPlayer: this.players[this.currentPlayerIndex],
+            handNumber: this.handNumber,
+            rollsLeft: this.diceEngine.rollsLeft,
+            hand: hasRolled && !isRolling ? this._currentHand() : null
+        });
+        PokerDiceUI.renderHandTable(this.ui.handTable, this.players);
+        this._updateActionButtons();
+    }
+
+    _updateActionButtons() {
+        const bar = this.ui.actionBar;
+        const rollsLeft = this.diceEngine.rollsLeft;
+
+        switch (this.turnState) {
+            case 'idle':
+                bar.innerHTML = `<button class="btn btn-action btn-roll" data-action="roll">🎲 LANCIA DADI (${rollsLeft})</button>`;
+                break;
+
+            case 'rolling':
+                bar.innerHTML = this.diceEngine.manual
+                    ? `<button class="btn btn-action btn-roll" disabled>✍️ INSERISCI I DADI...</button>`
+                    : `<button class="btn btn-action btn-roll" disabled>🎲 LANCIANDO...</button>`;
+                break;
+
+            case 'rolled': {
+                const allHeld = this.diceEngine.getHeld().every(Boolean);
+                bar.innerHTML = `
+                    <button class="btn btn-stand" data-action="stand">✋ STAI</button>
+                    <button class="btn btn-roll" data-action="roll" ${allHeld ? 'disabled' : ''}>🎲 RILANCIA (${rollsLeft})</button>
+                `;
+                break;
+            }
+
+            case 'done':
+            case 'handEnd':
+                bar.innerHTML = `<button class="btn btn-action" disabled>⏳ PROSSIMO GIOCATORE...</button>`;
+                break;
+
+            default:
+                bar.innerHTML = '';
+        }
+    }
+
+    _setHint(text) {
+        if (this.ui.diceHint) {
+            this.ui.diceHint.textContent = text;
+        }
+    }
+
+    _handleActionClick(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn || btn.disabled) return;
+
+        switch (btn.dataset.action) {
+            case 'roll': this._rollDice(); break;
+            case 'stand': this._stand(); break;
+        }
+    }
+
+    // ---- History ----
+
+    _historyHTML() {
+        return PokerDiceUI.renderMatchHistory(this.gameType);
+    }
+
+    // ---- Save/Restore ----
+
+    _serializeState() {
+        return {
+            ...this._baseState(),
+            players: this.players.map(p => ({
+                name: p.name,
+                color: p.color,
+                wins: p.wins,
+                dice: p.hand ? p.hand.cards : null
+            })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            handNumber: this.handNumber,
+            dealStarter: this.dealStarter,
+            turnState: this.turnState,
+            dice: this.diceEngine.getState(),
+            log: this.recorder.getLog()
+        };
+    }
+
+    _restoreState(state) {
+        // Hands are saved as their dice and evaluated again
+        this.players = state.players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            wins: p.wins || 0,
+            hand: p.dice ? evaluateHand(p.dice) : null
+        }));
+        this.currentPlayerIndex = state.currentPlayerIndex;
+        this.handNumber = state.handNumber || 1;
+        this.dealStarter = state.dealStarter || 0;
+        this.gameStartTime = state.gameStartTime || Date.now();
+        this.turnState = state.turnState || 'idle';
+
+        if (state.dice) {
+            this.diceEngine.restoreState(state.dice);
+        }
+
+        // Saved between turns or deals: carry on from there
+        if (this.turnState === 'done') {
+            this._nextPlayer();
+            return;
+        }
+        if (this.turnState === 'handEnd') {
+            this._afterHand();
+            return;
+        }
+        // Saved mid-roll: the roll is given back
+        if (this.turnState === 'rolling') {
+            this.diceEngine.rollsLeft++;
+            this.turnState = 'rolled';
+            if (this.diceEngine.rollsLeft === this.diceEngine.maxRolls) {
+                this.diceEngine.reset();
+                this.turnState = 'idle';
+            }
+        }
+
+        this._updateUI();
+        this._setHint(this.turnState === 'rolled' ? this._rolledHint() : 'Tocca "Lancia Dadi" per iniziare');
+    }
+
+    // ---- Cleanup ----
+
+    destroy() {
+        clearTimeout(this._timer);
+        super.destroy();
+    }
+}
+
+export default PokerDiceGame;
@@ -0,0 +1,57 @@
+/* ========================================
+   PokerDiceManifest - Plugin Manifest
+   What the app needs before Poker Dice is picked:
+   home card and setup choices.
+   The game itself is imported by load().
+   ======================================== */
+
+/**
+ * Rules used when nothing else is chosen.
+ *   bestOf   - hands in the match: the first to win the majority takes it
+ *   maxRolls - rolls per turn (the first one plus rerolls)
+ */
+export const DEFAULT_RULES = {
+    bestOf: 5,
+    maxRolls: 3
+};
+
+/**
+ * Choices offered in setup, in display order.
+ * @type {Array<{id: string, label: string, choices: Array<{value: *, label: string}>}>}
+ */
+export const RULE_OPTIONS = [
+    {
+        id: 'bestOf',
+        label: '🏁 Durata',
+        choices: [
+            { value: 3, label: 'Al meglio di 3 mani' },
+            { value: 5, label: 'Al meglio di 5 mani' },
+            { value: 7, label: 'Al meglio di 7 mani' }
+        ]
+    },
+    {
+        id: 'maxRolls',
+        label: '🎲 Lanci per turno',
+        choices: [
+            { value: 3, label: '3 lanci' },
+            { value: 2, label: '2 lanci (classico)' }
+        ]
+    }
+];
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'pokerdice',
+    version: '1.0.0',
+    requires: ['controller', 'replay', 'faceLabels'],
+    name: 'Poker Dice',
+    icon: '🃏',
+    description: 'Cinque dadi a carte: dal Full al Pokerissimo!',
+    minPlayers: 2,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    houseRules: { defaults: DEFAULT_RULES, options: RULE_OPTIONS },
+    load: () => import('./PokerDiceGame.js')
+};
+
+export default manifest;
@@ -0,0 +1,18 @@
+/* ========================================
+   PokerDiceRules - Match Options
+   Length of the match and rolls per hand, chosen in
+   setup from the choices in PokerDiceManifest.
+   ======================================== */
+
+import { DEFAULT_RULES } from './PokerDiceManifest.js';
+import { rulesResolver } from '../GameRules.js';
+
+export { DEFAULT_RULES };
+
+/** Rules with the defaults filled in (see rulesResolver). */
+export const resolveRules = rulesResolver(DEFAULT_RULES);
+
+export default {
+    DEFAULT_RULES,
+    resolveRules
+};
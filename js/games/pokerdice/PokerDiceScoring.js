@@ -0,0 +1,106 @@
+/* ========================================
+   PokerDiceScoring - Pure Hand Evaluation
+   Five dice with card faces 9, 10, J, Q, K, A
+   (die value 1-6 = card rank, 6 = ace). Hands
+   rank from high card to five of a kind; equal
+   hands are split on the ranks of their cards.
+   ======================================== */
+
+/** Card printed on each face (index 0 = face 1). */
+export const FACES = ['9', '10', 'J', 'Q', 'K', 'A'];
+
+/** Hands from lowest to highest (index = hand rank). */
+export const HANDS = [
+    { id: 'highCard', name: 'Carta alta' },
+    { id: 'pair', name: 'Coppia' },
+    { id: 'twoPair', name: 'Doppia coppia' },
+    { id: 'threeOfAKind', name: 'Tris' },
+    { id: 'straight', name: 'Scala' },
+    { id: 'fullHouse', name: 'Full' },
+    { id: 'fourOfAKind', name: 'Poker' },
+    { id: 'fiveOfAKind', name: 'Pokerissimo' }
+];
+
+/**
+ * Card label of a die value.
+ * @param {number} value - 1-6
+ * @returns {string}
+ */
+export function faceLabel(value) {
+    return FACES[value - 1];
+}
+
+/**
+ * Evaluate five dice.
+ * @param {number[]} values - Die values 1-6
+ * @returns {{rank: number, id: string, name: string, cards: number[], key: number[]}}
+ *   cards: values ordered by importance (bigger groups first, then higher rank);
+ *   key: [rank, ...tie-breakers], compared left to right
+ */
+export function evaluateHand(values) {
+    const counts = {};
+    values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+
+    // Groups: biggest first, higher card first among equal sizes
+    const groups = Object.entries(counts)
+        .map(([value, count]) => ({ value: Number(value), count }))
+        .sort((a, b) => b.count - a.count || b.value - a.value);
+    const shape = groups.map(g => g.count).join('');
+    const cards = groups.flatMap(g => new Array(g.count).fill(g.value));
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const isStraight = shape === '11111' && sorted[4] - sorted[0] === 4;
+
+    let rank;
+    if (shape === '5') rank = 7;
+    else if (shape === '41') rank = 6;
+    else if (shape === '32') rank = 5;
+    else if (isStraight) rank = 4;
+    else if (shape === '311') rank = 3;
+    else if (shape === '221') rank = 2;
+    else if (shape === '2111') rank = 1;
+    else rank = 0;
+
+    return {
+        rank,
+        id: HANDS[rank].id,
+        name: HANDS[rank].name,
+        cards,
+        key: [rank, ...groups.map(g => g.value)]
+    };
+}
+
+/**
+ * Compare two evaluated hands.
+ * @returns {number} > 0 if a wins, < 0 if b wins, 0 on a tie
+ */
+export function compareHands(a, b) {
+    for (let i = 0; i < Math.max(a.key.length, b.key.length); i++) {
+        const diff = (a.key[i] ?? 0) - (b.key[i] ?? 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Winner of a hand: index of the best hand, -1 if the best is tied.
+ * @param {Array} hands - Evaluated hands, one per player
+ * @returns {number}
+ */
+export function handWinner(hands) {
+    let best = 0;
+    for (let i = 1; i < hands.length; i++) {
+        if (compareHands(hands[i], hands[best]) > 0) best = i;
+    }
+    const tied = hands.some((h, i) => i !== best && compareHands(h, hands[best]) === 0);
+    return tied ? -1 : best;
+}
+
+export default {
+    FACES,
+    HANDS,
+    faceLabel,
+    evaluateHand,
+    compareHands,
+    handWinner
+};
@@ -0,0 +1,107 @@
+/* ========================================
+   PokerDiceUI - Static Rendering Methods
+   Generates HTML for Poker Dice components.
+   ======================================== */
+
+import { gameHistory } from '../../services/GameHistoryService.js';
+import { faceLabel } from './PokerDiceScoring.js';
+
+export class PokerDiceUI {
+
+    /**
+     * Render the players bar with hands won.
+     */
+    static renderPlayersBar(container, players, currentPlayerIndex, winsNeeded) {
+        container.innerHTML = players.map((p, i) => `
+            <div class="player-chip ${i === currentPlayerIndex ? 'active' : ''}" style="border-left-color: ${p.color}">
+                ${p.name}
+                <span class="score">${p.wins}/${winsNeeded}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render turn info: current player, hand number and the hand on the table.
+     * @param {HTMLElement} container
+     * @param {Object} data - { currentPlayer, handNumber, rollsLeft, hand } (hand null before the first roll)
+     */
+    static renderTurnInfo(container, { currentPlayer, handNumber, rollsLeft, hand }) {
+        container.innerHTML = `
+            <div class="poker-turn-header">
+                <div class="poker-current-player" style="background: ${currentPlayer.color}">
+                    ${currentPlayer.name}
+                </div>
+                <div class="poker-hand-number">Mano ${handNumber} • ${rollsLeft} ${rollsLeft === 1 ? 'lancio' : 'lanci'}</div>
+            </div>
+            <div class="poker-hand ${hand ? 'made' : ''}">
+                ${hand
+                    ? `<span class="poker-hand-name">${hand.name}</span>
+                       <span class="poker-hand-cards">${PokerDiceUI.cardsText(hand.cards)}</span>`
+                    : '<span class="poker-hand-name">—</span>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Render every player's hand in the current deal.
+     * @param {HTMLElement} container
+     * @param {Array} players - [{ name, color, hand }] (hand null = not played yet)
+     */
+    static renderHandTable(container, players) {
+        container.innerHTML = `
+            <div class="poker-table-title">Mani in tavola</div>
+            ${players.map(p => `
+                <div class="poker-table-row">
+                    <span class="poker-table-dot" style="background: ${p.color}"></span>
+                    <span class="poker-table-name">${p.name}</span>
+                    <span class="poker-table-hand">${p.hand ? `${p.hand.name} <small>${PokerDiceUI.cardsText(p.hand.cards)}</small>` : '…'}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Cards of a hand as text, e.g. "K K 9 9 A".
+     * @param {number[]} cards - Die values
+     */
+    static cardsText(cards) {
+        return cards.map(faceLabel).join(' ');
+    }
+
+    /**
+     * Render match history filtered by game type.
+     */
+    static renderMatchHistory(gameType) {
+        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === gameType);
+
+        if (matches.length === 0) {
+            return `
+                <div class="poker-history-empty">
+                    Nessuna partita completata ancora.
+                </div>
+            `;
+        }
+
+        let html = '<div class="poker-history-list">';
+        matches.slice(0, 20).forEach(match => {
+            const winner = match.players.find(p => p.isWinner);
+            const dateStr = gameHistory.formatDate(match.date);
+            html += `
+                <div class="poker-history-item">
+                    <div class="poker-history-info">
+                        <div class="poker-history-date">${dateStr}</div>
+                        <div class="poker-history-players">${match.players.map(p => p.name).join(', ')}</div>
+                    </div>
+                    <div class="poker-history-result">
+                        <div class="poker-history-winner">${winner ? '🏆 ' + winner.name : 'Pareggio'}</div>
+                        <div class="poker-history-score">${winner ? winner.finalScore + ' mani' : ''}</div>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+}
+
+export default PokerDiceUI;
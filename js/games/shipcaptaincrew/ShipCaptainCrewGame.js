@@ -0,0 +1,511 @@
+/* ========================================
+   ShipCaptainCrewGame - Game Controller
+   Each turn: up to 3 rolls to find ship (6), captain (5)
+   and crew (4) in this order, then the other two dice
+   are the cargo. Highest cargo wins the round; the match
+   is played over the best of N rounds.
+   ======================================== */
+
+import { DiceEngine } from '../../components/dice/DiceEngine.js';
+import { DiceRenderer } from '../../components/dice/DiceRenderer.js';
+import {
+    CREW_ORDER, ROLES, nextNeeded, canHoldDie, assignCrew, autoHoldIndices,
+    hasFullCrew, cargoScore, roundWinner
+} from './ShipCaptainCrewScoring.js';
+import { winsNeeded } from '../GameRules.js';
+import { resolveRules } from './ShipCaptainCrewRules.js';
+import { ShipCaptainCrewUI } from './ShipCaptainCrewUI.js';
+import { GameController } from '../GameController.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+
+const TURN_END_DELAY = 1500;   // ms the final dice stay on screen before the next player
+const ROUND_END_DELAY = 2000;  // ms the round result overlay stays on screen
+
+export class ShipCaptainCrewGame extends GameController {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Array} options.players - Player objects [{name, color}]
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { manualDice: true, rules: { bestOf: 5 } }
+     */
+    constructor({ container, players, onExit, savedState = null, random, settings = {} }) {
+        super({ container, onExit, gameType: 'shipcaptaincrew', savedState, settings });
+        this.rules = resolveRules(this.settings.rules); // fixed for the whole match
+        this.settings.rules = this.rules;
+        this.winsNeeded = winsNeeded(this.rules.bestOf);
+
+        // Players
+        this.players = players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            wins: 0,
+            roundScore: null
+        }));
+
+        this.currentPlayerIndex = 0;
+        this.round = 1;
+        this.roundStarter = 0;
+        this.turnState = 'idle';   // idle | rolling | rolled | done | roundEnd
+        this._timer = null;
+
+        // 5 dice, 3 rolls. Ship, captain and crew can only be kept in order
+        // and never released: the game holds them itself after each roll.
+        this.diceEngine = new DiceEngine({
+            count: 5, sides: 6, maxRolls: 3, random,
+            manual: this.settings.manualDice,
+            holdConstraint: (index, engine) => canHoldDie(engine.values, engine.held, index)
+        });
+
+        // Build UI
+        this._buildUI();
+
+        // Dice renderer
+        this.diceRenderer = new DiceRenderer({
+            container: this.ui.diceContainer,
+            engine: this.diceEngine,
+            size: 55,
+            animationDuration: 900
+        });
+
+        // Roll-by-roll log (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: 5, savedLog: this.savedState?.log })
+            .attach(this.diceEngine, () => this.currentPlayerIndex);
+
+        // Wire engine events
+        this.diceEngine.on('roll-start', () => this._onRollStart());
+        this.diceEngine.on('roll-end', () => this._onRollEnd());
+
+        this._begin(this.savedState);
+    }
+
+    // ---- Build UI ----
+
+    _buildUI() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'container';
+
+        wrapper.innerHTML = `
+            <header>
+                <h1>🚢 NAVE, CAPITANO E CIURMA</h1>
+                <button class="menu-btn" id="menuBtn">☰</button>
+            </header>
+        `;
+
+        const gameScreen = document.createElement('div');
+        gameScreen.className = 'scc-screen';
+
+        gameScreen.innerHTML = `
+            <div class="scc-layout">
+                <div class="players-bar" id="playersBar"></div>
+                <div class="scc-turn-info" id="turnInfo"></div>
+                <div class="scc-dice-area">
+                    <div id="diceContainer"></div>
+                    <div class="scc-dice-hint" id="diceHint">Tocca "Lancia Dadi" per iniziare</div>
+                </div>
+                <div class="scc-round-table" id="roundTable"></div>
+            </div>
+            <div class="fixed-action scc-actions" id="actionBar"></div>
+        `;
+
+        wrapper.appendChild(gameScreen);
+        this.container.appendChild(wrapper);
+
+        // Menu
+        this._buildMenu();
+
+        // Rules, History and Winner Modals
+        this._buildModals(`
+            <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Nave, Capitano e Ciurma</div>
+            <div style="text-align: left; font-size: 0.85rem; line-height: 1.6; margin: 20px 0; max-height: 55vh; overflow-y: auto;">
+                <strong style="color: var(--primary);">OBIETTIVO:</strong><br>
+                Vincere <strong>${this.winsNeeded} round</strong> (al meglio di ${this.rules.bestOf})!<br><br>
+                <strong style="color: var(--primary);">TURNO:</strong><br>
+                Hai 3 lanci per trovare, <strong>in quest'ordine</strong>:<br>
+                • 🚢 <strong>Nave:</strong> un 6<br>
+                • 👨‍✈️ <strong>Capitano:</strong> un 5<br>
+                • 👥 <strong>Ciurma:</strong> un 4<br>
+                Un 5 conta solo se hai già la nave, un 4 solo se hai già il capitano.
+                I dadi trovati vengono tenuti automaticamente.<br><br>
+                <strong style="color: var(--primary);">CARICO:</strong><br>
+                Con nave, capitano e ciurma, gli altri due dadi sono il carico: la loro somma è il punteggio.
+                Puoi tenerlo o rilanciarlo se ti restano lanci.<br>
+                Senza nave, capitano e ciurma il carico vale 0.<br><br>
+                <strong style="color: var(--primary);">ROUND:</strong><br>
+                Vince il round il carico più alto. In caso di pareggio nessuno vince il round.
+            </div>
+            <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
+        `);
+
+        // Cache UI refs
+        this.ui = {
+            diceContainer: gameScreen.querySelector('#diceContainer'),
+            diceHint: gameScreen.querySelector('#diceHint'),
+            actionBar: gameScreen.querySelector('#actionBar'),
+            playersBar: gameScreen.querySelector('#playersBar'),
+            turnInfo: gameScreen.querySelector('#turnInfo'),
+            roundTable: gameScreen.querySelector('#roundTable')
+        };
+
+        // Button events
+        wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
+        this.ui.actionBar.addEventListener('click', (e) => this._handleActionClick(e));
+    }
+
+    // ---- Game Flow ----
+
+    _startGame() {
+        this._startTurn();
+    }
+
+    _startTurn() {
+        // Reset dice engine (also drops any unfinished physical-dice entry)
+        this.diceEngine.reset();
+        this.turnState = 'idle';
+
+        this.recorder.record(LOG_EVENTS.TURN, this.currentPlayerIndex);
+        this._updateUI();
+        this._setHint('Tocca "Lancia Dadi" per iniziare');
+    }
+
+    _rollDice() {
+        if (!['idle', 'rolled'].includes(this.turnState) || !this.diceEngine.canRoll()) return;
+        this.turnState = 'rolling';
+        this.diceEngine.roll();
+    }
+
+    _onRollStart() {
+        this._updateActionButtons();
+        this._setHint(this.diceEngine.manual
+            ? '✍️ Tocca ogni dado e inserisci il valore dei dadi reali'
+            : 'Lanciando...');
+    }
+
+    _onRollEnd() {
+        // Keep the roles found in this roll (the hold constraint enforces the order).
+        // After the last roll holding is closed: the roles are only shown.
+        const { values, held } = this.diceEngine;
+        autoHoldIndices(values, held).forEach(i => this.diceEngine.toggleHold(i));
+
+        if (this.diceEngine.rollsLeft === 0) {
+            this._endTurn();
+            return;
+        }
+
+        this.turnState = 'rolled';
+        this._updateUI();
+        this._setHint(this._rolledHint());
+        this._autoSave();
+    }
+
+    _rolledHint() {
+        if (hasFullCrew(this.diceEngine.values, this.diceEngine.held)) {
+            return 'Equipaggio completo! Tieni il carico o rilancialo';
+        }
+        const needed = nextNeeded(this.diceEngine.held);
+        return `Serve un ${needed} (${ROLES[CREW_ORDER.indexOf(needed)].name}): rilancia!`;
+    }
+
+    /**
+     * Stop rolling and keep the current cargo (crew complete only).
+     */
+    _keepCargo() {
+        if (this.turnState !== 'rolled' || !hasFullCrew(this.diceEngine.values, this.diceEngine.held)) return;
+        this._endTurn();
+    }
+
+    _endTurn() {
+        const p = this.players[this.currentPlayerIndex];
+        const full = hasFullCrew(this.diceEngine.values, this.diceEngine.held);
+        p.roundScore = cargoScore(this.diceEngine.values, this.diceEngine.held);
+        this.recorder.record(LOG_EVENTS.CARGO, this.currentPlayerIndex, p.roundScore);
+
+        this.turnState = 'done';
+        this._updateUI();
+        this._setHint(full
+            ? `📦 Carico di ${p.roundScore} punti!`
+            : '🚫 Niente nave, capitano e ciurma: carico 0');
+        this._autoSave();
+
+        this._timer = setTimeout(() => this._nextPlayer(), TURN_END_DELAY);
+    }
+
+    _nextPlayer() {
+        if (this.players.every(p => p.roundScore !== null)) {
+            this._endRound();
+            return;
+        }
+
+        do {
+            this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        } while (this.players[this.currentPlayerIndex].roundScore !== null);
+
+        this._startTurn();
+        this._autoSave();
+    }
+
+    /**
+     * Score the round, then set up the next one (saved before the
+     * overlay, so a reload during it resumes on the new round).
+     */
+    _endRound() {
+        const winner = roundWinner(this.players.map(p => p.roundScore));
+        const winnerPlayer = this.players[winner];
+        if (winnerPlayer) winnerPlayer.wins++;
+        this.recorder.record(
+            LOG_EVENTS.ROUND, this.currentPlayerIndex,
+            winner, winnerPlayer ? winnerPlayer.wins : 0, winnerPlayer ? winnerPlayer.name : ''
+        );
+
+        // Next round: the player after the last starter opens it
+        this.round++;
+        this.roundStarter = (this.roundStarter + 1) % this.players.length;
+        this.currentPlayerIndex = this.roundStarter;
+        this.players.forEach(p => { p.roundScore = null; });
+        this.turnState = 'roundEnd';
+        this._autoSave();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'scc-overlay';
+        overlay.innerHTML = winnerPlayer
+            ? `
+                <div class="scc-overlay-text">⚓ ${winnerPlayer.name}</div>
+                <div class="scc-overlay-sub">vince il round! (${winnerPlayer.wins}/${this.winsNeeded})</div>
+            `
+            : `
+                <div class="scc-overlay-text">🤝 Pareggio</div>
+                <div class="scc-overlay-sub">Nessuno vince il round</div>
+            `;
+        this.container.appendChild(overlay);
+
+        this._timer = setTimeout(() => {
+            overlay.remove();
+            this._afterRound();
+        }, ROUND_END_DELAY);
+    }
+
+    _afterRound() {
+        const champion = this.players.find(p => p.wins >= this.winsNeeded);
+        if (champion) {
+            this._endGame(champion);
+            return;
+        }
+        this._startTurn();
+        this._autoSave();
+    }
+
+    _endGame(champion) {
+        this.gameOver = true;
+        clearTimeout(this._timer);
+
+        // Save to history (final score = rounds won)
+        this._recordMatch(this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            finalScore: p.wins,
+            isWinner: p === champion
+        })), { log: this.recorder.getLog() });
+
+        this._updateUI();
+        this._showWinner({
+            name: champion.name,
+            color: champion.color,
+            score: champion.wins,
+            detail: 'round vinti'
+        });
+    }
+
+    _restartGame() {
+        clearTimeout(this._timer);
+        this.container.querySelectorAll('.scc-overlay').forEach(el => el.remove());
+        this.gameId = this._generateGameId();
+        this.players.forEach(p => {
+            p.wins = 0;
+            p.roundScore = null;
+        });
+        this.currentPlayerIndex = 0;
+        this.round = 1;
+        this.roundStarter = 0;
+        this.gameOver = false;
+        this.gameStartTime = Date.now();
+        this.recorder.reset();
+        this._startTurn();
+        this._autoSave();
+    }
+
+    // ---- UI Updates ----
+
+    _updateUI() {
+        ShipCaptainCrewUI.renderPlayersBar(this.ui.playersBar, this.players, this.currentPlayerIndex, this.winsNeeded);
+        this._updateTurnInfo();
+        ShipCaptainCrewUI.renderRoundTable(this.ui.roundTable, this.players);
+        this._updateDiceRoles();
+        this._updateActionButtons();
+    }
+
+    /**
+     * Roles found so far: held dice, plus those of the last roll once holding is closed.
+     */
+    _currentCrew() {
+        const { values, held, hasRolled, isRolling } = this.diceEngine;
+        if (!hasRolled || isRolling) return [-1, -1, -1];
+        return assignCrew(values, held);
+    }
+
+    _updateTurnInfo() {
+        const crew = this._currentCrew();
+        ShipCaptainCrewUI.renderTurnInfo(this.ui.turnInfo, {
+            currentPlayer: this.players[this.currentPlayerIndex],
+            round: this.round,
+            rollsLeft: this.diceEngine.rollsLeft,
+            crew,
+            cargo: crew.includes(-1) ? null : cargoScore(this.diceEngine.values, this.diceEngine.held)
+        });
+    }
+
+    /**
+     * Label each die with its role and mark the cargo.
+     */
+    _updateDiceRoles() {
+        const crew = this._currentCrew();
+        const full = !crew.includes(-1);
+        this.diceRenderer.scenes.forEach(({ scene, holdLabel }, i) => {
+            const role = crew.indexOf(i);
+            holdLabel.textContent = role !== -1 ? ROLES[role].name.toUpperCase() : 'TENUTO';
+            scene.classList.toggle('scc-crew-die', role !== -1);
+            scene.classList.toggle('scc-cargo-die', full && role === -1);
+        });
+    }
+
+    _updateActionButtons() {
+        const bar = this.ui.actionBar;
+        const rollsLeft = this.diceEngine.rollsLeft;
+
+        switch (this.turnState) {
+            case 'idle':
+                bar.innerHTML = `<button class="btn btn-action btn-roll" data-action="roll">🎲 LANCIA DADI (${rollsLeft})</button>`;
+                break;
+
+            case 'rolling':
+                bar.innerHTML = this.diceEngine.manual
+                    ? `<button class="btn btn-action btn-roll" disabled>✍️ INSERISCI I DADI...</button>`
+                    : `<button class="btn btn-action btn-roll" disabled>🎲 LANCIANDO...</button>`;
+                break;
+
+            case 'rolled': {
+                const full = hasFullCrew(this.diceEngine.values, this.diceEngine.held);
+                const cargo = cargoScore(this.diceEngine.values, this.diceEngine.held);
+                bar.innerHTML = `
+                    ${full ? `<button class="btn btn-keep" data-action="keep">📦 TIENI IL CARICO (${cargo})</button>` : ''}
+                    <button class="btn btn-roll" data-action="roll">🎲 ${full ? 'RILANCIA IL CARICO' : 'RILANCIA'} (${rollsLeft})</button>
+                `;
+                break;
+            }
+
+            case 'done':
+            case 'roundEnd':
+                bar.innerHTML = `<button class="btn btn-action" disabled>⏳ PROSSIMO GIOCATORE...</button>`;
+                break;
+
+            default:
+                bar.innerHTML = '';
+        }
+    }
+
+    _setHint(text) {
+        if (this.ui.diceHint) {
+            this.ui.diceHint.textContent = text;
+        }
+    }
+
+    _handleActionClick(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn || btn.disabled) return;
+
+        switch (btn.dataset.action) {
+            case 'roll': this._rollDice(); break;
+            case 'keep': this._keepCargo(); break;
+        }
+    }
+
+    // ---- History ----
+
+    _historyHTML() {
+        return ShipCaptainCrewUI.renderMatchHistory(this.gameType);
+    }
+
+    // ---- Save/Restore ----
+
+    _serializeState() {
+        return {
+            ...this._baseState(),
+            players: this.players.map(p => ({
+                name: p.name,
+                color: p.color,
+                wins: p.wins,
+                roundScore: p.roundScore
+            })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            round: this.round,
+            roundStarter: this.roundStarter,
+            turnState: this.turnState,
+            dice: this.diceEngine.getState(),
+            log: this.recorder.getLog()
+        };
+    }
+
+    _restoreState(state) {
+        this.players = state.players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            wins: p.wins || 0,
+            roundScore: p.roundScore ?? null
+        }));
+        this.currentPlayerIndex = state.currentPlayerIndex;
+        this.round = state.round || 1;
+        this.roundStarter = state.roundStarter || 0;
+        this.gameStartTime = state.gameStartTime || Date.now();
+        this.turnState = state.turnState || 'idle';
+
+        if (state.dice) {
+            this.diceEngine.restoreState(state.dice);
+        }
+
+        // Saved between turns or rounds: carry on from there
+        if (this.turnState === 'done') {
+            this._nextPlayer();
+            return;
+        }
+        if (this.turnState === 'roundEnd') {
+            this._afterRound();
+            return;
+        }
+        // Saved mid-roll: the roll is given back
+        if (this.turnState === 'rolling') {
+            this.diceEngine.rollsLeft++;
+            this.turnState = 'rolled';
+            if (this.diceEngine.rollsLeft === this.diceEngine.maxRolls) {
+                this.diceEngine.reset();
+                this.turnState = 'idle';
+            }
+        }
+
+        this._updateUI();
+        this._setHint(this.turnState === 'rolled' ? this._rolledHint() : 'Tocca "Lancia Dadi" per iniziare');
+    }
+
+    // ---- Cleanup ----
+
+    destroy() {
+        clearTimeout(this._timer);
+        super.destroy();
+    }
+}
+
+export default ShipCaptainCrewGame;
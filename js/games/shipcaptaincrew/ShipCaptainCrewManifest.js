@@ -0,0 +1,47 @@
+/* ========================================
+   ShipCaptainCrewManifest - Plugin Manifest
+   What the app needs before Ship, Captain and Crew is picked:
+   home card and setup choices.
+   The game itself is imported by load().
+   ======================================== */
+
+/**
+ * Rules used when nothing else is chosen.
+ *   bestOf - rounds in the match: the first to win the majority takes it
+ */
+export const DEFAULT_RULES = {
+    bestOf: 5
+};
+
+/**
+ * Choices offered in setup, in display order.
+ * @type {Array<{id: string, label: string, choices: Array<{value: *, label: string}>}>}
+ */
+export const RULE_OPTIONS = [
+    {
+        id: 'bestOf',
+        label: '🏁 Durata',
+        choices: [
+            { value: 3, label: 'Al meglio di 3 round' },
+            { value: 5, label: 'Al meglio di 5 round' },
+            { value: 7, label: 'Al meglio di 7 round' }
+        ]
+    }
+];
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'shipcaptaincrew',
+    version: '1.0.0',
+    requires: ['controller', 'replay'],
+    name: 'Nave, Capitano e Ciurma',
+    icon: '🚢',
+    description: 'Trova 6, 5 e 4 in ordine e carica la stiva!',
+    minPlayers: 2,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    houseRules: { defaults: DEFAULT_RULES, options: RULE_OPTIONS },
+    load: () => import('./ShipCaptainCrewGame.js')
+};
+
+export default manifest;
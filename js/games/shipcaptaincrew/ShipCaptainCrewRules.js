@@ -0,0 +1,18 @@
+/* ========================================
+   ShipCaptainCrewRules - Match Options
+   Length of the match, chosen in setup from the
+   choices in ShipCaptainCrewManifest.
+   ======================================== */
+
+import { DEFAULT_RULES } from './ShipCaptainCrewManifest.js';
+import { rulesResolver } from '../GameRules.js';
+
+export { DEFAULT_RULES };
+
+/** Rules with the defaults filled in (see rulesResolver). */
+export const resolveRules = rulesResolver(DEFAULT_RULES);
+
+export default {
+    DEFAULT_RULES,
+    resolveRules
+};
@@ -0,0 +1,106 @@
+/* ========================================
+   ShipCaptainCrewScoring
+   Pure rules for Ship, Captain and Crew:
+   6 (ship), 5 (captain) and 4 (crew) must be
+   kept in this order; the other two dice are cargo.
+   ======================================== */
+
+/** Values of ship, captain and crew, in the order they must be found. */
+export const CREW_ORDER = [6, 5, 4];
+
+export const ROLES = [
+    { id: 'ship', name: 'Nave', icon: '🚢' },
+    { id: 'captain', name: 'Capitano', icon: '👨‍✈️' },
+    { id: 'crew', name: 'Ciurma', icon: '👥' }
+];
+
+/**
+ * Value of the next role to keep, or null once ship, captain and crew are held.
+ * Held dice are always roles: cargo is never held.
+ * @param {boolean[]} held
+ * @returns {number|null}
+ */
+export function nextNeeded(held) {
+    const found = held.filter(Boolean).length;
+    return found < CREW_ORDER.length ? CREW_ORDER[found] : null;
+}
+
+/**
+ * Hold constraint: a die can only be kept if it is the next role in order,
+ * and a kept role can never be released.
+ * @param {number[]} values
+ * @param {boolean[]} held
+ * @param {number} index
+ * @returns {boolean}
+ */
+export function canHoldDie(values, held, index) {
+    return !held[index] && values[index] === nextNeeded(held);
+}
+
+/**
+ * Assign ship, captain and crew: held dice first, then dice of the roll,
+ * one role after the other (a 5 only counts once there is a ship...).
+ * @param {number[]} values
+ * @param {boolean[]} held
+ * @returns {number[]} Die index per role in CREW_ORDER (-1 = not found yet)
+ */
+export function assignCrew(values, held) {
+    const used = new Set();
+    const roles = [];
+    for (const value of CREW_ORDER) {
+        if (roles.includes(-1)) {
+            roles.push(-1);
+            continue;
+        }
+        let index = values.findIndex((v, i) => held[i] && v === value && !used.has(i));
+        if (index === -1) index = values.findIndex((v, i) => v === value && !used.has(i));
+        if (index !== -1) used.add(index);
+        roles.push(index);
+    }
+    return roles;
+}
+
+/**
+ * Dice to keep after a roll: roles found in this roll, in order.
+ * @returns {number[]} Indices
+ */
+export function autoHoldIndices(values, held) {
+    return assignCrew(values, held).filter(i => i !== -1 && !held[i]);
+}
+
+export function hasFullCrew(values, held) {
+    return !assignCrew(values, held).includes(-1);
+}
+
+/**
+ * Cargo points: the two dice left over once the crew is complete, 0 otherwise.
+ * @returns {number}
+ */
+export function cargoScore(values, held) {
+    const roles = assignCrew(values, held);
+    if (roles.includes(-1)) return 0;
+    return values.reduce((sum, v, i) => (roles.includes(i) ? sum : sum + v), 0);
+}
+
+/**
+ * Round winner: the single highest cargo (ties win nothing).
+ * @param {number[]} scores - Cargo per player
+ * @returns {number} Player index, -1 on a tie at the top
+ */
+export function roundWinner(scores) {
+    const best = Math.max(...scores);
+    const leaders = scores.map((s, i) => (s === best ? i : -1)).filter(i => i >= 0);
+    return leaders.length === 1 ? leaders[0] : -1;
+}
+
+export default {
+    CREW_ORDER,
+    ROLES,
+    nextNeeded,
+    canHoldDie,
+    assignCrew,
+    autoHoldIndices,
+    hasFullCrew,
+    cargoScore,
+    roundWinner
+};
@@ -0,0 +1,106 @@
+/* ========================================
+   ShipCaptainCrewUI - Static Rendering Methods
+   Generates HTML for Ship, Captain and Crew components.
+   ======================================== */
+
+import { gameHistory } from '../../services/GameHistoryService.js';
+import { ROLES, CREW_ORDER } from './ShipCaptainCrewScoring.js';
+
+export class ShipCaptainCrewUI {
+
+    /**
+     * Render the players bar with rounds won.
+     */
+    static renderPlayersBar(container, players, currentPlayerIndex, winsNeeded) {
+        container.innerHTML = players.map((p, i) => `
+            <div class="player-chip ${i === currentPlayerIndex ? 'active' : ''}" style="border-left-color: ${p.color}">
+                ${p.name}
+                <span class="score">${p.wins}/${winsNeeded}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render turn info: current player, round, crew found and cargo.
+     * @param {HTMLElement} container
+     * @param {Object} data - { currentPlayer, round, rollsLeft, crew, cargo }
+     *   crew: die index per role (-1 = missing); cargo: points, null when the crew is incomplete
+     */
+    static renderTurnInfo(container, { currentPlayer, round, rollsLeft, crew, cargo }) {
+        const roles = ROLES.map((role, i) => `
+            <div class="scc-role ${crew[i] !== -1 ? 'found' : ''}">
+                <span class="scc-role-icon">${role.icon}</span>
+                <span class="scc-role-name">${role.name}</span>
+                <span class="scc-role-value">${CREW_ORDER[i]}</span>
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="scc-turn-header">
+                <div class="scc-current-player" style="background: ${currentPlayer.color}">
+                    ${currentPlayer.name}
+                </div>
+                <div class="scc-round">Round ${round} • ${rollsLeft} ${rollsLeft === 1 ? 'lancio' : 'lanci'}</div>
+            </div>
+            <div class="scc-crew">${roles}</div>
+            <div class="scc-cargo ${cargo !== null ? 'loaded' : ''}">
+                ${cargo !== null ? `📦 Carico: <strong>${cargo}</strong>` : '📦 Carico: —'}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the cargo of every player in the current round.
+     * @param {HTMLElement} container
+     * @param {Array} players - [{ name, color, roundScore }] (roundScore null = not played yet)
+     */
+    static renderRoundTable(container, players) {
+        container.innerHTML = `
+            <div class="scc-round-title">Carichi del round</div>
+            ${players.map(p => `
+                <div class="scc-round-row">
+                    <span class="scc-round-dot" style="background: ${p.color}"></span>
+                    <span class="scc-round-name">${p.name}</span>
+                    <span class="scc-round-score">${p.roundScore === null ? '…' : p.roundScore}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Render match history filtered by game type.
+     */
+    static renderMatchHistory(gameType) {
+        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === gameType);
+
+        if (matches.length === 0) {
+            return `
+                <div class="scc-history-empty">
+                    Nessuna partita completata ancora.
+                </div>
+            `;
+        }
+
+        let html = '<div class="scc-history-list">';
+        matches.slice(0, 20).forEach(match => {
+            const winner = match.players.find(p => p.isWinner);
+            const dateStr = gameHistory.formatDate(match.date);
+            html += `
+                <div class="scc-history-item">
+                    <div class="scc-history-info">
+                        <div class="scc-history-date">${dateStr}</div>
+                        <div class="scc-history-players">${match.players.map(p => p.name).join(', ')}</div>
+                    </div>
+                    <div class="scc-history-result">
+                        <div class="scc-history-winner">${winner ? '🏆 ' + winner.name : 'Pareggio'}</div>
+                        <div class="scc-history-score">${winner ? winner.finalScore + ' round' : ''}</div>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+}
+
+export default ShipCaptainCrewUI;
@@ -0,0 +1,501 @@
+/* ========================================
+   ShutTheBoxGame - Game Controller
+   Each player gets a box with tiles 1-9: roll, shut tiles
+   adding up to the roll, repeat until no combination fits.
+   One die once 7, 8 and 9 are shut. Lowest sum of the
+   tiles left open wins; solo, the goal is to shut them all.
+   ======================================== */
+
+import { DiceEngine } from '../../components/dice/DiceEngine.js';
+import { DiceRenderer } from '../../components/dice/DiceRenderer.js';
+import { TileBoard } from '../../components/dice/TileBoard.js';
+import {
+    TILES, MAX_REMAINING, diceForRoll, hasLegalMove,
+    isLegalSelection, selectableTiles, remainingScore
+} from './ShutTheBoxScoring.js';
+import { ShutTheBoxUI } from './ShutTheBoxUI.js';
+import { GameController } from '../GameController.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+
+const TURN_END_DELAY = 2000;   // ms the "box closed" overlay stays on screen
+
+export class ShutTheBoxGame extends GameController {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Root container element
+     * @param {Array} options.players - Player objects [{name, color}]
+     * @param {Function} options.onExit - Callback to return to home
+     * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { manualDice: true }
+     */
+    constructor({ container, players, onExit, savedState = null, random, settings = {} }) {
+        super({ container, onExit, gameType: 'shutthebox', savedState, settings });
+
+        // Players (remaining = score once their box is closed, null before)
+        this.players = players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            open: [...TILES],
+            remaining: null
+        }));
+
+        this.currentPlayerIndex = 0;
+        this._timer = null;
+
+        // Turn state
+        this.turnState = 'idle';   // idle | rolling | selecting | over
+        this.rollTotal = null;
+        this.selected = [];
+
+        // Two dice, one roll at a time. With one die the second
+        // is set aside (held) and its face covered.
+        this.diceEngine = new DiceEngine({
+            count: 2, sides: 6, maxRolls: 1, random,
+            manual: this.settings.manualDice,
+            holdConstraint: () => false
+        });
+
+        // Build UI
+        this._buildUI();
+
+        // Dice renderer and tiles
+        this.diceRenderer = new DiceRenderer({
+            container: this.ui.diceContainer,
+            engine: this.diceEngine,
+            size: 60,
+            animationDuration: 800
+        });
+        this.tileBoard = new TileBoard({
+            container: this.ui.tileBoard,
+            tiles: TILES,
+            onTileClick: (tile) => this._onTileClick(tile)
+        });
+
+        // Roll-by-roll log (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: 2, savedLog: this.savedState?.log })
+            .attach(this.diceEngine, () => this.currentPlayerIndex);
+
+        // Wire engine events
+        this.diceEngine.on('roll-start', () => this._onRollStart());
+        this.diceEngine.on('roll-end', () => this._onRollEnd());
+
+        this._begin(this.savedState);
+    }
+
+    // ---- Build UI ----
+
+    _buildUI() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'container';
+
+        wrapper.innerHTML = `
+            <header>
+                <h1>📦 SHUT THE BOX</h1>
+                <button class="menu-btn" id="menuBtn">☰</button>
+            </header>
+        `;
+
+        const gameScreen = document.createElement('div');
+        gameScreen.className = 'stb-screen';
+
+        gameScreen.innerHTML = `
+            <div class="stb-layout">
+                <div class="players-bar" id="playersBar"></div>
+                <div class="stb-turn-info" id="turnInfo"></div>
+                <div class="stb-box">
+                    <div id="tileBoard"></div>
+                </div>
+                <div class="stb-dice-area">
+                    <div id="diceContainer"></div>
+                    <div class="stb-dice-hint" id="diceHint">Tocca "Lancia Dadi" per iniziare</div>
+                </div>
+            </div>
+            <div class="fixed-action stb-actions" id="actionBar"></div>
+        `;
+
+        wrapper.appendChild(gameScreen);
+        this.container.appendChild(wrapper);
+
+        // Menu
+        this._buildMenu();
+
+        // Rules, History and Winner Modals
+        this._buildModals(`
+            <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Shut the Box</div>
+            <div style="text-align: left; font-size: 0.85rem; line-height: 1.6; margin: 20px 0; max-height: 55vh; overflow-y: auto;">
+                <strong style="color: var(--primary);">OBIETTIVO:</strong><br>
+                Chiudere tutte le tessere da 1 a 9!<br><br>
+                <strong style="color: var(--primary);">TURNO:</strong><br>
+                1. Lancia i dadi<br>
+                2. Chiudi una o più tessere aperte la cui somma è uguale al lancio (es. 8 = 8, 5+3, 1+2+5...)<br>
+                3. Rilancia e continua finché puoi<br><br>
+                <strong style="color: var(--primary);">UN DADO:</strong><br>
+                Quando 7, 8 e 9 sono chiuse si lancia un solo dado.<br><br>
+                <strong style="color: var(--primary);">FINE TURNO:</strong><br>
+                Se nessuna combinazione di tessere aperte dà il lancio, il turno finisce:
+                il punteggio è la somma delle tessere rimaste aperte.<br><br>
+                <strong style="color: var(--primary);">VINCITORE:</strong><br>
+                Vince il punteggio <strong>più basso</strong>. Chiudere tutte le tessere vale 0: scatola chiusa!<br>
+                Da soli si vince solo chiudendo la scatola.
+            </div>
+            <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
+        `);
+
+        // Cache UI refs
+        this.ui = {
+            diceContainer: gameScreen.querySelector('#diceContainer'),
+            diceHint: gameScreen.querySelector('#diceHint'),
+            tileBoard: gameScreen.querySelector('#tileBoard'),
+            actionBar: gameScreen.querySelector('#actionBar'),
+            playersBar: gameScreen.querySelector('#playersBar'),
+            turnInfo: gameScreen.querySelector('#turnInfo')
+        };
+
+        // Button events
+        wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
+        this.ui.actionBar.addEventListener('click', (e) => this._handleActionClick(e));
+    }
+
+    // ---- Game Flow ----
+
+    _startGame() {
+        this._startTurn();
+    }
+
+    _startTurn() {
+        this.turnState = 'idle';
+        this.rollTotal = null;
+        this.selected = [];
+
+        // Reset dice engine (also drops any unfinished physical-dice entry)
+        this.diceEngine.reset();
+
+        this.recorder.record(LOG_EVENTS.TURN, this.currentPlayerIndex);
+        this._updateUI();
+        this._setHint('Tocca "Lancia Dadi" per iniziare');
+    }
+
+    _currentPlayer() {
+        return this.players[this.currentPlayerIndex];
+    }
+
+    _diceCount() {
+        return diceForRoll(this._currentPlayer().open);
+    }
+
+    _rollDice() {
+        if (this.turnState !== 'idle' || this.diceEngine.isRolling) return;
+
+        // One die: the second one sits out the roll
+        this.diceEngine.setHeld([false, this._diceCount() === 1]);
+        this.diceEngine.rollsLeft = 1;
+        this.selected = [];
+        this.turnState = 'rolling';
+        this.diceEngine.roll();
+    }
+
+    _onRollStart() {
+        this._updateActionButtons();
+        this._setHint(this.diceEngine.manual
+            ? '✍️ Tocca ogni dado e inserisci il valore dei dadi reali'
+            : 'Lanciando...');
+    }
+
+    _onRollEnd() {
+        const values = this.diceEngine.getValues();
+        this.rollTotal = this._diceCount() === 1 ? values[0] : values[0] + values[1];
+
+        if (!hasLegalMove(this._currentPlayer().open, this.rollTotal)) {
+            this._endTurn();
+            return;
+        }
+
+        this.turnState = 'selecting';
+        this._updateUI();
+        this._setHint(`Chiudi tessere che sommano ${this.rollTotal}`);
+        this._autoSave();
+    }
+
+    _onTileClick(tile) {
+        if (this.turnState !== 'selecting') return;
+
+        if (this.selected.includes(tile)) {
+            this.selected = this.selected.filter(t => t !== tile);
+        } else if (selectableTiles(this._currentPlayer().open, this.selected, this.rollTotal).includes(tile)) {
+            this.selected = [...this.selected, tile];
+        }
+        this._updateUI();
+    }
+
+    _shutSelected() {
+        const p = this._currentPlayer();
+        if (this.turnState !== 'selecting' || !isLegalSelection(this.selected, p.open, this.rollTotal)) return;
+
+        p.open = p.open.filter(t => !this.selected.includes(t));
+        this.recorder.record(LOG_EVENTS.TILES, this.currentPlayerIndex, [...this.selected].sort((a, b) => a - b), remainingScore(p.open));
+        this.selected = [];
+        this.rollTotal = null;
+
+        if (p.open.length === 0) {
+            this._endTurn();
+            return;
+        }
+
+        this.turnState = 'idle';
+        this._updateUI();
+        this._setHint(this._diceCount() === 1
+            ? '7, 8 e 9 chiuse: ora si lancia un solo dado!'
+            : 'Rilancia i dadi');
+        this._autoSave();
+    }
+
+    /**
+     * No tiles fit the roll (or the box is shut): the tiles left open are the score.
+     */
+    _endTurn() {
+        const p = this._currentPlayer();
+        p.remaining = remainingScore(p.open);
+        this.recorder.record(LOG_EVENTS.BOX, this.currentPlayerIndex, p.remaining);
+        this.turnState = 'over';
+        this._updateUI();
+        this._autoSave();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'stb-overlay';
+        overlay.innerHTML = p.remaining === 0
+            ? `
+                <div class="stb-overlay-text">📦 SCATOLA CHIUSA!</div>
+                <div class="stb-overlay-sub">${p.name} ha chiuso tutte le tessere: 0 punti!</div>
+            `
+            : `
+                <div class="stb-overlay-text">Nessuna mossa</div>
+                <div class="stb-overlay-sub">${this.rollTotal} non si può fare: ${p.name} chiude con ${p.remaining} punti</div>
+            `;
+        this.container.appendChild(overlay);
+
+        this._timer = setTimeout(() => {
+            overlay.remove();
+            this._nextPlayer();
+        }, TURN_END_DELAY);
+    }
+
+    _nextPlayer() {
+        const next = this.players.findIndex(p => p.remaining === null);
+        if (next === -1) {
+            this._endGame();
+            return;
+        }
+        this.currentPlayerIndex = next;
+        this._startTurn();
+        this._autoSave();
+    }
+
+    /**
+     * Lowest remaining wins (ties share the win); solo, only a shut box wins.
+     */
+    _winners() {
+        if (this.players.length === 1) {
+            return this.players.filter(p => p.remaining === 0);
+        }
+        const best = Math.min(...this.players.map(p => p.remaining));
+        return this.players.filter(p => p.remaining === best);
+    }
+
+    _endGame() {
+        this.gameOver = true;
+        clearTimeout(this._timer);
+        const winners = this._winners();
+
+        // Save to history: as in every game a higher final score is better
+        // (points of the tiles shut), the tiles left open are kept apart
+        this._recordMatch(this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            finalScore: MAX_REMAINING - p.remaining,
+            remaining: p.remaining,
+            isWinner: winners.includes(p)
+        })), { log: this.recorder.getLog() });
+
+        const solo = this.players.length === 1;
+        let title, name, color;
+        if (winners.length === 0) {
+            title = '📦 Scatola non chiusa';
+            name = this.players[0].name;
+            color = this.players[0].color;
+        } else {
+            title = solo ? '🏆 Scatola chiusa!' : '🏆 Vincitore!';
+            name = winners.length > 1 ? 'Pareggio!' : winners[0].name;
+            color = winners.length === 1 ? winners[0].color : 'var(--primary)';
+        }
+        const score = winners.length > 0 ? winners[0].remaining : this.players[0].remaining;
+
+        this._showWinner({ title, name, color, score, detail: 'punti rimasti' });
+    }
+
+    _restartGame() {
+        clearTimeout(this._timer);
+        this.container.querySelectorAll('.stb-overlay').forEach(el => el.remove());
+        this.gameId = this._generateGameId();
+        this.players.forEach(p => {
+            p.open = [...TILES];
+            p.remaining = null;
+        });
+        this.currentPlayerIndex = 0;
+        this.gameOver = false;
+        this.gameStartTime = Date.now();
+        this.recorder.reset();
+        this._startTurn();
+        this._autoSave();
+    }
+
+    // ---- UI Updates ----
+
+    _updateUI() {
+        const p = this._currentPlayer();
+        ShutTheBoxUI.renderPlayersBar(this.ui.playersBar, this.players, this.currentPlayerIndex);
+        ShutTheBoxUI.renderTurnInfo(this.ui.turnInfo, {
+            currentPlayer: p,
+            rollTotal: this.rollTotal,
+            selectionSum: this.selected.reduce((a, b) => a + b, 0),
+            remaining: remainingScore(p.open),
+            diceCount: this._diceCount()
+        });
+
+        this.tileBoard.setState({
+            shut: TILES.filter(t => !p.open.includes(t)),
+            selected: this.selected,
+            enabled: this.turnState === 'selecting'
+                ? selectableTiles(p.open, this.selected, this.rollTotal)
+                : []
+        });
+
+        // Cover the die that sits out one-die rolls
+        const single = this.turnState === 'idle' || this.turnState === 'rolling'
+            ? this._diceCount() === 1
+            : this.diceEngine.getHeld()[1];
+        this.diceRenderer.setHidden([false, single]);
+
+        this._updateActionButtons();
+    }
+
+    _updateActionButtons() {
+        const bar = this.ui.actionBar;
+
+        switch (this.turnState) {
+            case 'idle':
+                bar.innerHTML = `<button class="btn btn-action btn-roll" data-action="roll">🎲 LANCIA ${this._diceCount() === 1 ? 'IL DADO' : 'I DADI'}</button>`;
+                break;
+
+            case 'rolling':
+                bar.innerHTML = this.diceEngine.manual
+                    ? `<button class="btn btn-action btn-roll" disabled>✍️ INSERISCI I DADI...</button>`
+                    : `<button class="btn btn-action btn-roll" disabled>🎲 LANCIANDO...</button>`;
+                break;
+
+            case 'selecting': {
+                const valid = isLegalSelection(this.selected, this._currentPlayer().open, this.rollTotal);
+                bar.innerHTML = `<button class="btn btn-action btn-confirm" data-action="shut" ${valid ? '' : 'disabled'}>
+                    ✅ CHIUDI ${this.selected.length > 0 ? [...this.selected].sort((a, b) => a - b).join(' + ') : 'TESSERE'}
+                </button>`;
+                break;
+            }
+
+            case 'over':
+                bar.innerHTML = `<button class="btn btn-action" disabled>⏳ PROSSIMO GIOCATORE...</button>`;
+                break;
+
+            default:
+                bar.innerHTML = '';
+        }
+    }
+
+    _setHint(text) {
+        if (this.ui.diceHint) {
+            this.ui.diceHint.textContent = text;
+        }
+    }
+
+    _handleActionClick(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn || btn.disabled) return;
+
+        switch (btn.dataset.action) {
+            case 'roll': this._rollDice(); break;
+            case 'shut': this._shutSelected(); break;
+        }
+    }
+
+    // ---- History ----
+
+    _historyHTML() {
+        return ShutTheBoxUI.renderMatchHistory(this.gameType);
+    }
+
+    // ---- Save/Restore ----
+
+    _serializeState() {
+        return {
+            ...this._baseState(),
+            players: this.players.map(p => ({
+                name: p.name,
+                color: p.color,
+                open: [...p.open],
+                remaining: p.remaining
+            })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            turnState: this.turnState,
+            rollTotal: this.rollTotal,
+            dice: this.diceEngine.getState(),
+            log: this.recorder.getLog()
+        };
+    }
+
+    _restoreState(state) {
+        this.players = state.players.map((p, i) => ({
+            id: i,
+            name: p.name,
+            color: p.color,
+            open: p.open || [...TILES],
+            remaining: p.remaining ?? null
+        }));
+        this.currentPlayerIndex = state.currentPlayerIndex;
+        this.gameStartTime = state.gameStartTime || Date.now();
+        this.turnState = state.turnState || 'idle';
+        this.rollTotal = state.rollTotal ?? null;
+        this.selected = [];
+
+        if (state.dice) {
+            this.diceEngine.restoreState(state.dice);
+        }
+
+        // Saved after the box was closed: move on to the next player
+        if (this.turnState === 'over') {
+            this._nextPlayer();
+            return;
+        }
+        // Saved mid-roll: roll again
+        if (this.turnState === 'rolling') {
+            this.turnState = 'idle';
+            this.rollTotal = null;
+        }
+
+        this._updateUI();
+        this._setHint(this.turnState === 'selecting'
+            ? `Chiudi tessere che sommano ${this.rollTotal}`
+            : 'Tocca "Lancia Dadi" per iniziare');
+    }
+
+    // ---- Cleanup ----
+
+    destroy() {
+        clearTimeout(this._timer);
+        if (this.tileBoard) this.tileBoard.destroy();
+        super.destroy();
+    }
+}
+
+export default ShutTheBoxGame;
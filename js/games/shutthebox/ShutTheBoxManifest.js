@@ -0,0 +1,21 @@
+/* ========================================
+   ShutTheBoxManifest - Plugin Manifest
+   Home card of Shut the Box (no setup choices).
+   The game itself is imported by load().
+   ======================================== */
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'shutthebox',
+    version: '1.0.0',
+    requires: ['controller', 'replay'],
+    name: 'Shut the Box',
+    icon: '📦',
+    description: 'Chiudi le tessere da 1 a 9: vince chi ne lascia meno!',
+    minPlayers: 1,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    load: () => import('./ShutTheBoxGame.js')
+};
+
+export default manifest;
@@ -0,0 +1,97 @@
+/* ========================================
+   ShutTheBoxScoring
+   Pure rules for Shut the Box: legal tile
+   combinations, dice per roll and scoring.
+   ======================================== */
+
+export const TILES = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+/** Tiles that must all be shut before rolling one die. */
+export const HIGH_TILES = [7, 8, 9];
+
+/** Sum of all tiles (score of a box with nothing shut). */
+export const MAX_REMAINING = TILES.reduce((a, b) => a + b, 0);
+
+/**
+ * Dice for the next roll: one once 7, 8 and 9 are all shut.
+ * @param {number[]} open - Open tiles
+ * @returns {number}
+ */
+export function diceForRoll(open) {
+    return HIGH_TILES.some(t => open.includes(t)) ? 2 : 1;
+}
+
+/**
+ * Every set of open tiles adding up to the roll.
+ * @param {number[]} open - Open tiles
+ * @param {number} target - Dice total
+ * @returns {number[][]} Ascending tile sets
+ */
+export function combinations(open, target) {
+    const tiles = [...open].sort((a, b) => a - b);
+    const result = [];
+    const pick = (start, sum, chosen) => {
+        if (sum === target) {
+            result.push([...chosen]);
+            return;
+        }
+        for (let i = start; i < tiles.length && sum + tiles[i] <= target; i++) {
+            chosen.push(tiles[i]);
+            pick(i + 1, sum + tiles[i], chosen);
+            chosen.pop();
+        }
+    };
+    pick(0, 0, []);
+    return result;
+}
+
+export function hasLegalMove(open, target) {
+    return combinations(open, target).length > 0;
+}
+
+/**
+ * A selection can be shut: distinct open tiles adding up to the roll.
+ * @param {number[]} selected
+ * @param {number[]} open
+ * @param {number} target
+ */
+export function isLegalSelection(selected, open, target) {
+    return selected.length > 0 &&
+        new Set(selected).size === selected.length &&
+        selected.every(t => open.includes(t)) &&
+        selected.reduce((a, b) => a + b, 0) === target;
+}
+
+/**
+ * Open tiles that can still be added to a partial selection
+ * (they belong to some legal combination containing it).
+ * @returns {number[]}
+ */
+export function selectableTiles(open, selected, target) {
+    const tiles = new Set();
+    combinations(open, target)
+        .filter(combo => selected.every(t => combo.includes(t)))
+        .forEach(combo => combo.forEach(t => {
+            if (!selected.includes(t)) tiles.add(t);
+        }));
+    return [...tiles];
+}
+
+/**
+ * Score of a box: sum of the tiles left open (lower is better, 0 = box shut).
+ */
+export function remainingScore(open) {
+    return open.reduce((a, b) => a + b, 0);
+}
+
+export default {
+    TILES,
+    HIGH_TILES,
+    MAX_REMAINING,
+    diceForRoll,
+    combinations,
+    hasLegalMove,
+    isLegalSelection,
+    selectableTiles,
+    remainingScore
+};
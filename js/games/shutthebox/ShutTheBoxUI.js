@@ -0,0 +1,93 @@
+/* ========================================
+   ShutTheBoxUI - Static Rendering Methods
+   Generates HTML for Shut the Box components.
+   ======================================== */
+
+import { gameHistory } from '../../services/GameHistoryService.js';
+
+export class ShutTheBoxUI {
+
+    /**
+     * Render the players bar: tiles left open once a player's box is closed.
+     */
+    static renderPlayersBar(container, players, currentPlayerIndex) {
+        container.innerHTML = players.map((p, i) => `
+            <div class="player-chip ${i === currentPlayerIndex ? 'active' : ''}" style="border-left-color: ${p.color}">
+                ${p.name}
+                <span class="score">${p.remaining === null ? '—' : p.remaining}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render turn info: current player, dice total and selection.
+     * @param {HTMLElement} container
+     * @param {Object} data - { currentPlayer, rollTotal, selectionSum, remaining, diceCount }
+     */
+    static renderTurnInfo(container, { currentPlayer, rollTotal, selectionSum, remaining, diceCount }) {
+        container.innerHTML = `
+            <div class="stb-turn-header">
+                <div class="stb-current-player" style="background: ${currentPlayer.color}">
+                    ${currentPlayer.name}
+                </div>
+                <div class="stb-dice-count">🎲 ${diceCount === 1 ? '1 dado' : '2 dadi'}</div>
+            </div>
+            <div class="stb-sums">
+                <div class="stb-sum">
+                    <div class="stb-sum-value">${rollTotal ?? '—'}</div>
+                    <div class="stb-sum-label">lancio</div>
+                </div>
+                <div class="stb-sum">
+                    <div class="stb-sum-value ${rollTotal !== null && selectionSum === rollTotal ? 'match' : ''}">${selectionSum}</div>
+                    <div class="stb-sum-label">selezione</div>
+                </div>
+                <div class="stb-sum">
+                    <div class="stb-sum-value">${remaining}</div>
+                    <div class="stb-sum-label">rimasti</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render match history filtered by game type.
+     */
+    static renderMatchHistory(gameType) {
+        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === gameType);
+
+        if (matches.length === 0) {
+            return `
+                <div class="stb-history-empty">
+                    Nessuna partita completata ancora.
+                </div>
+            `;
+        }
+
+        let html = '<div class="stb-history-list">';
+        matches.slice(0, 20).forEach(match => {
+            const winners = match.players.filter(p => p.isWinner);
+            // Entries saved before `remaining` have it as finalScore
+            const best = Math.min(...match.players.map(p => p.remaining ?? p.finalScore));
+            const dateStr = gameHistory.formatDate(match.date);
+            const result = winners.length === 1
+                ? '🏆 ' + winners[0].name
+                : winners.length > 1 ? 'Pareggio' : '📦 Non chiusa';
+            html += `
+                <div class="stb-history-item">
+                    <div class="stb-history-info">
+                        <div class="stb-history-date">${dateStr}</div>
+                        <div class="stb-history-players">${match.players.map(p => p.name).join(', ')}</div>
+                    </div>
+                    <div class="stb-history-result">
+                        <div class="stb-history-winner">${result}</div>
+                        <div class="stb-history-score">${best === 0 ? 'Scatola chiusa!' : best + ' rimasti'}</div>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+}
+
+export default ShutTheBoxUI;
@@ -0,0 +1,37 @@
+/* ========================================
+   MaxiYatzyCategories
+   Category definitions for Maxi Yatzy (6 dice)
+   ======================================== */
+
+import { countDice, chance } from './YahtzeeScoring.js';
+import {
+    onePair, twoPairs, threePairs, nOfAKind,
+    smallStraight, largeStraight, fullStraight,
+    fullHouse, castle, tower, maxiYatzy
+} from './MaxiYatzyScoring.js';
+
+export const categories = [
+    { id: 'ones',          name: 'Uno (1)',            type: 'upper', calc: (d) => countDice(d, 1) },
+    { id: 'twos',          name: 'Due (2)',            type: 'upper', calc: (d) => countDice(d, 2) },
+    { id: 'threes',        name: 'Tre (3)',            type: 'upper', calc: (d) => countDice(d, 3) },
+    { id: 'fours',         name: 'Quattro (4)',        type: 'upper', calc: (d) => countDice(d, 4) },
+    { id: 'fives',         name: 'Cinque (5)',         type: 'upper', calc: (d) => countDice(d, 5) },
+    { id: 'sixes',         name: 'Sei (6)',            type: 'upper', calc: (d) => countDice(d, 6) },
+    { id: 'bonus',         name: 'Bonus',              type: 'bonus', calc: () => 0, target: 84, points: 50 },
+    { id: 'onePair',       name: 'Coppia',             type: 'lower', calc: (d) => onePair(d) },
+    { id: 'twoPairs',      name: 'Doppia Coppia',      type: 'lower', calc: (d) => twoPairs(d) },
+    { id: 'threePairs',    name: 'Tre Coppie',         type: 'lower', calc: (d) => threePairs(d) },
+    { id: 'threeKind',     name: 'Tre Uguali',         type: 'lower', calc: (d) => nOfAKind(d, 3) },
+    { id: 'fourKind',      name: 'Quattro Uguali',     type: 'lower', calc: (d) => nOfAKind(d, 4) },
+    { id: 'fiveKind',      name: 'Cinque Uguali',      type: 'lower', calc: (d) => nOfAKind(d, 5) },
+    { id: 'smallStraight', name: 'Scala Piccola',      type: 'lower', calc: (d) => smallStraight(d) },
+    { id: 'largeStraight', name: 'Scala Grande',       type: 'lower', calc: (d) => largeStraight(d) },
+    { id: 'fullStraight',  name: 'Scala Completa',     type: 'lower', calc: (d) => fullStraight(d) },
+    { id: 'fullHouse',     name: 'Full House',         type: 'lower', calc: (d) => fullHouse(d) },
+    { id: 'castle',        name: 'Castello (3+3)',     type: 'lower', calc: (d) => castle(d) },
+    { id: 'tower',         name: 'Torre (4+2)',        type: 'lower', calc: (d) => tower(d) },
+    { id: 'chance',        name: 'Chance',             type: 'lower', calc: (d) => chance(d) },
+    { id: 'maxiYatzy',     name: 'Maxi Yatzy',         type: 'lower', calc: (d) => maxiYatzy(d) }
+];
+
+export default categories;
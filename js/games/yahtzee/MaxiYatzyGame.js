@@ -0,0 +1,19 @@
+/* ========================================
+   MaxiYatzyGame - Maxi Yatzy Controller
+   YahtzeeGame playing the MAXI_YATZY variant:
+   the module the Maxi Yatzy plugin loads.
+   ======================================== */
+
+import { YahtzeeGame } from './YahtzeeGame.js';
+import { MAXI_YATZY } from './YahtzeeVariants.js';
+
+export class MaxiYatzyGame extends YahtzeeGame {
+    /**
+     * @param {Object} options - Same as YahtzeeGame, the variant is fixed
+     */
+    constructor(options) {
+        super({ ...options, variant: MAXI_YATZY });
+    }
+}
+
+export default MaxiYatzyGame;
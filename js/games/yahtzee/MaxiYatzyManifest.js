@@ -0,0 +1,21 @@
+/* ========================================
+   MaxiYatzyManifest - Plugin Manifest
+   Home card of Maxi Yatzy (fixed rules, no bots).
+   The game itself is imported by load().
+   ======================================== */
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'maxiyatzy',
+    version: '1.0.0',
+    requires: ['controller', 'undo', 'replay'],
+    name: 'Maxi Yatzy',
+    icon: '🎰',
+    description: '6 dadi, 20 caselle e lanci salvati!',
+    minPlayers: 1,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    load: () => import('./MaxiYatzyGame.js')
+};
+
+export default manifest;
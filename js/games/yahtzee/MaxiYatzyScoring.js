@@ -0,0 +1,109 @@
+/* ========================================
+   MaxiYatzyScoring
+   Pure scoring functions for Maxi Yatzy (6 dice,
+   Scandinavian rules: combinations score the dice
+   that form them, highest values first)
+   ======================================== */
+
+function valueCounts(d) {
+    const counts = {};
+    d.forEach(v => counts[v] = (counts[v] || 0) + 1);
+    return counts;
+}
+
+/**
+ * Face values showing at least `min` times, highest first.
+ */
+function facesWithAtLeast(d, min) {
+    const counts = valueCounts(d);
+    return Object.keys(counts).map(Number)
+        .filter(v => counts[v] >= min)
+        .sort((a, b) => b - a);
+}
+
+/**
+ * Best score of `sizes.length` groups of different values, e.g. [3, 2] for a
+ * full house: each group scores its size × its value.
+ */
+function bestGroups(d, sizes) {
+    const counts = valueCounts(d);
+    const values = Object.keys(counts).map(Number);
+    let best = 0;
+    const pick = (i, used, sum) => {
+        if (i === sizes.length) {
+            best = Math.max(best, sum);
+            return;
+        }
+        for (const v of values) {
+            if (!used.includes(v) && counts[v] >= sizes[i]) {
+                pick(i + 1, [...used, v], sum + v * sizes[i]);
+            }
+        }
+    };
+    pick(0, [], 0);
+    return best;
+}
+
+function hasFaces(d, faces) {
+    return faces.every(f => d.includes(f));
+}
+
+export function onePair(d) {
+    const [v] = facesWithAtLeast(d, 2);
+    return v ? v * 2 : 0;
+}
+
+export function twoPairs(d) {
+    return bestGroups(d, [2, 2]);
+}
+
+export function threePairs(d) {
+    return bestGroups(d, [2, 2, 2]);
+}
+
+export function nOfAKind(d, n) {
+    const [v] = facesWithAtLeast(d, n);
+    return v ? v * n : 0;
+}
+
+export function smallStraight(d) {
+    return hasFaces(d, [1, 2, 3, 4, 5]) ? 15 : 0;
+}
+
+export function largeStraight(d) {
+    return hasFaces(d, [2, 3, 4, 5, 6]) ? 20 : 0;
+}
+
+export function fullStraight(d) {
+    return hasFaces(d, [1, 2, 3, 4, 5, 6]) ? 21 : 0;
+}
+
+export function fullHouse(d) {
+    return bestGroups(d, [3, 2]);
+}
+
+export function castle(d) {
+    return bestGroups(d, [3, 3]);
+}
+
+export function tower(d) {
+    return bestGroups(d, [4, 2]);
+}
+
+export function maxiYatzy(d) {
+    return d.every(v => v === d[0]) ? 100 : 0;
+}
+
+export default {
+    onePair,
+    twoPairs,
+    threePairs,
+    nOfAKind,
+    smallStraight,
+    largeStraight,
+    fullStraight,
+    fullHouse,
+    castle,
+    tower,
+    maxiYatzy
+};
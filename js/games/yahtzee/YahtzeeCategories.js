@@ -1,6 +1,8 @@
 /* ========================================
    YahtzeeCategories
    Category definitions for Yahtzee
+   (bonus: upper total target and points; joker: fixed
+   score under Joker rules, see YahtzeeRules)
    ======================================== */
 
 import {
@@ -16,12 +18,12 @@ export const categories = [
     { id: 'fours',         name: 'Quattro (4)',      type: 'upper', calc: (d) => countDice(d, 4) },
     { id: 'fives',         name: 'Cinque (5)',       type: 'upper', calc: (d) => countDice(d, 5) },
     { id: 'sixes',         name: 'Sei (6)',          type: 'upper', calc: (d) => countDice(d, 6) },
-    { id: 'bonus',         name: 'Bonus',            type: 'bonus', calc: () => 0 },
+    { id: 'bonus',         name: 'Bonus',            type: 'bonus', calc: () => 0, target: 63, points: 35 },
     { id: 'threeKind',     name: 'Tre Uguali',       type: 'lower', calc: (d) => threeOfAKind(d) },
     { id: 'fourKind',      name: 'Quattro Uguali',   type: 'lower', calc: (d) => fourOfAKind(d) },
-    { id: 'fullHouse',     name: 'Full House',        type: 'lower', calc: (d) => fullHouse(d) },
-    { id: 'smallStraight', name: 'Scala Piccola',     type: 'lower', calc: (d) => smallStraight(d) },
-    { id: 'largeStraight', name: 'Scala Grande',      type: 'lower', calc: (d) => largeStraight(d) },
+    { id: 'fullHouse',     name: 'Full House',        type: 'lower', calc: (d) => fullHouse(d), joker: 25 },
+    { id: 'smallStraight', name: 'Scala Piccola',     type: 'lower', calc: (d) => smallStraight(d), joker: 30 },
+    { id: 'largeStraight', name: 'Scala Grande',      type: 'lower', calc: (d) => largeStraight(d), joker: 40 },
     { id: 'yahtzee',       name: 'Yatzee',            type: 'lower', calc: (d) => yahtzeeCheck(d) },
     { id: 'chance',        name: 'Chance',             type: 'lower', calc: (d) => chance(d) }
 ];
@@ -5,45 +5,73 @@
 
 import { DiceEngine } from '../../components/dice/DiceEngine.js';
 import { DiceRenderer } from '../../components/dice/DiceRenderer.js';
-import { categories } from './YahtzeeCategories.js';
+import { CLASSIC } from './YahtzeeVariants.js';
 import { calculateUpperSum, calculateTotal } from './YahtzeeScoring.js';
+import { resolveRules, isYahtzee, extraYahtzee, scoreCategory, allowedCategories } from './YahtzeeRules.js';
 import { YahtzeeUI } from './YahtzeeUI.js';
-import { gameHistory } from '../../services/GameHistoryService.js';
-import { ConfettiEffect } from '../../components/ConfettiEffect.js';
-import { Modal } from '../../components/Modal.js';
-import { Menu } from '../../components/Menu.js';
+import { chooseHold, chooseCategory, adviseTurn } from './YahtzeeStrategy.js';
+import { GameController } from '../GameController.js';
+import { MatchRecorder, LOG_EVENTS } from '../../services/MatchRecorder.js';
+import { UndoHistory, UNDO_SCOPES } from '../../services/UndoHistory.js';
+
+const BOT_STEP_DELAY = 900;   // ms between bot actions (readable pace)
+const BOT_HOLD_DELAY = 350;   // ms between each die the bot holds/releases
+
+export class YahtzeeGame extends GameController {
+    static saveMigrations() {
+        return [
+            {
+                // Scorecard columns (Triple Yatzee): each player held a single `scores`
+                version: 1,
+                migrate: state => ({
+                    ...state,
+                    players: state.players.map(({ scores, yahtzeeBonus, ...p }) => ({
+                        ...p,
+                        columns: p.columns || [{ scores: scores || {}, yahtzeeBonus: yahtzeeBonus || 0 }]
+                    }))
+                })
+            }
+        ];
+    }
 
-export class YahtzeeGame {
     /**
      * @param {Object} options
      * @param {HTMLElement} options.container - Root container element
-     * @param {Array} options.players - Player objects [{name, color}]
+     * @param {Array} options.players - Player objects [{name, color, bot?}] (bot: 'easy' | 'medium' | 'expert')
      * @param {Function} options.onExit - Callback to return to home
      * @param {Object} [options.savedState] - Optional saved state to resume
+     * @param {{next: Function}} [options.random] - Optional dice random source (seeded by default)
+     * @param {Object} [options.settings] - Setup choices, e.g. { manualDice: true, advisor: true, rules: { jokerRule: 'official' } }
+     * @param {import('./YahtzeeVariants.js').YahtzeeVariant} [options.variant] - Game played (classic Yatzee by default)
      */
-    constructor({ container, players, onExit, savedState = null }) {
-        this.container = container;
-        this.onExit = onExit;
-        this.gameStartTime = Date.now();
-
-        // Game ID for multi-game save support
-        this.gameId = savedState?.gameId || this._generateGameId();
+    constructor({ container, players, onExit, savedState = null, random, settings = {}, variant = CLASSIC }) {
+        super({ container, onExit, gameType: variant.id, savedState, settings, defaults: { advisor: false } });
+        this.variant = variant;
+        this.rules = resolveRules(variant.rules || this.settings.rules);
+        this.settings.rules = this.rules;
 
         // Init players
         this.players = players.map((p, i) => ({
             id: i,
             name: p.name,
             color: p.color,
-            scores: {},
-            yahtzees: 0
+            bot: p.bot || null,
+            columns: this._newColumns(),
+            yahtzees: 0,
+            savedRolls: 0
         }));
 
         this.currentPlayerIndex = 0;
-        this.categories = categories;
-        this.confetti = new ConfettiEffect();
-
-        // Dice engine
-        this.diceEngine = new DiceEngine({ count: 5, sides: 6, maxRolls: 3 });
+        this.turnNumber = 0;
+        this._botTimer = null;
+        this._botActing = false;
+        this.categories = variant.categories;
+
+        // Dice engine (seeded RNG state is saved with the dice, see _autoSave)
+        this.diceEngine = new DiceEngine({
+            count: variant.diceCount, sides: 6, maxRolls: 3, random,
+            manual: this.settings.manualDice
+        });
 
         // Build UI
         this._buildUI();
@@ -52,21 +80,28 @@ export class YahtzeeGame {
         this.diceRenderer = new DiceRenderer({
             container: this.ui.diceContainer,
             engine: this.diceEngine,
-            size: 60,
+            size: variant.diceCount > 5 ? 52 : 60,
             animationDuration: 900
         });
 
+        // Roll-by-roll log (saved with the match for replays)
+        this.recorder = new MatchRecorder({ diceCount: variant.diceCount, savedLog: this.savedState?.log })
+            .attach(this.diceEngine, () => this.currentPlayerIndex);
+
+        // Undo/redo (snapshots of serialized state, saved with the game)
+        this.undoHistory = new UndoHistory({ savedState: this.savedState?.undo });
+        this.menu.setItemLabel('undoScope', this._undoScopeLabel(this.undoHistory.scope));
+
         // Wire up engine events
         this.diceEngine.on('roll-start', () => this._onRollStart());
         this.diceEngine.on('roll-end', () => this._onRollEnd());
         this.diceEngine.on('hold-changed', (data) => this._onHoldChanged(data));
 
-        // Restore or start fresh
-        if (savedState) {
-            this._restoreState(savedState);
-        } else {
-            this._startTurn();
-        }
+        this._begin(this.savedState);
+
+        this._undoCheckpoint = this._captureUndoEntry();
+        this._updateUndoControls();
+        this._maybeRunBot();
     }
 
     // ---- Build UI ----
@@ -81,7 +116,11 @@ export class YahtzeeGame {
         // Header
         wrapper.innerHTML = `
             <header>
-                <h1>🎲 YATZEE</h1>
+                <div class="undo-controls">
+                    <button class="undo-btn" id="undoBtn" title="Annulla">↩️</button>
+                    <button class="undo-btn" id="redoBtn" title="Ripeti">↪️</button>
+                </div>
+                <h1>🎲 ${this.rules.columns > 1 ? 'TRIPLE ' : ''}${this.variant.title}</h1>
                 <button class="menu-btn" id="menuBtn">☰</button>
             </header>
         `;
@@ -108,6 +147,7 @@ export class YahtzeeGame {
                 <div class="dice-area">
                     <div id="diceContainer"></div>
                     <div class="dice-hint" id="diceHint">Tocca "Lancia Dadi" per iniziare</div>
+                    <div class="advisor-panel hidden" id="advisorPanel"></div>
                 </div>
                 <div class="scoreboard-section">
                     <div class="scoreboard-title">📊 Tabellone</div>
@@ -123,79 +163,57 @@ export class YahtzeeGame {
         this.container.appendChild(wrapper);
 
         // Menu
-        this.menu = new Menu({
-            items: [
-                { id: 'rules', label: '📜 Regole' },
-                { id: 'history', label: '📊 Storico Partite' },
-                { id: 'newGame', label: '🔄 Nuova Partita' },
-                { id: 'home', label: '⚠️ Torna alla Home', danger: true }
-            ],
-            onItemClick: (id) => this._handleMenuAction(id)
-        });
-        this.menu.render(this.container);
-
-        // Rules Modal
-        this.rulesModal = new Modal({ id: 'rulesModal' });
-        this.rulesModal.render(this.container);
+        this._buildMenu([
+            { id: 'undoScope', label: this._undoScopeLabel(UNDO_SCOPES.ALL) },
+            ...(this.variant.strategy ? [{ id: 'advisor', label: this._advisorLabel(this.settings.advisor) }] : [])
+        ]);
 
-        // History Modal
-        this.historyModal = new Modal({ id: 'historyModal' });
-        this.historyModal.render(this.container);
-        this.rulesModal.setContent(`
+        // Rules, History and Winner Modals
+        this._buildModals(`
             <div class="winner-title" style="font-size: 1.5rem;">📜 Regole Complete</div>
             <div style="text-align: left; font-size: 0.9rem; line-height: 1.6; margin: 20px 0;">
-                <strong style="color: var(--primary);">PARTE ALTA:</strong><br>
-                Somma dei dadi del numero corrispondente.<br>
-                Totale ≥ 63 = <strong>+35 punti bonus</strong><br><br>
-                <strong style="color: var(--primary);">PARTE BASSA:</strong><br>
-                • <strong>Tre Uguali:</strong> Somma tutti i dadi<br>
-                • <strong>Quattro Uguali:</strong> Somma tutti i dadi<br>
-                • <strong>Full House:</strong> 25 punti<br>
-                • <strong>Scala Piccola:</strong> 30 punti<br>
-                • <strong>Scala Grande:</strong> 40 punti<br>
-                • <strong>Yatzee:</strong> 50 punti (5 uguali)<br>
-                • <strong>Chance:</strong> Somma tutti i dadi<br><br>
-                <strong style="color: var(--primary);">BONUS YATZEE:</strong><br>
-                Ogni Yatzee aggiuntivo = <strong>100 punti</strong>!
+                ${this.variant.rulesHTML || this._classicRulesHTML()}
             </div>
             <button class="btn btn-primary" id="closeRulesBtn">Ho capito!</button>
         `);
 
-        // Winner Modal
-        this.winnerModal = new Modal({ id: 'winnerModal', closeOnOverlayClick: false });
-        this.winnerModal.render(this.container);
-
         // Cache UI refs
         this.ui = {
             diceContainer: gameScreen.querySelector('#diceContainer'),
             diceHint: gameScreen.querySelector('#diceHint'),
+            advisorPanel: gameScreen.querySelector('#advisorPanel'),
             rollBtn: gameScreen.querySelector('#rollBtn'),
             currentPlayer: gameScreen.querySelector('#currentPlayer'),
             rollDots: gameScreen.querySelector('#rollDots'),
             playersBar: gameScreen.querySelector('#playersBar'),
-            scoreList: gameScreen.querySelector('#scoreList')
+            scoreList: gameScreen.querySelector('#scoreList'),
+            undoBtn: wrapper.querySelector('#undoBtn'),
+            redoBtn: wrapper.querySelector('#redoBtn')
         };
 
         // Event listeners
         wrapper.querySelector('#menuBtn').addEventListener('click', () => this.menu.toggle());
-        this.ui.rollBtn.addEventListener('click', () => this._rollDice());
-
-        // Close rules btn (delegated since modal content is set)
-        this.rulesModal.contentEl.addEventListener('click', (e) => {
-            if (e.target.id === 'closeRulesBtn') this.rulesModal.hide();
+        this.ui.undoBtn.addEventListener('click', () => this._undo());
+        this.ui.redoBtn.addEventListener('click', () => this._redo());
+        this.ui.rollBtn.addEventListener('click', () => {
+            if (!this._isBotTurn()) this._rollDice();
         });
 
         // Scoreboard click delegation for category selection
         this.ui.scoreList.addEventListener('click', (e) => {
             const target = e.target.closest('[data-cat-id]');
-            if (target) {
-                this._selectCategory(target.dataset.catId);
+            if (target && !this._isBotTurn()) {
+                this._selectCategory(target.dataset.catId, Number(target.dataset.column) || 0);
             }
         });
     }
 
     // ---- Game Flow ----
 
+    _startGame() {
+        this._startTurn();
+    }
+
     _startTurn() {
         this.diceEngine.reset();
 
@@ -205,11 +223,80 @@ export class YahtzeeGame {
             return;
         }
 
+        // Saved rolls (Maxi Yatzy) are added to this turn's rolls
+        const p = this.players[this.currentPlayerIndex];
+        if (this.variant.savedRolls) {
+            this.diceEngine.rollsLeft += p.savedRolls;
+            p.savedRolls = 0;
+        }
+        this.turnRolls = this.diceEngine.rollsLeft;
+
+        this.turnNumber++;
+        this.recorder.record(LOG_EVENTS.TURN, this.currentPlayerIndex);
         this._updateUI();
 
         this.ui.diceHint.textContent = 'Tocca "Lancia Dadi" per iniziare';
         this.ui.diceHint.style.color = '#666';
         this.ui.diceHint.style.fontWeight = '';
+        this._maybeRunBot();
+    }
+
+    /**
+     * Rules modal body for classic (and Triple) Yatzee.
+     */
+    _classicRulesHTML() {
+        return `
+            <strong style="color: var(--primary);">PARTE ALTA:</strong><br>
+            Somma dei dadi del numero corrispondente.<br>
+            Totale ≥ 63 = <strong>+35 punti bonus</strong><br><br>
+            <strong style="color: var(--primary);">PARTE BASSA:</strong><br>
+            • <strong>Tre Uguali:</strong> Somma tutti i dadi<br>
+            • <strong>Quattro Uguali:</strong> Somma tutti i dadi<br>
+            • <strong>Full House:</strong> 25 punti<br>
+            • <strong>Scala Piccola:</strong> 30 punti<br>
+            • <strong>Scala Grande:</strong> 40 punti<br>
+            • <strong>Yatzee:</strong> 50 punti (5 uguali)<br>
+            • <strong>Chance:</strong> Somma tutti i dadi<br><br>
+            <strong style="color: var(--primary);">YATZEE EXTRA:</strong><br>
+            ${this._extraYahtzeeRulesHTML()}
+            ${this.rules.columns > 1 ? `<br><br>
+            <strong style="color: var(--primary);">TRIPLE YATZEE:</strong><br>
+            Ogni giocatore riempie ${this.rules.columns} colonne, in qualsiasi ordine.<br>
+            Il totale di ogni colonna vale <strong>×1, ×2, ×3</strong> (bonus compresi).` : ''}
+        `;
+    }
+
+    /**
+     * Rules text for extra Yahtzees under the chosen variant.
+     */
+    _extraYahtzeeRulesHTML() {
+        const bonus = 'Se la casella Yatzee vale 50, ogni Yatzee in più dà <strong>+100 punti</strong>.';
+        const order = 'Va segnato nella casella alta del suo numero; se è già piena, in una casella bassa libera (Full House 25, Scala Piccola 30, Scala Grande 40); se anche queste sono piene, si azzera una casella alta.';
+        switch (this.rules.jokerRule) {
+            case 'freeChoice':
+                return `${bonus}<br>Jolly a scelta libera: si segna in qualsiasi casella libera, con Full House e Scale a punteggio pieno.`;
+            case 'forced':
+                return `${bonus}<br>Jolly forzato, solo se la casella Yatzee vale 50: ${order}`;
+            case 'none':
+                return 'Nessun bonus e nessun Jolly: uno Yatzee in più si segna come un lancio normale.';
+            default:
+                return `${bonus}<br>Jolly (anche con la casella Yatzee a 0): ${order}`;
+        }
+    }
+
+    /**
+     * Hint shown when the dice are an extra Yahtzee, or null.
+     */
+    _extraYahtzeeHint() {
+        const p = this.players[this.currentPlayerIndex];
+        const states = p.columns.map(col => extraYahtzee(this.diceEngine.getValues(), col, this.rules));
+        const joker = states.some(st => st.joker);
+        const bonus = Math.max(...states.map(st => st.bonus));
+        if (!joker && !bonus) return null;
+        const parts = ['⭐ Yatzee extra!'];
+        if (bonus) parts.push(`+${bonus} bonus`);
+        if (joker) parts.push('Jolly attivo');
+        return parts.join(' ');
     }
 
     _rollDice() {
@@ -220,14 +307,27 @@ export class YahtzeeGame {
 
     _onRollStart() {
         this.ui.rollBtn.disabled = true;
-        this.ui.diceHint.textContent = 'Lanciando...';
+        this.ui.diceHint.textContent = this.diceEngine.manual
+            ? '✍️ Tocca ogni dado e inserisci il valore dei dadi reali'
+            : 'Lanciando...';
         this.ui.diceHint.style.color = 'var(--primary)';
         this.ui.diceHint.style.fontWeight = '';
     }
 
     _onRollEnd() {
+        // A roll reveals new dice and can't be taken back
+        this._resetUndo();
+
         this.ui.rollBtn.disabled = false;
         this._updateUI();
+
+        // Generala: a served Generala ends the game on the spot
+        if (this.variant.instantWin?.(this.diceEngine.getValues(), this._isServed())) {
+            this.recorder.record(LOG_EVENTS.INSTANT_WIN, this.currentPlayerIndex, this.variant.instantWinLabel);
+            this._endGame(this.players[this.currentPlayerIndex]);
+            return;
+        }
+
         this._autoSave();
 
         if (this.diceEngine.rollsLeft > 0) {
@@ -238,6 +338,15 @@ export class YahtzeeGame {
             this.ui.diceHint.style.color = 'var(--success)';
             this.ui.diceHint.style.fontWeight = '700';
         }
+
+        const extraHint = this._extraYahtzeeHint();
+        if (extraHint) {
+            this.ui.diceHint.textContent = extraHint;
+            this.ui.diceHint.style.color = 'var(--success)';
+            this.ui.diceHint.style.fontWeight = '700';
+        }
+
+        this._maybeRunBot();
     }
 
     _onHoldChanged({ index, isHeld }) {
@@ -254,33 +363,47 @@ export class YahtzeeGame {
                 this.ui.diceHint.style.color = '#666';
             }
         }, 1000);
-        this._autoSave();
+        this._commitUndoable();
     }
 
-    _selectCategory(catId) {
+    /**
+     * Score the current dice in a category of one of the player's columns.
+     * @param {string} catId
+     * @param {number} [column] - Scorecard column (Triple Yatzee)
+     */
+    _selectCategory(catId, column = 0) {
         if (!this.diceEngine.hasRolled || this.diceEngine.isRolling) return;
 
         const p = this.players[this.currentPlayerIndex];
         const cat = this.categories.find(c => c.id === catId);
+        const col = p.columns[column];
 
-        if (!cat || p.scores[catId] !== undefined) return;
+        if (!cat || !col || col.scores[catId] !== undefined) return;
 
-        let score = cat.calc(this.diceEngine.getValues());
+        // Joker rules can force the box an extra Yahtzee goes in
+        const dice = this.diceEngine.getValues();
+        if (!allowedCategories(dice, col, this.categories, this.rules).includes(cat)) return;
 
-        // Yahtzee bonus
-        if (catId === 'yahtzee' && score === 50) {
-            p.yahtzees++;
-            if (p.yahtzees > 1) {
-                score = 100;
-            }
-        }
+        const score = scoreCategory(cat, dice, col, this.rules, this._isServed());
+        const { bonus } = extraYahtzee(dice, col, this.rules);
+        if (isYahtzee(dice)) p.yahtzees++;
+        col.yahtzeeBonus += bonus;
 
-        p.scores[catId] = score;
+        col.scores[catId] = score;
+        if (this.variant.savedRolls) p.savedRolls += this.diceEngine.rollsLeft;
+        const name = YahtzeeUI.placementName({ name: cat.name, column }, p.columns.length);
+        const total = calculateTotal(p, this.categories);
+        if (bonus > 0) {
+            this.recorder.record(LOG_EVENTS.CATEGORY, this.currentPlayerIndex, name, score, total, bonus);
+        } else {
+            this.recorder.record(LOG_EVENTS.CATEGORY, this.currentPlayerIndex, name, score, total);
+        }
 
         if (this.players.every(pl => this._isPlayerFinished(pl))) {
             this._endGame();
         } else {
             this._nextPlayer();
+            this._commitUndoable();
         }
     }
 
@@ -291,10 +414,32 @@ export class YahtzeeGame {
     }
 
     _isPlayerFinished(p) {
-        return this.categories.filter(c => c.type !== 'bonus').every(c => p.scores[c.id] !== undefined);
+        return p.columns.every(col =>
+            this.categories.filter(c => c.type !== 'bonus').every(c => col.scores[c.id] !== undefined));
+    }
+
+    /**
+     * Whether the dice on the table came from the turn's first roll
+     * (only tracked by variants with served bonuses).
+     */
+    _isServed() {
+        const engine = this.diceEngine;
+        return !!this.variant.servedBonus && engine.hasRolled && this.turnRolls - engine.rollsLeft === 1;
     }
 
-    _endGame() {
+    /**
+     * Empty scorecard columns for a player (1, or 3 in Triple Yatzee).
+     */
+    _newColumns() {
+        return Array.from({ length: this.rules.columns }, () => ({ scores: {}, yahtzeeBonus: 0 }));
+    }
+
+    /**
+     * @param {Object} [instantWinner] - Player who won on the spot (served Generala)
+     */
+    _endGame(instantWinner = null) {
+        this.gameOver = true;
+        clearTimeout(this._botTimer);
         let maxScore = -1;
         let winners = [];
 
@@ -307,66 +452,126 @@ export class YahtzeeGame {
                 winners.push(p);
             }
         });
+        if (instantWinner) winners = [instantWinner];
 
         // Save to history
-        const duration = Math.round((Date.now() - this.gameStartTime) / 1000);
-        gameHistory.addMatchToHistory({
-            gameType: 'yahtzee',
-            players: this.players.map(p => ({
-                name: p.name,
-                finalScore: calculateTotal(p, this.categories),
-                isWinner: winners.includes(p)
-            })),
-            duration
-        });
-
-        // Update player profiles
-        this.players.forEach(p => {
-            gameHistory.updatePlayerProfile(p.name, p.color, {
-                score: calculateTotal(p, this.categories),
-                isWinner: winners.includes(p),
-                yahtzeeCount: p.yahtzees
-            });
+        this._recordMatch(this.players.map(p => ({
+            name: p.name,
+            color: p.color,
+            isBot: !!p.bot,
+            finalScore: calculateTotal(p, this.categories),
+            isWinner: winners.includes(p)
+        })), {
+            log: this.recorder.getLog(),
+            // Profiles count Yatzees of the classic game only (Maxi Yatzy and Generala differ)
+            profileStats: this.variant === CLASSIC
+                ? (p, i) => ({ yahtzeeCount: this.players[i].yahtzees })
+                : null
         });
 
-        // Remove this game from active games
-        gameHistory.removeActiveGame(this.gameId);
-
         // Show winner modal
         const winnerName = winners.length > 1 ? 'Pareggio!' : winners[0].name;
         const winnerColor = winners.length === 1 ? winners[0].color : 'var(--primary)';
 
-        this.winnerModal.setContent(`
-            <div class="winner-title">🏆 Vincitore!</div>
-            <div class="winner-name" style="color: ${winnerColor}">${winnerName}</div>
-            <div class="winner-score">${maxScore}</div>
-            <button class="btn btn-primary" id="playAgainBtn">Gioca Ancora</button>
-            <button class="btn btn-secondary" id="goHomeBtn" style="margin-top:8px;">Torna alla Home</button>
-        `);
-        this.winnerModal.show();
-
-        this.winnerModal.contentEl.querySelector('#playAgainBtn').addEventListener('click', () => {
-            this.winnerModal.hide();
-            this._restartGame();
-        });
-        this.winnerModal.contentEl.querySelector('#goHomeBtn').addEventListener('click', () => {
-            this.winnerModal.hide();
-            this.destroy();
-            this.onExit();
+        this._showWinner({
+            name: winnerName,
+            color: winnerColor,
+            score: instantWinner ? `🌟 ${this.variant.instantWinLabel}` : maxScore
         });
-
-        this.confetti.fire();
     }
 
     _restartGame() {
+        clearTimeout(this._botTimer);
         this.gameId = this._generateGameId(); // New ID for the new game
         this.players.forEach(p => {
-            p.scores = {};
+            p.columns = this._newColumns();
             p.yahtzees = 0;
+            p.savedRolls = 0;
         });
         this.currentPlayerIndex = 0;
+        this.turnNumber = 0;
+        this.gameOver = false;
         this.gameStartTime = Date.now();
+        this.recorder.reset();
         this._startTurn();
+        this._resetUndo();
+    }
+
+    // ---- Bots ----
+
+    _isBotTurn() {
+        return !!this.players[this.currentPlayerIndex]?.bot;
+    }
+
+    /**
+     * Schedule the next bot action if it is a bot's turn.
+     * Bots act through the same engine calls as a human, one step at a time.
+     */
+    _maybeRunBot() {
+        clearTimeout(this._botTimer);
+        const locked = this._isBotTurn() && !this.gameOver;
+        this.ui.diceContainer.classList.toggle('locked', locked);
+        if (!locked) return;
+
+        const p = this.players[this.currentPlayerIndex];
+        if (!this.diceEngine.awaitingInput) {
+            this.ui.diceHint.textContent = `🤖 ${p.name} sta giocando...`;
+            this.ui.diceHint.style.color = 'var(--primary)';
+            this.ui.diceHint.style.fontWeight = '';
+        }
+        this._botTimer = setTimeout(() => this._botStep(), BOT_STEP_DELAY);
+    }
+
+    _botStep() {
+        if (this.gameOver || !this._isBotTurn() || this.diceEngine.isRolling) return;
+
+        const p = this.players[this.currentPlayerIndex];
+        const dice = this.diceEngine.getValues();
+
+        if (!this.diceEngine.hasRolled) {
+            this._rollDice(); // _onRollEnd schedules the next step
+            return;
+        }
+
+        if (this.diceEngine.rollsLeft > 0) {
+            const { held, stop } = chooseHold(dice, this.diceEngine.rollsLeft, p, this.categories, p.bot, this.rules);
+            if (!stop) {
+                const toggles = held
+                    .map((h, i) => (h !== this.diceEngine.held[i] ? i : -1))
+                    .filter(i => i >= 0);
+                this._botApplyHolds(toggles);
+                return;
+            }
+        }
+
+        const { column, catId } = chooseCategory(dice, p, this.categories, p.bot, this.rules);
+        this._botAct(() => this._selectCategory(catId, column));
+    }
+
+    _botApplyHolds(toggles) {
+        if (toggles.length === 0) {
+            this._botTimer = setTimeout(() => {
+                if (this._isBotTurn() && !this.gameOver) this._rollDice();
+            }, BOT_HOLD_DELAY);
+            return;
+        }
+        this._botTimer = setTimeout(() => {
+            if (!this._isBotTurn() || this.gameOver) return;
+            this._botAct(() => this.diceEngine.toggleHold(toggles[0]));
+            this._botApplyHolds(toggles.slice(1));
+        }, BOT_HOLD_DELAY);
+    }
+
+    /**
+     * Run a bot action; its effects are not undoable by the humans.
+     */
+    _botAct(action) {
+        this._botActing = true;
+        try {
+            action();
+        } finally {
+            this._botActing = false;
+        }
     }
 
     // ---- UI Updates ----
@@ -388,7 +593,7 @@ export class YahtzeeGame {
     _updatePlayersBar() {
         this.ui.playersBar.innerHTML = this.players.map((p, i) => `
             <div class="player-chip ${i === this.currentPlayerIndex ? 'active' : ''}" style="border-left-color: ${p.color}">
-                ${p.name}
+                ${p.bot ? '🤖 ' : ''}${p.name}
                 <span class="score">${calculateTotal(p, this.categories)}</span>
                 ${p.yahtzees > 0 ? `<span class="yahtzee-badge">x${p.yahtzees}</span>` : ''}
             </div>
@@ -396,8 +601,12 @@ export class YahtzeeGame {
     }
 
     _updateRollsIndicator() {
+        // One dot per roll of this turn (more than 3 with saved rolls)
+        if (this.ui.rollDots.children.length !== this.turnRolls) {
+            this.ui.rollDots.innerHTML = '<div class="roll-dot"></div>'.repeat(this.turnRolls);
+        }
         const dots = this.ui.rollDots.querySelectorAll('.roll-dot');
-        const used = 3 - this.diceEngine.rollsLeft;
+        const used = this.turnRolls - this.diceEngine.rollsLeft;
         dots.forEach((dot, i) => {
             dot.className = 'roll-dot';
             if (i < used) dot.classList.add('used');
@@ -407,7 +616,11 @@ export class YahtzeeGame {
 
     _updateRollButton() {
         const btn = this.ui.rollBtn;
-        if (this.diceEngine.rollsLeft === 0) {
+        if (this._isBotTurn()) {
+            btn.textContent = `🤖 TURNO DI ${this.players[this.currentPlayerIndex].name.toUpperCase()}`;
+            btn.classList.remove('waiting');
+            btn.disabled = true;
+        } else if (this.diceEngine.rollsLeft === 0) {
             btn.textContent = '↓ SCEGLI CATEGORIA';
             btn.classList.add('waiting');
             btn.disabled = true;
@@ -419,100 +632,172 @@ export class YahtzeeGame {
     }
 
     _renderScoreboard() {
+        const advice = this._currentAdvice();
         YahtzeeUI.renderScoreboard({
             scoreList: this.ui.scoreList,
             players: this.players,
             currentPlayerIndex: this.currentPlayerIndex,
             categories: this.categories,
             diceValues: this.diceEngine.getValues(),
-            canSelect: this.diceEngine.hasRolled && !this.diceEngine.isRolling
+            canSelect: this.diceEngine.hasRolled && !this.diceEngine.isRolling,
+            advice,
+            rules: this.rules,
+            served: this._isServed()
         });
+        this._renderAdvice(advice);
+    }
+
+    // ---- Advisor ----
+
+    /**
+     * Advisor data for the current human turn, or null when the
+     * advisor is off or there is nothing to advise on.
+     * Cached per dice/rolls/scorecard since the search is not free.
+     */
+    _currentAdvice() {
+        const p = this.players[this.currentPlayerIndex];
+        const engine = this.diceEngine;
+        if (!this.variant.strategy || !this.settings.advisor || p.bot || this.gameOver) return null;
+        if (!engine.hasRolled || engine.isRolling || engine.awaitingInput) return null;
+
+        const key = `${this.currentPlayerIndex}|${engine.getValues().join('')}|${engine.rollsLeft}|${p.columns.map(col => Object.keys(col.scores).join(',')).join('/')}`;
+        if (this._advice?.key !== key) {
+            this._advice = { key, ...adviseTurn(engine.getValues(), engine.rollsLeft, p, this.categories, this.rules) };
+        }
+        return this._advice;
+    }
+
+    _renderAdvice(advice) {
+        YahtzeeUI.renderAdvice(this.ui.advisorPanel, advice, this.rules.columns);
+        this.diceRenderer.scenes.forEach(({ scene }, i) => {
+            scene.classList.toggle('advised', !!advice && advice.rollAgain && advice.held[i]);
+        });
+    }
+
+    _advisorLabel(enabled) {
+        return enabled ? '💡 Consigli: attivi' : '💡 Consigli: disattivi';
+    }
+
+    _toggleAdvisor() {
+        this.settings.advisor = !this.settings.advisor;
+        this.menu.setItemLabel('advisor', this._advisorLabel(this.settings.advisor));
+        this._renderScoreboard();
+        this._autoSave();
     }
 
     // ---- Menu Actions ----
 
     _handleMenuAction(id) {
         switch (id) {
-            case 'rules':
-                this.rulesModal.show();
-                break;
-            case 'history':
-                this._showHistory();
+            case 'undoScope':
+                this._toggleUndoScope();
                 break;
-            case 'newGame':
-                if (confirm('Nuova partita con gli stessi giocatori?')) {
-                    gameHistory.removeActiveGame(this.gameId);
-                    this._restartGame();
-                }
-                break;
-            case 'home':
-                if (confirm('Tornare alla schermata iniziale? La partita verrà salvata.')) {
-                    this._autoSave(); // Save before exiting
-                    this.destroy();
-                    this.onExit();
-                }
+            case 'advisor':
+                this._toggleAdvisor();
                 break;
+            default:
+                super._handleMenuAction(id);
         }
     }
 
-    // ---- History ----
+    // ---- Undo / Redo ----
 
-    _showHistory() {
-        const matches = gameHistory.getMatchHistory().filter(m => m.gameType === 'yahtzee');
-        let html;
-        if (matches.length === 0) {
-            html = '<div style="text-align:center;color:#999;padding:20px;">Nessuna partita completata ancora.</div>';
-        } else {
-            html = '<div style="display:flex;flex-direction:column;gap:8px;max-height:50vh;overflow-y:auto;">';
-            matches.slice(0, 20).forEach(match => {
-                const winner = match.players.find(p => p.isWinner);
-                const dateStr = gameHistory.formatDate(match.date);
-                html += `
-                    <div style="background:#f8f9fa;border-radius:10px;padding:12px 15px;display:flex;justify-content:space-between;align-items:center;">
-                        <div>
-                            <div style="font-size:0.75rem;color:#999;">${dateStr}</div>
-                            <div style="font-size:0.8rem;color:#666;">${match.players.map(p => p.name).join(', ')}</div>
-                        </div>
-                        <div style="text-align:right;">
-                            <div style="font-weight:700;font-size:0.9rem;color:var(--success);">${winner ? '🏆 ' + winner.name : 'Pareggio'}</div>
-                            <div style="font-size:0.75rem;color:#999;">${winner ? winner.finalScore + ' pts' : ''}</div>
-                        </div>
-                    </div>
-                `;
-            });
-            html += '</div>';
+    /**
+     * Snapshot of the current state for the undo stacks.
+     * The log is not copied: only its length, so undo can rewind it.
+     */
+    _captureUndoEntry() {
+        const { log, undo, ...state } = this._serializeState();
+        return { state, turn: this.turnNumber, logLength: this.recorder.events.length };
+    }
+
+    /**
+     * Call after an undoable action completed: the state before it
+     * goes on the undo stack and the new state becomes the checkpoint.
+     */
+    _commitUndoable() {
+        if (this.gameOver) return;
+        if (this._botActing) {
+            this._resetUndo();
+            this._autoSave();
+            return;
         }
+        this.undoHistory.push(this._undoCheckpoint);
+        this._undoCheckpoint = this._captureUndoEntry();
+        this._updateUndoControls();
+        this._autoSave();
+    }
 
-        this.historyModal.setContent(`
-            <div class="winner-title" style="font-size: 1.5rem;">📊 Storico Partite</div>
-            <div style="margin: 15px 0;">${html}</div>
-            <button class="btn btn-primary" id="closeHistoryBtn">Chiudi</button>
-        `);
-        this.historyModal.show();
-        this.historyModal.contentEl.querySelector('#closeHistoryBtn')
-            .addEventListener('click', () => this.historyModal.hide());
+    _resetUndo() {
+        this.undoHistory.clear();
+        this._undoCheckpoint = this._captureUndoEntry();
+        this._updateUndoControls();
+    }
+
+    _canUseUndo() {
+        return !this.gameOver && !this.diceEngine.isRolling && !this._isBotTurn();
+    }
+
+    _undo() {
+        if (!this._canUseUndo() || !this.undoHistory.canUndo(this.turnNumber)) return;
+        const current = this._undoCheckpoint;
+        const target = this.undoHistory.undo(current);
+        current.logTail = this.recorder.rewind(target.logLength);
+        this._applyUndoEntry(target);
+    }
+
+    _redo() {
+        if (!this._canUseUndo() || !this.undoHistory.canRedo()) return;
+        const target = this.undoHistory.redo(this._undoCheckpoint);
+        if (target.logTail) this.recorder.append(target.logTail);
+        this._applyUndoEntry(target);
+    }
+
+    _applyUndoEntry(entry) {
+        this._restoreState(entry.state);
+        this._undoCheckpoint = entry;
+        this._updateUndoControls();
+        this._autoSave();
+        this._maybeRunBot();
+    }
+
+    _updateUndoControls() {
+        this.ui.undoBtn.disabled = this._isBotTurn() || !this.undoHistory.canUndo(this.turnNumber);
+        this.ui.redoBtn.disabled = !this.undoHistory.canRedo();
+    }
+
+    _undoScopeLabel(scope) {
+        return scope === UNDO_SCOPES.TURN ? '↩️ Annulla: solo turno corrente' : '↩️ Annulla: tutta la partita';
+    }
+
+    _toggleUndoScope() {
+        const scope = this.undoHistory.scope === UNDO_SCOPES.TURN ? UNDO_SCOPES.ALL : UNDO_SCOPES.TURN;
+        this.undoHistory.setScope(scope);
+        this.menu.setItemLabel('undoScope', this._undoScopeLabel(scope));
+        this._updateUndoControls();
+        this._autoSave();
     }
 
     // ---- Save/Restore ----
 
-    _autoSave() {
-        gameHistory.saveActiveGame({
-            gameId: this.gameId,
-            gameType: 'yahtzee',
+    _serializeState() {
+        return {
+            ...this._baseState(),
             players: this.players.map(p => ({
                 name: p.name,
                 color: p.color,
-                scores: { ...p.scores },
-                yahtzees: p.yahtzees
+                bot: p.bot,
+                columns: p.columns.map(col => ({ scores: { ...col.scores }, yahtzeeBonus: col.yahtzeeBonus })),
+                yahtzees: p.yahtzees,
+                savedRolls: p.savedRolls
             })),
             currentPlayerIndex: this.currentPlayerIndex,
+            turnNumber: this.turnNumber,
+            turnRolls: this.turnRolls,
             dice: this.diceEngine.getState(),
-            gameStartTime: this.gameStartTime
-        });
-    }
-
-    _generateGameId() {
-        return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+            log: this.recorder.getLog(),
+            undo: this.undoHistory.getState()
+        };
     }
 
     _restoreState(state) {
@@ -521,19 +806,26 @@ export class YahtzeeGame {
             id: i,
             name: p.name,
             color: p.color,
-            scores: { ...p.scores },
-            yahtzees: p.yahtzees || 0
+            bot: p.bot || null,
+            columns: p.columns.map(col => ({ scores: { ...col.scores }, yahtzeeBonus: col.yahtzeeBonus || 0 })),
+            yahtzees: p.yahtzees || 0,
+            savedRolls: p.savedRolls || 0
         }));
         this.currentPlayerIndex = state.currentPlayerIndex;
+        this.turnNumber = state.turnNumber || 0;
+        this.turnRolls = state.turnRolls || this.diceEngine.maxRolls;
         this.gameStartTime = state.gameStartTime || Date.now();
 
-        // Restore dice
+        // Restore dice; saved mid-roll (e.g. physical dice half entered): the roll is given back
         if (state.dice) {
             this.diceEngine.restoreState(state.dice);
+            this.diceEngine.restoreInterruptedRoll(state.dice);
         }
 
         this._updateUI();
 
+        this.ui.diceHint.style.color = '#666';
+        this.ui.diceHint.style.fontWeight = '';
         if (this.diceEngine.hasRolled) {
             if (this.diceEngine.rollsLeft > 0) {
                 this.ui.diceHint.textContent = 'Tocca i dadi per tenerli o lancia di nuovo';
@@ -550,12 +842,8 @@ export class YahtzeeGame {
     // ---- Cleanup ----
 
     destroy() {
-        if (this.diceRenderer) this.diceRenderer.destroy();
-        if (this.menu) this.menu.destroy();
-        if (this.rulesModal) this.rulesModal.destroy();
-        if (this.historyModal) this.historyModal.destroy();
-        if (this.winnerModal) this.winnerModal.destroy();
-        this.container.innerHTML = '';
+        clearTimeout(this._botTimer);
+        super.destroy();
     }
 }
 
@@ -0,0 +1,69 @@
+/* ========================================
+   YahtzeeManifest - Plugin Manifest
+   What the app needs before Yatzee is picked:
+   home card, bot levels and house rules.
+   The game itself is imported by load().
+   ======================================== */
+
+import { ADVISOR_OPTION } from '../GameOptions.js';
+
+/** Bots offered in setup (see YahtzeeStrategy). */
+export const BOT_LEVELS = [
+    { id: 'easy', label: 'Facile' },
+    { id: 'medium', label: 'Medio' },
+    { id: 'expert', label: 'Esperto' }
+];
+
+/**
+ * Rules used when nothing else is chosen.
+ *   columns   - scorecard columns per player (3 = Triple Yatzee)
+ *   jokerRule - one of YahtzeeRules.JOKER_RULES
+ */
+export const DEFAULT_RULES = {
+    columns: 1,
+    jokerRule: 'official'
+};
+
+/**
+ * Choices offered in setup, in display order.
+ * @type {Array<{id: string, label: string, choices: Array<{value: *, label: string}>}>}
+ */
+export const RULE_OPTIONS = [
+    {
+        id: 'columns',
+        label: '📊 Scheda',
+        choices: [
+            { value: 1, label: 'Classica (1 colonna)' },
+            { value: 3, label: 'Triple Yatzee (×1, ×2, ×3)' }
+        ]
+    },
+    {
+        id: 'jokerRule',
+        label: '⭐ Yatzee extra',
+        choices: [
+            { value: 'official', label: 'Ufficiali Hasbro (bonus + Joker)' },
+            { value: 'freeChoice', label: 'Joker a scelta libera' },
+            { value: 'forced', label: 'Joker forzato (solo con Yatzee a 50)' },
+            { value: 'none', label: 'Niente bonus né Joker' }
+        ]
+    }
+];
+
+/** @type {Object} Registry config (see GameRegistry.register) */
+export const manifest = {
+    id: 'yahtzee',
+    version: '1.0.0',
+    requires: ['controller', 'bots', 'undo', 'replay'],
+    name: 'Yatzee',
+    icon: '🎲',
+    description: 'Il classico gioco di dadi!',
+    minPlayers: 1,
+    maxPlayers: 6,
+    supportsManualDice: true,
+    botLevels: BOT_LEVELS,
+    options: [ADVISOR_OPTION],
+    houseRules: { defaults: DEFAULT_RULES, options: RULE_OPTIONS },
+    load: () => import('./YahtzeeGame.js')
+};
+
+export default manifest;
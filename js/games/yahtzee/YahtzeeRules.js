@@ -0,0 +1,118 @@
+/* ========================================
+   YahtzeeRules - Rule Variants
+   Extra-Yahtzee handling (bonus and Joker rules),
+   scorecard columns (Triple Yatzee) and the checks
+   that depend on them; defaults and setup choices
+   are in YahtzeeManifest. No DOM dependencies.
+   ======================================== */
+
+import { DEFAULT_RULES } from './YahtzeeManifest.js';
+import { rulesResolver } from '../GameRules.js';
+
+export { DEFAULT_RULES };
+
+/**
+ * Extra-Yahtzee rule sets (a Yahtzee rolled after the Yatzee box is filled):
+ *   official   - Hasbro rules: +100 if the box holds 50; Joker whenever the box
+ *                is filled (50 or 0); upper box of that face first, then any
+ *                lower box, then zero an upper box
+ *   freeChoice - +100 if the box holds 50; Joker in any open box
+ *   forced     - same order as official, but bonus and Joker only count
+ *                when the Yatzee box holds 50
+ *   none       - no bonus and no Joker: an extra Yahtzee is a normal roll
+ */
+export const JOKER_RULES = ['official', 'freeChoice', 'forced', 'none'];
+
+/** Points for each extra Yahtzee. */
+export const YAHTZEE_BONUS = 100;
+
+const UPPER_BY_FACE = { 1: 'ones', 2: 'twos', 3: 'threes', 4: 'fours', 5: 'fives', 6: 'sixes' };
+
+/** Rules with the defaults filled in (see rulesResolver). */
+export const resolveRules = rulesResolver(DEFAULT_RULES);
+
+/**
+ * Weight of a scorecard column: ×1, ×2, ×3...
+ * @param {number} index
+ */
+export function columnMultiplier(index) {
+    return index + 1;
+}
+
+export function isYahtzee(dice) {
+    return dice.length > 0 && dice.every(v => v === dice[0]);
+}
+
+/**
+ * Extra-Yahtzee status of a hand in a scorecard column.
+ * @param {number[]} dice
+ * @param {Object} column - Scorecard column { scores }
+ * @param {Object} rules
+ * @returns {{joker: boolean, bonus: number}} joker = Joker rules apply; bonus = points added on scoring
+ */
+export function extraYahtzee(dice, column, rules) {
+    const box = column.scores.yahtzee;
+    if (rules.jokerRule === 'none' || box === undefined || !isYahtzee(dice)) {
+        return { joker: false, bonus: 0 };
+    }
+    const joker = rules.jokerRule !== 'forced' || box === 50;
+    return { joker, bonus: box === 50 ? YAHTZEE_BONUS : 0 };
+}
+
+/**
+ * Points a hand scores in a category, with Joker values for
+ * Full House and the straights when Joker rules apply.
+ * @param {boolean} [served] - Hand made on the first roll (Generala bonuses)
+ * @returns {number}
+ */
+export function scoreCategory(cat, dice, column, rules, served = false) {
+    if (cat.joker !== undefined && extraYahtzee(dice, column, rules).joker) {
+        return cat.joker;
+    }
+    return cat.calc(dice, { served, column });
+}
+
+/**
+ * Categories of a column the hand may be scored in (forced Joker order applied).
+ * @param {number[]} dice
+ * @param {Object} column - Scorecard column { scores }
+ * @param {Array} categories
+ * @param {Object} rules
+ * @returns {Array} Category definitions
+ */
+export function allowedCategories(dice, column, categories, rules) {
+    const open = categories.filter(c => c.type !== 'bonus' && column.scores[c.id] === undefined);
+    if (rules.jokerRule === 'freeChoice' || !extraYahtzee(dice, column, rules).joker) return open;
+
+    const upper = open.find(c => c.id === UPPER_BY_FACE[dice[0]]);
+    if (upper) return [upper];
+    const lower = open.filter(c => c.type === 'lower');
+    return lower.length > 0 ? lower : open;
+}
+
+/**
+ * Every (column, category) pair a player may score this hand in.
+ * Joker rules are applied to each column on its own.
+ * @param {number[]} dice
+ * @param {Object} player - { columns: [{ scores }] }
+ * @param {Array} categories
+ * @param {Object} rules
+ * @returns {Array<{column: number, cat: Object}>}
+ */
+export function allowedPlacements(dice, player, categories, rules) {
+    return player.columns.flatMap((col, index) =>
+        allowedCategories(dice, col, categories, rules).map(cat => ({ column: index, cat })));
+}
+
+export default {
+    JOKER_RULES,
+    YAHTZEE_BONUS,
+    DEFAULT_RULES,
+    resolveRules,
+    columnMultiplier,
+    isYahtzee,
+    extraYahtzee,
+    scoreCategory,
+    allowedCategories,
+    allowedPlacements
+};
@@ -3,6 +3,8 @@
    Pure scoring functions for Yahtzee
    ======================================== */
 
+import { columnMultiplier } from './YahtzeeRules.js';
+
 export function countDice(dice, val) {
     return dice.filter(d => d === val).reduce((a, b) => a + b, 0);
 }
@@ -45,22 +47,38 @@ export function chance(d) {
     return d.reduce((a, b) => a + b, 0);
 }
 
-export function calculateUpperSum(player) {
+/**
+ * Upper section sum of one scorecard column ({ scores }).
+ */
+export function calculateUpperSum(column) {
     return ['ones', 'twos', 'threes', 'fours', 'fives', 'sixes']
-        .reduce((sum, id) => sum + (player.scores[id] || 0), 0);
+        .reduce((sum, id) => sum + (column.scores[id] || 0), 0);
 }
 
-export function calculateTotal(player, categories) {
-    let total = calculateUpperSum(player);
-    if (total >= 63) total += 35;
+/**
+ * Unweighted total of one scorecard column ({ scores, yahtzeeBonus }).
+ */
+export function calculateColumnTotal(column, categories) {
+    const bonus = categories.find(c => c.type === 'bonus');
+    let total = calculateUpperSum(column);
+    if (bonus && total >= bonus.target) total += bonus.points;
 
     categories.filter(c => c.type === 'lower').forEach(c => {
-        total += player.scores[c.id] || 0;
+        total += column.scores[c.id] || 0;
     });
 
-    if (player.yahtzees > 1) {
-        total += (player.yahtzees - 1) * 100;
-    }
+    // Extra-Yahtzee bonus points (already 0 when the rules give none)
+    total += column.yahtzeeBonus || 0;
 
     return total;
 }
+
+/**
+ * Player total: each column weighted ×1, ×2, ×3... (one column = classic game).
+ * @param {Object} player - { columns: [{ scores, yahtzeeBonus }] }
+ * @param {Array} categories
+ */
+export function calculateTotal(player, categories) {
+    return player.columns.reduce((sum, column, i) =>
+        sum + calculateColumnTotal(column, categories) * columnMultiplier(i), 0);
+}
@@ -0,0 +1,380 @@
+/* ========================================
+   YahtzeeStrategy - Pure Decision Logic
+   Expected-value search over holds and categories.
+   No DOM dependencies. Used by the Yahtzee bots
+   and by the category advisor.
+   ======================================== */
+
+import { calculateUpperSum } from './YahtzeeScoring.js';
+import { DEFAULT_RULES, columnMultiplier, extraYahtzee, scoreCategory, allowedCategories } from './YahtzeeRules.js';
+
+const UPPER_FACES = { ones: 1, twos: 2, threes: 3, fours: 4, fives: 5, sixes: 6 };
+const UPPER_BONUS_TARGET = 63;
+const UPPER_BONUS = 35;
+const TURN_ROLLS = 3;
+const LOOK_SHARE = 3; // later turns per real chance at a category: the others chase other boxes
+
+// ---- Dice Combinatorics ----
+
+const _outcomeCache = new Map();
+
+/**
+ * All distinct results of rolling k dice, as sorted arrays with probabilities.
+ * @param {number} k - Number of dice rolled
+ * @param {number} [sides] - Sides per die (default 6)
+ * @returns {Array<{dice: number[], prob: number}>}
+ */
+export function rollOutcomes(k, sides = 6) {
+    const key = `${k}|${sides}`;
+    if (_outcomeCache.has(key)) return _outcomeCache.get(key);
+
+    const counts = new Map();
+    const total = Math.pow(sides, k);
+    const walk = (prefix) => {
+        if (prefix.length === k) {
+            const id = [...prefix].sort((a, b) => a - b).join(',');
+            counts.set(id, (counts.get(id) || 0) + 1);
+            return;
+        }
+        for (let v = 1; v <= sides; v++) walk([...prefix, v]);
+    };
+    walk([]);
+
+    const outcomes = [...counts.entries()].map(([id, n]) => ({
+        dice: id === '' ? [] : id.split(',').map(Number),
+        prob: n / total
+    }));
+    _outcomeCache.set(key, outcomes);
+    return outcomes;
+}
+
+/**
+ * Distinct sub-multisets of a hand (the possible "keeps"), sorted.
+ * @param {number[]} dice
+ * @returns {number[][]}
+ */
+export function distinctKeeps(dice) {
+    const sorted = [...dice].sort((a, b) => a - b);
+    const seen = new Map();
+    for (let mask = 0; mask < (1 << sorted.length); mask++) {
+        const keep = sorted.filter((_, i) => mask & (1 << i));
+        seen.set(keep.join(','), keep);
+    }
+    return [...seen.values()];
+}
+
+/**
+ * Map a kept multiset back to die indices of the current roll.
+ * @param {number[]} dice - Current values by index
+ * @param {number[]} keep - Values to keep
+ * @returns {boolean[]} held flag per index
+ */
+export function keepToHeld(dice, keep) {
+    const remaining = [...keep];
+    return dice.map(v => {
+        const at = remaining.indexOf(v);
+        if (at === -1) return false;
+        remaining.splice(at, 1);
+        return true;
+    });
+}
+
+/**
+ * Expectimax tables for hands of `count` dice, shared by every hand searched
+ * with the same evaluation.
+ * @returns {{handValue: Function, keepValue: Function}}
+ */
+function expectimax(count, evaluate, sides) {
+    const handMemo = new Map();
+    const keepMemo = new Map();
+
+    const handValue = (hand, r) => {
+        const key = `${hand.join(',')}|${r}`;
+        if (handMemo.has(key)) return handMemo.get(key);
+        let best = { value: evaluate(hand), keep: hand };
+        if (r > 0) {
+            for (const keep of distinctKeeps(hand)) {
+                const v = keepValue(keep, r);
+                if (v > best.value + 1e-9) best = { value: v, keep };
+            }
+        }
+        handMemo.set(key, best);
+        return best;
+    };
+
+    const keepValue = (keep, r) => {
+        const key = `${keep.join(',')}|${r}`;
+        if (keepMemo.has(key)) return keepMemo.get(key);
+        let ev = 0;
+        for (const { dice: rolled, prob } of rollOutcomes(count - keep.length, sides)) {
+            const hand = [...keep, ...rolled].sort((a, b) => a - b);
+            ev += prob * handValue(hand, r - 1).value;
+        }
+        keepMemo.set(key, ev);
+        return ev;
+    };
+
+    return { handValue, keepValue };
+}
+
+/**
+ * Expectimax over the rolls left in a turn.
+ * @param {number[]} dice - Current hand
+ * @param {number} rollsLeft
+ * @param {Function} evaluate - (sortedDice) => value of stopping with this hand
+ * @param {number} [sides]
+ * @returns {{value: number, keep: number[]}} Best expected value and the keep that reaches it
+ */
+export function searchHolds(dice, rollsLeft, evaluate, sides = 6) {
+    const { handValue } = expectimax(dice.length, evaluate, sides);
+    return handValue([...dice].sort((a, b) => a - b), rollsLeft);
+}
+
+// ---- Scorecard ----
+
+/**
+ * Categories still open in a scorecard column.
+ */
+export function openCategories(column, categories) {
+    return categories.filter(c => c.type !== 'bonus' && column.scores[c.id] === undefined);
+}
+
+// ---- Opportunity Cost ----
+
+const _laterCache = new WeakMap();
+const _bonusCache = new Map();
+
+/**
+ * Expected points of a category kept for later, when `looks` future turns
+ * are played for it: each one takes its hand if that beats waiting for the
+ * next, the last one takes whatever it rolls.
+ * @param {Object} cat
+ * @param {number} looks - Future turns that may fill the category (at least 1)
+ * @param {number} [diceCount]
+ * @returns {number}
+ */
+export function laterValue(cat, looks, diceCount = 5) {
+    if (!_laterCache.has(cat)) _laterCache.set(cat, new Map());
+    const byCount = _laterCache.get(cat);
+    if (!byCount.has(diceCount)) byCount.set(diceCount, []);
+
+    const values = byCount.get(diceCount);
+    const column = { scores: {} };
+    while (values.length < looks) {
+        const wait = values.length > 0 ? values[values.length - 1] : -Infinity;
+        const evaluate = (hand) => Math.max(scoreCategory(cat, hand, column, DEFAULT_RULES), wait);
+        values.push(expectimax(diceCount, evaluate, 6).keepValue([], TURN_ROLLS));
+    }
+    return values[looks - 1];
+}
+
+/**
+ * Later turns that are a real chance at a category of the column: one in
+ * LOOK_SHARE of the turns left after this one, and at least the last.
+ */
+function looksLeft(column, categories) {
+    return Math.max(1, Math.ceil((openCategories(column, categories).length - 1) / LOOK_SHARE));
+}
+
+function binomial(n, k) {
+    let c = 1;
+    for (let i = 1; i <= k; i++) c = c * (n - k + i) / i;
+    return c;
+}
+
+/**
+ * Chance that the open upper categories still add `need` points. The count
+ * of each face is taken as binomial, with the mean laterValue gives it.
+ * @param {number} need - Points missing to the bonus
+ * @param {Array} uppers - Open upper categories
+ * @param {number} looks - See laterValue
+ * @param {number} diceCount
+ * @returns {number}
+ */
+function bonusChance(need, uppers, looks, diceCount) {
+    if (need <= 0) return 1;
+    const key = `${need}|${uppers.map(c => c.id).join(',')}|${looks}|${diceCount}`;
+    if (_bonusCache.has(key)) return _bonusCache.get(key);
+
+    let dist = [1];                                   // probability of each upper total
+    for (const cat of uppers) {
+        const face = UPPER_FACES[cat.id];
+        const p = laterValue(cat, looks, diceCount) / (face * diceCount);
+        const next = new Array(dist.length + face * diceCount).fill(0);
+        for (let j = 0; j <= diceCount; j++) {
+            const pj = binomial(diceCount, j) * Math.pow(p, j) * Math.pow(1 - p, diceCount - j);
+            dist.forEach((q, total) => { next[total + face * j] += q * pj; });
+        }
+        dist = next;
+    }
+
+    const chance = dist.slice(need).reduce((sum, q) => sum + q, 0);
+    _bonusCache.set(key, chance);
+    return chance;
+}
+
+// ---- Category Evaluation ----
+
+/**
+ * Long-run value of scoring a hand in a category: points now (extra-Yahtzee
+ * bonus included), minus what the category is worth if kept for the turns
+ * the column has left, plus the change in the chance of the upper bonus
+ * given the open upper categories. Unweighted (one column).
+ * @param {Object} column - Scorecard column { scores }
+ * @param {Array} categories
+ * @param {Object} [rules] - Yahtzee rule variant (see YahtzeeRules)
+ * @returns {number}
+ */
+export function categoryValue(cat, dice, column, categories, rules = DEFAULT_RULES) {
+    const score = scoreCategory(cat, dice, column, rules);
+    const looks = looksLeft(column, categories);
+    let value = score + extraYahtzee(dice, column, rules).bonus - laterValue(cat, looks, dice.length);
+
+    if (UPPER_FACES[cat.id]) {
+        const need = UPPER_BONUS_TARGET - calculateUpperSum(column);
+        const uppers = openCategories(column, categories).filter(c => UPPER_FACES[c.id]);
+        const rest = uppers.filter(c => c.id !== cat.id);
+        value += UPPER_BONUS * (bonusChance(need - score, rest, looks, dice.length)
+            - bonusChance(need, uppers, looks, dice.length));
+    }
+
+    return value;
+}
+
+/**
+ * Value of scoring a hand in a category of a column, weighted by the column.
+ * @param {boolean} longRun - categoryValue (true) or immediate points
+ */
+function placementValue(cat, dice, column, index, categories, longRun, rules) {
+    const value = longRun
+        ? categoryValue(cat, dice, column, categories, rules)
+        : scoreCategory(cat, dice, column, rules) + extraYahtzee(dice, column, rules).bonus;
+    return value * columnMultiplier(index);
+}
+
+/**
+ * Best column and category the rules allow for a final hand.
+ * @param {number[]} dice
+ * @param {Object} player - { columns: [{ scores }] }
+ * @param {Array} categories
+ * @param {boolean} [longRun] - Rank by categoryValue (true) or by immediate points
+ * @param {Object} [rules]
+ * @returns {{column: number, cat: Object, value: number}}
+ */
+export function bestCategory(dice, player, categories, longRun = true, rules = DEFAULT_RULES) {
+    let best = null;
+    player.columns.forEach((col, column) => {
+        for (const cat of allowedCategories(dice, col, categories, rules)) {
+            const value = placementValue(cat, dice, col, column, categories, longRun, rules);
+            if (!best || value > best.value) best = { column, cat, value };
+        }
+    });
+    return best;
+}
+
+// ---- Bot Decisions ----
+
+/**
+ * Decide which dice to hold before the next roll.
+ * @param {number[]} dice - Current values by index
+ * @param {number} rollsLeft
+ * @param {Object} player
+ * @param {Array} categories
+ * @param {string} level - 'easy' | 'medium' | 'expert'
+ * @param {Object} [rules]
+ * @returns {{held: boolean[], stop: boolean}} stop = score now instead of rolling
+ */
+export function chooseHold(dice, rollsLeft, player, categories, level, rules = DEFAULT_RULES) {
+    if (level === 'easy') {
+        // Keep every die showing the most common value (highest on ties)
+        const freq = {};
+        dice.forEach(v => { freq[v] = (freq[v] || 0) + 1; });
+        const target = Object.keys(freq).map(Number)
+            .sort((a, b) => freq[b] - freq[a] || b - a)[0];
+        const held = dice.map(v => v === target);
+        return { held, stop: held.every(Boolean) };
+    }
+
+    // Medium looks one roll ahead for raw points; expert searches every
+    // remaining roll and weighs the long-run value of each category.
+    const longRun = level === 'expert';
+    const depth = longRun ? rollsLeft : Math.min(rollsLeft, 1);
+    const evaluate = (hand) => bestCategory(hand, player, categories, longRun, rules).value;
+    const { keep } = searchHolds(dice, depth, evaluate);
+
+    return {
+        held: keepToHeld(dice, keep),
+        stop: keep.length === dice.length
+    };
+}
+
+/**
+ * Decide where to score the final hand.
+ * @returns {{column: number, catId: string}}
+ */
+export function chooseCategory(dice, player, categories, level, rules = DEFAULT_RULES) {
+    const { column, cat } = bestCategory(dice, player, categories, level === 'expert', rules);
+    return { column, catId: cat.id };
+}
+
+// ---- Advisor ----
+
+/**
+ * Coaching data for a human turn, computed with the expert evaluation.
+ * Values are long-run: points now, minus what the category is worth if
+ * kept for later, plus the upper-bonus chance gained (see categoryValue),
+ * weighted by the column.
+ * @param {number[]} dice - Current values by index
+ * @param {number} rollsLeft
+ * @param {Object} player - { columns: [{ scores }] }
+ * @param {Array} categories
+ * @param {Object} [rules]
+ * @returns {{
+ *   categories: Array<{id: string, column: number, name: string, score: number, value: number}>,
+ *   best: string,
+ *   bestColumn: number,
+ *   holdValue: number|null,
+ *   keep: number[],
+ *   held: boolean[],
+ *   rollAgain: boolean
+ * }}
+ */
+export function adviseTurn(dice, rollsLeft, player, categories, rules = DEFAULT_RULES) {
+    const options = player.columns.flatMap((col, column) =>
+        allowedCategories(dice, col, categories, rules).map(cat => ({
+            id: cat.id,
+            column,
+            name: cat.name,
+            score: scoreCategory(cat, dice, col, rules),
+            value: placementValue(cat, dice, col, column, categories, true, rules)
+        })))
+        .sort((a, b) => b.value - a.value);
+
+    let holdValue = null;
+    let keep = [...dice];
+    if (rollsLeft > 0) {
+        const evaluate = (hand) => bestCategory(hand, player, categories, true, rules).value;
+        ({ value: holdValue, keep } = searchHolds(dice, rollsLeft, evaluate));
+    }
+
+    return {
+        categories: options,
+        best: options[0]?.id || null,
+        bestColumn: options[0]?.column ?? null,
+        holdValue,
+        keep,
+        held: keepToHeld(dice, keep),
+        rollAgain: keep.length < dice.length
+    };
+}
+
+export default {
+    rollOutcomes,
+    searchHolds,
+    laterValue,
+    categoryValue,
+    bestCategory,
+    chooseHold,
+    chooseCategory,
+    adviseTurn
+};
@@ -3,20 +3,38 @@
    Static helper class for Yahtzee-specific UI rendering
    ======================================== */
 
-import { calculateUpperSum, calculateTotal } from './YahtzeeScoring.js';
+import { calculateUpperSum, calculateColumnTotal, calculateTotal } from './YahtzeeScoring.js';
+import { DEFAULT_RULES, columnMultiplier, extraYahtzee, scoreCategory, allowedPlacements } from './YahtzeeRules.js';
 
 export class YahtzeeUI {
     /**
-     * Render the scoreboard
+     * Render the scoreboard (one cell per scorecard column for each player)
      * @param {Object} opts
      * @param {HTMLElement} opts.scoreList - Container element
-     * @param {Array} opts.players
+     * @param {Array} opts.players - Players with { columns: [{ scores, yahtzeeBonus }] }
      * @param {number} opts.currentPlayerIndex
      * @param {Array} opts.categories
      * @param {number[]} opts.diceValues
      * @param {boolean} opts.canSelect
+     * @param {Object} [opts.advice] - Advisor data from adviseTurn() (shows long-run values)
+     * @param {Object} [opts.rules] - Rule variant (Joker previews, extra-Yahtzee bonus row)
+     * @param {boolean} [opts.served] - Dice made on the first roll (Generala previews)
      */
-    static renderScoreboard({ scoreList, players, currentPlayerIndex, categories, diceValues, canSelect }) {
+    static renderScoreboard({ scoreList, players, currentPlayerIndex, categories, diceValues, canSelect, advice = null, rules = DEFAULT_RULES, served = false }) {
+        const columnCount = players[0].columns.length;
+        const multi = columnCount > 1;
+        const key = (column, id) => `${column}|${id}`;
+        const adviceByKey = new Map((advice ? advice.categories : []).map(c => [key(c.column, c.id), c]));
+        const current = players[currentPlayerIndex];
+        const allowed = new Set(canSelect
+            ? allowedPlacements(diceValues, current, categories, rules).map(({ column, cat }) => key(column, cat.id))
+            : []);
+
+        // One group of cells per player, one cell per column
+        const row = (cell) => players.map((p, idx) =>
+            `<div class="player-columns">${p.columns.map((col, column) => cell(p, idx, col, column)).join('')}</div>`
+        ).join('');
+
         let html = '';
         let lastType = '';
 
@@ -24,10 +42,19 @@ export class YahtzeeUI {
         html += `<div class="score-item header">
             <div class="cat-name">Categoria</div>
             <div class="scores-row">
-                ${players.map(p => `<div class="player-score" style="color: ${p.color}">${p.name.substring(0, 3)}</div>`).join('')}
+                ${players.map(p => `<div class="player-columns"><div class="player-score" style="color: ${p.color}">${p.name.substring(0, 3)}</div></div>`).join('')}
             </div>
         </div>`;
 
+        if (multi) {
+            html += `<div class="score-item columns-head">
+                <div class="cat-name">Colonna</div>
+                <div class="scores-row">
+                    ${row((p, idx, col, column) => `<div class="player-score">×${columnMultiplier(column)}</div>`)}
+                </div>
+            </div>`;
+        }
+
         categories.forEach(cat => {
             // Section dividers
             if (cat.type !== lastType && cat.type !== 'bonus') {
@@ -43,24 +70,30 @@ export class YahtzeeUI {
                 <div class="cat-name">${cat.name}</div>
                 <div class="scores-row">`;
 
-            players.forEach((p, idx) => {
-                const isCurrent = idx === currentPlayerIndex;
-                const hasScore = p.scores[cat.id] !== undefined;
+            html += row((p, idx, col, column) => {
+                const hasScore = col.scores[cat.id] !== undefined;
 
                 if (cat.type === 'bonus') {
-                    const sum = calculateUpperSum(p);
-                    const hasBonus = sum >= 63;
-                    html += `<div class="player-score ${hasBonus ? 'bonus-yes' : 'bonus-no'}">
-                        ${hasBonus ? '35 ✓' : sum + '/63'}
+                    const sum = calculateUpperSum(col);
+                    const hasBonus = sum >= cat.target;
+                    return `<div class="player-score ${hasBonus ? 'bonus-yes' : 'bonus-no'}">
+                        ${hasBonus ? `${cat.points} ✓` : `${sum}/${cat.target}`}
                     </div>`;
-                } else if (hasScore) {
-                    html += `<div class="player-score filled">${p.scores[cat.id]}</div>`;
-                } else if (isCurrent && canSelect) {
-                    const val = cat.calc(diceValues);
-                    html += `<div class="player-score potential" data-cat-id="${cat.id}">${val}</div>`;
-                } else {
-                    html += `<div class="player-score empty">-</div>`;
                 }
+                if (hasScore) {
+                    return `<div class="player-score filled">${col.scores[cat.id]}</div>`;
+                }
+                if (idx === currentPlayerIndex && allowed.has(key(column, cat.id))) {
+                    const val = scoreCategory(cat, diceValues, col, rules, served);
+                    const tip = adviceByKey.get(key(column, cat.id));
+                    const advised = tip && advice.best === cat.id && advice.bestColumn === column;
+                    return tip
+                        ? `<div class="player-score potential ${advised ? 'advised' : ''}" data-cat-id="${cat.id}" data-column="${column}">
+                            ${val}<span class="advice-value">${YahtzeeUI.formatAdviceValue(tip.value)}</span>
+                        </div>`
+                        : `<div class="player-score potential" data-cat-id="${cat.id}" data-column="${column}">${val}</div>`;
+                }
+                return `<div class="player-score empty">-</div>`;
             });
 
             html += `</div></div>`;
@@ -70,22 +103,95 @@ export class YahtzeeUI {
                 html += `<div class="score-item" style="background: #e9ecef;">
                     <div class="cat-name">Totale Alto</div>
                     <div class="scores-row">
-                        ${players.map(p => `<div class="player-score">${calculateUpperSum(p)}</div>`).join('')}
+                        ${row((p, idx, col) => `<div class="player-score">${calculateUpperSum(col)}</div>`)}
                     </div>
                 </div>`;
             }
         });
 
+        // Extra-Yahtzee bonus
+        if (rules.jokerRule !== 'none') {
+            html += `<div class="score-item">
+                <div class="cat-name">Bonus Yatzee</div>
+                <div class="scores-row">
+                    ${row((p, idx, col) => {
+                        const pending = idx === currentPlayerIndex && canSelect ? extraYahtzee(diceValues, col, rules).bonus : 0;
+                        return pending > 0
+                            ? `<div class="player-score bonus-yes">${(col.yahtzeeBonus || 0) + pending} ⭐</div>`
+                            : `<div class="player-score ${col.yahtzeeBonus ? 'bonus-yes' : 'empty'}">${col.yahtzeeBonus || '-'}</div>`;
+                    })}
+                </div>
+            </div>`;
+        }
+
+        // Weighted column totals
+        if (multi) {
+            html += `<div class="score-item" style="background: #e9ecef;">
+                <div class="cat-name">Totale Colonna</div>
+                <div class="scores-row">
+                    ${row((p, idx, col, column) => `<div class="player-score">${calculateColumnTotal(col, categories) * columnMultiplier(column)}</div>`)}
+                </div>
+            </div>`;
+        }
+
         // Grand Total
         html += `<div class="score-item total">
             <div class="cat-name">TOTALE FINALE</div>
             <div class="scores-row">
-                ${players.map(p => `<div class="player-score" style="background: rgba(255,255,255,0.2);">${calculateTotal(p, categories)}</div>`).join('')}
+                ${players.map(p => `<div class="player-columns"><div class="player-score" style="background: rgba(255,255,255,0.2);">${calculateTotal(p, categories)}</div></div>`).join('')}
             </div>
         </div>`;
 
+        scoreList.classList.toggle('multi-column', multi);
+        scoreList.style.setProperty('--score-columns', columnCount);
         scoreList.innerHTML = html;
     }
+
+    /**
+     * Category name with its column when the scorecard has several, e.g. "Chance ×2".
+     * @param {{name: string, column: number}} placement
+     * @param {number} columnCount
+     */
+    static placementName({ name, column }, columnCount) {
+        return columnCount > 1 ? `${name} ×${columnMultiplier(column)}` : name;
+    }
+
+    /**
+     * Render the advisor panel (hold recommendation and best category).
+     * @param {HTMLElement} container
+     * @param {Object|null} advice - From adviseTurn(), null hides the panel
+     * @param {number} [columnCount] - Scorecard columns (names carry the column when > 1)
+     */
+    static renderAdvice(container, advice, columnCount = 1) {
+        if (!advice || !advice.best) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const best = advice.categories[0];
+        let main;
+        if (advice.rollAgain) {
+            const kept = advice.keep.length > 0 ? advice.keep.join(' ') : 'nessun dado';
+            main = `💡 Tieni <strong>${kept}</strong> e rilancia <span class="advisor-value">(valore atteso ${YahtzeeUI.formatAdviceValue(advice.holdValue)})</span>`;
+        } else {
+            main = `💡 Segna <strong>${YahtzeeUI.placementName(best, columnCount)}</strong> per ${best.score} punti`;
+        }
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <div class="advisor-main">${main}</div>
+            <div class="advisor-detail">Miglior casella ora: ${YahtzeeUI.placementName(best, columnCount)} ${YahtzeeUI.formatAdviceValue(best.value)}</div>
+            <div class="advisor-detail">Valori a lungo termine: punti, progresso bonus e costo della casella usata</div>
+        `;
+    }
+
+    /**
+     * Signed value with one decimal, e.g. "+3.5" / "-12.0".
+     */
+    static formatAdviceValue(value) {
+        return `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    }
 }
 
 export default YahtzeeUI;
@@ -0,0 +1,96 @@
+/* ========================================
+   YahtzeeVariants
+   Games played by YahtzeeGame: dice, category
+   table and turn rules of each one
+   ======================================== */
+
+import { categories as classicCategories } from './YahtzeeCategories.js';
+import { categories as maxiCategories } from './MaxiYatzyCategories.js';
+import { categories as generalaCategories } from '../generala/GeneralaCategories.js';
+import { isServedGenerala } from '../generala/GeneralaScoring.js';
+
+/**
+ * @typedef {Object} YahtzeeVariant
+ * @property {string} id - Game type (registry id, history gameType)
+ * @property {string} title - Header title
+ * @property {number} diceCount
+ * @property {Array} categories - Category table
+ * @property {boolean} savedRolls - Unused rolls carry over to the player's next turns
+ * @property {boolean} strategy - Bots and advisor available (their values are tuned for classic Yahtzee)
+ * @property {Object|null} rules - Fixed rules (see YahtzeeRules), null = chosen in setup
+ * @property {string|null} rulesHTML - Rules modal body, null = classic rules text
+ * @property {boolean} [servedBonus] - Categories score more on the turn's first roll
+ * @property {Function} [instantWin] - (dice, served) => true when the roll wins the game outright
+ * @property {string} [instantWinLabel] - Shown (and logged) for an instant win
+ */
+
+/** @type {YahtzeeVariant} */
+export const CLASSIC = {
+    id: 'yahtzee',
+    title: 'YATZEE',
+    diceCount: 5,
+    categories: classicCategories,
+    savedRolls: false,
+    strategy: true,
+    rules: null,
+    rulesHTML: null
+};
+
+/** @type {YahtzeeVariant} */
+export const MAXI_YATZY = {
+    id: 'maxiyatzy',
+    title: 'MAXI YATZY',
+    diceCount: 6,
+    categories: maxiCategories,
+    savedRolls: true,
+    strategy: false,
+    rules: { columns: 1, jokerRule: 'none' },
+    rulesHTML: `
+        <strong style="color: var(--primary);">PARTE ALTA:</strong><br>
+        Somma dei dadi del numero corrispondente.<br>
+        Totale ≥ 84 = <strong>+50 punti bonus</strong><br><br>
+        <strong style="color: var(--primary);">PARTE BASSA:</strong><br>
+        Si sommano solo i dadi che formano la combinazione (i più alti).<br>
+        • <strong>Coppia, Doppia Coppia, Tre Coppie:</strong> coppie di valori diversi<br>
+        • <strong>Tre, Quattro, Cinque Uguali:</strong> somma dei dadi uguali<br>
+        • <strong>Scala Piccola:</strong> 1-2-3-4-5 = 15 punti<br>
+        • <strong>Scala Grande:</strong> 2-3-4-5-6 = 20 punti<br>
+        • <strong>Scala Completa:</strong> 1-2-3-4-5-6 = 21 punti<br>
+        • <strong>Full House:</strong> tris + coppia<br>
+        • <strong>Castello:</strong> due tris diversi<br>
+        • <strong>Torre:</strong> quattro uguali + coppia<br>
+        • <strong>Chance:</strong> Somma tutti i dadi<br>
+        • <strong>Maxi Yatzy:</strong> 100 punti (6 uguali)<br><br>
+        <strong style="color: var(--primary);">LANCI SALVATI:</strong><br>
+        I lanci non usati in un turno si accumulano e si possono usare nei turni successivi.
+    `
+};
+
+/** @type {YahtzeeVariant} */
+export const GENERALA = {
+    id: 'generala',
+    title: 'GENERALA',
+    diceCount: 5,
+    categories: generalaCategories,
+    savedRolls: false,
+    strategy: false,
+    rules: { columns: 1, jokerRule: 'none' },
+    servedBonus: true,
+    instantWin: isServedGenerala,
+    instantWinLabel: 'Generala servita!',
+    rulesHTML: `
+        <strong style="color: var(--primary);">NUMERI:</strong><br>
+        Somma dei dadi del numero corrispondente.<br><br>
+        <strong style="color: var(--primary);">GIOCHI:</strong><br>
+        • <strong>Escalera:</strong> 1-2-3-4-5, 2-3-4-5-6 o 3-4-5-6-1 = 20 punti<br>
+        • <strong>Full:</strong> tris + coppia = 30 punti<br>
+        • <strong>Poker:</strong> quattro uguali = 40 punti<br>
+        • <strong>Generala:</strong> cinque uguali = 50 punti<br>
+        • <strong>Doble Generala:</strong> seconda Generala = 100 punti (solo con la Generala già segnata a 50)<br><br>
+        <strong style="color: var(--primary);">SERVITO:</strong><br>
+        Escalera, Full e Poker fatti al primo lancio valgono <strong>+5 punti</strong>.<br>
+        Una <strong>Generala servita</strong> vince subito la partita!
+    `
+};
+
+export default { CLASSIC, MAXI_YATZY, GENERALA };
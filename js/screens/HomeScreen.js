@@ -12,11 +12,13 @@ export class HomeScreen {
      * @param {HTMLElement} options.container
      * @param {Function} options.onSelectGame - callback(gameId)
      * @param {Function} options.onResumeGame - callback(savedState)
+     * @param {Function} options.onReplayMatch - callback(match)
      */
-    constructor({ container, onSelectGame, onResumeGame }) {
+    constructor({ container, onSelectGame, onResumeGame, onReplayMatch }) {
         this.container = container;
         this.onSelectGame = onSelectGame;
         this.onResumeGame = onResumeGame;
+        this.onReplayMatch = onReplayMatch;
     }
 
     render() {
@@ -110,9 +112,53 @@ export class HomeScreen {
 
         screen.appendChild(gamesGrid);
 
+        // Recent matches (with replay when a log was recorded)
+        const recentMatches = gameHistory.getRecentMatches(5);
+        if (recentMatches.length > 0) {
+            screen.appendChild(this._renderHistory(recentMatches));
+        }
+
         this.container.appendChild(screen);
     }
 
+    _renderHistory(matches) {
+        const section = document.createElement('div');
+        section.className = 'history-section';
+        section.innerHTML = '<div class="history-section-title">Ultime partite</div>';
+
+        const list = document.createElement('div');
+        list.className = 'history-list';
+
+        matches.forEach(match => {
+            const gameConfig = gameRegistry.get(match.gameType);
+            const winner = match.players.find(p => p.isWinner);
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.innerHTML = `
+                <div class="history-item-info">
+                    <div class="history-item-game">${gameConfig ? gameConfig.icon + ' ' + gameConfig.name : match.gameType}</div>
+                    <div class="history-item-date">${gameHistory.formatDate(match.date)}</div>
+                    <div class="history-item-players">${match.players.map(p => p.name).join(', ')}</div>
+                </div>
+                <div class="history-item-winner">
+                    <div class="history-item-winner-name">${winner ? '🏆 ' + winner.name : 'Pareggio'}</div>
+                    <div class="history-item-winner-score">${winner ? winner.finalScore + ' pts' : ''}</div>
+                    ${match.hasLog ? '<button class="history-replay-btn" data-action="replay">🎬 Replay</button>' : ''}
+                </div>
+            `;
+
+            const replayBtn = item.querySelector('[data-action="replay"]');
+            if (replayBtn) {
+                replayBtn.addEventListener('click', () => this.onReplayMatch(match));
+            }
+
+            list.appendChild(item);
+        });
+
+        section.appendChild(list);
+        return section;
+    }
+
     destroy() {
         this.container.innerHTML = '';
     }
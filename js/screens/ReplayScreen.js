@@ -0,0 +1,316 @@
+/* ========================================
+   ReplayScreen - Step through a finished match
+   Reads the match log recorded by MatchRecorder and
+   replays it turn by turn with the shared dice renderer.
+   ======================================== */
+
+import { DiceEngine } from '../components/dice/DiceEngine.js';
+import { DiceRenderer } from '../components/dice/DiceRenderer.js';
+import { ScriptedRandom } from '../components/dice/RandomSource.js';
+import { LOG_EVENTS, splitLogIntoTurns } from '../services/MatchRecorder.js';
+import { gameRegistry } from '../games/GameRegistry.js';
+import { gameHistory } from '../services/GameHistoryService.js';
+import { PLAYER_COLORS } from '../utils/constants.js';
+
+export class ReplayScreen {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container
+     * @param {Object} options.match - Match history entry (must include log)
+     * @param {Function} options.onBack - callback to go back to home
+     */
+    constructor({ container, match, onBack }) {
+        this.container = container;
+        this.match = match;
+        this.onBack = onBack;
+
+        const gameConfig = gameRegistry.get(match.gameType);
+        this.gameName = gameConfig ? gameConfig.name : match.gameType;
+
+        // Flatten turns into steps, remembering which turn each belongs to
+        this.turns = splitLogIntoTurns(match.log);
+        this.steps = [];
+        this.turns.forEach((turn, turnIndex) => {
+            turn.events.forEach(event => this.steps.push({ turnIndex, event }));
+        });
+        this.stepIndex = -1;
+
+        this.random = new ScriptedRandom();
+        this.diceEngine = new DiceEngine({ count: match.log.diceCount, maxRolls: 1, random: this.random });
+        this.diceRenderer = null;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        const screen = document.createElement('div');
+        screen.className = 'replay-screen';
+        screen.innerHTML = `
+            <button class="setup-back-btn" id="replayBackBtn">← Indietro</button>
+            <h2 class="setup-title">🎬 Replay - ${this.gameName}</h2>
+            <div class="replay-date">${gameHistory.formatDate(this.match.date)}</div>
+            <div class="players-bar" id="replayPlayers"></div>
+            <div class="dice-area">
+                <div class="replay-turn" id="replayTurn"></div>
+                <div id="replayDice"></div>
+                <div class="dice-hint" id="replayStep"></div>
+            </div>
+            <div class="replay-controls" id="replayControls">
+                <button class="btn btn-secondary" data-action="prevTurn" title="Turno precedente">⏮</button>
+                <button class="btn btn-secondary" data-action="prev" title="Passo precedente">◀</button>
+                <button class="btn btn-primary" data-action="next" title="Passo successivo">▶</button>
+                <button class="btn btn-secondary" data-action="nextTurn" title="Turno successivo">⏭</button>
+            </div>
+        `;
+        this.container.appendChild(screen);
+
+        this.ui = {
+            players: screen.querySelector('#replayPlayers'),
+            turn: screen.querySelector('#replayTurn'),
+            step: screen.querySelector('#replayStep'),
+            controls: screen.querySelector('#replayControls')
+        };
+
+        this.diceRenderer = new DiceRenderer({
+            container: screen.querySelector('#replayDice'),
+            engine: this.diceEngine,
+            size: this.match.log.diceCount > 5 ? 50 : 55,
+            animationDuration: 700,
+            faceLabels: this.match.log.faceLabels || null
+        });
+        this.diceEngine.on('roll-end', () => this._updateControls());
+
+        screen.querySelector('#replayBackBtn').addEventListener('click', () => this.onBack());
+        this.ui.controls.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn || btn.disabled) return;
+            this._handleControl(btn.dataset.action);
+        });
+
+        this._goTo(-1);
+    }
+
+    // ---- Navigation ----
+
+    _handleControl(action) {
+        if (this.diceEngine.isRolling) return;
+
+        switch (action) {
+            case 'next':
+                this._goTo(this.stepIndex + 1, true);
+                break;
+            case 'prev':
+                this._goTo(this.stepIndex - 1);
+                break;
+            case 'nextTurn': {
+                const turn = this._currentTurnIndex();
+                const idx = this.steps.findIndex(s => s.turnIndex > turn);
+                this._goTo(idx >= 0 ? this.steps.findLastIndex(s => s.turnIndex === this.steps[idx].turnIndex) : this.steps.length - 1);
+                break;
+            }
+            case 'prevTurn': {
+                const turn = this._currentTurnIndex();
+                const idx = this.steps.findLastIndex(s => s.turnIndex < turn);
+                this._goTo(idx);
+                break;
+            }
+        }
+    }
+
+    _currentTurnIndex() {
+        return this.stepIndex >= 0 ? this.steps[this.stepIndex].turnIndex : -1;
+    }
+
+    /**
+     * Jump to a step. Rolls reached by stepping forward are animated,
+     * everything else is restored instantly.
+     */
+    _goTo(stepIndex, animate = false) {
+        if (stepIndex < -1 || stepIndex >= this.steps.length) return;
+        this.stepIndex = stepIndex;
+
+        const snapshot = this._snapshot(stepIndex);
+        const step = this.steps[stepIndex];
+
+        if (animate && step && step.event[0] === LOG_EVENTS.ROLL) {
+            const [, , values, heldIndices] = step.event;
+            const held = values.map((_, i) => heldIndices.includes(i));
+            this.diceEngine.restoreState({
+                values: this.diceEngine.getValues(),
+                held,
+                rollsLeft: 1,
+                hasRolled: true
+            });
+            this.random.push(values.filter((_, i) => !held[i]));
+            this.diceEngine.roll();
+        } else {
+            this.diceEngine.restoreState({
+                values: snapshot.values,
+                held: snapshot.held,
+                rollsLeft: 0,
+                hasRolled: true
+            });
+        }
+
+        this._renderPlayers(snapshot.totals, step ? step.event[1] : -1);
+        this._renderStepInfo(step);
+        this._updateControls();
+    }
+
+    /**
+     * Rebuild dice and running totals as they were at a given step.
+     */
+    _snapshot(stepIndex) {
+        const count = this.match.log.diceCount;
+        const totals = this.match.players.map(() => 0);
+        let values = new Array(count).fill(1);
+        let held = new Array(count).fill(false);
+        let turnIndex = -1;
+
+        for (let i = 0; i <= stepIndex; i++) {
+            const { turnIndex: t, event } = this.steps[i];
+            const [type, playerIndex, ...args] = event;
+
+            if (t !== turnIndex) {
+                turnIndex = t;
+                values = new Array(count).fill(1);
+                held = new Array(count).fill(false);
+            }
+
+            switch (type) {
+                case LOG_EVENTS.ROLL:
+                    values = [...args[0]];
+                    held = values.map((_, idx) => args[1].includes(idx));
+                    break;
+                case LOG_EVENTS.HOLD:
+                    held[args[0]] = args[1];
+                    break;
+                case LOG_EVENTS.SELECT:
+                    args[0].forEach(idx => { held[idx] = true; });
+                    break;
+                case LOG_EVENTS.HOT_DICE:
+                    held = new Array(count).fill(false);
+                    break;
+                case LOG_EVENTS.CATEGORY:
+                    totals[playerIndex] = args[2];
+                    break;
+                case LOG_EVENTS.BANK:
+                case LOG_EVENTS.PENALTY:
+                case LOG_EVENTS.PIG:
+                    totals[playerIndex] = args[1];
+                    break;
+                case LOG_EVENTS.ROUND:
+                    if (args[0] >= 0) totals[args[0]] = args[1];
+                    break;
+                case LOG_EVENTS.BOX:
+                    totals[playerIndex] = args[0];
+                    break;
+                case LOG_EVENTS.BUNCO_ROUND:
+                    args[1].forEach(i => { totals[i]++; });
+                    break;
+            }
+        }
+
+        return { values, held, totals };
+    }
+
+    // ---- Rendering ----
+
+    _renderPlayers(totals, activeIndex) {
+        this.ui.players.innerHTML = this.match.players.map((p, i) => `
+            <div class="player-chip ${i === activeIndex ? 'active' : ''}" style="border-left-color: ${p.color || PLAYER_COLORS[i % PLAYER_COLORS.length]}">
+                ${p.name}
+                <span class="score">${totals[i]}</span>
+            </div>
+        `).join('');
+    }
+
+    _renderStepInfo(step) {
+        if (!step) {
+            this.ui.turn.textContent = `${this.turns.length} turni`;
+            this.ui.step.textContent = 'Premi ▶ per iniziare il replay';
+            return;
+        }
+
+        const player = this.match.players[step.event[1]];
+        const turnSteps = this.steps.filter(s => s.turnIndex === step.turnIndex);
+        const posInTurn = turnSteps.indexOf(step) + 1;
+
+        this.ui.turn.innerHTML = `Turno ${step.turnIndex + 1}/${this.turns.length} • <strong>${player ? player.name : '?'}</strong> • Passo ${posInTurn}/${turnSteps.length}`;
+        this.ui.step.textContent = ReplayScreen.describeEvent(step.event, this.match.log.faceLabels);
+    }
+
+    _updateControls() {
+        const rolling = this.diceEngine.isRolling;
+        const atStart = this.stepIndex < 0;
+        const atEnd = this.stepIndex >= this.steps.length - 1;
+        this.ui.controls.querySelectorAll('[data-action]').forEach(btn => {
+            const backwards = btn.dataset.action.startsWith('prev');
+            btn.disabled = rolling || (backwards ? atStart : atEnd);
+        });
+    }
+
+    /**
+     * Human-readable label for a log event.
+     * @param {Array} event - [type, playerIndex, ...args]
+     * @param {string[]} [faceLabels] - Custom face labels of the dice (index 0 = face 1)
+     * @returns {string}
+     */
+    static describeEvent([type, , ...args], faceLabels = null) {
+        switch (type) {
+            case LOG_EVENTS.ROLL:
+                return `🎲 Lancio: ${args[0].map(v => (faceLabels ? faceLabels[v - 1] : v)).join(' ')}`;
+            case LOG_EVENTS.HOLD:
+                return args[1] ? `✅ Dado ${args[0] + 1} tenuto` : `❌ Dado ${args[0] + 1} rilasciato`;
+            case LOG_EVENTS.CATEGORY:
+                return args[3]
+                    ? `📝 ${args[0]}: ${args[1]} punti ⭐ +${args[3]} bonus Yatzee`
+                    : `📝 ${args[0]}: ${args[1]} punti`;
+            case LOG_EVENTS.SELECT:
+                return `✅ Tiene ${args[0].length} ${args[0].length === 1 ? 'dado' : 'dadi'}: +${args[1]}`;
+            case LOG_EVENTS.BANK:
+                return `🏦 Banca ${args[0]} punti (totale ${args[1]})`;
+            case LOG_EVENTS.FARKLE:
+                return args[0] === 'minScore' ? '💀 FARKLE! Punteggio minimo non raggiunto' : '💀 FARKLE! Nessuna combinazione';
+            case LOG_EVENTS.HOT_DICE:
+                return '🔥 Hot Dice!';
+            case LOG_EVENTS.STRAIGHT:
+                return args[0] ? '🎯 Scala completata!' : '🎯 Scala fallita';
+            case LOG_EVENTS.PENALTY:
+                return `💀 Penalità Farkle di fila: -${args[0]} punti (totale ${args[1]})`;
+            case LOG_EVENTS.INSTANT_WIN:
+                return `🌟 ${args[0]} Vittoria immediata!`;
+            case LOG_EVENTS.CARGO:
+                return args[0] > 0 ? `📦 Carico: ${args[0]} punti` : '🚫 Niente nave, capitano e ciurma';
+            case LOG_EVENTS.PIG:
+                return args[0] === 'snakeEyes' ? '🐍 Occhi di serpente! Totale azzerato' : '🐷 Maiale! Turno perso';
+            case LOG_EVENTS.BID:
+                return `📣 Puntata: ${args[0]} × ${args[1]}`;
+            case LOG_EVENTS.CHALLENGE:
+                return `🤥 Dubito! ${args[3]} dadi di ${args[2]} su ${args[1]} puntati: ${args[4] === args[0] ? 'perde chi ha puntato' : 'perde chi ha dubitato'}`;
+            case LOG_EVENTS.ROUND:
+                return args[0] >= 0 ? `⚓ ${args[2]} vince il round (${args[1]})` : '🤝 Round pari: nessun vincitore';
+            case LOG_EVENTS.TILES:
+                return `🔢 Chiude ${args[0].join('+')} (rimasti ${args[1]})`;
+            case LOG_EVENTS.BOX:
+                return args[0] === 0 ? '📦 Scatola chiusa!' : `🔒 Nessuna mossa: ${args[0]} rimasti`;
+            case LOG_EVENTS.TEAM_POINTS: {
+                const label = { bunco: '🎉 BUNCO!', mini: '✨ Mini-Bunco!' }[args[1]] || '✅';
+                return `${label} Tavolo ${args[0] + 1}: +${args[2]} (totale squadra ${args[3]})`;
+            }
+            case LOG_EVENTS.POKER_HAND:
+                return `🃏 ${args[1]}: ${args[2].map(v => (faceLabels ? faceLabels[v - 1] : v)).join(' ')}`;
+            case LOG_EVENTS.BUNCO_ROUND:
+                return `🏁 Fine round ${args[0]}: ${args[1].length} vincitori`;
+            default:
+                return '';
+        }
+    }
+
+    destroy() {
+        if (this.diceRenderer) this.diceRenderer.destroy();
+        this.container.innerHTML = '';
+    }
+}
+
+export default ReplayScreen;
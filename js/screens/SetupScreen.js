@@ -6,13 +6,17 @@
 import { PLAYER_COLORS, MAX_PLAYERS, MIN_PLAYERS } from '../utils/constants.js';
 import { gameHistory } from '../services/GameHistoryService.js';
 import { gameRegistry } from '../games/GameRegistry.js';
+import {
+    optionType, getOptionValue, setOptionValue, optionError,
+    resolveOptions, validateOptions, applyPreset, matchingPreset
+} from '../games/GameOptions.js';
 
 export class SetupScreen {
     /**
      * @param {Object} options
      * @param {HTMLElement} options.container
      * @param {string} options.gameId - Which game is being set up
-     * @param {Function} options.onStart - callback(players[])
+     * @param {Function} options.onStart - callback(players[], settings)
      * @param {Function} options.onBack - callback to go back to home
      */
     constructor({ container, gameId, onStart, onBack }) {
@@ -25,18 +29,31 @@ export class SetupScreen {
         this.minPlayers = gameConfig ? gameConfig.minPlayers : MIN_PLAYERS;
         this.maxPlayers = gameConfig ? gameConfig.maxPlayers : MAX_PLAYERS;
         this.gameName = gameConfig ? gameConfig.name : gameId;
+        this.botLevels = gameConfig?.botLevels || [];
+        this.tables = gameConfig?.tables || null;
+
+        // Setup options (physical dice, game options, house rules)
+        this.optionsSchema = gameRegistry.getOptionsSchema(gameId);
+        this.presets = gameConfig?.presets || [];
+        this.validateOptions = gameConfig?.validateOptions || null;
+        this.rulesOpen = false;
 
         this.players = [];
+        this.settings = resolveOptions(this.optionsSchema);
         this.knownNames = gameHistory.getKnownPlayerNames();
     }
 
     render() {
         this.container.innerHTML = '';
 
-        // Start with 2 players
+        // Start with 2 players (or one full table)
         this.players = [];
-        this._addPlayer();
-        this._addPlayer();
+        if (this.tables) {
+            this._addTable();
+        } else {
+            this._addPlayer();
+            this._addPlayer();
+        }
 
         this._renderSetup();
     }
@@ -50,10 +67,39 @@ export class SetupScreen {
 
         this.players.push({
             name: `Giocatore ${this.players.length + 1}`,
-            color: profile ? profile.color : defaultColor
+            color: profile ? profile.color : defaultColor,
+            bot: null
         });
     }
 
+    _addTable() {
+        if (this.players.length + this.tables.size > this.maxPlayers) return;
+        for (let i = 0; i < this.tables.size; i++) {
+            this._addPlayer();
+        }
+    }
+
+    _removeTable(tableIdx) {
+        if (this.players.length - this.tables.size < this.minPlayers) return;
+        this._syncPlayerNames();
+        this.players.splice(tableIdx * this.tables.size, this.tables.size);
+        this._renderSetup();
+    }
+
+    _setPlayerBot(idx, level) {
+        this._syncPlayerNames();
+        const player = this.players[idx];
+        player.bot = level || null;
+
+        // Swap default names so bots are recognisable
+        if (player.bot && player.name === `Giocatore ${idx + 1}`) {
+            player.name = `Bot ${idx + 1}`;
+        } else if (!player.bot && player.name === `Bot ${idx + 1}`) {
+            player.name = `Giocatore ${idx + 1}`;
+        }
+        this._renderSetup();
+    }
+
     _removePlayer(idx) {
         if (this.players.length <= this.minPlayers) return;
         this.players.splice(idx, 1);
@@ -72,28 +118,29 @@ export class SetupScreen {
             <h2 class="setup-title">👥 ${this.gameName} - Giocatori</h2>
         `;
 
-        // Players list
-        let playersHTML = this.players.map((p, i) => `
-            <div class="player-input" data-index="${i}">
-                <div class="player-input-wrapper">
-                    <input type="text" class="player-name-input" value="${p.name}" 
-                           data-index="${i}" placeholder="Nome giocatore">
-                </div>
-                <input type="color" class="player-color" value="${p.color}" data-index="${i}">
-                ${this.players.length > this.minPlayers
-                    ? `<button class="btn btn-danger player-remove-btn" data-index="${i}">✕</button>`
-                    : ''}
-            </div>
-        `).join('');
+        // Players list (grouped by table for table games)
+        const playersHTML = this.tables
+            ? this._renderTables()
+            : this.players.map((p, i) => this._renderPlayerRow(p, i)).join('');
 
         // Buttons
-        const canAdd = this.players.length < this.maxPlayers;
+        const step = this.tables ? this.tables.size : 1;
+        const canAdd = this.players.length + step <= this.maxPlayers;
         let buttonsHTML = '';
         if (canAdd) {
-            buttonsHTML += `<button class="btn add-player-btn" id="addPlayerBtn">+ Aggiungi Giocatore</button>`;
+            buttonsHTML += this.tables
+                ? `<button class="btn add-player-btn" id="addPlayerBtn">+ Aggiungi Tavolo (${this.tables.size} giocatori)</button>`
+                : `<button class="btn add-player-btn" id="addPlayerBtn">+ Aggiungi Giocatore</button>`;
         }
         buttonsHTML += `<button class="btn btn-primary" id="startGameBtn">🎮 Inizia Partita</button>`;
 
+        // Game settings
+        const settingsHTML = `
+            <div class="setup-options" id="setupOptions">
+                ${this._renderOptions()}
+            </div>
+        `;
+
         // Rules box
         const rulesHTML = `
             <div class="rules-box">
@@ -105,7 +152,7 @@ export class SetupScreen {
             </div>
         `;
 
-        screen.innerHTML = headerHTML + playersHTML + buttonsHTML + rulesHTML;
+        screen.innerHTML = headerHTML + playersHTML + settingsHTML + buttonsHTML + rulesHTML;
         this.container.appendChild(screen);
 
         // Event listeners
@@ -113,7 +160,11 @@ export class SetupScreen {
 
         if (canAdd) {
             screen.querySelector('#addPlayerBtn').addEventListener('click', () => {
-                this._addPlayer();
+                if (this.tables) {
+                    this._addTable();
+                } else {
+                    this._addPlayer();
+                }
                 this._renderSetup();
             });
         }
@@ -125,9 +176,17 @@ export class SetupScreen {
                 alert(`Servono almeno ${this.minPlayers} giocatori!`);
                 return;
             }
-            this.onStart([...this.players]);
+            const errors = validateOptions(this.optionsSchema, this.settings, this.validateOptions);
+            if (errors.length > 0) {
+                alert(errors.join('\n'));
+                return;
+            }
+            this.onStart([...this.players], resolveOptions(this.optionsSchema, this.settings));
         });
 
+        // Options and presets
+        screen.querySelector('#setupOptions').addEventListener('change', (e) => this._onOptionChange(e.target));
+
         // Name inputs
         screen.querySelectorAll('.player-name-input').forEach(input => {
             const idx = parseInt(input.dataset.index);
@@ -150,11 +209,170 @@ export class SetupScreen {
             });
         });
 
+        // Human / bot selectors
+        screen.querySelectorAll('.player-type').forEach(select => {
+            const idx = parseInt(select.dataset.index);
+            select.addEventListener('change', () => this._setPlayerBot(idx, select.value));
+        });
+
         // Remove buttons
         screen.querySelectorAll('.player-remove-btn').forEach(btn => {
             const idx = parseInt(btn.dataset.index);
             btn.addEventListener('click', () => this._removePlayer(idx));
         });
+
+        // Remove table buttons
+        screen.querySelectorAll('.setup-table-remove-btn').forEach(btn => {
+            const tableIdx = parseInt(btn.dataset.table);
+            btn.addEventListener('click', () => this._removeTable(tableIdx));
+        });
+    }
+
+    _renderPlayerRow(p, i) {
+        // Table games: partners sit across (team A = seats 1+3, team B = seats 2+4)
+        const seat = this.tables ? i % this.tables.size : -1;
+        return `
+            <div class="player-input" data-index="${i}">
+                ${this.tables ? `<span class="setup-team-badge team-${seat % 2 === 0 ? 'a' : 'b'}" title="Squadra">${seat % 2 === 0 ? 'A' : 'B'}</span>` : ''}
+                <div class="player-input-wrapper">
+                    <input type="text" class="player-name-input" value="${p.name}" 
+                           data-index="${i}" placeholder="Nome giocatore">
+                </div>
+                <input type="color" class="player-color" value="${p.color}" data-index="${i}">
+                ${this.botLevels.length > 0 ? `
+                    <select class="player-type" data-index="${i}" title="Umano o bot">
+                        <option value="" ${!p.bot ? 'selected' : ''}>👤</option>
+                        ${this.botLevels.map(l => `<option value="${l.id}" ${p.bot === l.id ? 'selected' : ''}>🤖 ${l.label}</option>`).join('')}
+                    </select>
+                ` : ''}
+                ${!this.tables && this.players.length > this.minPlayers
+                    ? `<button class="btn btn-danger player-remove-btn" data-index="${i}">✕</button>`
+                    : ''}
+            </div>
+        `;
+    }
+
+    _renderTables() {
+        const size = this.tables.size;
+        const canRemove = this.players.length - size >= this.minPlayers;
+        let html = '';
+        for (let t = 0; t * size < this.players.length; t++) {
+            const rows = this.players
+                .slice(t * size, (t + 1) * size)
+                .map((p, s) => this._renderPlayerRow(p, t * size + s))
+                .join('');
+            html += `
+                <div class="setup-table">
+                    <div class="setup-table-header">
+                        <span>🎲 Tavolo ${t + 1}${t === 0 ? ' 👑' : ''}</span>
+                        ${canRemove ? `<button class="btn btn-danger setup-table-remove-btn" data-table="${t}">✕ Togli</button>` : ''}
+                    </div>
+                    ${rows}
+                </div>
+            `;
+        }
+        return html;
+    }
+
+    /**
+     * Options from the game's schema: presets first, then physical dice and
+     * game options, then house rules in their own collapsible box.
+     */
+    _renderOptions() {
+        const main = [];
+        const rules = [];
+        this.optionsSchema.forEach((option, i) => {
+            (option.group === 'rules' ? rules : main).push(this._renderOption(option, i));
+        });
+
+        let html = '';
+        if (this.presets.length > 0) {
+            const current = matchingPreset(this.optionsSchema, this.settings, this.presets);
+            html += `
+                <label class="setup-rule setup-preset">
+                    <span>⚡ Preset</span>
+                    <select id="presetSelect">
+                        <option value="" ${!current ? 'selected' : ''}>Personalizzato</option>
+                        ${this.presets.map(p => `<option value="${p.id}" ${current === p ? 'selected' : ''}>${p.label}</option>`).join('')}
+                    </select>
+                </label>
+            `;
+        }
+        html += main.join('');
+        if (rules.length > 0) {
+            html += `
+                <details class="setup-rules" ${this.rulesOpen ? 'open' : ''}>
+                    <summary>📋 Regole della casa</summary>
+                    ${rules.join('')}
+                </details>
+            `;
+        }
+        return html;
+    }
+
+    _renderOption(option, i) {
+        const value = getOptionValue(this.settings, option);
+        switch (optionType(option)) {
+            case 'toggle':
+                return `
+                    <label class="setup-toggle">
+                        <input type="checkbox" data-option="${i}" ${value ? 'checked' : ''}>
+                        <span>${option.label}</span>
+                    </label>
+                `;
+            case 'number':
+                return `
+                    <label class="setup-rule">
+                        <span>${option.label}</span>
+                        <input type="number" class="setup-number" data-option="${i}" value="${value}"
+                               ${option.min !== undefined ? `min="${option.min}"` : ''}
+                               ${option.max !== undefined ? `max="${option.max}"` : ''}
+                               ${option.step ? `step="${option.step}"` : ''}>
+                    </label>
+                `;
+            default:
+                return `
+                    <label class="setup-rule">
+                        <span>${option.label}</span>
+                        <select data-option="${i}">
+                            ${option.choices.map((c, ci) => `
+                                <option value="${ci}" ${c.value === value ? 'selected' : ''}>${c.label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `;
+        }
+    }
+
+    _onOptionChange(input) {
+        // A preset sets several options at once: draw them again
+        if (input.id === 'presetSelect') {
+            const preset = this.presets.find(p => p.id === input.value);
+            if (!preset) return;
+            this._syncPlayerNames();
+            this.rulesOpen = !!this.container.querySelector('.setup-rules')?.open;
+            this.settings = applyPreset(this.optionsSchema, this.settings, preset);
+            this._renderSetup();
+            return;
+        }
+
+        const option = this.optionsSchema[parseInt(input.dataset.option)];
+        if (!option) return;
+
+        let value;
+        switch (optionType(option)) {
+            case 'toggle': value = input.checked; break;
+            case 'number': value = input.value === '' ? NaN : Number(input.value); break;
+            default: value = option.choices[parseInt(input.value)].value;
+        }
+        setOptionValue(this.settings, option, value);
+        input.classList.toggle('invalid', optionError(option, value) !== null);
+
+        const presetSelect = this.container.querySelector('#presetSelect');
+        if (presetSelect) {
+            const current = matchingPreset(this.optionsSchema, this.settings, this.presets);
+            presetSelect.value = current ? current.id : '';
+        }
     }
 
     _syncPlayerNames() {
@@ -1,35 +1,56 @@
 /* ========================================
    GameHistoryService
    Manages active game save/resume, match history, player profiles
+   Reads are synchronous once init() has loaded the storage.
+   Each history entry is its own record, so adding a match
+   writes only that match; replay logs are stored apart and
+   loaded with getMatchLog().
    ======================================== */
 
 import { storage } from './StorageService.js';
-import { STORAGE_KEYS } from '../utils/constants.js';
+import { runMigrations } from './Migrations.js';
+import { STORAGE_KEYS, STORAGE_RECORDS, STORAGE_BLOBS } from '../utils/constants.js';
+
+const MAX_HISTORY = 50;   // matches kept on small backends (localStorage); IndexedDB keeps them all
 
 class GameHistoryService {
 
+    /**
+     * Open the storage backend and bring saved data to the current schema.
+     * Call (and await) once before using the service.
+     * @param {import('./StorageAdapters.js').StorageAdapter[]} [adapters] - Backends to try, e.g. [new MemoryAdapter()] headless
+     * @returns {Promise<string>} Name of the backend in use
+     */
+    async init(adapters) {
+        const backend = await storage.init(adapters);
+        runMigrations(storage);
+        return backend;
+    }
+
+    /**
+     * Resolves when every change so far is saved.
+     */
+    flush() {
+        return storage.flush();
+    }
+
+    /**
+     * Be told when something could not be saved (see StorageService.onWriteError).
+     * @param {Function} listener - (error, key) => void
+     */
+    onSaveError(listener) {
+        storage.onWriteError(listener);
+    }
+
     // ---- Active Games (save/resume - supports multiple) ----
 
     /**
      * Get all active (suspended) games.
-     * Handles migration from old single-game format.
+     * Each is resumed through its controller's migrateState().
      * @returns {Array} Array of saved game states
      */
     getActiveGames() {
-        const games = storage.get(STORAGE_KEYS.ACTIVE_GAMES, null);
-        if (games !== null) return games;
-
-        // Migrate from old single-game format if present
-        const oldGame = storage.get(STORAGE_KEYS.ACTIVE_GAME, null);
-        if (oldGame) {
-            if (!oldGame.gameId) oldGame.gameId = this._generateId();
-            const migrated = [oldGame];
-            storage.set(STORAGE_KEYS.ACTIVE_GAMES, migrated);
-            storage.remove(STORAGE_KEYS.ACTIVE_GAME);
-            return migrated;
-        }
-
-        return [];
+        return storage.get(STORAGE_KEYS.ACTIVE_GAMES, []);
     }
 
     /**
@@ -86,30 +107,70 @@ class GameHistoryService {
 
     // ---- Match History ----
 
+    /**
+     * @returns {Array} Every history entry, newest first
+     */
     getMatchHistory() {
-        return storage.get(STORAGE_KEYS.MATCH_HISTORY, []);
+        return Object.values(storage.getAll(STORAGE_RECORDS.MATCH))
+            .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
     }
 
+    /**
+     * @param {Object} match - { gameType, settings, players, duration, log? }
+     *   The log is stored apart: the entry only gets hasLog
+     */
     addMatchToHistory(match) {
-        const history = this.getMatchHistory();
+        const { log, ...fields } = match;
         const entry = {
             id: this._generateId(),
             date: new Date().toISOString(),
-            ...match
+            ...fields
         };
-        history.unshift(entry); // newest first
-        // Keep max 50 matches
-        if (history.length > 50) history.length = 50;
-        storage.set(STORAGE_KEYS.MATCH_HISTORY, history);
+        if (log) {
+            entry.hasLog = true;
+            storage.saveBlob(this._logKey(entry.id), log);
+        }
+        storage.set(this._matchKey(entry.id), entry);
+
+        if (!storage.large) {
+            this.getMatchHistory().slice(MAX_HISTORY).forEach(m => this._removeMatch(m));
+        }
         return entry;
     }
 
+    /**
+     * Replay log of a match, or null when it has none.
+     * @param {Object} match - Entry of getMatchHistory()
+     * @returns {Promise<Object|null>}
+     */
+    async getMatchLog(match) {
+        if (!match.hasLog) return null;
+        return storage.loadBlob(this._logKey(match.id));
+    }
+
     getRecentMatches(count = 5) {
         return this.getMatchHistory().slice(0, count);
     }
 
     clearHistory() {
-        storage.set(STORAGE_KEYS.MATCH_HISTORY, []);
+        this.getMatchHistory().forEach(m => this._removeMatch(m));
+    }
+
+    _matchKey(matchId) {
+        return STORAGE_RECORDS.MATCH + matchId;
+    }
+
+    _removeMatch(match) {
+        storage.remove(this._matchKey(match.id));
+        this._removeLog(match);
+    }
+
+    _logKey(matchId) {
+        return STORAGE_BLOBS.MATCH_LOG + matchId;
+    }
+
+    _removeLog(match) {
+        if (match.hasLog) storage.removeBlob(this._logKey(match.id));
     }
 
     // ---- Player Profiles ----
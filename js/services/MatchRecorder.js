@@ -0,0 +1,143 @@
+/* ========================================
+   MatchRecorder
+   Compact roll-by-roll event log for a single match.
+   Stored with the match in history for the replay viewer.
+   ======================================== */
+
+export const LOG_VERSION = 1;
+
+/**
+ * Event types. Every event is a compact array: [type, playerIndex, ...args]
+ *   turn     []                          - turn starts
+ *   roll     [values, heldIndices]       - roll finished
+ *   hold     [index, isHeld]             - die held/released
+ *   cat      [categoryName, score, total, bonus?] - Yahtzee category chosen (bonus: extra-Yahtzee points)
+ *   select   [indices, score]            - Farkle selection confirmed
+ *   bank     [turnScore, total]          - Farkle / Pig points banked
+ *   farkle   [reason]                    - Farkle (turn points lost)
+ *   hot      []                          - Farkle hot dice
+ *   straight [success]                   - Farkle straight attempt result
+ *   penalty  [points, total]             - Farkle streak penalty (house rule)
+ *   win      [label]                     - Game won outright by a roll (served Generala)
+ *   cargo    [points]                    - Ship, Captain and Crew turn result (0 = no crew)
+ *   round    [winnerIndex, wins, name]   - Round won (winnerIndex -1 = tie, nobody wins)
+ *   pig      [reason, total]             - Pig turn lost on a 1 ('pig') or snake eyes ('snakeEyes', total wiped)
+ *   bid      [quantity, face]            - Liar's Dice bid
+ *   challenge [bidderIndex, quantity, face, count, loserIndex, diceLeft] - Liar's Dice "Dubito!" (count = dice found)
+ *   tiles    [tiles, remaining]         - Shut the Box tiles shut (remaining = sum still open)
+ *   box      [remaining]                - Shut the Box turn over (0 = box shut)
+ *   team     [tableIndex, type, points, teamScore] - Bunco points at a table (type: 'points' | 'mini' | 'bunco')
+ *   bround   [round, winnerIndices]     - Bunco round over: winners of every table
+ *   poker    [handId, name, cards]      - Poker Dice hand played (cards = die values, best groups first)
+ */
+export const LOG_EVENTS = {
+    TURN: 'turn',
+    ROLL: 'roll',
+    HOLD: 'hold',
+    CATEGORY: 'cat',
+    SELECT: 'select',
+    BANK: 'bank',
+    FARKLE: 'farkle',
+    HOT_DICE: 'hot',
+    STRAIGHT: 'straight',
+    PENALTY: 'penalty',
+    INSTANT_WIN: 'win',
+    CARGO: 'cargo',
+    ROUND: 'round',
+    PIG: 'pig',
+    BID: 'bid',
+    CHALLENGE: 'challenge',
+    TILES: 'tiles',
+    BOX: 'box',
+    TEAM_POINTS: 'team',
+    BUNCO_ROUND: 'bround',
+    POKER_HAND: 'poker'
+};
+
+export class MatchRecorder {
+    /**
+     * @param {Object} options
+     * @param {number} options.diceCount - Dice used by the game (for the replay renderer)
+     * @param {string[]} [options.faceLabels] - Custom face labels of the dice (for the replay renderer)
+     * @param {Object} [options.savedLog] - Log to continue (resumed game)
+     */
+    constructor({ diceCount, faceLabels = null, savedLog = null }) {
+        this.diceCount = diceCount;
+        this.faceLabels = faceLabels;
+        this.events = savedLog ? savedLog.events.map(e => [...e]) : [];
+    }
+
+    /**
+     * Listen to a DiceEngine and record its rolls and holds.
+     * @param {import('../components/dice/DiceEngine.js').DiceEngine} engine
+     * @param {Function} getPlayerIndex - () => current player index
+     */
+    attach(engine, getPlayerIndex) {
+        engine.on('roll-end', ({ values }) => {
+            const held = engine.getHeld()
+                .map((isHeld, i) => (isHeld ? i : -1))
+                .filter(i => i >= 0);
+            this.record(LOG_EVENTS.ROLL, getPlayerIndex(), values, held);
+        });
+        engine.on('hold-changed', ({ index, isHeld }) => {
+            this.record(LOG_EVENTS.HOLD, getPlayerIndex(), index, isHeld);
+        });
+        return this;
+    }
+
+    record(type, playerIndex, ...args) {
+        this.events.push([type, playerIndex, ...args]);
+    }
+
+    reset() {
+        this.events = [];
+    }
+
+    /**
+     * Drop every event after the first `length` (used by undo).
+     * @param {number} length
+     * @returns {Array} The removed events
+     */
+    rewind(length) {
+        return this.events.splice(length);
+    }
+
+    /**
+     * Re-append events previously removed by rewind() (used by redo).
+     * @param {Array} events
+     */
+    append(events) {
+        this.events.push(...events.map(e => [...e]));
+    }
+
+    getLog() {
+        const log = {
+            version: LOG_VERSION,
+            diceCount: this.diceCount,
+            events: this.events.map(e => [...e])
+        };
+        if (this.faceLabels) log.faceLabels = [...this.faceLabels];
+        return log;
+    }
+}
+
+/**
+ * Group a log's events into turns (each starting with a 'turn' event).
+ * @param {Object} log - As returned by MatchRecorder.getLog()
+ * @returns {Array<{playerIndex: number, events: Array}>}
+ */
+export function splitLogIntoTurns(log) {
+    const turns = [];
+    for (const event of log.events) {
+        const [type, playerIndex] = event;
+        if (type === LOG_EVENTS.TURN || turns.length === 0) {
+            turns.push({ playerIndex, events: [] });
+        }
+        if (type !== LOG_EVENTS.TURN) {
+            turns[turns.length - 1].events.push(event);
+        }
+    }
+    return turns;
+}
+
+export default MatchRecorder;
@@ -0,0 +1,118 @@
+/* ========================================
+   Migrations - Saved Data Schema Versions
+   Each STORAGE_KEYS entry has a schema version
+   (saved under SCHEMA_VERSIONS). At startup the
+   migrations newer than the saved version run in
+   order, so data written by older versions of
+   the app keeps working. Saved games have their
+   own per-game migrations (GameController).
+   ======================================== */
+
+import { STORAGE_KEYS, STORAGE_RECORDS, STORAGE_BLOBS } from '../utils/constants.js';
+
+/**
+ * One change to the shape of a stored value.
+ * @typedef {Object} StorageMigration
+ * @property {string} key - STORAGE_KEYS entry it upgrades
+ * @property {number} version - Schema version of the key once it has run (1, 2, ... per key)
+ * @property {string} description
+ * @property {Function} migrate - (value, storage) => new value; value is null when the key
+ *   is missing, returning null leaves it missing
+ */
+
+/** @type {StorageMigration[]} Oldest first */
+export const MIGRATIONS = [
+    {
+        key: STORAGE_KEYS.ACTIVE_GAMES,
+        version: 1,
+        description: 'Single suspended game (ACTIVE_GAME) moved into the list of active games',
+        migrate: (games, storage) => {
+            const oldGame = storage.get(STORAGE_KEYS.ACTIVE_GAME, null);
+            if (!oldGame) return games;
+            storage.remove(STORAGE_KEYS.ACTIVE_GAME);
+            if (!oldGame.gameId) oldGame.gameId = Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+            return [...(games || []), oldGame];
+        }
+    },
+    {
+        key: STORAGE_KEYS.MATCH_HISTORY,
+        version: 1,
+        description: 'Replay logs moved out of the history list into blobs',
+        migrate: (history, storage) => {
+            if (!history) return history;
+            return history.map(match => {
+                if (!match.log) return match;
+                const { log, ...entry } = match;
+                storage.saveBlob(STORAGE_BLOBS.MATCH_LOG + match.id, log);
+                return { ...entry, hasLog: true };
+            });
+        }
+    },
+    {
+        key: STORAGE_KEYS.MATCH_HISTORY,
+        version: 2,
+        description: 'History list split into one record per match',
+        migrate: (history, storage) => {
+            (history || []).forEach(match => {
+                const id = match.id || Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+                storage.set(STORAGE_RECORDS.MATCH + id, { ...match, id });
+            });
+            return null;
+        }
+    }
+];
+
+/**
+ * Current schema version of a key (0 when it never changed).
+ * @param {string} key
+ * @param {StorageMigration[]} [migrations]
+ */
+export function schemaVersion(key, migrations = MIGRATIONS) {
+    return migrations.reduce((v, m) => (m.key === key ? Math.max(v, m.version) : v), 0);
+}
+
+/**
+ * Bring every STORAGE_KEYS entry to its current schema version.
+ * Keys saved by a newer version of the app are left alone.
+ * @param {import('./StorageService.js').default} storage - Initialized storage
+ * @param {StorageMigration[]} [migrations]
+ * @returns {StorageMigration[]} Migrations that ran
+ */
+export function runMigrations(storage, migrations = MIGRATIONS) {
+    const versions = storage.get(STORAGE_KEYS.SCHEMA_VERSIONS, {});
+    const applied = [];
+
+    Object.values(STORAGE_KEYS)
+        .filter(key => key !== STORAGE_KEYS.SCHEMA_VERSIONS)
+        .forEach(key => {
+            const current = schemaVersion(key, migrations);
+            const saved = versions[key] || 0;
+            if (saved > current) {
+                console.warn(`Dati "${key}" salvati da una versione più recente (schema ${saved}), non aggiornati.`);
+                return;
+            }
+
+            migrations
+                .filter(m => m.key === key && m.version > saved)
+                .sort((a, b) => a.version - b.version)
+                .forEach(m => {
+                    const value = m.migrate(storage.get(key, null), storage);
+                    if (value === null || value === undefined) {
+                        storage.remove(key);
+                    } else {
+                        storage.set(key, value);
+                    }
+                    applied.push(m);
+                });
+            versions[key] = current;
+        });
+
+    storage.set(STORAGE_KEYS.SCHEMA_VERSIONS, versions);
+    return applied;
+}
+
+export default {
+    MIGRATIONS,
+    schemaVersion,
+    runMigrations
+};
@@ -0,0 +1,179 @@
+/* ========================================
+   StorageAdapters - Storage Backends
+   Same async key/value interface over IndexedDB,
+   localStorage and memory. Values are JSON
+   strings; StorageService does the parsing.
+   ======================================== */
+
+/**
+ * Backend used by StorageService.
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - 'indexedDB' | 'localStorage' | 'memory'
+ * @property {boolean} persistent - Data survives a page reload
+ * @property {boolean} large - No tight quota: unlimited history, replay logs kept
+ * @property {() => Promise<boolean>} open - Resolves false when the backend cannot be used
+ * @property {(key: string) => Promise<string|null>} getItem
+ * @property {(key: string, value: string) => Promise<void>} setItem
+ * @property {(key: string) => Promise<void>} removeItem
+ * @property {() => Promise<string[]>} keys
+ */
+
+/**
+ * Keeps everything in a Map: nothing is saved. Used when no other
+ * backend works, and for headless runs (tests, simulations).
+ */
+export class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.persistent = false;
+        this.large = false;
+        this._data = new Map();
+    }
+
+    async open() {
+        return true;
+    }
+
+    async getItem(key) {
+        return this._data.has(key) ? this._data.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this._data.set(key, value);
+    }
+
+    async removeItem(key) {
+        this._data.delete(key);
+    }
+
+    async keys() {
+        return [...this._data.keys()];
+    }
+}
+
+/**
+ * Browser localStorage (about 5 MB, unavailable in some private modes).
+ * Writes happen right away: the promise only reports the outcome.
+ */
+export class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+        this.persistent = true;
+        this.large = false;
+    }
+
+    async open() {
+        try {
+            const test = '__storage_test__';
+            localStorage.setItem(test, 'ok');
+            localStorage.removeItem(test);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+}
+
+/**
+ * IndexedDB object store (quota in the hundreds of MB). Each call is its
+ * own transaction; read-write transactions on the store run in the order
+ * they are made, so writes never overtake each other.
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName]
+     * @param {string} [options.storeName]
+     */
+    constructor({ dbName = 'diceGames', storeName = 'keyval' } = {}) {
+        this.name = 'indexedDB';
+        this.persistent = true;
+        this.large = true;
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    open() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(false);
+        return new Promise(resolve => {
+            let request;
+            try {
+                request = indexedDB.open(this.dbName, 1);
+            } catch {
+                resolve(false);   // e.g. blocked by the browser in private mode
+                return;
+            }
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(true);
+            };
+            request.onerror = () => resolve(false);
+            request.onblocked = () => resolve(false);
+        });
+    }
+
+    _transaction(mode, action) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this._transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this._transaction('readwrite', store => store.put(value, key));
+    }
+
+    async removeItem(key) {
+        await this._transaction('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        const keys = await this._transaction('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+}
+
+/**
+ * Backends tried in order by StorageService.init().
+ * @returns {StorageAdapter[]}
+ */
+export function defaultAdapters() {
+    return [new IndexedDBAdapter(), new LocalStorageAdapter()];
+}
+
+export default {
+    MemoryAdapter,
+    LocalStorageAdapter,
+    IndexedDBAdapter,
+    defaultAdapters
+};
@@ -1,24 +1,126 @@
 /* ========================================
    StorageService
-   Generic localStorage CRUD wrapper
+   Generic key/value CRUD over a pluggable backend
+   (IndexedDB, localStorage or memory, see
+   StorageAdapters). Keys are loaded once by init()
+   and read synchronously from a cache; writes go
+   to the cache at once and to the backend in the
+   background (flush() waits for them). Blobs are
+   big values (replay logs) kept out of the cache
+   and read asynchronously.
    ======================================== */
 
+import { MemoryAdapter, LocalStorageAdapter, defaultAdapters } from './StorageAdapters.js';
+
+const BLOB_PREFIX = 'blob_';
+
 class StorageService {
     constructor(prefix = 'diceGames_') {
         this.prefix = prefix;
-        this.available = this._checkAvailability();
+        this.adapter = null;         // set by init(); until then data only lives in the cache
+        this.available = false;      // true once a persistent backend is in use
+        this._cache = new Map();     // full key -> JSON string
+        this._pending = new Set();   // backend writes not finished yet
+        this._errorListeners = [];
     }
 
-    _checkAvailability() {
-        try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, 'ok');
-            localStorage.removeItem(test);
-            return true;
-        } catch {
-            console.warn('localStorage non disponibile, i dati non saranno salvati.');
-            return false;
+    /**
+     * Open the first backend that works and load its keys into the cache.
+     * A backend that fails while loading (e.g. IndexedDB blocked in private
+     * mode) is skipped; with none left, data only lives in memory.
+     * Data left in localStorage by older versions moves to IndexedDB.
+     * @param {import('./StorageAdapters.js').StorageAdapter[]} [adapters] - Tried in order
+     * @returns {Promise<string>} Name of the backend in use
+     */
+    async init(adapters = defaultAdapters()) {
+        for (const adapter of adapters) {
+            try {
+                if (await adapter.open()) {
+                    await this._load(adapter);
+                    return adapter.name;
+                }
+            } catch (e) {
+                console.warn(`Archiviazione ${adapter.name} non utilizzabile:`, e.message);
+            }
         }
+
+        console.warn('Archiviazione non disponibile, i dati non saranno salvati.');
+        const memory = new MemoryAdapter();
+        await memory.open();
+        await this._load(memory);
+        return memory.name;
+    }
+
+    async _load(adapter) {
+        this.adapter = adapter;
+        this.available = adapter.persistent;
+        this._cache.clear();
+
+        const keys = (await adapter.keys()).filter(k => this._isOwnKey(k));
+        if (keys.length === 0 && adapter.name === 'indexedDB') {
+            await this._importLocalStorage();
+        } else {
+            for (const k of keys) {
+                const raw = await adapter.getItem(k);
+                if (raw !== null) this._cache.set(k, raw);
+            }
+        }
+    }
+
+    /**
+     * Whether the backend has room for unlimited history and replay logs.
+     */
+    get large() {
+        return !!this.adapter?.large;
+    }
+
+    /**
+     * Resolves when every write made so far has reached the backend.
+     */
+    async flush() {
+        while (this._pending.size > 0) {
+            await Promise.all([...this._pending]);
+        }
+    }
+
+    _isOwnKey(k) {
+        return k.startsWith(this.prefix) && !k.startsWith(this.prefix + BLOB_PREFIX);
+    }
+
+    async _importLocalStorage() {
+        const local = new LocalStorageAdapter();
+        if (!(await local.open())) return;
+
+        const keys = (await local.keys()).filter(k => k.startsWith(this.prefix));
+        for (const k of keys) {
+            const raw = await local.getItem(k);
+            if (raw === null) continue;
+            await this.adapter.setItem(k, raw);
+            if (this._isOwnKey(k)) this._cache.set(k, raw);
+        }
+        // Only once everything is copied
+        for (const k of keys) {
+            await local.removeItem(k);
+        }
+    }
+
+    /**
+     * Be told when a write does not reach the backend (quota full, storage
+     * gone): the cache still has the value, but it will be lost on reload.
+     * @param {Function} listener - (error, key) => void
+     */
+    onWriteError(listener) {
+        this._errorListeners.push(listener);
+    }
+
+    _write(key, action) {
+        if (!this.adapter) return;
+        const write = action(this.adapter).catch(e => {
+            console.warn('Errore salvataggio dati:', e.message);
+            this._errorListeners.forEach(listener => listener(e, key));
+        });
+        this._pending.add(write);
+        write.finally(() => this._pending.delete(write));
     }
 
     _key(key) {
@@ -26,10 +128,9 @@ class StorageService {
     }
 
     get(key, defaultValue = null) {
-        if (!this.available) return defaultValue;
+        const raw = this._cache.get(this._key(key));
+        if (raw === undefined) return defaultValue;
         try {
-            const raw = localStorage.getItem(this._key(key));
-            if (raw === null) return defaultValue;
             return JSON.parse(raw);
         } catch {
             return defaultValue;
@@ -37,48 +138,77 @@ class StorageService {
     }
 
     set(key, value) {
-        if (!this.available) return false;
+        const k = this._key(key);
+        let raw;
         try {
-            localStorage.setItem(this._key(key), JSON.stringify(value));
-            return true;
+            raw = JSON.stringify(value);
         } catch (e) {
-            console.warn('Errore salvataggio localStorage:', e.message);
+            console.warn('Errore salvataggio dati:', e.message);
             return false;
         }
+        this._cache.set(k, raw);
+        this._write(k, adapter => adapter.setItem(k, raw));
+        return true;
     }
 
     remove(key) {
-        if (!this.available) return;
-        localStorage.removeItem(this._key(key));
+        const k = this._key(key);
+        this._cache.delete(k);
+        this._write(k, adapter => adapter.removeItem(k));
     }
 
     getAll(filterPrefix = '') {
-        if (!this.available) return {};
         const result = {};
         const fullPrefix = this._key(filterPrefix);
-        for (let i = 0; i < localStorage.length; i++) {
-            const k = localStorage.key(i);
-            if (k.startsWith(fullPrefix)) {
-                try {
-                    result[k] = JSON.parse(localStorage.getItem(k));
-                } catch {
-                    result[k] = localStorage.getItem(k);
-                }
+        this._cache.forEach((raw, k) => {
+            if (!k.startsWith(fullPrefix)) return;
+            try {
+                result[k] = JSON.parse(raw);
+            } catch {
+                result[k] = raw;
             }
-        }
+        });
         return result;
     }
 
     clear() {
-        if (!this.available) return;
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const k = localStorage.key(i);
-            if (k.startsWith(this.prefix)) {
-                keysToRemove.push(k);
+        const keys = [...this._cache.keys()];
+        this._cache.clear();
+        this._write(null, async adapter => {
+            const blobs = (await adapter.keys()).filter(k => k.startsWith(this.prefix + BLOB_PREFIX));
+            for (const k of [...keys, ...blobs]) {
+                await adapter.removeItem(k);
             }
+        });
+    }
+
+    // ---- Blobs (not cached) ----
+
+    /**
+     * @param {string} key
+     * @param {*} [defaultValue]
+     * @returns {Promise<*>}
+     */
+    async loadBlob(key, defaultValue = null) {
+        if (!this.adapter) return defaultValue;
+        await this.flush();   // a blob saved moments ago is readable
+        try {
+            const raw = await this.adapter.getItem(this._key(BLOB_PREFIX + key));
+            return raw === null ? defaultValue : JSON.parse(raw);
+        } catch {
+            return defaultValue;
         }
-        keysToRemove.forEach(k => localStorage.removeItem(k));
+    }
+
+    saveBlob(key, value) {
+        const k = this._key(BLOB_PREFIX + key);
+        const raw = JSON.stringify(value);
+        this._write(k, adapter => adapter.setItem(k, raw));
+    }
+
+    removeBlob(key) {
+        const k = this._key(BLOB_PREFIX + key);
+        this._write(k, adapter => adapter.removeItem(k));
     }
 }
 
@@ -0,0 +1,93 @@
+/* ========================================
+   UndoHistory
+   Multi-level undo/redo stacks of game snapshots.
+   Games decide what a snapshot holds; this only
+   keeps the stacks, the depth limit and the scope.
+   ======================================== */
+
+export const UNDO_SCOPES = {
+    ALL: 'all',     // undo anything still on the stack
+    TURN: 'turn'    // undo only actions from the current turn
+};
+
+const DEFAULT_LIMIT = 30;
+
+export class UndoHistory {
+    /**
+     * @param {Object} options
+     * @param {number} [options.limit] - Max undo levels kept (default 30)
+     * @param {Object} [options.savedState] - State from getState() (resumed game)
+     */
+    constructor({ limit = DEFAULT_LIMIT, savedState = null } = {}) {
+        this.limit = limit;
+        this.scope = savedState?.scope || UNDO_SCOPES.ALL;
+        this.undoStack = savedState ? [...savedState.undo] : [];
+        this.redoStack = savedState ? [...savedState.redo] : [];
+    }
+
+    /**
+     * Record the snapshot taken before a new action. Clears redo.
+     * @param {{turn: number}} entry - Snapshot; turn identifies the turn it belongs to
+     */
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    /**
+     * @param {number} currentTurn
+     */
+    canUndo(currentTurn) {
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (!top) return false;
+        return this.scope === UNDO_SCOPES.ALL || top.turn === currentTurn;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Step back. The caller's current snapshot moves to the redo stack.
+     * @param {Object} current - Snapshot of the state being left
+     * @returns {Object} Snapshot to restore
+     */
+    undo(current) {
+        const entry = this.undoStack.pop();
+        this.redoStack.push(current);
+        return entry;
+    }
+
+    /**
+     * Step forward again. The caller's current snapshot moves back to undo.
+     * @param {Object} current - Snapshot of the state being left
+     * @returns {Object} Snapshot to restore
+     */
+    redo(current) {
+        const entry = this.redoStack.pop();
+        this.undoStack.push(current);
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    setScope(scope) {
+        this.scope = scope;
+    }
+
+    // ---- Serialization (for save/restore) ----
+
+    getState() {
+        return {
+            scope: this.scope,
+            undo: [...this.undoStack],
+            redo: [...this.redoStack]
+        };
+    }
+}
+
+export default UndoHistory;
@@ -4,17 +4,31 @@
 
 export const PLAYER_COLORS = [
     '#e74c3c', '#3498db', '#2ecc71', 
-    '#f39c12', '#9b59b6', '#1abc9c'
+    '#f39c12', '#9b59b6', '#1abc9c',
+    '#e84393', '#0984e3', '#6ab04c',
+    '#e17055', '#6c5ce7', '#00cec9'
 ];
 
 export const MAX_PLAYERS = 6;
+export const MAX_PARTY_PLAYERS = 12;   // table games (Bunco): up to 3 tables of 4
 export const MIN_PLAYERS = 1;
 
 export const STORAGE_KEYS = {
     ACTIVE_GAME: 'diceGames_activeGame',       // legacy single-game key
     ACTIVE_GAMES: 'diceGames_activeGames',     // new multi-game key
-    MATCH_HISTORY: 'diceGames_matchHistory',
-    PLAYER_PROFILES: 'diceGames_playerProfiles'
+    MATCH_HISTORY: 'diceGames_matchHistory',   // legacy history list (now STORAGE_RECORDS.MATCH)
+    PLAYER_PROFILES: 'diceGames_playerProfiles',
+    SCHEMA_VERSIONS: 'diceGames_schemaVersions'  // { [storage key]: schema version }, see Migrations
+};
+
+/** Record key prefixes (one cached key per item, see StorageService.getAll). */
+export const STORAGE_RECORDS = {
+    MATCH: 'match_'           // + match id: one history entry
+};
+
+/** Blob key prefixes (big values stored apart, see StorageService.saveBlob). */
+export const STORAGE_BLOBS = {
+    MATCH_LOG: 'matchLog_'    // + match id: replay log of a history entry
 };
 
 export const CONFETTI_COLORS = [